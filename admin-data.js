@@ -51,7 +51,7 @@ modal.innerHTML = `<div style="background:var(--glass);padding:40px;border-radiu
 document.body.appendChild(modal);
 
 try {
-  const userRef = firebaseDB.collection('users').doc(currentUser.uid);
+  const userRef = Organisation.rootRef();
   const deviceId = (typeof getDeviceId === 'function') ? await getDeviceId().catch(() => '—') : '—';
 
   const [
@@ -84,6 +84,9 @@ try {
     userRef.collection('settings').doc('yearCloseSignal').get().catch(() => ({ exists: false, data: () => null })),
   ]);
 
+  const settingsData = settingsDoc.exists
+    ? await CloudCipher.open('settings', 'config', settingsDoc.data()).catch(() => null)
+    : null;
   const stats      = await DeltaSync.getSyncStats();
   const uuidStats  = (typeof UUIDSyncRegistry !== 'undefined') ? UUIDSyncRegistry.stats() : {};
   const myDeviceShard = uuidStats._myDeviceShard ? uuidStats._myDeviceShard.toUpperCase() : '—';
@@ -443,7 +446,7 @@ try {
 
   <!-- FY close status -->
   ${(() => {
-    const fy = settingsDoc.exists ? (settingsDoc.data().naswar_default_settings || {}) : {};
+    const fy = (settingsData && settingsData.naswar_default_settings) || {};
     const fyCount = fy.fyCloseCount || 0;
     const fyDate  = fy.lastYearClosedDate ? new Date(fy.lastYearClosedDate).toLocaleDateString('en-PK',{day:'numeric',month:'short',year:'numeric'}) : '—';
     const fySignal = yearCloseSignalDoc.exists ? yearCloseSignalDoc.data() : null;
@@ -492,6 +495,7 @@ function _storeCodeToLabel(c) {
 }
 
 async function showCloseFinancialYearDialog() {
+  if (!Permissions.check('year.close')) return;
   const db = ensureArray(await sqliteStore.get('mfg_pro_pkr'));
   const customerSales = ensureArray(await sqliteStore.get('customer_sales'));
   const repSales = ensureArray(await sqliteStore.get('rep_sales'));
@@ -1306,7 +1310,7 @@ async function restoreFromBackup(backupTimestamp) {
 
     if (firebaseDB && currentUser) {
       try {
-        const userRef = firebaseDB.collection('users').doc(currentUser.uid);
+        const userRef = Organisation.rootRef();
 
         const fbCollections = [
           { name: 'production',         backupData: backup.db },
@@ -1412,6 +1416,7 @@ async function verifyMergeConsistency(snap) {
 }
 
 async function executeCloseFinancialYear() {
+  if (!Permissions.check('year.close')) return;
 
   let fyMeta = null;
 
@@ -1445,7 +1450,7 @@ updateCloseYearProgress('Uploading cloud backup...', 3);
 try {
   if (!currentUser) throw new Error('Not signed in — cannot create backup');
   try {
-    await pushDataToCloud();
+    await pushDataToCloud(false, 'year-close');
     showToast(' Cloud backup uploaded', 'success', 2500);
   } catch (cloudErr) {
     console.warn('Cloud backup warning (proceeding):', _safeErr(cloudErr));
@@ -1608,7 +1613,7 @@ liveUpdate('ret', `${snap.returns.after} merged record${snap.returns.after!==1?'
       new Set(ensureArray(await sqliteStore.get('deleted_records')).map(String))
     );
     if (_tombstoneIds.length > 0 && firebaseDB && currentUser) {
-      const _delUserRef = firebaseDB.collection('users').doc(currentUser.uid);
+      const _delUserRef = Organisation.rootRef();
       const OPS_PER_BATCH = 400;
       for (let _di = 0; _di < _tombstoneIds.length; _di += OPS_PER_BATCH) {
         const _chunk = _tombstoneIds.slice(_di, _di + OPS_PER_BATCH);
@@ -1651,23 +1656,23 @@ try {
   await sqliteStore.set('naswar_default_settings_timestamp', _fyMetaTs);
   if (firebaseDB && currentUser) {
 
-    await firebaseDB.collection('users').doc(currentUser.uid)
+    await Organisation.rootRef()
       .collection('settings').doc('config')
-      .set({
+      .set(await CloudCipher.seal('settings', 'config', {
         naswar_default_settings: {
           fyCloseCount:      fyMeta.fyCloseCount,
           lastYearClosedAt:  fyMeta.lastYearClosedAt,
           lastYearClosedDate:fyMeta.lastYearClosedDate
         },
         naswar_default_settings_timestamp: _fyMetaTs
-      }, { merge: true });
+      }), { merge: true });
     if (typeof DeltaSync !== 'undefined') {
       await DeltaSync.setLastSyncTimestamp('settings');
     }
 
     try {
       const _sigDeviceId = (typeof getDeviceId === 'function') ? await getDeviceId().catch(() => 'unknown') : 'unknown';
-      await firebaseDB.collection('users').doc(currentUser.uid)
+      await Organisation.rootRef()
         .collection('settings').doc('yearCloseSignal')
         .set({
           type:          'close',
@@ -1944,7 +1949,7 @@ if (Object.keys(storeGroups).length === 0 && Object.keys(sellerReturnGroups).len
 }
 if (signal.aborted) throw new DOMException('Aborted', 'AbortError');
 if (firebaseDB && currentUser) {
-  const userRef = firebaseDB.collection('users').doc(currentUser.uid);
+  const userRef = Organisation.rootRef();
   const commitResult = await _commitMergedBatch(userRef, 'production', mergedRecords);
   if (!commitResult.ok) {
     console.warn(`mergeProductionData: Firestore commit partial failure — ${commitResult.batchesFailed}/${commitResult.batchesTotal} batch(es) failed`, _safeErr(commitResult.error));
@@ -1976,13 +1981,15 @@ customerSales.forEach(item => {
   if (item.isMerged === true) return;
   if (_recTs(item) > closeEpoch) return;
   const name = item.customerName || 'Unknown';
-  if (!customerBuckets[name]) {
-    customerBuckets[name] = {
+  const bucketKey = customerRefKey(item);
+  if (!customerBuckets[bucketKey]) {
+    customerBuckets[bucketKey] = {
+      name, customerId: item.customerId || null,
       sales: [], oldDebt: 0, collectionTotal: 0, partialPaymentTotal: 0, partialPaymentsBySale: {},
       phone: '', address: '', supplyStore: ''
     };
   }
-  const b = customerBuckets[name];
+  const b = customerBuckets[bucketKey];
   b.phone      = b.phone      || item.customerPhone   || '';
   b.address    = b.address    || item.customerAddress || '';
   b.supplyStore= b.supplyStore|| item.supplyStore     || 'STORE_A';
@@ -2006,9 +2013,10 @@ customerSales.forEach(item => {
   }
   b.sales.push(item);
 });
-for (const [customer, b] of Object.entries(customerBuckets)) {
+for (const b of Object.values(customerBuckets)) {
   if (signal.aborted) throw new DOMException('Aborted', 'AbortError');
   const { sales, oldDebt, collectionTotal, phone, address, supplyStore } = b;
+  const customer = b.name;
   let totalQty   = 0, totalValue = 0, totalCost = 0, totalProfit = 0;
   let realizedProfit = 0, unrealizedProfit = 0;
   let cashValue  = 0, unpaidCreditNet = 0;
@@ -2039,7 +2047,7 @@ for (const [customer, b] of Object.entries(customerBuckets)) {
   const recordCount = sales.length + (oldDebt > 0 ? 1 : 0) + (collectionTotal > 0 ? 1 : 0);
   const mergedId = generateUUID('sale-merged');
   const _mergedSupplyStore = supplyStore || firstItem.supplyStore || 'STORE_A';
-  const canonicalUnitPrice = await getEffectiveSalePriceForCustomer(customer, _mergedSupplyStore);
+  const canonicalUnitPrice = await getEffectiveSalePriceForCustomer(b.customerId || customer, _mergedSupplyStore);
   const lastUnitPrice = canonicalUnitPrice > 0
     ? canonicalUnitPrice
     : (firstItem.unitPrice || (firstItem.quantity > 0 ? firstItem.totalValue / firstItem.quantity : 0) || 0);
@@ -2047,6 +2055,7 @@ for (const [customer, b] of Object.entries(customerBuckets)) {
   const alreadyPaid     = isSettled ? grossSaleValue : parseFloat((grossSaleValue - netOutstanding).toFixed(2));
   const mergedRecord = ensureRecordIntegrity(_buildMergedBase(mergedId, mergeEpoch, nowISODate, nowTime, {
     customerName:          customer,
+    customerId:            b.customerId,
     customerPhone:         phone,
     customerAddress:       address,
     quantity:              totalQty,
@@ -2091,7 +2100,7 @@ for (const [customer, b] of Object.entries(customerBuckets)) {
 }
 if (signal.aborted) throw new DOMException('Aborted', 'AbortError');
 if (firebaseDB && currentUser) {
-  const userRef = firebaseDB.collection('users').doc(currentUser.uid);
+  const userRef = Organisation.rootRef();
   const commitResult = await _commitMergedBatch(userRef, 'sales', mergedRecords, d => !d.isMerged);
   if (!commitResult.ok) {
     console.warn(`mergeSalesData: Firestore commit partial failure — ${commitResult.batchesFailed}/${commitResult.batchesTotal} batch(es) failed`, _safeErr(commitResult.error));
@@ -2196,7 +2205,7 @@ for (const [seller, items] of Object.entries(repGroups)) {
 }
 if (signal.aborted) throw new DOMException('Aborted', 'AbortError');
 if (firebaseDB && currentUser) {
-  const userRef = firebaseDB.collection('users').doc(currentUser.uid);
+  const userRef = Organisation.rootRef();
   const commitResult = await _commitMergedBatch(userRef, 'calculator_history', mergedRecords);
   if (!commitResult.ok) {
     console.warn(`mergeCalculatorData: Firestore commit partial failure — ${commitResult.batchesFailed}/${commitResult.batchesTotal} batch(es) failed`, _safeErr(commitResult.error));
@@ -2278,7 +2287,7 @@ for (const [entityId, items] of Object.entries(entityGroups)) {
 }
 if (signal.aborted) throw new DOMException('Aborted', 'AbortError');
 if (firebaseDB && currentUser) {
-  const userRef = firebaseDB.collection('users').doc(currentUser.uid);
+  const userRef = Organisation.rootRef();
   const commitResult = await _commitMergedBatch(userRef, 'transactions', mergedRecords);
   if (!commitResult.ok) {
     console.warn(`mergePaymentData: Firestore commit partial failure — ${commitResult.batchesFailed}/${commitResult.batchesTotal} batch(es) failed`, _safeErr(commitResult.error));
@@ -2352,7 +2361,7 @@ for (const [store, items] of Object.entries(storeGroups)) {
 }
 if (signal.aborted) throw new DOMException('Aborted', 'AbortError');
 if (firebaseDB && currentUser) {
-  const userRef = firebaseDB.collection('users').doc(currentUser.uid);
+  const userRef = Organisation.rootRef();
   const commitResult = await _commitMergedBatch(userRef, 'factory_history', mergedRecords);
   if (!commitResult.ok) {
     console.warn(`mergeFactoryData: Firestore commit partial failure — ${commitResult.batchesFailed}/${commitResult.batchesTotal} batch(es) failed`, _safeErr(commitResult.error));
@@ -2387,10 +2396,10 @@ repSales.forEach(item => {
   if (_recTs(item) > closeEpoch) return;
   const name = item.customerName || 'Unknown';
   const rep  = item.salesRep     || 'NONE';
-  const key  = `${name}::${rep}`;
+  const key  = `${customerRefKey(item)}::${rep}`;
   if (!repBuckets[key]) {
     repBuckets[key] = {
-      customer: name, rep,
+      customer: name, customerId: item.customerId || null, rep,
       sales: [], oldDebt: 0, collectionTotal: 0, partialPaymentTotal: 0, partialPaymentsBySale: {},
       phone: '', supplyStore: ''
     };
@@ -2459,6 +2468,7 @@ for (const [, b] of Object.entries(repBuckets)) {
   const alreadyPaid     = isSettled ? grossSaleValue : parseFloat((grossSaleValue - netOutstanding).toFixed(2));
   const mergedRecord = ensureRecordIntegrity(_buildMergedBase(mergedId, mergeEpoch, nowISODate, nowTime, {
     customerName:          customer,
+    customerId:            b.customerId,
     customerPhone:         phone,
     quantity:              totalQty,
     unitPrice:             lastUnitPrice,
@@ -2502,7 +2512,7 @@ for (const [, b] of Object.entries(repBuckets)) {
 }
 if (signal.aborted) throw new DOMException('Aborted', 'AbortError');
 if (firebaseDB && currentUser) {
-  const userRef = firebaseDB.collection('users').doc(currentUser.uid);
+  const userRef = Organisation.rootRef();
   const commitResult = await _commitMergedBatch(userRef, 'rep_sales', mergedRecords, d => !d.isMerged);
   if (!commitResult.ok) {
     console.warn(`mergeRepSalesData: Firestore commit partial failure — ${commitResult.batchesFailed}/${commitResult.batchesTotal} batch(es) failed`, _safeErr(commitResult.error));
@@ -2574,7 +2584,7 @@ for (const [, grp] of Object.entries(expenseGroups)) {
 }
 if (signal.aborted) throw new DOMException('Aborted', 'AbortError');
 if (firebaseDB && currentUser) {
-  const userRef = firebaseDB.collection('users').doc(currentUser.uid);
+  const userRef = Organisation.rootRef();
   const commitResult = await _commitMergedBatch(userRef, 'expenses', mergedRecords, d => !d.isMerged);
   if (!commitResult.ok) {
     console.warn(`mergeExpensesData: Firestore commit partial failure — ${commitResult.batchesFailed}/${commitResult.batchesTotal} batch(es) failed`, _safeErr(commitResult.error));
@@ -2682,7 +2692,7 @@ for (const [, grp] of Object.entries(storeGroups)) {
 }
 if (signal.aborted) throw new DOMException('Aborted', 'AbortError');
 if (firebaseDB && currentUser) {
-  const userRef = firebaseDB.collection('users').doc(currentUser.uid);
+  const userRef = Organisation.rootRef();
   const commitResult = await _commitMergedBatch(userRef, 'returns', mergedRecords, d => !d.isMerged);
   if (!commitResult.ok) {
     console.warn(`mergeStockReturnsData: Firestore commit partial failure — ${commitResult.batchesFailed}/${commitResult.batchesTotal} batch(es) failed`, _safeErr(commitResult.error));
@@ -2951,7 +2961,7 @@ showToast(` Removed ${results.totalDuplicates} duplicates!`, 'success');
 await refreshAllDisplays();
 if (firebaseDB && currentUser) {
 showToast('Syncing cleaned data to cloud...', 'info');
-await performOneClickSync(true);
+await performOneClickSync(true, 'dedupe');
 }
 showToast(` Done! ${results.totalDuplicates} duplicates removed. Data synced to cloud.`, 'success', 5000);
 } else {
@@ -3314,7 +3324,7 @@ try {
   showToast(`Found ${totalDuplicates} duplicate${totalDuplicates !== 1 ? 's' : ''}. Removing from Firestore\u2026`, 'info', 5000);
 
   if (firebaseDB && currentUser) {
-    const userRef = firebaseDB.collection('users').doc(currentUser.uid);
+    const userRef = Organisation.rootRef();
 
     for (const col of dirtyCollections) {
       try {
@@ -3384,3 +3394,161 @@ window.runUnifiedCleanup = runUnifiedCleanup;
 window._showDeltaSyncDetails = showDeltaSyncDetails;
 window._runUnifiedCleanup = runUnifiedCleanup;
 window._showCloseFinancialYearDialog = showCloseFinancialYearDialog;
+
+const _SNAPSHOT_COLLECTIONS = {
+  mfg_pro_pkr:                'Production',
+  customer_sales:             'Customer sales',
+  noman_history:              'Calculator history',
+  rep_sales:                  'Rep sales',
+  rep_customers:              'Rep customers',
+  sales_customers:            'Sales customers',
+  payment_transactions:       'Payment transactions',
+  payment_entities:           'Payment entities',
+  factory_inventory_data:     'Factory inventory',
+  factory_production_history: 'Factory history',
+  stock_returns:              'Stock returns',
+  expenses:                   'Expenses',
+};
+
+const _SNAPSHOT_KIND_LABELS = {
+  'auto':        'Automatic',
+  'manual':      'Manual',
+  'pre-restore': 'Before restore',
+  'pre-bulk':    'Before bulk update',
+};
+
+function _fmtSnapshotSize(bytes) {
+  return bytes >= 1024 * 1024 ? (bytes / 1024 / 1024).toFixed(1) + ' MB' : Math.ceil(bytes / 1024) + ' KB';
+}
+
+async function loadLocalSnapshotsScreen() {
+  const container = document.getElementById('local-snapshots-container');
+  if (!container) return;
+  container.innerHTML = '<div style="color:var(--text-muted);padding:32px 20px;text-align:center;">Loading snapshots…</div>';
+  try {
+    const list = await sqliteStore.listSnapshots();
+    if (list.length === 0) {
+      container.innerHTML = `<div style="color:var(--text-muted);padding:32px 20px;text-align:center;line-height:1.6;">
+        No local snapshots yet.<br>Snapshots are taken automatically every hour while data changes
+        (kept hourly for a day and daily for a month).</div>`;
+      return;
+    }
+    const total = list.reduce((n, s) => n + s.size, 0);
+    container.innerHTML = `
+      <div style="color:var(--text-muted);margin-bottom:10px;">${list.length} snapshot${list.length === 1 ? '' : 's'} · ${_fmtSnapshotSize(total)} on this device</div>
+      ${list.map(s => `
+        <div class="snapshot-row" style="background:var(--glass-raised);border:1px solid var(--glass-border);border-radius:12px;padding:10px 12px;margin-bottom:8px;">
+          <div style="display:flex;align-items:center;gap:8px;">
+            <div style="flex:1;min-width:0;">
+              <div style="font-weight:600;color:var(--text-main);">${esc(new Date(s.at).toLocaleString())}</div>
+              <div style="color:var(--text-muted);font-size:0.72rem;">${esc(_SNAPSHOT_KIND_LABELS[s.kind] || s.kind)} · ${_fmtSnapshotSize(s.size)}</div>
+            </div>
+            <button onclick="compareLocalSnapshot('${esc(s.name)}')" style="padding:6px 10px;border-radius:8px;background:var(--glass);border:1px solid var(--glass-border);color:var(--text-main);cursor:pointer;font-size:0.72rem;">Compare</button>
+            <button onclick="restoreLocalSnapshot('${esc(s.name)}')" style="padding:6px 10px;border-radius:8px;background:var(--glass);border:1px solid var(--warning);color:var(--warning);cursor:pointer;font-size:0.72rem;">Restore</button>
+          </div>
+          <div id="snapshot-compare-${esc(s.name.replace(/\W/g, '_'))}"></div>
+        </div>`).join('')}`;
+  } catch (e) {
+    console.error('[Snapshots] list failed:', _safeErr(e));
+    container.innerHTML = `<div style="color:var(--danger);padding:20px;text-align:center;">Could not read snapshots: ${esc(e.message)}</div>`;
+  }
+}
+
+async function compareLocalSnapshot(name) {
+  const target = document.getElementById('snapshot-compare-' + name.replace(/\W/g, '_'));
+  if (!target) return;
+  if (target.innerHTML) { target.innerHTML = ''; return; }
+  target.innerHTML = '<div style="color:var(--text-muted);padding:8px 0;">Comparing…</div>';
+  try {
+    const [snap, current] = await Promise.all([
+      sqliteStore.snapshotSummary(name),
+      sqliteStore.currentSummary(),
+    ]);
+    const keys = Object.keys(_SNAPSHOT_COLLECTIONS).filter(k => snap[k] || current[k]);
+    const empty = { count: 0, total: 0, unreadable: 0 };
+    const rows = keys.map(k => {
+      const a = snap[k] || empty;
+      const b = current[k] || empty;
+      const changed = a.count !== b.count || Math.abs(a.total - b.total) > 0.005;
+      return `<tr style="${changed ? 'color:var(--warning);' : ''}">
+        <td style="padding:4px 6px;">${esc(_SNAPSHOT_COLLECTIONS[k])}</td>
+        <td style="padding:4px 6px;text-align:right;">${a.count}${a.unreadable ? ' <span title="Records that could not be decrypted">(+' + a.unreadable + '?)</span>' : ''}</td>
+        <td style="padding:4px 6px;text-align:right;">${b.count}</td>
+        <td style="padding:4px 6px;text-align:right;">${fmtAmt(a.total)}</td>
+        <td style="padding:4px 6px;text-align:right;">${fmtAmt(b.total)}</td>
+      </tr>`;
+    }).join('');
+    target.innerHTML = `
+      <table style="width:100%;margin-top:8px;border-collapse:collapse;font-size:0.72rem;">
+        <thead><tr style="color:var(--text-muted);">
+          <th style="padding:4px 6px;text-align:left;">Collection</th>
+          <th style="padding:4px 6px;text-align:right;">Snapshot</th>
+          <th style="padding:4px 6px;text-align:right;">Now</th>
+          <th style="padding:4px 6px;text-align:right;">Snapshot total</th>
+          <th style="padding:4px 6px;text-align:right;">Total now</th>
+        </tr></thead>
+        <tbody>${rows}</tbody>
+      </table>`;
+  } catch (e) {
+    console.error('[Snapshots] compare failed:', _safeErr(e));
+    target.innerHTML = `<div style="color:var(--danger);padding:8px 0;">Compare failed: ${esc(e.message)}</div>`;
+  }
+}
+
+async function restoreLocalSnapshot(name) {
+  const snap = (await sqliteStore.listSnapshots()).find(s => s.name === name);
+  if (!snap) { showToast('Snapshot no longer exists', 'warning'); return; }
+  const confirmed = await showGlassConfirm(
+    `Replace all local data with the snapshot from ${new Date(snap.at).toLocaleString()}?\n` +
+    'The current data is saved as a snapshot first. Restored records are re-uploaded so the cloud keeps them; ' +
+    'records created after the snapshot may reappear from the cloud on the next sync.',
+    { title: 'Restore Snapshot?', confirmText: 'Restore', cancelText: 'Cancel', danger: true }
+  );
+  if (!confirmed) return;
+  const keys = Object.keys(_SNAPSHOT_COLLECTIONS);
+  try {
+    const before = await sqliteStore.getBatch(keys);
+    await sqliteStore.restoreSnapshot(name);
+    const after = await sqliteStore.getBatch(keys);
+    const stamp = getTimestamp();
+    let resynced = 0;
+    for (const key of keys) {
+      const restored = after.get(key);
+      if (!Array.isArray(restored)) continue;
+      const prev = before.get(key);
+      const prevById = new Map((Array.isArray(prev) ? prev : [])
+        .filter(r => r && r.id).map(r => [String(r.id), JSON.stringify(r)]));
+      const changedIds = [];
+      for (const r of restored) {
+        if (!r || !r.id || prevById.get(String(r.id)) === JSON.stringify(r)) continue;
+        if (!r.isMerged) r.updatedAt = stamp;
+        changedIds.push(r.id);
+      }
+      if (changedIds.length === 0) continue;
+      await unifiedSave(key, restored, null, changedIds);
+      resynced += changedIds.length;
+    }
+    showToast(`Snapshot restored · ${resynced} record${resynced === 1 ? '' : 's'} queued for upload`, 'success', 5000);
+    try { await refreshAllDisplays(); } catch (e) {}
+    loadLocalSnapshotsScreen();
+  } catch (e) {
+    console.error('[Snapshots] restore failed:', _safeErr(e));
+    showToast('Restore failed: ' + e.message, 'error', 6000);
+  }
+}
+
+async function takeLocalSnapshotNow() {
+  try {
+    const snap = await sqliteStore.takeSnapshot('manual');
+    if (!snap) { showToast('Snapshots need browser file storage (OPFS) and free space', 'warning', 4000); return; }
+    showToast('Snapshot saved', 'success', 2500);
+    loadLocalSnapshotsScreen();
+  } catch (e) {
+    console.error('[Snapshots] snapshot failed:', _safeErr(e));
+    showToast('Snapshot failed: ' + e.message, 'error', 5000);
+  }
+}
+window.loadLocalSnapshotsScreen = loadLocalSnapshotsScreen;
+window.compareLocalSnapshot = compareLocalSnapshot;
+window.restoreLocalSnapshot = restoreLocalSnapshot;
+window.takeLocalSnapshotNow = takeLocalSnapshotNow;
@@ -28,10 +28,10 @@ function rm(filePath) { if (existsSync(filePath)) unlinkSync(filePath); }
 
 mkdirSync(DIST, { recursive: true });
 
-const CORE_FILES = [
-  'constants.js', 'business.js', 'admin-data.js',
-  'sync.js', 'utilities.js', 'customers.js',
-];
+const LAZY_FILES = ['factory.js', 'rep-sales.js'];
+const APP_SCRIPTS = [...read(join(ROOT, 'index.html')).matchAll(/<script src="([\w.-]+\.js)" defer><\/script>\n?/g)];
+if (APP_SCRIPTS.length === 0) throw new Error('index.html has no local app scripts to bundle');
+const CORE_FILES = APP_SCRIPTS.map(m => m[1]).filter(f => !LAZY_FILES.includes(f));
 
 const coreTmp    = join(DIST, '_core.js');
 const coreMinTmp = join(DIST, '_core_min.js');
@@ -61,7 +61,7 @@ copyFileSync(cssMinTmp, join(DIST, cssOut));
 
 for (const t of [coreTmp, coreMinTmp, factoryMinTmp, repMinTmp, cssMinTmp]) rm(t);
 
-for (const f of ['manifest.json','192.png','512.png','sql-wasm.js','sql-wasm.wasm','sql.js']) {
+for (const f of ['manifest.json','192.png','512.png','sql-wasm.js','sql-wasm.wasm','sql.js','sqlite-engine.js','sqlite-worker.js']) {
   copyFileSync(join(ROOT, f), join(DIST, f));
 }
 
@@ -86,10 +86,13 @@ const lazyStub = `<script src="${coreOut}" defer></script>
 })();
 </script>`;
 
-html = html.replace(
-  `<script src="constants.js" defer></script>\n<script src="business.js" defer></script>\n<script src="admin-data.js" defer></script>\n<script src="sync.js" defer></script>\n<script src="utilities.js" defer></script>\n<script src="factory.js" defer></script>\n<script src="customers.js" defer></script>\n<script src="rep-sales.js" defer></script>`,
-  lazyStub,
-);
+const scriptsStart = html.indexOf(APP_SCRIPTS[0][0]);
+const lastScript   = APP_SCRIPTS[APP_SCRIPTS.length - 1];
+const scriptsEnd   = html.indexOf(lastScript[0], scriptsStart) + lastScript[0].length;
+if (html.slice(scriptsStart, scriptsEnd) !== APP_SCRIPTS.map(m => m[0]).join('')) {
+  throw new Error('index.html app scripts must be one contiguous block of <script defer> tags');
+}
+html = html.slice(0, scriptsStart) + lazyStub + '\n' + html.slice(scriptsEnd);
 
 write(join(DIST, 'index.html'), html);
 
@@ -107,7 +110,9 @@ const ASSETS_TO_CACHE_BLOCK =
 
   './sql-wasm.js',
   './sql-wasm.wasm',
-  './sql.js'
+  './sql.js',
+  './sqlite-engine.js',
+  './sqlite-worker.js'
 ];`;
 
 let sw = read(join(ROOT, 'sw.js'));
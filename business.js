@@ -561,6 +561,11 @@ const SQLiteCrypto = (() => {
       }
     },
     async decrypt(encValue) {
+      const decoded = await this.decryptText(encValue);
+      if (decoded === null || decoded === encValue) return decoded;
+      try { return JSON.parse(decoded); } catch (e) { return decoded; }
+    },
+    async decryptText(encValue) {
       if (!_sessionKey) { await this.restoreSessionKeyFromStorage(); }
       if (!_sessionKey) {
         console.warn('SQLiteCrypto: Cannot decrypt - no session key available');
@@ -575,8 +580,7 @@ const SQLiteCrypto = (() => {
         const iv         = combined.slice(0, IV_LEN);
         const ciphertext = combined.slice(IV_LEN);
         const plaintext  = await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, _sessionKey, ciphertext);
-        const decoded = new TextDecoder().decode(plaintext);
-        try { return JSON.parse(decoded); } catch (e) { return decoded; }
+        return new TextDecoder().decode(plaintext);
       } catch (decErr) {
         console.error('SQLiteCrypto: Decryption failed:', _safeErr(decErr));
         return null;
@@ -646,27 +650,59 @@ const SQLITE_ASMJS_LOCAL   = './sql.js';
 const SQLITE_CDN           = 'https://cdnjs.cloudflare.com/ajax/libs/sql.js/1.13.0/sql-wasm.js';
 const SQLITE_WASM_CDN      = 'https://cdnjs.cloudflare.com/ajax/libs/sql.js/1.13.0/sql-wasm.wasm';
 const SQLITE_ASMJS_CDN     = 'https://cdnjs.cloudflare.com/ajax/libs/sql.js/1.13.0/sql.js';
-const SQLITE_MAGIC        = 'SQLite format 3\0';
-const SQLITE_SCHEMA_VERSION = 2;
+const SQLITE_SCHEMA_VERSION = 12;
 
 const PERSIST_URGENT_MS   = 0;
 const PERSIST_NORMAL_MS   = 3000;
 const PERSIST_LAZY_MS     = 8000;
 
+const SQLITE_WORKER_URL          = './sqlite-worker.js';
+const SQLITE_WORKER_OPEN_TIMEOUT = 15000;
+
+const SQLITE_JOURNAL_COMPACT_BYTES      = 1024 * 1024;
+const SQLITE_JOURNAL_IDLE_COMPACT_BYTES = 128 * 1024;
+
+const SQLITE_LEADER_LOCK    = 'naswar-sqlite-leader';
+const SQLITE_COORD_CHANNEL  = 'sqlite-coord-channel';
+const SQLITE_REMOTE_TIMEOUT = 20000;
+const SQLITE_REFRESH_DEBOUNCE_MS = 400;
+
+const SQLITE_HISTORY_PER_RECORD = 50;
+
+const SQLITE_SNAPSHOT_DIR           = 'sqlite-snapshots';
+const SQLITE_SNAPSHOT_INTERVAL_MS   = 60 * 60 * 1000;
+const SQLITE_SNAPSHOT_HOURLY_WINDOW = 24 * 60 * 60 * 1000;
+const SQLITE_SNAPSHOT_DAILY_WINDOW  = 30 * 24 * 60 * 60 * 1000;
+const SQLITE_SNAPSHOT_BUDGET_BYTES  = 64 * 1024 * 1024;
+
 const sqliteStore = (() => {
 
-  let _sqlDB           = null;
-  let _SQL             = null;
+  let _db              = null;
+  let _dbBytes         = 0;
+  let _journalBytes    = 0;
   let _initPromise     = null;
   let _prefix          = '';
   let _uid             = '';
   let _quotaToastShown = false;
   let _pendingWrites   = 0;
   let _persistTimer    = null;
+  let _outboxDirty     = false;
   let _persistUrgency  = PERSIST_LAZY_MS;
   let _lastPersistAt   = 0;
   let _hasOPFS         = false;
   let _persistChannel  = null;
+  let _coord           = null;
+  let _role            = null;
+  let _remote          = null;
+  let _refreshTimer    = null;
+  let _refreshDeferred = false;
+  const _changedKeys   = new Set();
+  let _changedTimer    = null;
+  let _lastSnapshotAt  = null;
+  let _snapshotting    = false;
+  const _tabId = (typeof generateUUID === 'function')
+    ? generateUUID('tab')
+    : 'tab-' + Date.now().toString(36) + Math.random().toString(36).slice(2);
 
   const _DEVICE_GLOBAL = new Set([
     'device_id', 'device_name', 'theme',
@@ -720,6 +756,7 @@ const sqliteStore = (() => {
     if (key.startsWith('lastSync_'))                              return 'sync_meta';
     if (key.startsWith('lastLocalMod_'))                          return 'sync_meta';
     if (key.startsWith('uploadedIds_'))                           return 'sync_meta';
+    if (key.startsWith('downloadCursor_'))                        return 'sync_meta';
     if (key.startsWith('factory_') && key.endsWith('_timestamp')) return 'sync_meta';
     if (key.endsWith('_timestamp'))                               return 'sync_meta';
     if (key === 'last_synced' || key === 'deltaSyncStats'
@@ -737,27 +774,7 @@ const sqliteStore = (() => {
   }
 
   function _isValidSQLite(bytes) {
-    if (!bytes || bytes.length < 16) return false;
-    for (let i = 0; i < 16; i++) {
-      if (bytes[i] !== SQLITE_MAGIC.charCodeAt(i)) return false;
-    }
-    return true;
-  }
-
-  function _integrityCheck(db) {
-    try {
-      const rows = db.exec('PRAGMA integrity_check');
-      const val  = rows.length && rows[0].values.length
-        ? rows[0].values[0][0] : 'error';
-      if (val !== 'ok') {
-        console.error('[SQLite] integrity_check failed:', val);
-        return false;
-      }
-      return true;
-    } catch (e) {
-      console.error('[SQLite] integrity_check threw:', _safeErr(e));
-      return false;
-    }
+    return SqlEngine.isValidSQLite(bytes);
   }
 
   async function _checkQuota(requiredBytes = 0) {
@@ -815,8 +832,10 @@ const sqliteStore = (() => {
         binary += String.fromCharCode.apply(null, data.subarray(i, i + CHUNK));
       }
       localStorage.setItem(lsKey, btoa(binary));
+      return true;
     } catch(e) {
       console.warn('[SQLite] localStorage blob write failed (storage full?):', _safeErr(e));
+      return false;
     }
   }
   function _lsBlobRead(lsKey) {
@@ -830,29 +849,224 @@ const sqliteStore = (() => {
     } catch { return null; }
   }
 
-  async function _dualPersist() {
-    if (!_sqlDB) return;
-    const data     = _sqlDB.export();
-    const required = data.byteLength * 2 + 1024 * 1024;
-    await _checkQuota(required);
-    const writes = [];
+  async function _writeImage(data) {
     if (_hasOPFS) {
-      writes.push(
-        _opfsShadowWrite(data)
-          .then(() => _opfsWrite(SQLITE_DB_NAME + '.bak', data))
-          .catch(e => console.warn('[SQLite] OPFS write failed:', _safeErr(e)))
-      );
+      try {
+        await _opfsShadowWrite(data);
+        await _opfsWrite(SQLITE_DB_NAME + '.bak', data);
+        return true;
+      } catch (e) {
+        console.warn('[SQLite] OPFS write failed:', _safeErr(e));
+        return false;
+      }
+    }
+    return (await _lsBlobWrite(_LS_BLOB_KEY, data)) && (await _lsBlobWrite(_LS_BLOB_KEY_BAK, data));
+  }
+
+  const _JOURNAL_FILE   = SQLITE_DB_NAME + '.journal';
+  const _OUTBOX_FILE    = 'sw_outbox.json';
+  const _LS_JOURNAL_KEY = '_gznd_sqlite_journal';
+
+  function _lsJournalCount() {
+    return parseInt(localStorage.getItem(_LS_JOURNAL_KEY + '.count'), 10) || 0;
+  }
+
+  async function _journalRead() {
+    if (_hasOPFS) {
+      const bytes = await _opfsRead(_JOURNAL_FILE);
+      return bytes ? new TextDecoder().decode(bytes) : '';
+    }
+    try {
+      let text = localStorage.getItem(_LS_JOURNAL_KEY) || '';
+      const count = _lsJournalCount();
+      for (let i = 0; i < count; i++) text += localStorage.getItem(`${_LS_JOURNAL_KEY}.${i}`) || '';
+      return text;
+    } catch { return ''; }
+  }
+
+  async function _journalAppend(text) {
+    if (_hasOPFS) {
+      const root = await navigator.storage.getDirectory();
+      const fh   = await root.getFileHandle(_JOURNAL_FILE, { create: true });
+      const size = (await fh.getFile()).size;
+      const wr   = await fh.createWritable({ keepExistingData: true });
+      await wr.seek(size);
+      await wr.write(text);
+      await wr.close();
     } else {
-      writes.push(
-        Promise.resolve()
-          .then(() => _lsBlobWrite(_LS_BLOB_KEY, data))
-          .then(() => _lsBlobWrite(_LS_BLOB_KEY_BAK, data))
-          .catch(e => console.warn('[SQLite] localStorage blob write failed:', _safeErr(e)))
-      );
+      const count = _lsJournalCount();
+      localStorage.setItem(`${_LS_JOURNAL_KEY}.${count}`, text);
+      localStorage.setItem(_LS_JOURNAL_KEY + '.count', String(count + 1));
+    }
+  }
+
+  async function _journalClear() {
+    if (_hasOPFS) { await _opfsDelete(_JOURNAL_FILE); return; }
+    try {
+      const count = _lsJournalCount();
+      for (let i = 0; i < count; i++) localStorage.removeItem(`${_LS_JOURNAL_KEY}.${i}`);
+      localStorage.removeItem(_LS_JOURNAL_KEY + '.count');
+      localStorage.removeItem(_LS_JOURNAL_KEY);
+    } catch {}
+  }
+
+  async function _dualPersist(opts = {}) {
+    if (!_db) return;
+    await _checkQuota(_dbBytes * 2 + 1024 * 1024);
+    const outboxDirty = _outboxDirty;
+    _outboxDirty = false;
+    let persisted = false;
+    try {
+      const sizes   = await _db.persist(opts);
+      _dbBytes      = sizes.imageBytes;
+      _journalBytes = sizes.journalBytes;
+      persisted     = true;
+    } catch (e) {
+      console.warn('[SQLite] persist failed:', _safeErr(e));
+    }
+    if (outboxDirty && !persisted) {
+      _outboxDirty = true;
+    } else if (outboxDirty) {
+      try { await _writeOutboxFile(); }
+      catch (e) {
+        _outboxDirty = true;
+        console.warn('[SQLite] outbox file write failed:', _safeErr(e));
+      }
     }
-    await Promise.allSettled(writes);
     _pendingWrites = 0;
     _lastPersistAt = Date.now();
+    _maybeSnapshot();
+  }
+
+  async function _snapshotDir() {
+    const root = await navigator.storage.getDirectory();
+    return root.getDirectoryHandle(SQLITE_SNAPSHOT_DIR, { create: true });
+  }
+
+  function _parseSnapshotName(name) {
+    const m = /^snap-(\d+)-([a-z-]+)\.sqlite$/.exec(name);
+    return m ? { name, at: Number(m[1]), kind: m[2] } : null;
+  }
+
+  async function _listSnapshots() {
+    if (!_hasOPFS) return [];
+    const dir = await _snapshotDir();
+    const out = [];
+    for await (const [name, handle] of dir.entries()) {
+      const meta = _parseSnapshotName(name);
+      if (!meta || handle.kind !== 'file') continue;
+      meta.size = (await handle.getFile()).size;
+      out.push(meta);
+    }
+    return out.sort((a, b) => b.at - a.at);
+  }
+
+  function _snapshotsToPrune(list, now) {
+    const keep    = new Set();
+    const buckets = new Set();
+    for (const snap of list) {
+      const age = now - snap.at;
+      let bucket;
+      if (age <= SQLITE_SNAPSHOT_HOURLY_WINDOW)     bucket = 'h' + Math.floor(snap.at / 3600000);
+      else if (age <= SQLITE_SNAPSHOT_DAILY_WINDOW) bucket = 'd' + new Date(snap.at).toDateString();
+      else continue;
+      if (snap.kind !== 'auto') { keep.add(snap.name); continue; }
+      if (buckets.has(bucket)) continue;
+      buckets.add(bucket);
+      keep.add(snap.name);
+    }
+    if (list.length) keep.add(list[0].name);
+    let total = list.reduce((n, snap) => n + (keep.has(snap.name) ? snap.size : 0), 0);
+    for (let i = list.length - 1; i > 0 && total > SQLITE_SNAPSHOT_BUDGET_BYTES; i--) {
+      if (!keep.has(list[i].name)) continue;
+      keep.delete(list[i].name);
+      total -= list[i].size;
+    }
+    return list.filter(snap => !keep.has(snap.name));
+  }
+
+  async function _pruneSnapshots() {
+    const dir = await _snapshotDir();
+    for (const snap of _snapshotsToPrune(await _listSnapshots(), Date.now())) {
+      await dir.removeEntry(snap.name).catch(() => {});
+    }
+  }
+
+  async function _takeSnapshot(kind) {
+    if (!_hasOPFS || !_db) return null;
+    if (!(await _checkQuota(_dbBytes + 1024 * 1024))) return null;
+    const bytes = await _db.export();
+    const at    = Date.now();
+    const name  = `snap-${at}-${kind}.sqlite`;
+    const dir   = await _snapshotDir();
+    const fh    = await dir.getFileHandle(name, { create: true });
+    const wr    = await fh.createWritable();
+    await wr.write(bytes);
+    await wr.close();
+    _lastSnapshotAt = at;
+    await _pruneSnapshots().catch(e => console.warn('[SQLite] snapshot prune failed:', _safeErr(e)));
+    return { name, at, kind, size: bytes.byteLength };
+  }
+
+  async function _readSnapshot(name) {
+    if (!_parseSnapshotName(name)) throw new Error('[SQLite] invalid snapshot name: ' + name);
+    const dir   = await _snapshotDir();
+    const fh    = await dir.getFileHandle(name);
+    const bytes = new Uint8Array(await (await fh.getFile()).arrayBuffer());
+    if (!_isValidSQLite(bytes)) throw new Error('[SQLite] snapshot is not a valid database: ' + name);
+    return bytes;
+  }
+
+  function _maybeSnapshot() {
+    if (_role !== 'leader' || !_hasOPFS || _snapshotting || _lastSnapshotAt === null) return;
+    if (Date.now() - _lastSnapshotAt < SQLITE_SNAPSHOT_INTERVAL_MS) return;
+    _snapshotting = true;
+    _takeSnapshot('auto')
+      .catch(e => console.warn('[SQLite] snapshot failed:', _safeErr(e)))
+      .finally(() => { _snapshotting = false; });
+  }
+
+  const _SUMMARY_SQL = `
+    SELECT k.user_key AS key, 'record' AS kind, r.body AS body, r.encrypted AS encrypted
+      FROM records r JOIN kv_store k ON k.full_key = r.full_key
+     WHERE r.uid = ? AND r.deleted = 0 AND k.storage = 'records'
+    UNION ALL
+    SELECT user_key AS key, 'blob' AS kind, value AS body, encrypted
+      FROM kv_store
+     WHERE uid = ? AND row_type = 'collection' AND storage != 'records'`;
+
+  function _recordAmount(r) {
+    const v = r.totalValue !== undefined ? r.totalValue
+            : r.totalSale  !== undefined ? r.totalSale
+            : r.amount;
+    const n = parseFloat(v);
+    return isFinite(n) ? n : 0;
+  }
+
+  async function _summarizeRows(rows) {
+    const out = {};
+    for (const row of rows) {
+      if (row.body === null || row.body === undefined) continue;
+      const s    = out[row.key] || (out[row.key] = { count: 0, total: 0, unreadable: 0 });
+      const text = row.encrypted ? await SQLiteCrypto.decryptText(row.body) : row.body;
+      if (text === null || text === undefined) { s.unreadable++; continue; }
+      let value;
+      try { value = JSON.parse(text); }
+      catch { s.unreadable++; continue; }
+      const items = row.kind === 'record' ? [value] : (Array.isArray(value) ? value : []);
+      for (const r of items) {
+        if (!r || typeof r !== 'object') continue;
+        s.count++;
+        s.total += _recordAmount(r);
+      }
+    }
+    return out;
+  }
+
+  async function _compactPersist() {
+    if (_persistTimer) { clearTimeout(_persistTimer); _persistTimer = null; }
+    _persistUrgency = PERSIST_LAZY_MS;
+    await _dualPersist({ force: true });
   }
 
   function _schedulePersist(urgencyMs) {
@@ -986,66 +1200,606 @@ const sqliteStore = (() => {
     }
   }
 
-  let _stmtGet = null;
-  function _clearStmtCache() {
-    if (_stmtGet) { try { _stmtGet.free(); } catch {} _stmtGet = null; }
-  }
-
-  function _bootstrapSchema(db) {
-
-    db.run('PRAGMA journal_mode=WAL');
-    db.run('PRAGMA synchronous=NORMAL');
-    db.run('PRAGMA temp_store=MEMORY');
-    db.run('PRAGMA cache_size=-8000');
-
-    db.run(`CREATE TABLE IF NOT EXISTS schema_version (
-      version     INTEGER NOT NULL,
-      upgraded_at INTEGER NOT NULL
-    )`);
-    const vRows          = db.exec('SELECT version FROM schema_version LIMIT 1');
-    const currentVersion = (vRows.length && vRows[0].values.length)
-      ? vRows[0].values[0][0] : 0;
-
-    db.run(`CREATE TABLE IF NOT EXISTS kv_store (
-      full_key   TEXT    NOT NULL PRIMARY KEY,
-      user_key   TEXT    NOT NULL,
-      uid        TEXT    NOT NULL DEFAULT '',
-      collection TEXT    NOT NULL DEFAULT '',
-      row_type   TEXT    NOT NULL DEFAULT 'config',
-      encrypted  INTEGER NOT NULL DEFAULT 0,
-      value      TEXT,
-      ts         INTEGER NOT NULL DEFAULT 0,
-      created_at INTEGER NOT NULL DEFAULT 0
-    )`);
-
-    db.run(`CREATE TABLE IF NOT EXISTS ndapp_outbox (
-      id           TEXT    NOT NULL PRIMARY KEY,
-      uid          TEXT    NOT NULL DEFAULT '',
-      action       TEXT    NOT NULL,
-      collection   TEXT    NOT NULL DEFAULT '',
-      doc_id       TEXT    NOT NULL DEFAULT '',
-      payload      TEXT,
-      created_at   INTEGER NOT NULL DEFAULT 0,
-      attempts     INTEGER NOT NULL DEFAULT 0,
-      last_attempt INTEGER NOT NULL DEFAULT 0
-    )`);
-
-    db.run(`CREATE INDEX IF NOT EXISTS idx_kv_uid_key
-            ON kv_store (uid, user_key)`);
-    db.run(`CREATE INDEX IF NOT EXISTS idx_kv_collection
-            ON kv_store (uid, collection) WHERE collection != ''`);
-    db.run(`CREATE INDEX IF NOT EXISTS idx_kv_row_type
-            ON kv_store (uid, row_type)`);
-    db.run(`CREATE INDEX IF NOT EXISTS idx_kv_ts
-            ON kv_store (ts)`);
-    db.run(`CREATE INDEX IF NOT EXISTS idx_kv_device
-            ON kv_store (row_type) WHERE row_type = 'device'`);
-
-    db.run(`CREATE INDEX IF NOT EXISTS idx_outbox_uid
-            ON ndapp_outbox (uid, created_at)`);
-    db.run(`CREATE INDEX IF NOT EXISTS idx_outbox_col
-            ON ndapp_outbox (uid, collection)`);
+  function _mainEngine() {
+    let core         = null;
+    let journalOn    = false;
+    let imageBytes   = 0;
+    let journalBytes = 0;
+
+    async function compact() {
+      core.checkpoint();
+      const data = core.export();
+      if (!(await _writeImage(data))) throw new Error('[SQLite] image write failed');
+      await _journalClear();
+      journalBytes = 0;
+      imageBytes   = data.byteLength;
+    }
+
+    return {
+      mode: 'main',
+      async open() {
+        core = SqlEngine.create(await _loadSqlJs());
+        const existing = await _loadBestDB();
+        core.open(existing);
+        imageBytes = existing ? existing.byteLength : 0;
+        const text = await _journalRead();
+        journalBytes = text.length;
+        const replay = core.replay(SqlEngine.decodeJournal(text));
+        return { existing: !!existing || replay.applied > 0, replayed: replay.applied, replayFailed: replay.failed, journalBytes };
+      },
+      async replace(bytes)              { core.open(bytes); },
+      async exec(sql, params)           { return core.exec(sql, params); },
+      async run(sql, params)            { core.run(sql, params); },
+      async all(sql, params)            { return core.all(sql, params); },
+      async get(sql, params)            { return core.get(sql, params); },
+      async batch(statements, tx = true) { core.batch(statements, tx); },
+      async export()                    { return core.export(); },
+      async integrityCheck()            { return core.integrityCheck(); },
+      async setJournaling(on)           { journalOn = !!on; core.setJournaling(journalOn); },
+      async reportApply(collection, changes) { core.reportApply(collection, changes); },
+      async searchApply(collection, changes) { core.searchApply(collection, changes); },
+      async reportQuery(sql, params)    { return core.reportQuery(sql, params); },
+      async peek(bytes, sql, params)    { return core.peek(bytes, sql, params); },
+      async reportForget(prefix)        { core.reportForget(prefix); },
+      async reportReset()               { core.reportReset(); },
+      async persist({ force = false, compactAbove = SQLITE_JOURNAL_COMPACT_BYTES } = {}) {
+        const entries = core.takeJournal();
+        if (journalOn && !force && journalBytes < compactAbove) {
+          if (!entries.length) return { imageBytes, journalBytes };
+          const text = SqlEngine.encodeJournal(entries);
+          try {
+            await _journalAppend(text);
+            journalBytes += text.length;
+            return { imageBytes, journalBytes };
+          } catch (e) {
+            console.warn('[SQLite] journal append failed — compacting:', _safeErr(e));
+          }
+        }
+        try {
+          await compact();
+        } catch (e) {
+          core.requeueJournal(entries);
+          throw e;
+        }
+        return { imageBytes, journalBytes };
+      },
+      flushOnUnload() {
+        const entries = core.takeJournal();
+        if (!entries.length) return;
+        _journalAppend(SqlEngine.encodeJournal(entries)).catch(() => {});
+      },
+    };
+  }
+
+  function _workerEngine() {
+    const worker  = new Worker(SQLITE_WORKER_URL);
+    const pending = new Map();
+    let seq = 0;
+
+    function _failAll(err) {
+      for (const p of pending.values()) p.reject(err);
+      pending.clear();
+    }
+
+    worker.addEventListener('message', (e) => {
+      const { id, ok, result, error } = e.data || {};
+      const p = pending.get(id);
+      if (!p) return;
+      pending.delete(id);
+      if (ok) p.resolve(result);
+      else    p.reject(new Error('[SQLite.worker] ' + error));
+    });
+    worker.addEventListener('error', (e) => {
+      _failAll(new Error('[SQLite.worker] ' + (e.message || 'worker error')));
+    });
+
+    function call(op, args) {
+      return new Promise((resolve, reject) => {
+        const id = ++seq;
+        pending.set(id, { resolve, reject });
+        worker.postMessage({ id, op, args });
+      });
+    }
+
+    return {
+      mode: 'worker',
+      open() {
+        return new Promise((resolve, reject) => {
+          const timer = setTimeout(() => {
+            _failAll(new Error('[SQLite.worker] open timed out'));
+          }, SQLITE_WORKER_OPEN_TIMEOUT);
+          call('open', { compactAbove: SQLITE_JOURNAL_COMPACT_BYTES })
+            .then(resolve, reject).finally(() => clearTimeout(timer));
+        });
+      },
+      replace(bytes)              { return call('replace', { bytes }); },
+      exec(sql, params = [])      { return call('exec', { sql, params }); },
+      run(sql, params = [])       { return call('run', { sql, params }); },
+      all(sql, params = [])       { return call('all', { sql, params }); },
+      get(sql, params = [])       { return call('get', { sql, params }); },
+      batch(statements, tx = true) { return call('batch', { statements, transaction: tx }); },
+      export()                    { return call('export'); },
+      integrityCheck()            { return call('integrityCheck'); },
+      setJournaling(on)           { return call('setJournaling', { on }); },
+      reportApply(collection, changes) { return call('reportApply', { collection, changes }); },
+      searchApply(collection, changes) { return call('searchApply', { collection, changes }); },
+      reportQuery(sql, params = []) { return call('reportQuery', { sql, params }); },
+      peek(bytes, sql, params = []) { return call('peek', { bytes, sql, params }); },
+      reportForget(prefix)        { return call('reportForget', { prefix }); },
+      reportReset()               { return call('reportReset'); },
+      persist(opts = {})          { return call('persist', opts); },
+      flushOnUnload()             { call('persist').catch(() => {}); },
+      terminate()                 { _failAll(new Error('[SQLite.worker] terminated')); worker.terminate(); },
+    };
+  }
+
+  const _REMOTE_READ_OPS = new Set(['all', 'get', 'export', 'integrityCheck', 'reportQuery', 'peek', 'reportForget']);
 
+  function _remoteEngine() {
+    const pending = new Map();
+    let seq    = 0;
+    let leader = null;
+    let local  = null;
+    let ready  = null;
+
+    function send(id, p) {
+      p.sent = true;
+      _coord.postMessage({ type: 'sqlite-req', to: leader, from: _tabId, id, op: p.op, args: p.args });
+    }
+
+    function abandoned(p) {
+      if (!p.sent || _REMOTE_READ_OPS.has(p.op)) return false;
+      clearTimeout(p.timer);
+      const err = new Error('[SQLite.remote] ' + p.op + ' was interrupted by a leader change; its outcome is unknown');
+      err.code = 'sqlite-leader-changed';
+      err.retryable = true;
+      p.reject(err);
+      return true;
+    }
+
+    function call(op, ...args) {
+      if (local) return local[op](...args);
+      return new Promise((resolve, reject) => {
+        const id    = ++seq;
+        const timer = setTimeout(() => {
+          pending.delete(id);
+          reject(new Error('[SQLite.remote] ' + op + ' timed out'));
+        }, SQLITE_REMOTE_TIMEOUT);
+        pending.set(id, { op, args, resolve, reject, timer });
+        if (leader) send(id, pending.get(id));
+      });
+    }
+
+    return {
+      mode: 'follower',
+      open() {
+        return new Promise((resolve, reject) => {
+          const timer = setTimeout(() => {
+            ready = null;
+            reject(new Error('[SQLite.remote] no leader tab answered'));
+          }, SQLITE_REMOTE_TIMEOUT);
+          ready = () => { clearTimeout(timer); resolve({ existing: true }); };
+          _coord.postMessage({ type: 'sqlite-who', from: _tabId });
+        });
+      },
+      onLeader(id) {
+        if (leader === id) return false;
+        const changed = leader !== null;
+        leader = id;
+        if (ready) { ready(); ready = null; }
+        for (const [reqId, p] of pending) {
+          if (abandoned(p)) pending.delete(reqId);
+          else send(reqId, p);
+        }
+        return changed;
+      },
+      onResponse(msg) {
+        const p = pending.get(msg.id);
+        if (!p) return;
+        pending.delete(msg.id);
+        clearTimeout(p.timer);
+        if (msg.ok) p.resolve(msg.result);
+        else        p.reject(new Error('[SQLite.remote] ' + msg.error));
+      },
+      handOver(engine) {
+        local = engine;
+        if (ready) { ready(); ready = null; }
+        for (const p of pending.values()) {
+          if (abandoned(p)) continue;
+          clearTimeout(p.timer);
+          engine[p.op](...p.args).then(p.resolve, p.reject);
+        }
+        pending.clear();
+      },
+      replace(bytes)              { return call('replace', bytes); },
+      exec(sql, params = [])      { return call('exec', sql, params); },
+      run(sql, params = [])       { return call('run', sql, params); },
+      all(sql, params = [])       { return call('all', sql, params); },
+      get(sql, params = [])       { return call('get', sql, params); },
+      batch(statements, tx = true) { return call('batch', statements, tx); },
+      export()                    { return call('export'); },
+      integrityCheck()            { return call('integrityCheck'); },
+      setJournaling()             { return Promise.resolve(); },
+      persist(opts = {})          { return call('persist', opts); },
+      reportApply(collection, changes) { return call('reportApply', collection, changes); },
+      searchApply(collection, changes) { return call('searchApply', collection, changes); },
+      reportQuery(sql, params = []) { return call('reportQuery', sql, params); },
+      peek(bytes, sql, params = []) { return call('peek', bytes, sql, params); },
+      reportForget(prefix)        { return call('reportForget', prefix); },
+      reportReset()               { return Promise.resolve(); },
+      flushOnUnload() {
+        if (leader) _coord.postMessage({ type: 'sqlite-req', to: leader, from: _tabId, id: 0, op: 'persist', args: [{}] });
+      },
+    };
+  }
+
+  async function _openEngine() {
+    if (_hasOPFS && typeof Worker === 'function') {
+      let engine = null;
+      try {
+        engine = _workerEngine();
+        const opened = await engine.open();
+        return { engine, ...opened };
+      } catch (e) {
+        console.warn('[SQLite] worker unavailable, running on main thread:', _safeErr(e));
+        if (engine) engine.terminate();
+      }
+    }
+    const engine = _mainEngine();
+    const opened = await engine.open();
+    return { engine, ...opened };
+  }
+
+  const _MIGRATIONS = [
+    {
+      version: 1,
+      name: 'kv_store and outbox tables',
+      async statements() {
+        return [
+          `CREATE TABLE IF NOT EXISTS kv_store (
+            full_key   TEXT    NOT NULL PRIMARY KEY,
+            user_key   TEXT    NOT NULL,
+            uid        TEXT    NOT NULL DEFAULT '',
+            collection TEXT    NOT NULL DEFAULT '',
+            row_type   TEXT    NOT NULL DEFAULT 'config',
+            encrypted  INTEGER NOT NULL DEFAULT 0,
+            value      TEXT,
+            ts         INTEGER NOT NULL DEFAULT 0,
+            created_at INTEGER NOT NULL DEFAULT 0
+          )`,
+          `CREATE TABLE IF NOT EXISTS ndapp_outbox (
+            id           TEXT    NOT NULL PRIMARY KEY,
+            uid          TEXT    NOT NULL DEFAULT '',
+            action       TEXT    NOT NULL,
+            collection   TEXT    NOT NULL DEFAULT '',
+            doc_id       TEXT    NOT NULL DEFAULT '',
+            payload      TEXT,
+            created_at   INTEGER NOT NULL DEFAULT 0,
+            attempts     INTEGER NOT NULL DEFAULT 0,
+            last_attempt INTEGER NOT NULL DEFAULT 0
+          )`,
+        ];
+      },
+    },
+    {
+      version: 2,
+      name: 'kv_store and outbox indexes',
+      async statements() {
+        return [
+          `CREATE INDEX IF NOT EXISTS idx_kv_uid_key
+             ON kv_store (uid, user_key)`,
+          `CREATE INDEX IF NOT EXISTS idx_kv_collection
+             ON kv_store (uid, collection) WHERE collection != ''`,
+          `CREATE INDEX IF NOT EXISTS idx_kv_row_type
+             ON kv_store (uid, row_type)`,
+          `CREATE INDEX IF NOT EXISTS idx_kv_ts
+             ON kv_store (ts)`,
+          `CREATE INDEX IF NOT EXISTS idx_kv_device
+             ON kv_store (row_type) WHERE row_type = 'device'`,
+          `CREATE INDEX IF NOT EXISTS idx_outbox_uid
+             ON ndapp_outbox (uid, created_at)`,
+          `CREATE INDEX IF NOT EXISTS idx_outbox_col
+             ON ndapp_outbox (uid, collection)`,
+        ];
+      },
+    },
+    {
+      version: 3,
+      name: 'per-record records table',
+      async statements() {
+        return [
+          `CREATE TABLE IF NOT EXISTS records (
+            full_key   TEXT    NOT NULL,
+            id         TEXT    NOT NULL,
+            uid        TEXT    NOT NULL DEFAULT '',
+            collection TEXT    NOT NULL DEFAULT '',
+            pos        INTEGER NOT NULL DEFAULT 0,
+            updated_at INTEGER NOT NULL DEFAULT 0,
+            deleted    INTEGER NOT NULL DEFAULT 0,
+            encrypted  INTEGER NOT NULL DEFAULT 0,
+            body       TEXT,
+            PRIMARY KEY (full_key, id)
+          )`,
+          `CREATE INDEX IF NOT EXISTS idx_records_live
+             ON records (full_key, deleted, pos)`,
+          `CREATE INDEX IF NOT EXISTS idx_records_uid
+             ON records (uid, collection)`,
+          `CREATE INDEX IF NOT EXISTS idx_records_updated
+             ON records (full_key, updated_at)`,
+        ];
+      },
+    },
+    {
+      version: 4,
+      name: 'persist_meta journal checkpoint',
+      async statements() {
+        return [
+          `CREATE TABLE IF NOT EXISTS persist_meta (
+            key   TEXT NOT NULL PRIMARY KEY,
+            value TEXT
+          )`,
+        ];
+      },
+    },
+    {
+      version: 5,
+      name: 'record_history audit trail',
+      async statements() {
+        return [
+          `CREATE TABLE IF NOT EXISTS record_history (
+            seq        INTEGER PRIMARY KEY AUTOINCREMENT,
+            full_key   TEXT    NOT NULL,
+            record_id  TEXT    NOT NULL,
+            uid        TEXT,
+            at         INTEGER NOT NULL,
+            actor      TEXT,
+            device_id  TEXT,
+            action     TEXT    NOT NULL,
+            encrypted  INTEGER NOT NULL DEFAULT 0,
+            diff       TEXT    NOT NULL
+          )`,
+          'CREATE INDEX IF NOT EXISTS idx_record_history_record ON record_history (full_key, record_id, seq)',
+        ];
+      },
+    },
+    {
+      version: 6,
+      name: 'sync_base for three-way merge',
+      async statements() {
+        return [
+          `CREATE TABLE IF NOT EXISTS sync_base (
+            full_key   TEXT    NOT NULL,
+            record_id  TEXT    NOT NULL,
+            uid        TEXT,
+            encrypted  INTEGER NOT NULL DEFAULT 0,
+            body       TEXT    NOT NULL,
+            PRIMARY KEY (full_key, record_id)
+          )`,
+        ];
+      },
+    },
+    {
+      version: 7,
+      name: 'sync_outbox replaces ndapp_outbox',
+      async statements(db) {
+        const stmts = [
+          `CREATE TABLE IF NOT EXISTS sync_outbox (
+            seq          INTEGER PRIMARY KEY AUTOINCREMENT,
+            idem_key     TEXT    NOT NULL,
+            uid          TEXT    NOT NULL DEFAULT '',
+            action       TEXT    NOT NULL,
+            collection   TEXT    NOT NULL DEFAULT '',
+            doc_id       TEXT    NOT NULL DEFAULT '',
+            record_type  TEXT,
+            payload      TEXT,
+            status       TEXT    NOT NULL DEFAULT 'pending',
+            attempts     INTEGER NOT NULL DEFAULT 0,
+            last_attempt INTEGER NOT NULL DEFAULT 0,
+            error        TEXT,
+            created_at   INTEGER NOT NULL DEFAULT 0,
+            UNIQUE (uid, idem_key)
+          )`,
+          'CREATE INDEX IF NOT EXISTS idx_sync_outbox_doc ON sync_outbox (uid, collection, doc_id, seq)',
+          'CREATE INDEX IF NOT EXISTS idx_sync_outbox_status ON sync_outbox (uid, status, seq)',
+        ];
+        if (!(await _hasTable(db, 'ndapp_outbox'))) return stmts;
+        return stmts.concat([
+          `INSERT OR IGNORE INTO sync_outbox
+             (idem_key, uid, action, collection, doc_id, payload, attempts, last_attempt, created_at)
+           SELECT id, uid, action, collection, doc_id, payload, attempts, last_attempt, created_at
+             FROM ndapp_outbox ORDER BY created_at`,
+          'DROP TABLE ndapp_outbox',
+        ]);
+      },
+    },
+    {
+      version: 8,
+      name: 'sync_download staging for resumable download',
+      async statements() {
+        return [
+          `CREATE TABLE IF NOT EXISTS sync_download (
+            uid        TEXT    NOT NULL DEFAULT '',
+            collection TEXT    NOT NULL,
+            record_id  TEXT    NOT NULL,
+            encrypted  INTEGER NOT NULL DEFAULT 0,
+            body       TEXT    NOT NULL,
+            PRIMARY KEY (uid, collection, record_id)
+          )`,
+        ];
+      },
+    },
+    {
+      version: 9,
+      name: 'sync_journal diagnostics log',
+      async statements() {
+        return [
+          `CREATE TABLE IF NOT EXISTS sync_journal (
+            seq        INTEGER PRIMARY KEY AUTOINCREMENT,
+            uid        TEXT    NOT NULL DEFAULT '',
+            started_at INTEGER NOT NULL,
+            ended_at   INTEGER NOT NULL DEFAULT 0,
+            trigger    TEXT    NOT NULL,
+            status     TEXT    NOT NULL,
+            entry      TEXT    NOT NULL
+          )`,
+          'CREATE INDEX IF NOT EXISTS idx_sync_journal_uid ON sync_journal (uid, seq)',
+        ];
+      },
+    },
+    {
+      version: 10,
+      name: 'sync_outbox action groups',
+      async statements(db) {
+        if (await _hasColumn(db, 'sync_outbox', 'group_id')) return [];
+        return ['ALTER TABLE sync_outbox ADD COLUMN group_id TEXT'];
+      },
+    },
+    {
+      version: 11,
+      name: 'kv_store storage column',
+      async statements(db) {
+        if (await _hasColumn(db, 'kv_store', 'storage')) return [];
+        return [`ALTER TABLE kv_store ADD COLUMN storage TEXT NOT NULL DEFAULT 'kv'`];
+      },
+    },
+    {
+      version: 12,
+      name: 'collection blobs queued for the records table',
+      async statements(db) {
+        const stmts = [
+          `UPDATE kv_store SET storage = 'legacy'
+            WHERE row_type = 'collection' AND storage = 'kv' AND value IS NOT NULL`,
+          'CREATE INDEX IF NOT EXISTS idx_records_rev ON records (rev)',
+        ];
+        if (await _hasColumn(db, 'records', 'rev')) return stmts;
+        return ['ALTER TABLE records ADD COLUMN rev INTEGER NOT NULL DEFAULT 0'].concat(stmts);
+      },
+    },
+  ];
+
+  const _SNAPSHOT_PREMIGRATE    = SQLITE_DB_NAME + '.premigrate';
+  const _LS_BLOB_KEY_PREMIGRATE = '_gznd_sqlite_db_premigrate';
+
+  let _migrationReport = null;
+
+  async function _hasColumn(db, table, column) {
+    const cols = await db.exec(`PRAGMA table_info(${table})`);
+    return !!(cols.length && cols[0].values.some(c => c[1] === column));
+  }
+
+  async function _hasTable(db, table) {
+    const r = await db.exec(`SELECT 1 FROM sqlite_master WHERE type='table' AND name=?`, [table]);
+    return !!(r.length && r[0].values.length);
+  }
+
+  async function _readSchemaVersion(db) {
+    const vRows = await db.exec('SELECT version FROM schema_version LIMIT 1');
+    return (vRows.length && vRows[0].values.length) ? vRows[0].values[0][0] : 0;
+  }
+
+  async function _snapshotBeforeMigration(db) {
+    const data = await db.export();
+    if (_hasOPFS) {
+      await _opfsWrite(_SNAPSHOT_PREMIGRATE, data);
+      return _SNAPSHOT_PREMIGRATE;
+    }
+    if (!(await _lsBlobWrite(_LS_BLOB_KEY_PREMIGRATE, data))) throw new Error('[SQLite] localStorage snapshot write failed');
+    return 'localStorage:' + _LS_BLOB_KEY_PREMIGRATE;
+  }
+
+  async function _readPremigrationSnapshot() {
+    const bytes = _hasOPFS ? await _opfsRead(_SNAPSHOT_PREMIGRATE) : _lsBlobRead(_LS_BLOB_KEY_PREMIGRATE);
+    return bytes && _isValidSQLite(bytes) ? bytes : null;
+  }
+
+  async function _dropPremigrationSnapshot() {
+    if (_hasOPFS) await _opfsDelete(_SNAPSHOT_PREMIGRATE);
+    try { localStorage.removeItem(_LS_BLOB_KEY_PREMIGRATE); } catch {}
+  }
+
+  async function _bootstrapSchema(db) {
+
+    await db.batch([
+      ['PRAGMA journal_mode=WAL'],
+      ['PRAGMA synchronous=NORMAL'],
+      ['PRAGMA temp_store=MEMORY'],
+      ['PRAGMA cache_size=-8000'],
+      [`CREATE TABLE IF NOT EXISTS schema_version (
+        version     INTEGER NOT NULL,
+        upgraded_at INTEGER NOT NULL
+      )`],
+      [`CREATE TABLE IF NOT EXISTS schema_migrations (
+        version     INTEGER NOT NULL PRIMARY KEY,
+        name        TEXT    NOT NULL,
+        applied_at  INTEGER NOT NULL,
+        duration_ms INTEGER NOT NULL DEFAULT 0
+      )`],
+    ], false);
+
+    const fromVersion = await _readSchemaVersion(db);
+    const pending     = _MIGRATIONS.filter(m => m.version > fromVersion && m.version <= SQLITE_SCHEMA_VERSION);
+    const report      = {
+      at:       new Date().toISOString(),
+      from:     fromVersion,
+      to:       fromVersion,
+      target:   SQLITE_SCHEMA_VERSION,
+      applied:  [],
+      failed:   null,
+      snapshot: null,
+    };
+    _migrationReport = report;
+
+    if (fromVersion > SQLITE_SCHEMA_VERSION) {
+      console.warn(`[SQLite] database schema v${fromVersion} is newer than this build (v${SQLITE_SCHEMA_VERSION})`);
+      return report;
+    }
+    if (pending.length === 0) {
+      await _dropPremigrationSnapshot();
+      return report;
+    }
+
+    if (await _hasTable(db, 'kv_store')) {
+      try {
+        report.snapshot = await _snapshotBeforeMigration(db);
+      } catch (e) {
+        console.warn('[SQLite] pre-migration snapshot failed:', _safeErr(e));
+      }
+    }
+
+    for (const m of pending) {
+      const started = Date.now();
+      try {
+        const stmts = (await m.statements(db)).map(sql => [sql]);
+        const now   = Date.now();
+        stmts.push(
+          ['INSERT OR REPLACE INTO schema_migrations (version, name, applied_at, duration_ms) VALUES (?, ?, ?, ?)',
+            [m.version, m.name, now, now - started]],
+          ['DELETE FROM schema_version'],
+          ['INSERT INTO schema_version (version, upgraded_at) VALUES (?, ?)', [m.version, now]],
+        );
+        await db.batch(stmts, true);
+        report.applied.push({ version: m.version, name: m.name, ms: Date.now() - started });
+        report.to = m.version;
+      } catch (e) {
+        report.failed = { version: m.version, name: m.name, error: _safeErr(e).message };
+        console.error(`[SQLite] migration v${m.version} (${m.name}) failed:`, _safeErr(e));
+        break;
+      }
+    }
+
+    if (report.failed) {
+      if (typeof showToast === 'function')
+        showToast(`Database upgrade stopped at step ${report.failed.version} — running on schema v${report.to}.`, 'error', 10000);
+      return report;
+    }
+    if (report.snapshot) {
+      await _dropPremigrationSnapshot();
+      report.snapshot = null;
+    }
+    if (fromVersion > 0 && typeof showToast === 'function') {
+      showToast(`Database upgraded to v${report.to} (${report.applied.length} step${report.applied.length === 1 ? '' : 's'})`, 'info', 4000);
+    }
+    return report;
   }
 
   function _fullKey(key) {
@@ -1053,47 +1807,691 @@ const sqliteStore = (() => {
     return _prefix + key;
   }
 
-  function _rawGet(fullKey) {
-    try {
-      if (!_stmtGet) _stmtGet = _sqlDB.prepare('SELECT value, encrypted FROM kv_store WHERE full_key = ?');
-      _stmtGet.bind([fullKey]);
-      let row = null;
-      if (_stmtGet.step()) row = _stmtGet.getAsObject();
-      _stmtGet.reset();
-      return row;
-    } catch (e) {
-      _stmtGet = null;
-      const stmt = _sqlDB.prepare('SELECT value, encrypted FROM kv_store WHERE full_key = ?');
-      stmt.bind([fullKey]);
-      let row = null;
-      if (stmt.step()) row = stmt.getAsObject();
-      stmt.free();
-      return row;
+  function _rawGet(fullKey) {
+    return _db.get('SELECT value, encrypted, storage FROM kv_store WHERE full_key = ?', [fullKey]);
+  }
+
+  function _kvUpsert(key, serialized, isEncrypted, storage = 'kv') {
+    const now        = Date.now();
+    const fk         = _fullKey(key);
+    const uid        = _DEVICE_GLOBAL.has(key) ? '' : _uid;
+    const collection = _IDB_KEY_TO_COLLECTION[key] || '';
+    const rowType    = _rowType(key);
+    const stmts = [[`
+      INSERT INTO kv_store
+        (full_key, user_key, uid, collection, row_type, encrypted, value, ts, created_at, storage)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(full_key) DO UPDATE SET
+        value      = excluded.value,
+        encrypted  = excluded.encrypted,
+        ts         = excluded.ts,
+        row_type   = excluded.row_type,
+        collection = excluded.collection,
+        storage    = excluded.storage
+    `, [fk, key, uid, collection, rowType, isEncrypted ? 1 : 0, serialized, now, now, storage]]];
+    if (storage !== 'records' && rowType === 'collection') stmts.push(..._dropRecords(fk));
+    return stmts;
+  }
+
+  async function _rawDelete(fullKey) {
+    await _db.batch([['DELETE FROM kv_store WHERE full_key = ?', [fullKey]], ..._dropRecords(fullKey)]);
+    _changed([fullKey]);
+    _schedulePersist(PERSIST_NORMAL_MS);
+  }
+
+  const _recordCache  = new Map();
+  const _staleRecords = new Map();
+  let _recordQueue    = Promise.resolve();
+  const _NEXT_REV     = '(SELECT COALESCE(MAX(rev), 0) + 1 FROM records)';
+
+  function _serialRecords(fn) {
+    const run = _recordQueue.then(fn, fn);
+    _recordQueue = run.catch(() => {});
+    return run;
+  }
+
+  function _forgetRecords(fullKey) {
+    _recordCache.delete(fullKey);
+    _staleRecords.delete(fullKey);
+  }
+
+  function _staleRecordCache(fullKey) {
+    const entry = _recordCache.get(fullKey);
+    if (entry) _staleRecords.set(fullKey, entry);
+    _recordCache.delete(fullKey);
+  }
+
+  function _clearRecordCache() {
+    _recordCache.clear();
+    _staleRecords.clear();
+  }
+
+  function _dropRecords(fullKey) {
+    _forgetRecords(fullKey);
+    return [['DELETE FROM records WHERE full_key = ?', [fullKey]]];
+  }
+
+  function _isRecordArray(value) {
+    if (!Array.isArray(value)) return false;
+    const seen = new Set();
+    for (const r of value) {
+      if (!r || typeof r !== 'object' || Array.isArray(r)) return false;
+      if (typeof r.id !== 'string' && typeof r.id !== 'number') return false;
+      const id = String(r.id);
+      if (!id || seen.has(id)) return false;
+      seen.add(id);
+    }
+    return true;
+  }
+
+  function _recordMs(r) {
+    const ts = r.updatedAt || r.timestamp || r.createdAt || 0;
+    if (typeof ts === 'number') return ts;
+    if (ts && typeof ts.toMillis === 'function') return ts.toMillis();
+    if (ts && typeof ts.seconds === 'number') return ts.seconds * 1000;
+    if (typeof ts === 'string') { const t = new Date(ts).getTime(); return isNaN(t) ? 0 : t; }
+    return 0;
+  }
+
+  function _materialize(entry) {
+    if (entry.ids.length === 0) return [];
+    return JSON.parse('[' + entry.ids.map(id => entry.bodies.get(id)).join(',') + ']');
+  }
+
+  async function _decodeRows(rows) {
+    const decoded = await Promise.all(rows.map(r =>
+      r.deleted ? null : (r.encrypted ? SQLiteCrypto.decryptText(r.body) : r.body)
+    ));
+    return rows.some((r, i) => !r.deleted && (decoded[i] === null || decoded[i] === undefined)) ? null : decoded;
+  }
+
+  async function _loadRecords(fullKey) {
+    const cached = _recordCache.get(fullKey);
+    if (cached) return cached;
+    const base = _staleRecords.get(fullKey) || null;
+    _staleRecords.delete(fullKey);
+    const rows = await _db.all(
+      'SELECT id, pos, deleted, encrypted, body, rev FROM records WHERE full_key = ? AND rev > ?',
+      [fullKey, base ? base.rev : -1]
+    );
+    const decoded = await _decodeRows(rows);
+    if (!decoded) return null;
+    const pos    = new Map(base ? base.pos : []);
+    const bodies = new Map(base ? base.bodies : []);
+    let rev = base ? base.rev : 0;
+    rows.forEach((r, i) => {
+      if (r.rev > rev) rev = r.rev;
+      if (r.deleted) { pos.delete(r.id); bodies.delete(r.id); return; }
+      pos.set(r.id, r.pos);
+      bodies.set(r.id, decoded[i]);
+    });
+    if (base) {
+      const live = await _db.get('SELECT COUNT(*) AS n FROM records WHERE full_key = ? AND deleted = 0', [fullKey]);
+      if (!live || live.n !== pos.size) return _loadRecords(fullKey);
+    }
+    const ids   = [...pos.keys()].sort((a, b) => pos.get(a) - pos.get(b));
+    const entry = { ids, bodies, pos, rev };
+    _recordCache.set(fullKey, entry);
+    return entry;
+  }
+
+  async function _readRecords(fullKey, ids) {
+    const cached = _recordCache.get(fullKey);
+    if (cached) return ids.map(id => cached.bodies.get(id)).filter(Boolean);
+    const rows = await _db.all(
+      `SELECT id, deleted, encrypted, body FROM records
+        WHERE full_key = ? AND deleted = 0 AND id IN (${ids.map(() => '?').join(',')})`,
+      [fullKey, ...ids]
+    );
+    const decoded = await _decodeRows(rows);
+    if (!decoded) return null;
+    const byId = new Map(rows.map((r, i) => [r.id, decoded[i]]));
+    return ids.map(id => byId.get(id)).filter(Boolean);
+  }
+
+  const _HISTORY_IGNORED = new Set(['updatedAt', 'syncedAt']);
+
+  function _fieldDiff(before, after) {
+    const diff = {};
+    const keys = new Set([...Object.keys(before || {}), ...Object.keys(after)]);
+    for (const f of keys) {
+      if (_HISTORY_IGNORED.has(f)) continue;
+      const had = !!before && Object.prototype.hasOwnProperty.call(before, f);
+      const has = Object.prototype.hasOwnProperty.call(after, f);
+      if (had && has && JSON.stringify(before[f]) === JSON.stringify(after[f])) continue;
+      const d = {};
+      if (had) d.from = before[f];
+      if (has) d.to = after[f];
+      diff[f] = d;
+    }
+    return diff;
+  }
+
+  async function _planHistory(prev, records, changed, audit) {
+    const at      = Date.now();
+    const entries = [];
+    for (const c of changed) {
+      const prevBody = prev && prev.bodies.get(c.id);
+      const diff = _fieldDiff(prevBody ? JSON.parse(prevBody) : null, records[c.pos]);
+      if (!Object.keys(diff).length) continue;
+      entries.push({ id: c.id, action: audit.action || (prevBody ? 'update' : 'create'), diff: JSON.stringify(diff) });
+    }
+    const stored = await Promise.all(entries.map(e => SQLiteCrypto.encrypt(e.diff).catch(() => e.diff)));
+    return entries.map((e, i) => ({
+      id:     e.id,
+      at,
+      actor:  audit.actor || null,
+      device: audit.device || null,
+      action: e.action,
+      diff:   stored[i],
+    }));
+  }
+
+  async function _planRecords(key, records, audit) {
+    const fk   = _fullKey(key);
+    const row  = await _rawGet(fk);
+    const prev = (row && row.storage === 'records') ? await _loadRecords(fk) : null;
+    const prevPos = new Map();
+    if (prev) prev.ids.forEach((id, i) => prevPos.set(id, i));
+    const ids     = new Array(records.length);
+    const bodies  = new Map();
+    const changed = [];
+    const moved   = [];
+    records.forEach((r, i) => {
+      const id   = String(r.id);
+      const body = JSON.stringify(r);
+      ids[i] = id;
+      bodies.set(id, body);
+      if (!prev || prev.bodies.get(id) !== body) {
+        changed.push({ id, pos: i, body, updatedAt: _recordMs(r) });
+      } else if (prevPos.get(id) !== i) {
+        moved.push([i, fk, id]);
+      }
+    });
+    const removed = prev ? prev.ids.filter(id => !bodies.has(id)) : [];
+    const stored  = await Promise.all(changed.map(c => SQLiteCrypto.encrypt(c.body).catch(() => c.body)));
+    const history = (audit && (prev || !row)) ? await _planHistory(prev, records, changed, audit) : [];
+    return { key, fk, fresh: !prev, rev: prev ? prev.rev : 0, ids, bodies, changed, stored, moved, removed, history };
+  }
+
+  function _recordStatements(plan) {
+    const { key, fk } = plan;
+    const uid        = _uid;
+    const collection = _IDB_KEY_TO_COLLECTION[key] || '';
+    const now        = Date.now();
+    const stmts      = [];
+    if (plan.fresh) stmts.push(['DELETE FROM records WHERE full_key = ?', [fk]]);
+    plan.changed.forEach((c, i) => {
+      const st  = plan.stored[i];
+      const enc = typeof st === 'string' && st.startsWith('GZND_ENC_');
+      stmts.push([`
+        INSERT INTO records
+          (full_key, id, uid, collection, pos, updated_at, deleted, encrypted, body, rev)
+        VALUES (?, ?, ?, ?, ?, ?, 0, ?, ?, ${_NEXT_REV})
+        ON CONFLICT(full_key, id) DO UPDATE SET
+          pos        = excluded.pos,
+          updated_at = excluded.updated_at,
+          deleted    = 0,
+          encrypted  = excluded.encrypted,
+          body       = excluded.body,
+          rev        = excluded.rev
+      `, [fk, c.id, uid, collection, c.pos, c.updatedAt || now, enc ? 1 : 0, st]]);
+    });
+    for (const m of plan.moved) {
+      stmts.push([`UPDATE records SET pos=?, rev=${_NEXT_REV} WHERE full_key=? AND id=?`, m]);
+    }
+    for (const id of plan.removed) {
+      stmts.push([`UPDATE records SET deleted=1, body=NULL, updated_at=?, rev=${_NEXT_REV} WHERE full_key=? AND id=?`, [now, fk, id]]);
+    }
+    for (const h of plan.history) {
+      const enc = typeof h.diff === 'string' && h.diff.startsWith('GZND_ENC_');
+      stmts.push([`
+        INSERT INTO record_history (full_key, record_id, uid, at, actor, device_id, action, encrypted, diff)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [fk, h.id, uid, h.at, h.actor, h.device, h.action, enc ? 1 : 0, h.diff]]);
+      stmts.push([`
+        DELETE FROM record_history WHERE full_key = ? AND record_id = ? AND seq NOT IN (
+          SELECT seq FROM record_history WHERE full_key = ? AND record_id = ? ORDER BY seq DESC LIMIT ?
+        )
+      `, [fk, h.id, fk, h.id, SQLITE_HISTORY_PER_RECORD]]);
+    }
+    stmts.push(..._kvUpsert(key, null, false, 'records'));
+    return stmts;
+  }
+
+  function _commitRecordCache(plan) {
+    _recordCache.set(plan.fk, {
+      ids:    plan.ids,
+      bodies: plan.bodies,
+      pos:    new Map(plan.ids.map((id, i) => [id, i])),
+      rev:    plan.rev,
+    });
+  }
+
+  function _storeRecords(key, records, expectRaw, audit) {
+    return _serialRecords(async () => {
+      if (expectRaw !== undefined) {
+        const row = await _rawGet(_fullKey(key));
+        if (!row || row.storage === 'records' || row.value !== expectRaw) return;
+      }
+      const plan = await _planRecords(key, records, audit);
+      try {
+        await _db.batch(_recordStatements(plan));
+        _commitRecordCache(plan);
+        _changed([plan.fk]);
+      } catch (e) {
+        _forgetRecords(plan.fk);
+        throw e;
+      }
+    });
+  }
+
+  async function _migrateLegacyCollections() {
+    const rows = await _db.all(
+      `SELECT user_key, value, encrypted FROM kv_store WHERE storage = 'legacy' AND uid = ?`, [_uid]);
+    if (rows.length === 0) return 0;
+    await SQLiteCrypto.restoreSessionKeyFromStorage().catch(() => {});
+    let moved = 0;
+    for (const r of rows) {
+      let value = null;
+      if (r.encrypted) {
+        value = await _decrypt(r.user_key, r.value);
+        if (value === null) continue;
+      } else {
+        try { value = JSON.parse(r.value); } catch {}
+      }
+      if (_isRecordArray(value)) {
+        await _storeRecords(r.user_key, value, r.value);
+        moved++;
+      } else {
+        await _db.batch([[`UPDATE kv_store SET storage = 'kv' WHERE full_key = ? AND storage = 'legacy'`,
+          [_fullKey(r.user_key)]]]);
+      }
+    }
+    if (moved) _schedulePersist(PERSIST_NORMAL_MS);
+    return moved;
+  }
+
+  function _sweepLegacyCollections() {
+    _migrateLegacyCollections()
+      .catch(e => console.warn('[SQLite] collection migration failed:', _safeErr(e)));
+  }
+
+  const _reportSynced = new Map();
+
+  const _REPORT_FILTERS = { store: 'store', customer: 'customer', rep: 'rep', paymentType: 'payment_type' };
+  const _REPORT_GROUPS  = {
+    date:        'date',
+    month:       'substr(date, 1, 7)',
+    year:        'substr(date, 1, 4)',
+    store:       'store',
+    customer:    'customer',
+    rep:         'rep',
+    paymentType: 'payment_type',
+  };
+  const _REPORT_PATH  = /^\$(\.[A-Za-z_][A-Za-z0-9_]*)+$/;
+  const _REPORT_ALIAS = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+  function _reportKey(key) {
+    return _tabId + '|' + _fullKey(key);
+  }
+
+  function _syncIndex(key, synced, apply) {
+    return _serialRecords(async () => {
+      const fk   = _fullKey(key);
+      const rk   = _reportKey(key);
+      const row  = await _rawGet(fk);
+      const prev = synced.get(fk);
+      if (!row) {
+        if (prev !== undefined) await apply(rk, { reset: true });
+        synced.delete(fk);
+        return true;
+      }
+      if (row.storage === 'records') {
+        const entry = await _loadRecords(fk);
+        if (!entry) return false;
+        if (prev === entry) return true;
+        const reset   = !prev || typeof prev !== 'object';
+        const upserts = [];
+        const removes = [];
+        for (const id of entry.ids) {
+          const body = entry.bodies.get(id);
+          if (reset || prev.bodies.get(id) !== body) upserts.push([id, body]);
+        }
+        if (!reset) for (const id of prev.ids) if (!entry.bodies.has(id)) removes.push(id);
+        await apply(rk, { reset, upserts, removes });
+        synced.set(fk, entry);
+        return true;
+      }
+      if (prev === row.value) return true;
+      const value = await _decrypt(key, row.value);
+      if (value === null && row.value !== null) return false;
+      const upserts = Array.isArray(value)
+        ? value.filter(r => r && typeof r === 'object')
+               .map((r, i) => [r.id !== undefined && r.id !== null ? String(r.id) : '#' + i, JSON.stringify(r)])
+        : [];
+      await apply(rk, { reset: true, upserts });
+      synced.set(fk, row.value);
+      return true;
+    });
+  }
+
+  function _syncReport(key) {
+    return _syncIndex(key, _reportSynced, (rk, changes) => _db.reportApply(rk, changes));
+  }
+
+  const _searchSynced = new Map();
+
+  const _SEARCH_SOURCES = {
+    sales_customers:  r => ({ kind: 'customer', label: r.name, detail: [r.phone, r.address] }),
+    customer_sales:   r => r.currentRepProfile === 'admin' ? { kind: 'customer', label: r.customerName } : null,
+    rep_customers:    r => ({ kind: 'repCustomer', scope: r.salesRep, label: r.name, detail: [r.phone, r.address] }),
+    rep_sales:        r => ({ kind: 'repCustomer', scope: r.salesRep, label: r.customerName }),
+    payment_entities: r => ({ kind: 'entity', scope: r.type, label: r.name, detail: [r.phone, r.wallet] }),
+    expenses:         r => ({ kind: 'expense', scope: r.category, label: r.name, detail: [r.description] }),
+  };
+
+  const _SEARCH_REGISTRIES = new Set(['sales_customers', 'rep_customers', 'payment_entities']);
+
+  // Roman-Urdu names are spelt many ways (Muhammad/Mohammad/Mohd, Qasim/Kasim,
+  // Yousaf/Yusuf). The sound key folds them onto one consonant skeleton.
+  const _SOUND_FOLDS = [
+    [/ph/g, 'f'], [/(kh|ck|q|c(?!h))/g, 'k'], [/gh/g, 'g'], [/([tdbjr])h/g, '$1'],
+    [/w/g, 'v'], [/x/g, 'ks'], [/(?!^)h/g, ''],
+  ];
+
+  function _searchWords(text) {
+    return String(text || '').toLowerCase().normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(Boolean);
+  }
+
+  function _soundKey(word) {
+    if (!/^[a-z]+$/.test(word)) return '';
+    let k = word;
+    for (const [re, to] of _SOUND_FOLDS) k = k.replace(re, to);
+    k = k[0].replace(/[aeiouy]/, 'a') + k.slice(1).replace(/[aeiouy]/g, '');
+    return k.replace(/(.)\1+/g, '$1');
+  }
+
+  function _searchDoc(key, body) {
+    let r;
+    try { r = JSON.parse(body); } catch { return null; }
+    const doc = r && typeof r === 'object' ? _SEARCH_SOURCES[key](r) : null;
+    if (!doc || typeof doc.label !== 'string' || !doc.label.trim()) return null;
+    const detail = [].concat(doc.detail || []).filter(v => typeof v === 'string' && v);
+    for (const v of detail) {
+      const digits = v.replace(/\D/g, '');
+      if (digits.length >= 4 && digits !== v) detail.push(digits);
+    }
+    return {
+      kind:   doc.kind,
+      scope:  typeof doc.scope === 'string' ? doc.scope : '',
+      label:  doc.label.trim(),
+      detail: detail.join(' '),
+      sound:  _searchWords(doc.label).map(_soundKey).filter(Boolean).join(' '),
+    };
+  }
+
+  function _syncSearch(key) {
+    return _syncIndex(key, _searchSynced, (rk, { reset, upserts = [], removes = [] }) => {
+      const docs = [];
+      for (const [id, body] of upserts) {
+        const doc = _searchDoc(key, body);
+        if (doc) docs.push([id, doc]);
+        else if (!reset) removes.push(id);
+      }
+      return _db.searchApply(rk, { reset, upserts: docs, removes });
+    });
+  }
+
+  function _searchMatch(words) {
+    return words.map(w => {
+      const sound = _soundKey(w);
+      if (sound.length < 2) return `${w}*`;
+      return `(${w}* OR sound:${sound}${w.length >= 4 ? '*' : ''})`;
+    }).join(' ');
+  }
+
+  function _searchRank(row, q, words) {
+    const label = row.label.toLowerCase();
+    let score = 0;
+    if (label === q) score += 100;
+    else if (label.startsWith(q)) score += 60;
+    const labelWords = _searchWords(label);
+    const detailWords = _searchWords(row.detail);
+    for (const w of words) {
+      if (labelWords.some(l => l.startsWith(w)))       score += 20;
+      else if (detailWords.some(d => d.startsWith(w))) score += 10;
+      else                                            score += 4;
+    }
+    return score - label.length / 100;
+  }
+
+  function _reportWhere(key, opts) {
+    const where  = ['collection = ?'];
+    const params = [_reportKey(key)];
+    const dates  = [];
+    if (opts.from) { dates.push('date >= ?'); params.push(opts.from); }
+    if (opts.to)   { dates.push('date <= ?'); params.push(opts.to); }
+    if (dates.length) where.push(opts.undated ? `(date IS NULL OR (${dates.join(' AND ')}))` : dates.join(' AND '));
+    for (const [opt, col] of Object.entries(_REPORT_FILTERS)) {
+      const v = opts[opt];
+      if (v === undefined || v === null || v === '') continue;
+      const list = Array.isArray(v) ? v : [v];
+      where.push(`${col} IN (${list.map(() => '?').join(', ')})`);
+      params.push(...list);
+    }
+    for (const [path, cond] of Object.entries(opts.where || {})) {
+      if (!_REPORT_PATH.test(path)) throw new Error('[SQLite] report: invalid where path ' + path);
+      const field = `json_extract(body, '${path}')`;
+      if (cond === true || cond === false) {
+        where.push(`${cond ? '' : 'NOT '}COALESCE(${field} NOT IN (0, ''), 0)`);
+        continue;
+      }
+      const negate = !!cond && typeof cond === 'object' && !Array.isArray(cond);
+      const list = [].concat(negate ? cond.not : cond);
+      const inList = `${field} IN (${list.map(() => '?').join(', ')})`;
+      where.push(negate ? `(${field} IS NULL OR NOT ${inList})` : inList);
+      params.push(...list);
+    }
+    return { where: where.join(' AND '), params };
+  }
+
+  function _reportPath(spec) {
+    return `COALESCE(json_extract(body, '${spec}'), 0)`;
+  }
+
+  function _reportMeasure(spec) {
+    if (spec === 'amount' || spec === 'quantity') return spec;
+    if (typeof spec === 'string' && _REPORT_PATH.test(spec)) return `json_extract(body, '${spec}')`;
+    if (spec && Array.isArray(spec.minus) && spec.minus.length === 2 && spec.minus.every(p => _REPORT_PATH.test(p))) {
+      const diff = `${_reportPath(spec.minus[0])} - ${_reportPath(spec.minus[1])}`;
+      return spec.floor === 0 ? `MAX(0, ${diff})` : diff;
+    }
+    throw new Error('[SQLite] report: unsupported measure ' + JSON.stringify(spec));
+  }
+
+  function _reportGroup(g) {
+    if (_REPORT_GROUPS[g]) return { expr: _REPORT_GROUPS[g], alias: g };
+    if (typeof g === 'string' && _REPORT_PATH.test(g)) return { expr: `json_extract(body, '${g}')`, alias: `"${g}"` };
+    throw new Error('[SQLite] report: unsupported groupBy ' + g);
+  }
+
+  const _REMOTE_OPS = new Set([
+    'replace', 'exec', 'run', 'all', 'get', 'batch', 'export', 'integrityCheck',
+    'persist', 'reportApply', 'searchApply', 'reportQuery', 'reportForget', 'peek',
+  ]);
+
+  function _coordPost(msg) {
+    if (!_coord) return;
+    try { _coord.postMessage(msg); } catch {}
+  }
+
+  async function _serveRemote(msg) {
+    let reply;
+    try {
+      if (!_REMOTE_OPS.has(msg.op)) throw new Error('unsupported op ' + msg.op);
+      let result;
+      if (msg.op === 'persist') {
+        await _dualPersist(msg.args[0] || {});
+        result = { imageBytes: _dbBytes, journalBytes: _journalBytes };
+      } else {
+        result = await _db[msg.op](...(msg.args || []));
+      }
+      reply = { ok: true, result };
+    } catch (e) {
+      reply = { ok: false, error: (e && e.message) || String(e) };
+    }
+    if (msg.id) _coordPost({ type: 'sqlite-res', to: msg.from, id: msg.id, ...reply });
+  }
+
+  function _changed(keys) {
+    for (const k of keys) _changedKeys.add(k);
+    if (_changedTimer) return;
+    _changedTimer = setTimeout(() => {
+      _changedTimer = null;
+      const list = _changedKeys.has('*') ? ['*'] : [..._changedKeys];
+      _changedKeys.clear();
+      _coordPost({ type: 'sqlite-changed', from: _tabId, keys: list });
+      _refreshSearch(list);
+    }, 0);
+  }
+
+  function _refreshSearch(fullKeys) {
+    for (const fk of fullKeys) {
+      if (!_searchSynced.has(fk)) continue;
+      const key = _prefix && fk.startsWith(_prefix) ? fk.slice(_prefix.length) : fk;
+      _syncSearch(key).catch(e => console.warn('[SQLite] search index refresh failed for', key, _safeErr(e)));
+    }
+  }
+
+  function _scheduleRemoteRefresh() {
+    if (typeof document !== 'undefined' && document.visibilityState === 'hidden') {
+      _refreshDeferred = true;
+      return;
+    }
+    if (_refreshTimer) clearTimeout(_refreshTimer);
+    _refreshTimer = setTimeout(() => {
+      _refreshTimer = null;
+      if (typeof refreshAllDisplays === 'function') {
+        refreshAllDisplays().catch(e => console.warn('[SQLite] refresh after remote change failed:', _safeErr(e)));
+      }
+    }, SQLITE_REFRESH_DEBOUNCE_MS);
+  }
+
+  function _applyRemoteChange(keys) {
+    if (!Array.isArray(keys)) return;
+    if (keys.includes('*')) {
+      _clearRecordCache();
+      _reportSynced.clear();
+      _searchSynced.clear();
+    } else {
+      for (const k of keys) _staleRecordCache(k);
+      _refreshSearch(keys);
+    }
+    _scheduleRemoteRefresh();
+  }
+
+  function _onCoordMessage(e) {
+    const msg = e.data || {};
+    switch (msg.type) {
+      case 'sqlite-who':
+        if (_role === 'leader') _coordPost({ type: 'sqlite-leader', from: _tabId });
+        break;
+      case 'sqlite-leader':
+        if (_remote && _remote.onLeader(msg.from)) {
+          _clearRecordCache();
+          _reportSynced.clear();
+          _searchSynced.clear();
+          _scheduleRemoteRefresh();
+        }
+        break;
+      case 'sqlite-req':
+        if (_role === 'leader' && msg.to === _tabId) _serveRemote(msg);
+        break;
+      case 'sqlite-res':
+        if (_remote && msg.to === _tabId) _remote.onResponse(msg);
+        break;
+      case 'sqlite-bye':
+        if (_role === 'leader' && msg.from) _db.reportForget(msg.from + '|').catch(() => {});
+        break;
+      case 'sqlite-changed':
+        if (msg.from !== _tabId) _applyRemoteChange(msg.keys);
+        break;
+    }
+  }
+
+  async function _becomeLeader() {
+    const { engine, existing, replayFailed, journalBytes } = await _openEngine();
+    _journalBytes = journalBytes || 0;
+    await _bootstrapSchema(engine);
+
+    if (existing && !(await engine.integrityCheck())) {
+      console.error('[SQLite] Integrity check failed — proceeding with caution');
+    }
+
+    const migrated = !!(_migrationReport && _migrationReport.applied.length);
+    if (!existing || migrated || replayFailed) {
+      const sizes    = await engine.persist({ force: true });
+      _dbBytes       = sizes.imageBytes;
+      _journalBytes  = sizes.journalBytes;
+      _lastPersistAt = Date.now();
+    }
+    await engine.setJournaling(true);
+
+    const remote = _remote;
+    _remote = null;
+    _role   = 'leader';
+    _db     = engine;
+    if (remote) {
+      _clearRecordCache();
+      _reportSynced.clear();
+      _searchSynced.clear();
+      remote.handOver(engine);
+      _scheduleRemoteRefresh();
+    }
+    _coordPost({ type: 'sqlite-leader', from: _tabId });
+    _sweepLegacyCollections();
+
+    if (_hasOPFS) {
+      _listSnapshots()
+        .then(list => { _lastSnapshotAt = list.length ? list[0].at : 0; })
+        .catch(() => { _lastSnapshotAt = 0; });
     }
   }
 
-  function _rawSet(key, serialized, isEncrypted) {
-    const now        = Date.now();
-    const fk         = _fullKey(key);
-    const uid        = _DEVICE_GLOBAL.has(key) ? '' : _uid;
-    const collection = _IDB_KEY_TO_COLLECTION[key] || '';
-    const rowType    = _rowType(key);
-    _sqlDB.run(`
-      INSERT INTO kv_store
-        (full_key, user_key, uid, collection, row_type, encrypted, value, ts, created_at)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-      ON CONFLICT(full_key) DO UPDATE SET
-        value      = excluded.value,
-        encrypted  = excluded.encrypted,
-        ts         = excluded.ts,
-        row_type   = excluded.row_type,
-        collection = excluded.collection
-    `, [fk, key, uid, collection, rowType, isEncrypted ? 1 : 0, serialized, now, now]);
+  async function _becomeFollower() {
+    if (_role === 'leader') return;
+    _remote = _remoteEngine();
+    _role   = 'follower';
+    const remote = _remote;
+    await remote.open();
+    if (_role === 'follower') _db = remote;
   }
 
-  function _rawDelete(fullKey) {
-    _sqlDB.run('DELETE FROM kv_store WHERE full_key = ?', [fullKey]);
-    _schedulePersist(PERSIST_NORMAL_MS);
+  function _acquireLeadership() {
+    if (!_coord || typeof navigator === 'undefined' || !navigator.locks ||
+        typeof navigator.locks.request !== 'function') {
+      return Promise.resolve(true);
+    }
+    return new Promise((resolve) => {
+      navigator.locks.request(SQLITE_LEADER_LOCK, { ifAvailable: true }, (lock) => {
+        if (lock) {
+          resolve(true);
+          return new Promise(() => {});
+        }
+        resolve(false);
+        navigator.locks.request(SQLITE_LEADER_LOCK, () =>
+          _becomeLeader().then(() => new Promise(() => {}), (e) => {
+            console.error('[SQLite] taking over as leader tab failed:', _safeErr(e));
+            throw e;
+          })
+        ).catch(() => {});
+        return null;
+      }).catch(() => resolve(true));
+    });
   }
 
   async function _decrypt(key, rawData) {
@@ -1108,75 +2506,184 @@ const sqliteStore = (() => {
     try { return JSON.parse(dec); } catch { return dec; }
   }
 
-  function _outboxAdd(action, collection, docId, payload) {
-    if (!_sqlDB) return;
-    const id = (typeof generateUUID === 'function')
+  function _outboxKey(operation) {
+    const data = operation.data && typeof operation.data === 'object' ? operation.data : null;
+    const version = data && (data.hlc || data.updatedAt);
+    if (version && typeof version !== 'object') {
+      return `${operation.action}:${operation.collection}/${operation.docId}@${version}`;
+    }
+    return (typeof generateUUID === 'function')
       ? generateUUID('ob')
       : Date.now().toString(36) + Math.random().toString(36).slice(2);
-    _sqlDB.run(`
-      INSERT OR IGNORE INTO ndapp_outbox
-        (id, uid, action, collection, doc_id, payload, created_at, attempts, last_attempt)
-      VALUES (?, ?, ?, ?, ?, ?, ?, 0, 0)
-    `, [id, _uid, action, collection || '', docId || '', payload ? JSON.stringify(payload) : null, Date.now()]);
-    _schedulePersist(PERSIST_URGENT_MS);
-  }
-
-  function _outboxGetAll() {
-    if (!_sqlDB) return [];
-    return _sqlDB.exec(
-      'SELECT id, action, collection, doc_id, payload FROM ndapp_outbox WHERE uid=? ORDER BY created_at',
-      [_uid]
-    ).flatMap(r => r.values.map(v => ({
-      id: v[0], action: v[1], collection: v[2], doc_id: v[3],
-      data: v[4] ? JSON.parse(v[4]) : null,
-    })));
   }
 
-  function _outboxRemove(id) {
-    if (!_sqlDB) return;
-    _sqlDB.run('DELETE FROM ndapp_outbox WHERE id = ?', [id]);
-    _schedulePersist(PERSIST_NORMAL_MS);
+  function _outboxItem(row) {
+    return {
+      seq:         row.seq,
+      key:         row.idem_key,
+      status:      row.status,
+      attempts:    row.attempts,
+      lastAttempt: row.last_attempt || null,
+      error:       row.error || null,
+      createdAt:   row.created_at,
+      operation: {
+        action:     row.action,
+        collection: row.collection,
+        docId:      row.doc_id,
+        ...(row.record_type ? { recordType: row.record_type } : {}),
+        ...(row.group_id ? { group: row.group_id } : {}),
+        createdAt:  row.created_at,
+        data:       row.payload ? JSON.parse(row.payload) : null,
+      },
+    };
+  }
+
+  // Background sync reads pending rows from this file rather than parsing the
+  // image, which lags behind the journal between compactions.
+  async function _writeOutboxFile() {
+    if (!_hasOPFS) return;
+    const rows = await _db.all(`SELECT * FROM sync_outbox WHERE status='pending' ORDER BY seq`);
+    const items = rows.map(row => ({
+      seq:       row.seq,
+      key:       row.idem_key,
+      uid:       row.uid,
+      operation: _outboxItem(row).operation,
+    }));
+    await _opfsWrite(_OUTBOX_FILE, JSON.stringify({ writtenAt: Date.now(), items }));
+  }
+
+  function _outboxChanged(urgencyMs) {
+    _outboxDirty = true;
+    _schedulePersist(urgencyMs);
+  }
+
+  async function _outboxAdd(operation) {
+    const key     = operation.idempotencyKey || _outboxKey(operation);
+    const payload = operation.data === undefined || operation.data === null ? null : JSON.stringify(operation.data);
+    const docId   = String(operation.docId || '');
+    const group   = operation.group || null;
+    const now     = Date.now();
+    await _db.batch([
+      [`UPDATE sync_outbox
+          SET idem_key=?, payload=?, record_type=?, attempts=0, last_attempt=0, error=NULL, created_at=?
+        WHERE seq = (SELECT MAX(seq) FROM sync_outbox WHERE uid=? AND collection=? AND doc_id=? AND status='pending')
+          AND action=? AND group_id IS ?
+          AND NOT EXISTS (SELECT 1 FROM sync_outbox WHERE uid=? AND idem_key=?)`,
+        [key, payload, operation.recordType || null, now, _uid, operation.collection || '', docId, operation.action, group, _uid, key]],
+      [`INSERT OR IGNORE INTO sync_outbox
+          (idem_key, uid, action, collection, doc_id, record_type, payload, status, created_at, group_id)
+        SELECT ?, ?, ?, ?, ?, ?, ?, 'pending', ?, ? WHERE changes() = 0`,
+        [key, _uid, operation.action, operation.collection || '', docId, operation.recordType || null, payload, now, group]],
+    ]);
+    _outboxChanged(PERSIST_URGENT_MS);
+    return key;
   }
 
-  function _outboxBumpAttempt(id) {
-    if (!_sqlDB) return;
-    _sqlDB.run(
-      'UPDATE ndapp_outbox SET attempts=attempts+1, last_attempt=? WHERE id=?',
-      [Date.now(), id]
+  async function _outboxList(status) {
+    return (await _db.all(
+      'SELECT * FROM sync_outbox WHERE uid=? AND status=? ORDER BY seq', [_uid, status]
+    )).map(_outboxItem);
+  }
+
+  async function _outboxAck(seq, key) {
+    await _db.run('DELETE FROM sync_outbox WHERE seq=? AND idem_key=?', [seq, key]);
+    _outboxChanged(PERSIST_NORMAL_MS);
+  }
+
+  async function _outboxFail(seq, key, error, dead) {
+    await _db.run(
+      `UPDATE sync_outbox SET attempts=attempts+1, last_attempt=?, error=?,
+         status=CASE WHEN ? THEN 'dead' ELSE status END
+       WHERE seq=? AND idem_key=?`,
+      [Date.now(), error || null, dead ? 1 : 0, seq, key]
     );
+    _outboxChanged(PERSIST_NORMAL_MS);
   }
 
-  async function _drainOutbox() {
-    if (!_sqlDB || !navigator.onLine) return;
-    if (typeof firebaseDB === 'undefined' || !firebaseDB) return;
-    if (typeof currentUser === 'undefined' || !currentUser) return;
-    const ops = _outboxGetAll();
-    if (ops.length === 0) return;
-    const userRef = firebaseDB.collection('users').doc(currentUser.uid);
-    let drained = 0;
-    for (const op of ops) {
-      try {
-        if (op.action === 'set' || op.action === 'set-doc') {
-          const ref = userRef.collection(op.collection).doc(op.doc_id);
-          const drainData = { ...(op.data || {}) };
-          if (typeof firebase !== 'undefined' && firebase.firestore && !drainData.isMerged) {
-            drainData.updatedAt = firebase.firestore.FieldValue.serverTimestamp();
-          }
-          await ref.set(drainData, { merge: true });
-        } else if (op.action === 'delete') {
-          const ref = userRef.collection(op.collection).doc(op.doc_id);
-          await ref.delete();
-        }
-        _outboxRemove(op.id);
-        drained++;
-      } catch (e) {
-        _outboxBumpAttempt(op.id);
-        console.warn(`[SQLite.outbox] op ${op.id} failed (will retry):`, _safeErr(e));
-      }
-    }
-    if (drained > 0) {
-      await _flushPersist();
+  function _seqList(seqs) {
+    return seqs.map(Number).filter(Number.isFinite);
+  }
+
+  async function _outboxRevive(seqs) {
+    const list = _seqList(seqs);
+    if (list.length === 0) return;
+    await _db.run(
+      `UPDATE sync_outbox SET status='pending', attempts=0, error=NULL
+       WHERE uid=? AND seq IN (${list.map(() => '?').join(',')})`,
+      [_uid, ...list]
+    );
+    _outboxChanged(PERSIST_NORMAL_MS);
+  }
+
+  async function _outboxEdit(seq, data) {
+    const key = (typeof generateUUID === 'function')
+      ? generateUUID('ob')
+      : Date.now().toString(36) + Math.random().toString(36).slice(2);
+    await _db.run(
+      `UPDATE sync_outbox SET idem_key=?, payload=?, status='pending', attempts=0, error=NULL
+       WHERE uid=? AND seq=?`,
+      [key, data === undefined || data === null ? null : JSON.stringify(data), _uid, seq]
+    );
+    _outboxChanged(PERSIST_URGENT_MS);
+    return key;
+  }
+
+  async function _outboxDiscard(seqs) {
+    const list = _seqList(seqs);
+    if (list.length === 0) return;
+    await _db.run(
+      `DELETE FROM sync_outbox WHERE uid=? AND seq IN (${list.map(() => '?').join(',')})`,
+      [_uid, ...list]
+    );
+    _outboxChanged(PERSIST_NORMAL_MS);
+  }
+
+  async function _outboxAckKeys(keys) {
+    if (!keys.length) return;
+    await _db.run(
+      `DELETE FROM sync_outbox WHERE uid=? AND idem_key IN (${keys.map(() => '?').join(',')})`,
+      [_uid, ...keys]
+    );
+    _outboxChanged(PERSIST_NORMAL_MS);
+  }
+
+  const SYNC_JOURNAL_KEEP = 500;
+
+  async function _journalAdd(entry) {
+    await _db.batch([
+      [`INSERT INTO sync_journal (uid, started_at, ended_at, trigger, status, entry) VALUES (?, ?, ?, ?, ?, ?)`,
+        [_uid, entry.startedAt, entry.endedAt || 0, entry.trigger, entry.status, JSON.stringify(entry)]],
+      [`DELETE FROM sync_journal WHERE uid = ? AND seq NOT IN (
+          SELECT seq FROM sync_journal WHERE uid = ? ORDER BY seq DESC LIMIT ?)`,
+        [_uid, _uid, SYNC_JOURNAL_KEEP]],
+    ]);
+    _schedulePersist(PERSIST_NORMAL_MS);
+  }
+
+  async function _journalList(limit) {
+    const rows = await _db.all(
+      'SELECT seq, entry FROM sync_journal WHERE uid = ? ORDER BY seq DESC LIMIT ?', [_uid, limit || SYNC_JOURNAL_KEEP]);
+    const out = [];
+    for (const r of rows) {
+      try { out.push({ seq: r.seq, ...JSON.parse(r.entry) }); } catch {}
     }
+    return out;
+  }
+
+  async function _outboxStats() {
+    const row = await _db.get(
+      `SELECT SUM(status='pending') AS pending, SUM(status='dead') AS dead,
+              MIN(CASE WHEN status='pending' THEN created_at END) AS oldest,
+              MAX(attempts) AS max_attempts
+         FROM sync_outbox WHERE uid=?`,
+      [_uid]
+    );
+    return {
+      pending:     (row && row.pending) || 0,
+      dead:        (row && row.dead) || 0,
+      oldestAt:    (row && row.oldest) || null,
+      maxAttempts: (row && row.max_attempts) || 0,
+    };
   }
 
   return {
@@ -1188,6 +2695,7 @@ const sqliteStore = (() => {
       if (_prefix !== newPrefix) {
         _prefix = newPrefix;
         _uid    = uid || '';
+        if (_role === 'leader') _sweepLegacyCollections();
         if (typeof DeltaSync !== 'undefined') {
           DeltaSync._cache = {};
           DeltaSync._dirty = new Map();
@@ -1210,7 +2718,7 @@ const sqliteStore = (() => {
     },
 
     async init() {
-      if (_sqlDB)       return _sqlDB;
+      if (_db)          return _db;
       if (_initPromise) return _initPromise;
       _initPromise = (async () => {
         try {
@@ -1219,44 +2727,41 @@ const sqliteStore = (() => {
                      !!navigator.storage &&
                      typeof navigator.storage.getDirectory === 'function';
 
-          _SQL = await _loadSqlJs();
-          const existing = await _loadBestDB();
-          _clearStmtCache();
-          _sqlDB = existing ? new _SQL.Database(existing) : new _SQL.Database();
-          _bootstrapSchema(_sqlDB);
-
-          if (existing && !_integrityCheck(_sqlDB)) {
-            console.error('[SQLite] Integrity check failed — proceeding with caution');
-          }
+          try {
+            _coord = new BroadcastChannel(SQLITE_COORD_CHANNEL);
+            _coord.addEventListener('message', _onCoordMessage);
+          } catch { _coord = null; }
 
-          if (!existing) await _dualPersist();
+          if (await _acquireLeadership()) await _becomeLeader();
+          else                            await _becomeFollower();
 
-          if (navigator.onLine) {
-            setTimeout(() => _drainOutbox().catch(() => {}), 2000);
-          }
+          document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible' && _refreshDeferred) {
+              _refreshDeferred = false;
+              _scheduleRemoteRefresh();
+            }
+            if (document.visibilityState !== 'hidden' || _role !== 'leader') return;
+            if (_persistTimer) { clearTimeout(_persistTimer); _persistTimer = null; }
+            _persistUrgency = PERSIST_LAZY_MS;
+            _dualPersist({ compactAbove: SQLITE_JOURNAL_IDLE_COMPACT_BYTES }).catch(() => {});
+          });
 
           try { _persistChannel = new BroadcastChannel('sqlite-persist-channel'); }
           catch {}
 
           window.addEventListener('online', () => {
-            _drainOutbox().catch(() => {});
             if (typeof triggerAutoSync === 'function') triggerAutoSync();
           });
 
           window.addEventListener('beforeunload', () => {
-            if (_pendingWrites > 0 && _sqlDB) {
+            if (_role === 'follower') _coordPost({ type: 'sqlite-bye', from: _tabId });
+            if (_pendingWrites > 0 && _db) {
               if (_persistTimer) { clearTimeout(_persistTimer); _persistTimer = null; }
-              try {
-                const data = _sqlDB.export();
-                _lsBlobWrite(_LS_BLOB_KEY, data).catch(() => {});
-                if (_hasOPFS) {
-                  _opfsShadowWrite(data).catch(() => {});
-                }
-              } catch {}
+              try { _db.flushOnUnload(); } catch {}
             }
           });
 
-          return _sqlDB;
+          return _db;
         } catch (e) {
           _initPromise = null;
           throw e;
@@ -1267,21 +2772,28 @@ const sqliteStore = (() => {
 
     async get(key, defaultValue = null) {
       await this.init();
-      const row = _rawGet(_fullKey(key));
+      const row = await _rawGet(_fullKey(key));
       if (!row) return defaultValue;
       try {
+        if (row.storage === 'records') {
+          const entry = await _loadRecords(_fullKey(key));
+          return entry ? _materialize(entry) : defaultValue;
+        }
+        let val;
         if (row.encrypted) {
-          const val = await _decrypt(key, row.value);
-          return val === null ? defaultValue : val;
+          val = await _decrypt(key, row.value);
+          if (val === null) return defaultValue;
+        } else {
+          try { val = JSON.parse(row.value); } catch { val = row.value; }
         }
-        try { return JSON.parse(row.value); } catch { return row.value; }
+        return val;
       } catch (e) {
         console.warn('[SQLite.get]', key, _safeErr(e));
         return defaultValue;
       }
     },
 
-    async set(key, value) {
+    async set(key, value, opts = {}) {
       await this.init();
       if (!SQLiteCrypto.isReady()) await SQLiteCrypto.restoreSessionKeyFromStorage().catch(() => {});
       const _rt = _rowType(key);
@@ -1291,6 +2803,11 @@ const sqliteStore = (() => {
         } else if (typeof value === 'object' && value !== null) {
           value = ensureRecordIntegrity(value);
         }
+        if (_isRecordArray(value)) {
+          await _storeRecords(key, value, undefined, opts.audit);
+          _schedulePersist(_persistUrgencyFor(key));
+          return;
+        }
       }
       const serialized = typeof value === 'string' ? value : JSON.stringify(value);
       const isPlain    = _PLAINTEXT_KEYS.has(key);
@@ -1306,7 +2823,8 @@ const sqliteStore = (() => {
           stored = serialized; isEncrypted = false;
         }
       }
-      _rawSet(key, stored, isEncrypted);
+      await _db.batch(_kvUpsert(key, stored, isEncrypted));
+      _changed([_fullKey(key)]);
       _schedulePersist(_persistUrgencyFor(key));
     },
 
@@ -1323,7 +2841,10 @@ const sqliteStore = (() => {
         }
         return [key, value];
       });
-      const prepared = await Promise.all(validated.map(async ([key, value]) => {
+      const recordEntries = validated.filter(([key, value]) =>
+        _rowType(key) === 'collection' && _isRecordArray(value));
+      const kvEntries = validated.filter(e => !recordEntries.includes(e));
+      const prepared = await Promise.all(kvEntries.map(async ([key, value]) => {
         const serialized = typeof value === 'string' ? value : JSON.stringify(value);
         const isPlain    = _PLAINTEXT_KEYS.has(key);
         if (isPlain) return [key, serialized, false];
@@ -1337,14 +2858,21 @@ const sqliteStore = (() => {
         const u = _persistUrgencyFor(key);
         if (u < batchUrgency) batchUrgency = u;
       }
-      _sqlDB.run('BEGIN TRANSACTION');
-      try {
-        for (const [key, stored, isEnc] of prepared) _rawSet(key, stored, isEnc);
-        _sqlDB.run('COMMIT');
-      } catch (e) {
-        try { _sqlDB.run('ROLLBACK'); } catch {}
-        throw e;
-      }
+      await _serialRecords(async () => {
+        const plans = [];
+        for (const [key, value] of recordEntries) plans.push(await _planRecords(key, value));
+        const stmts = [];
+        for (const plan of plans) stmts.push(..._recordStatements(plan));
+        for (const [key, stored, isEnc] of prepared) stmts.push(..._kvUpsert(key, stored, isEnc));
+        try {
+          await _db.batch(stmts);
+          plans.forEach(_commitRecordCache);
+          _changed(entries.map(([key]) => _fullKey(key)));
+        } catch (e) {
+          for (const plan of plans) _forgetRecords(plan.fk);
+          throw e;
+        }
+      });
       _schedulePersist(batchUrgency);
     },
 
@@ -1355,10 +2883,13 @@ const sqliteStore = (() => {
       await SQLiteCrypto.restoreSessionKeyFromStorage();
 
       for (const key of keys) {
-        const row = _rawGet(_fullKey(key));
+        const row = await _rawGet(_fullKey(key));
         if (!row) { results.set(key, null); continue; }
         try {
-          if (row.encrypted) {
+          if (row.storage === 'records') {
+            const entry = await _loadRecords(_fullKey(key));
+            results.set(key, entry ? _materialize(entry) : this.DECRYPT_FAILED);
+          } else if (row.encrypted) {
             const val = await _decrypt(key, row.value);
             if (val === null) {
               const wasEnc = typeof row.value === 'string' && row.value.startsWith('GZND_ENC_');
@@ -1390,29 +2921,54 @@ const sqliteStore = (() => {
 
     async remove(key) {
       await this.init();
-      _rawDelete(_fullKey(key));
+      await _rawDelete(_fullKey(key));
     },
 
     async clearUserData() {
       await this.init();
-      _clearStmtCache();
+      _clearRecordCache();
       if (!_uid) {
-        _sqlDB.run(`DELETE FROM kv_store WHERE row_type != 'device'`);
-        _sqlDB.run('DELETE FROM ndapp_outbox');
+        await _db.batch([
+          [`DELETE FROM kv_store WHERE row_type != 'device'`],
+          ['DELETE FROM records'],
+          ['DELETE FROM record_history'],
+          ['DELETE FROM sync_base'],
+          ['DELETE FROM sync_download'],
+          ['DELETE FROM sync_journal'],
+          ['DELETE FROM sync_outbox'],
+        ]);
       } else {
-        _sqlDB.run(`DELETE FROM kv_store WHERE uid=? AND row_type != 'device'`, [_uid]);
-        _sqlDB.run('DELETE FROM ndapp_outbox WHERE uid=?', [_uid]);
+        await _db.batch([
+          [`DELETE FROM kv_store WHERE uid=? AND row_type != 'device'`, [_uid]],
+          ['DELETE FROM records WHERE uid=?', [_uid]],
+          ['DELETE FROM record_history WHERE uid=?', [_uid]],
+          ['DELETE FROM sync_base WHERE uid=?', [_uid]],
+          ['DELETE FROM sync_download WHERE uid=?', [_uid]],
+          ['DELETE FROM sync_journal WHERE uid=?', [_uid]],
+          ['DELETE FROM sync_outbox WHERE uid=?', [_uid]],
+        ]);
       }
-      _sqlDB.run('PRAGMA wal_checkpoint(TRUNCATE)');
+      await _db.run('PRAGMA wal_checkpoint(TRUNCATE)');
+      _changed(['*']);
+      _outboxChanged(PERSIST_URGENT_MS);
       await _flushPersist();
     },
 
     async clearAll() {
       await this.init();
-      _clearStmtCache();
-      _sqlDB.run('DELETE FROM kv_store');
-      _sqlDB.run('DELETE FROM ndapp_outbox');
-      _sqlDB.run('PRAGMA wal_checkpoint(TRUNCATE)');
+      _clearRecordCache();
+      await _db.batch([
+        ['DELETE FROM kv_store'],
+        ['DELETE FROM records'],
+        ['DELETE FROM record_history'],
+        ['DELETE FROM sync_base'],
+        ['DELETE FROM sync_download'],
+        ['DELETE FROM sync_journal'],
+        ['DELETE FROM sync_outbox'],
+      ]);
+      await _db.run('PRAGMA wal_checkpoint(TRUNCATE)');
+      _changed(['*']);
+      _outboxChanged(PERSIST_URGENT_MS);
       await _flushPersist();
     },
 
@@ -1420,31 +2976,225 @@ const sqliteStore = (() => {
       await _flushPersist();
     },
 
-    query(sql, params = []) {
-      if (!_sqlDB) throw new Error('[SQLite] not initialised');
-      const out  = [];
-      const stmt = _sqlDB.prepare(sql);
-      stmt.bind(params);
-      while (stmt.step()) out.push(stmt.getAsObject());
-      stmt.free();
+    async query(sql, params = []) {
+      if (!_db) throw new Error('[SQLite] not initialised');
+      return _db.all(sql, params);
+    },
+
+    async report(key, opts = {}) {
+      await this.init();
+      if (!(await _syncReport(key))) return null;
+      const { where, params } = _reportWhere(key, opts);
+      const groups = [].concat(opts.groupBy || []);
+      const grouped = groups.map(_reportGroup);
+      const sums = opts.sum || { amount: 'amount', quantity: 'quantity' };
+      const cols = grouped.map(g => `${g.expr} AS ${g.alias}`);
+      cols.push('COUNT(*) AS count');
+      for (const [alias, spec] of Object.entries(sums)) {
+        if (!_REPORT_ALIAS.test(alias) || alias === 'count' || groups.includes(alias))
+          throw new Error('[SQLite] report: invalid sum alias ' + alias);
+        cols.push(`COALESCE(SUM(${_reportMeasure(spec)}), 0) AS ${alias}`);
+      }
+      let sql = `SELECT ${cols.join(', ')} FROM facts WHERE ${where}`;
+      if (groups.length) {
+        const by = grouped.map(g => g.expr).join(', ');
+        sql += ` GROUP BY ${by} ORDER BY ${by}`;
+      }
+      return _db.reportQuery(sql, params);
+    },
+
+    async queryRecords(key, opts = {}) {
+      await this.init();
+      if (!(await _syncReport(key))) return [];
+      const { where, params } = _reportWhere(key, opts);
+      const rows = await _db.reportQuery(`SELECT body FROM facts WHERE ${where}`, params);
+      return rows.map(r => JSON.parse(r.body));
+    },
+
+    async recordHistory(key, id) {
+      await this.init();
+      const rows = await _db.all(
+        `SELECT seq, at, actor, device_id, action, encrypted, diff FROM record_history
+         WHERE full_key = ? AND record_id = ? ORDER BY seq DESC`,
+        [_fullKey(key), String(id)]
+      );
+      const out = [];
+      for (const r of rows) {
+        let changes = null;
+        try {
+          const text = r.encrypted ? await SQLiteCrypto.decryptText(r.diff) : r.diff;
+          if (text) changes = JSON.parse(text);
+        } catch {}
+        out.push({ seq: r.seq, at: r.at, actor: r.actor, device: r.device_id, action: r.action, changes });
+      }
+      return out;
+    },
+
+    async getRecords(key, ids) {
+      await this.init();
+      const fk  = _fullKey(key);
+      const row = await _rawGet(fk);
+      if (!row || !ids || ids.length === 0) return [];
+      const want = ids.map(String);
+      if (row.storage !== 'records') {
+        const all = await this.get(key);
+        return Array.isArray(all) ? all.filter(r => r && want.includes(String(r.id))) : [];
+      }
+      const bodies = await _readRecords(fk, want);
+      return bodies ? bodies.map(b => JSON.parse(b)) : [];
+    },
+
+    async getRecord(key, id) {
+      return (await this.getRecords(key, [id]))[0] || null;
+    },
+
+    async recordVersion(key, id, seq) {
+      const version = await this.getRecord(key, id);
+      if (!version) return null;
+      for (const h of await this.recordHistory(key, id)) {
+        if (h.seq <= seq) break;
+        if (!h.changes) return null;
+        for (const [f, d] of Object.entries(h.changes)) {
+          if ('from' in d) version[f] = d.from;
+          else delete version[f];
+        }
+      }
+      return version;
+    },
+
+    async syncBases(key, ids) {
+      await this.init();
+      const want = ids ? new Set(ids.map(String)) : null;
+      const rows = await _db.all(
+        'SELECT record_id, encrypted, body FROM sync_base WHERE full_key = ?', [_fullKey(key)]);
+      const out = new Map();
+      for (const r of rows) {
+        if (want && !want.has(r.record_id)) continue;
+        try {
+          const text = r.encrypted ? await SQLiteCrypto.decryptText(r.body) : r.body;
+          if (text) out.set(r.record_id, JSON.parse(text));
+        } catch {}
+      }
+      return out;
+    },
+
+    async setSyncBases(key, records) {
+      await this.init();
+      const list = (records || []).filter(r => r && r.id);
+      if (!list.length) return;
+      const fk     = _fullKey(key);
+      const bodies = list.map(r => JSON.stringify(r));
+      const stored = await Promise.all(bodies.map(b => SQLiteCrypto.encrypt(b).catch(() => b)));
+      await _db.batch(list.map((r, i) => {
+        const enc = typeof stored[i] === 'string' && stored[i].startsWith('GZND_ENC_');
+        return [`
+          INSERT INTO sync_base (full_key, record_id, uid, encrypted, body) VALUES (?, ?, ?, ?, ?)
+          ON CONFLICT(full_key, record_id) DO UPDATE SET encrypted = excluded.encrypted, body = excluded.body
+        `, [fk, String(r.id), _uid, enc ? 1 : 0, stored[i]]];
+      }));
+      _schedulePersist(PERSIST_NORMAL_MS);
+    },
+
+    async stagedDownload(collection) {
+      await this.init();
+      const rows = await _db.all(
+        'SELECT encrypted, body FROM sync_download WHERE uid = ? AND collection = ?', [_uid, collection]);
+      const out = [];
+      for (const r of rows) {
+        try {
+          const text = r.encrypted ? await SQLiteCrypto.decryptText(r.body) : r.body;
+          if (text) out.push(JSON.parse(text));
+        } catch {}
+      }
       return out;
     },
 
+    async stageDownloadPage(collection, records, cursor) {
+      await this.init();
+      const list   = (records || []).filter(r => r && r.id);
+      const bodies = list.map(r => JSON.stringify(r));
+      const stored = await Promise.all(bodies.map(b => SQLiteCrypto.encrypt(b).catch(() => b)));
+      if (list.length) {
+        await _db.batch(list.map((r, i) => {
+          const enc = typeof stored[i] === 'string' && stored[i].startsWith('GZND_ENC_');
+          return [`
+            INSERT INTO sync_download (uid, collection, record_id, encrypted, body) VALUES (?, ?, ?, ?, ?)
+            ON CONFLICT(uid, collection, record_id) DO UPDATE SET encrypted = excluded.encrypted, body = excluded.body
+          `, [_uid, collection, String(r.id), enc ? 1 : 0, stored[i]]];
+        }));
+      }
+      await this.set(`downloadCursor_${collection}`, cursor);
+    },
+
+    async clearStagedDownload(collections) {
+      await this.init();
+      await _db.batch(collections.map(c =>
+        ['DELETE FROM sync_download WHERE uid = ? AND collection = ?', [_uid, c]]));
+      for (const c of collections) await this.remove(`downloadCursor_${c}`);
+      _schedulePersist(PERSIST_NORMAL_MS);
+    },
+
+    async search(query, opts = {}) {
+      await this.init();
+      const words = _searchWords(query);
+      if (!words.length) return [];
+      const sources = opts.sources || Object.keys(_SEARCH_SOURCES);
+      const synced  = [];
+      for (const key of sources) {
+        if (!_SEARCH_SOURCES[key]) throw new Error('[SQLite] search: unsupported source ' + key);
+        if (await _syncSearch(key)) synced.push(key);
+      }
+      if (!synced.length) return [];
+      const where  = [`search MATCH ?`, `collection IN (${synced.map(() => '?').join(', ')})`];
+      const params = [_searchMatch(words), ...synced.map(_reportKey)];
+      if (opts.kind)  { where.push('kind = ?');  params.push(opts.kind); }
+      if (opts.scope) { where.push('scope = ?'); params.push(opts.scope); }
+      const rows = await _db.reportQuery(
+        `SELECT collection, id, kind, scope, label, detail FROM search WHERE ${where.join(' AND ')}`, params);
+      const keyOf = new Map(synced.map(k => [_reportKey(k), k]));
+      const q     = String(query).trim().toLowerCase();
+      const best  = new Map();
+      const named = new Set();
+      for (const row of rows) {
+        const key      = keyOf.get(row.collection);
+        const registry = _SEARCH_REGISTRIES.has(key);
+        const name     = row.kind + '|' + row.label.toLowerCase();
+        const dedup    = registry ? name + '|' + row.id : name;
+        const score    = _searchRank(row, q, words);
+        if (registry) named.add(name);
+        const prev = best.get(dedup);
+        if (prev && prev.score >= score) continue;
+        best.set(dedup, {
+          key,
+          id:     row.id,
+          kind:   row.kind,
+          scope:  row.scope,
+          label:  row.label,
+          detail: row.detail,
+          registry,
+          score,
+        });
+      }
+      return [...best.values()]
+        .filter(r => r.registry || !named.has(r.kind + '|' + r.label.toLowerCase()))
+        .sort((a, b) => b.score - a.score || a.label.localeCompare(b.label))
+        .slice(0, opts.limit || 50);
+    },
+
     async reEncryptAll() {
-      if (!SQLiteCrypto.isReady() || !_sqlDB) return;
+      if (!SQLiteCrypto.isReady() || !_db) return;
       try {
-        const rows = _sqlDB.exec(
+        const rows = await _db.exec(
           "SELECT full_key, user_key, value, encrypted FROM kv_store WHERE encrypted=0 AND row_type IN ('collection','settings')"
         );
-        if (!rows.length || !rows[0].values.length) return;
         let updated = 0;
-        for (const [fk, uk, rawVal] of rows[0].values) {
+        for (const [fk, uk, rawVal] of (rows.length ? rows[0].values : [])) {
           if (!rawVal || typeof rawVal !== 'string') continue;
           if (rawVal.startsWith('GZND_ENC_')) continue;
           try {
             const enc = await SQLiteCrypto.encrypt(rawVal);
             if (enc !== rawVal) {
-              _sqlDB.run(
+              await _db.run(
                 'UPDATE kv_store SET value=?, encrypted=1 WHERE full_key=?',
                 [enc, fk]
               );
@@ -1452,6 +3202,57 @@ const sqliteStore = (() => {
             }
           } catch {   }
         }
+        const recRows = await _db.exec(
+          'SELECT full_key, id, body FROM records WHERE encrypted=0 AND body IS NOT NULL'
+        );
+        for (const [fk, id, body] of (recRows.length ? recRows[0].values : [])) {
+          try {
+            const enc = await SQLiteCrypto.encrypt(body);
+            if (enc !== body) {
+              await _db.run(
+                'UPDATE records SET body=?, encrypted=1 WHERE full_key=? AND id=? AND encrypted=0',
+                [enc, fk, id]
+              );
+              updated++;
+            }
+          } catch {   }
+        }
+        const histRows = await _db.exec('SELECT seq, diff FROM record_history WHERE encrypted=0');
+        for (const [seq, diff] of (histRows.length ? histRows[0].values : [])) {
+          try {
+            const enc = await SQLiteCrypto.encrypt(diff);
+            if (enc !== diff) {
+              await _db.run('UPDATE record_history SET diff=?, encrypted=1 WHERE seq=? AND encrypted=0', [enc, seq]);
+              updated++;
+            }
+          } catch {   }
+        }
+        const stageRows = await _db.exec('SELECT uid, collection, record_id, body FROM sync_download WHERE encrypted=0');
+        for (const [uid, col, id, body] of (stageRows.length ? stageRows[0].values : [])) {
+          try {
+            const enc = await SQLiteCrypto.encrypt(body);
+            if (enc !== body) {
+              await _db.run(
+                'UPDATE sync_download SET body=?, encrypted=1 WHERE uid=? AND collection=? AND record_id=? AND encrypted=0',
+                [enc, uid, col, id]
+              );
+              updated++;
+            }
+          } catch {   }
+        }
+        const baseRows = await _db.exec('SELECT full_key, record_id, body FROM sync_base WHERE encrypted=0');
+        for (const [fk, id, body] of (baseRows.length ? baseRows[0].values : [])) {
+          try {
+            const enc = await SQLiteCrypto.encrypt(body);
+            if (enc !== body) {
+              await _db.run(
+                'UPDATE sync_base SET body=?, encrypted=1 WHERE full_key=? AND record_id=? AND encrypted=0',
+                [enc, fk, id]
+              );
+              updated++;
+            }
+          } catch {   }
+        }
         if (updated > 0) {
           _schedulePersist(PERSIST_NORMAL_MS);
         }
@@ -1460,47 +3261,85 @@ const sqliteStore = (() => {
       }
     },
 
-    outboxAdd(action, collection, docId, payload) {
-      _outboxAdd(action, collection, docId, payload);
+    async outboxAdd(operation) {
+      await this.init();
+      return _outboxAdd(operation);
     },
 
-    outboxGetAll() {
-      return _outboxGetAll();
+    async outboxList(status = 'pending') {
+      await this.init();
+      return _outboxList(status);
     },
 
-    outboxAck(id) {
-      _outboxRemove(id);
+    async outboxAck(seq, key) {
+      await this.init();
+      return _outboxAck(seq, key);
     },
 
-    drainOutbox() {
-      return _drainOutbox();
+    async outboxFail(seq, key, error, dead = false) {
+      await this.init();
+      return _outboxFail(seq, key, error, dead);
     },
 
-    outboxPending() {
-      if (!_sqlDB) return 0;
-      try {
-        const r = _sqlDB.exec(
-          'SELECT COUNT(*) FROM ndapp_outbox WHERE uid=?', [_uid]
-        );
-        return (r.length && r[0].values.length) ? r[0].values[0][0] : 0;
-      } catch { return 0; }
+    async outboxRevive(seqs) {
+      await this.init();
+      return _outboxRevive(seqs);
+    },
+
+    async outboxEdit(seq, data) {
+      await this.init();
+      return _outboxEdit(seq, data);
+    },
+
+    async outboxDiscard(seqs) {
+      await this.init();
+      return _outboxDiscard(seqs);
+    },
+
+    async outboxAckKeys(keys) {
+      await this.init();
+      return _outboxAckKeys(keys);
+    },
+
+    async journalAdd(entry) {
+      await this.init();
+      return _journalAdd(entry);
+    },
+
+    async journalList(limit) {
+      if (!_db) return [];
+      try { return await _journalList(limit); }
+      catch { return []; }
+    },
+
+    async journalClear() {
+      await this.init();
+      await _db.run('DELETE FROM sync_journal WHERE uid = ?', [_uid]);
+      _schedulePersist(PERSIST_NORMAL_MS);
+    },
+
+    async outboxStats() {
+      if (!_db) return { pending: 0, dead: 0, oldestAt: null, maxAttempts: 0 };
+      try { return await _outboxStats(); }
+      catch { return { pending: 0, dead: 0, oldestAt: null, maxAttempts: 0 }; }
     },
 
-    exportDB() {
-      if (!_sqlDB) return null;
-      return _sqlDB.export();
+    async exportDB() {
+      if (!_db) return null;
+      return _db.export();
     },
 
-    exportWithMeta() {
-      if (!_sqlDB) return null;
-      const data = _sqlDB.export();
+    async exportWithMeta() {
+      if (!_db) return null;
+      const data = await _db.export();
       return {
         version:       SQLITE_SCHEMA_VERSION,
         exportedAt:    new Date().toISOString(),
         uid:           _uid,
         dbSizeBytes:   data.byteLength,
-        rowCount:      this.query('SELECT COUNT(*) as n FROM kv_store')[0]?.n || 0,
-        outboxCount:   this.outboxPending(),
+        rowCount:      (await this.query('SELECT COUNT(*) as n FROM kv_store'))[0]?.n || 0,
+        recordCount:   (await this.query('SELECT COUNT(*) as n FROM records WHERE deleted=0'))[0]?.n || 0,
+        outboxCount:   (await this.outboxStats()).pending,
         bytes:         data,
       };
     },
@@ -1508,20 +3347,64 @@ const sqliteStore = (() => {
     async importDB(bytes) {
       if (!_isValidSQLite(bytes)) throw new Error('[SQLite] importDB: invalid SQLite file');
       await this.init();
-      _clearStmtCache();
-      _sqlDB = new _SQL.Database(bytes);
-      _bootstrapSchema(_sqlDB);
-      if (!_integrityCheck(_sqlDB)) throw new Error('[SQLite] importDB: integrity check failed');
-      await _dualPersist();
+      _clearRecordCache();
+      _reportSynced.clear();
+      _searchSynced.clear();
+      await _db.replace(bytes);
+      await _bootstrapSchema(_db);
+      if (!(await _db.integrityCheck())) throw new Error('[SQLite] importDB: integrity check failed');
+      _changed(['*']);
+      await _migrateLegacyCollections();
+      _outboxDirty = true;
+      await _compactPersist();
+    },
+
+    async listSnapshots() {
+      await this.init();
+      return _listSnapshots();
+    },
+
+    async takeSnapshot(kind = 'manual') {
+      await this.init();
+      if (!/^[a-z-]+$/.test(kind)) throw new Error('[SQLite] invalid snapshot kind: ' + kind);
+      return _takeSnapshot(kind);
+    },
+
+    async snapshotSummary(name) {
+      await this.init();
+      await SQLiteCrypto.restoreSessionKeyFromStorage().catch(() => {});
+      const bytes = await _readSnapshot(name);
+      return _summarizeRows(await _db.peek(bytes, _SUMMARY_SQL, [_uid, _uid]));
+    },
+
+    async currentSummary() {
+      await this.init();
+      await SQLiteCrypto.restoreSessionKeyFromStorage().catch(() => {});
+      return _summarizeRows(await _db.all(_SUMMARY_SQL, [_uid, _uid]));
+    },
+
+    async restorePremigration() {
+      await this.init();
+      const bytes = await _readPremigrationSnapshot();
+      if (!bytes) throw new Error('[SQLite] no pre-upgrade copy to restore');
+      await _takeSnapshot('pre-restore');
+      await this.importDB(bytes);
+    },
+
+    async restoreSnapshot(name) {
+      await this.init();
+      const bytes = await _readSnapshot(name);
+      await _takeSnapshot('pre-restore');
+      await this.importDB(bytes);
     },
 
     async offlineStatus() {
       await this.init();
-      const schemaRows = _sqlDB.exec('SELECT version, upgraded_at FROM schema_version LIMIT 1');
+      const schemaRows = await _db.exec('SELECT version, upgraded_at FROM schema_version LIMIT 1');
       const schemaVer  = schemaRows.length ? schemaRows[0].values[0][0] : 0;
       const schemaAt   = schemaRows.length ? schemaRows[0].values[0][1] : 0;
 
-      const countRows  = _sqlDB.exec(
+      const countRows  = await _db.exec(
         `SELECT row_type, COUNT(*) as n FROM kv_store
          WHERE uid=? OR row_type='device' GROUP BY row_type`,
         [_uid]
@@ -1529,12 +3412,7 @@ const sqliteStore = (() => {
       const rowCounts  = {};
       if (countRows.length) countRows[0].values.forEach(([rt, n]) => { rowCounts[rt] = n; });
 
-      const outboxRows = _sqlDB.exec(
-        'SELECT COUNT(*) as n, MAX(attempts) as max_attempts FROM ndapp_outbox WHERE uid=?',
-        [_uid]
-      );
-      const outboxN    = outboxRows.length ? outboxRows[0].values[0][0] : 0;
-      const maxAttempt = outboxRows.length ? outboxRows[0].values[0][1] : 0;
+      const outbox = await _outboxStats();
 
       let quota = null;
       try {
@@ -1549,53 +3427,70 @@ const sqliteStore = (() => {
         }
       } catch {}
 
-      const dbBytes  = _sqlDB.export().byteLength;
-      const cacheHit = 0;
+      const dbBytes  = _dbBytes;
+      const cacheHit = _recordCache.size;
 
       return {
         sqlite: {
           schemaVersion:   schemaVer,
           upgradedAt:      schemaAt ? new Date(schemaAt).toISOString() : null,
           dbSizeKB:        (dbBytes / 1024).toFixed(1),
+          journalKB:       (_journalBytes / 1024).toFixed(1),
           pendingWrites:   _pendingWrites,
           lastPersistedAt: _lastPersistAt ? new Date(_lastPersistAt).toISOString() : null,
           opfsPrimary:     _hasOPFS,
+          engine:          _db.mode,
           rowsByType:      rowCounts,
           readCacheSize:   cacheHit,
+          migrations:      _migrationReport,
         },
         outbox: {
-          pendingOps:  outboxN,
-          maxAttempts: maxAttempt,
+          pendingOps:  outbox.pending,
+          failedOps:   outbox.dead,
+          oldestAt:    outbox.oldestAt ? new Date(outbox.oldestAt).toISOString() : null,
+          maxAttempts: outbox.maxAttempts,
         },
         network: {
           online:     navigator.onLine,
-          offlineQueue: typeof OfflineQueue !== 'undefined' ? OfflineQueue.queue.length      : 0,
-          failedOps:    typeof OfflineQueue !== 'undefined' ? OfflineQueue.deadLetterQueue.length : 0,
         },
         storage: quota,
       };
     },
 
-    schemaVersion() {
-      if (!_sqlDB) return null;
+    migrationReport() {
+      return _migrationReport;
+    },
+
+    async migrationHistory() {
+      if (!_db) return [];
+      try {
+        return await this.query('SELECT version, name, applied_at, duration_ms FROM schema_migrations ORDER BY version');
+      } catch { return []; }
+    },
+
+    engineMode() {
+      return _db ? _db.mode : null;
+    },
+
+    async schemaVersion() {
+      if (!_db) return null;
       try {
-        const r = _sqlDB.exec('SELECT version FROM schema_version LIMIT 1');
-        return (r.length && r[0].values.length) ? r[0].values[0][0] : 0;
+        return await _readSchemaVersion(_db);
       } catch { return 0; }
     },
 
-    walCheckpoint() {
-      if (!_sqlDB) return;
-      try { _sqlDB.run('PRAGMA wal_checkpoint(PASSIVE)'); }
+    async walCheckpoint() {
+      if (!_db) return;
+      try { await _db.run('PRAGMA wal_checkpoint(PASSIVE)'); }
       catch {}
     },
 
-    collectionStats() {
-      if (!_sqlDB) return {};
+    async collectionStats() {
+      if (!_db) return {};
       try {
-        const rows = _sqlDB.exec(
+        const rows = await _db.exec(
           `SELECT collection, COUNT(*) as n
-           FROM kv_store WHERE uid=? AND collection != ''
+           FROM records WHERE uid=? AND deleted=0
            GROUP BY collection`,
           [_uid]
         );
@@ -1612,6 +3507,122 @@ const sqliteStore = (() => {
   try { sqliteStore.init().catch(function() {}); } catch (_) {}
 })();
 
+function reportDateBounds(startDate, endDate) {
+if (!(startDate instanceof Date) || !(endDate instanceof Date) || isNaN(startDate) || isNaN(endDate)) return {};
+const DAY = 24 * 60 * 60 * 1000;
+return {
+from: new Date(startDate.getTime() - DAY).toISOString().slice(0, 10),
+to: new Date(endDate.getTime() + DAY).toISOString().slice(0, 10),
+undated: true
+};
+}
+
+function reportDayRange(startDate, endDate) {
+if (!(startDate instanceof Date) || !(endDate instanceof Date) || isNaN(startDate) || isNaN(endDate)) return {};
+const day = d => `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+return { from: day(startDate), to: day(endDate) };
+}
+
+async function cashFlowTotals(range) {
+const _one = async (key, opts) => ((await sqliteStore.report(key, { ...range, ...opts })) || [])[0] || {};
+const _rows = async (key, opts) => (await sqliteStore.report(key, { ...range, ...opts })) || [];
+const totals = {
+productionValue: 0, productionQuantity: 0,
+salesCash: 0, salesCredits: 0, soldValue: 0,
+calculatorCash: 0, calculatorIssued: 0, calculatorRecovered: 0,
+paymentsIn: 0, paymentsOut: 0, expenses: 0
+};
+const prod = await _one('mfg_pro_pkr', { where: { '$.isReturn': false }, sum: { value: '$.totalSale', quantity: '$.net' } });
+totals.productionValue = prod.value || 0;
+totals.productionQuantity = prod.quantity || 0;
+const merged = await _one('customer_sales', {
+where: { '$.isMerged': true, '$.mergedSummary': true },
+sum: { cash: '$.mergedSummary.cashSales', unpaid: '$.mergedSummary.unpaidCredit' }
+});
+totals.salesCash += merged.cash || 0;
+totals.salesCredits += merged.unpaid || 0;
+totals.soldValue += (merged.cash || 0) + (merged.unpaid || 0);
+const saleGroups = { groupBy: ['paymentType', '$.creditReceived', 'rep'], sum: { value: '$.totalValue', open: { minus: ['$.totalValue', '$.partialPaymentReceived'], floor: 0 } } };
+const sales = (await _rows('customer_sales', { ...saleGroups, where: { '$.isMerged': false } }))
+.concat(await _rows('customer_sales', { ...saleGroups, where: { '$.isMerged': true, '$.mergedSummary': false } }));
+for (const g of sales) {
+const received = !!g['$.creditReceived'];
+const isRepLinked = g.rep && g.rep !== 'NONE';
+if (g.paymentType === 'CREDIT' && !received) {
+totals.salesCredits += g.open;
+totals.soldValue += g.value;
+} else if (isRepLinked) {
+totals.soldValue += g.value;
+if (!received) totals.salesCredits += g.value;
+} else if (g.paymentType === 'CASH' || received) {
+totals.salesCash += g.value;
+totals.soldValue += g.value;
+} else if (g.paymentType === 'COLLECTION' || g.paymentType === 'PARTIAL_PAYMENT') {
+totals.salesCash += g.value;
+totals.salesCredits -= g.value;
+}
+}
+const calc = await _one('noman_history', { sum: { cash: '$.received', issued: '$.creditValue', recovered: '$.prevColl' } });
+totals.calculatorCash = calc.cash || 0;
+totals.calculatorIssued = calc.issued || 0;
+totals.calculatorRecovered = calc.recovered || 0;
+const payments = await _rows('payment_transactions', { groupBy: ['$.type', '$.isPayable', '$.isExpense', '$.category'], sum: { amount: '$.amount' } });
+for (const g of payments) {
+if (g['$.isPayable'] && g['$.type'] === 'IN') continue;
+if (g['$.type'] === 'IN') totals.paymentsIn += g.amount;
+else if (g['$.type'] === 'OUT' && g['$.isExpense'] && g['$.category'] === 'operating') totals.expenses += g.amount;
+else if (g['$.type'] === 'OUT' && !g['$.isExpense']) totals.paymentsOut += g.amount;
+}
+const mergedExpenses = await _one('expenses', { where: { '$.isMerged': true, '$.category': 'operating' }, sum: { amount: '$.amount' } });
+totals.expenses += mergedExpenses.amount || 0;
+const factoryCosts = await _one('factory_production_history', { where: { '$.isMerged': false }, sum: { cost: '$.additionalCost' } });
+totals.expenses += factoryCosts.cost || 0;
+return totals;
+}
+
+function customerNameKey(name) {
+return typeof name === 'string' ? name.trim().toLowerCase() : '';
+}
+
+function customerRefKey(record) {
+if (record && record.customerId) return 'id:' + record.customerId;
+return 'name:' + customerNameKey(record && record.customerName);
+}
+
+function recordBelongsToCustomer(record, customer) {
+if (!record || !customer) return false;
+if (record.customerId && customer.id) return String(record.customerId) === String(customer.id);
+const key = customerNameKey(record.customerName);
+return !!key && key === customerNameKey(customer.name);
+}
+
+function customersNamed(registry, name, opts = {}) {
+const key = customerNameKey(name);
+if (!key) return [];
+const matches = ensureArray(registry).filter(c => c && c.id && customerNameKey(c.name) === key);
+if (opts.salesRep === undefined) return matches;
+const own = matches.filter(c => c.salesRep === opts.salesRep);
+return own.length ? own : matches.filter(c => !c.salesRep);
+}
+
+function findCustomerByRef(registry, ref, opts = {}) {
+if (ref === null || ref === undefined || ref === '') return null;
+const byId = ensureArray(registry).find(c => c && c.id && String(c.id) === String(ref));
+if (byId) return byId;
+const matches = customersNamed(registry, ref, opts);
+return matches.length === 1 ? matches[0] : null;
+}
+
+function resolveCustomerInput(registry, name, input, opts = {}) {
+const pickedId = input ? input.getAttribute('data-entity-id') : null;
+if (pickedId) {
+const picked = ensureArray(registry).find(c => c && String(c.id) === pickedId);
+if (picked && customerNameKey(picked.name) === customerNameKey(name)) return { customer: picked, ambiguous: false };
+}
+const matches = customersNamed(registry, name, opts);
+return { customer: matches.length === 1 ? matches[0] : null, ambiguous: matches.length > 1 };
+}
+
 function ensureArray(value) {
 if (Array.isArray(value)) {
 return value;
@@ -1803,8 +3814,7 @@ async function _recoverDeviceIdByFingerprint() {
 if (!firebaseDB || !currentUser) return null;
 try {
 const fp = await getDeviceFingerprint();
-const snap = await firebaseDB
-.collection('users').doc(currentUser.uid)
+const snap = await Organisation.rootRef()
 .collection('devices')
 .where('fingerprint.stableHash', '==', fp.stableHash)
 .limit(1)
@@ -1826,8 +3836,7 @@ const installToken = _readCookie(INSTALL_TOKEN_COOKIE)
 || _readSession('gz_itk_session')
 || null;
 if (!installToken) return null;
-const snap = await firebaseDB
-.collection('users').doc(currentUser.uid)
+const snap = await Organisation.rootRef()
 .collection('devices')
 .where('installationToken', '==', installToken)
 .limit(1)
@@ -2007,7 +4016,7 @@ const deviceName = fp.readableName;
 try { await sqliteStore.set('device_name', deviceName); } catch(e) {
 console.warn('Failed to save data locally.', _safeErr(e));
 }
-const userRef = firebaseDB.collection('users').doc(currentUser.uid);
+const userRef = Organisation.rootRef();
 try {
 const dupSnap = await userRef.collection('devices')
 .where('fingerprint.stableHash', '==', fp.stableHash)
@@ -2077,6 +4086,7 @@ try {
   if (_sqliteTs && Number(_sqliteTs) > _persistedModeTs) _persistedModeTs = Number(_sqliteTs);
 } catch(_) {}
 
+const _clockSentAt = Date.now();
 await deviceRef.set({
 deviceId: deviceId,
 deviceShard: deviceShard,
@@ -2125,8 +4135,14 @@ supportsBiometric: false,
 supportsNotifications: 'Notification' in window
 },
 lastSyncTimestamp: existing.lastSyncTimestamp || null,
+tombstoneAck: await TombstoneGC.acked(),
 dataUsage: existing.dataUsage || { reads: 0, writes: 0, deletes: 0 }
 }, { merge: true });
+const _clockReceivedAt = Date.now();
+deviceRef.get({ source: 'server' }).then(snap => {
+  const seen = snap.get('lastSeen');
+  if (seen && typeof seen.toMillis === 'function') HybridClock.calibrate(seen.toMillis(), _clockSentAt, _clockReceivedAt);
+}).catch(e => console.warn('[HLC] clock calibration skipped', _safeErr(e)));
 const accountInfoRef = userRef.collection('account').doc('info');
 await accountInfoRef.set({
 email: currentUser.email || 'unknown@example.com',
@@ -2171,6 +4187,7 @@ assignedRoleName: _isRepMode ? (currentRepProfile || null) : (_isUserRole || _is
 assignedRep: _isRepMode ? (currentRepProfile || null) : null,
 assignedManager: (_isUserRole || _isMgrMode) ? (window._assignedManagerName || null) : null,
 assignedUserTabs: _isUserRole ? (window._assignedUserTabs || []) : null,
+tombstoneAck: await TombstoneGC.acked(),
 });
 } catch (error) {
 console.warn('Heartbeat update failed.', _safeErr(error));
@@ -2197,7 +4214,7 @@ return;
 }
 try {
 const deviceId = await getDeviceId();
-const userRef = firebaseDB.collection('users').doc(currentUser.uid);
+const userRef = Organisation.rootRef();
 const activityRef = userRef.collection('activityLog').doc();
 await activityRef.set({
 timestamp: firebase.firestore.FieldValue.serverTimestamp(),
@@ -2449,10 +4466,113 @@ window.initUUIDSalts      = initUUIDSalts;
 window.deriveDeviceShard  = _deriveDeviceShard;
 window._creatorBadgeHtml  = _creatorBadgeHtml;
 window._mergedBadgeHtml   = _mergedBadgeHtml;
+const HybridClock = (() => {
+  const LS_KEY       = '_gznd_hlc';
+  const MAX_DRIFT_MS = 5 * 60 * 1000;
+  const MAX_RTT_MS   = 10 * 1000;
+  let _l = 0, _c = 0, _offset = 0, _epoch = 0;
+
+  try {
+    const saved = JSON.parse(localStorage.getItem(LS_KEY) || 'null');
+    if (saved) { _l = saved.l || 0; _c = saved.c || 0; _offset = saved.offset || 0; _epoch = saved.epoch || 0; }
+  } catch {}
+  if (!_epoch) _epoch = Date.now();
+
+  function _persist() {
+    try { localStorage.setItem(LS_KEY, JSON.stringify({ l: _l, c: _c, offset: _offset, epoch: _epoch })); } catch {}
+  }
+
+  function _wall() {
+    return Date.now() + _offset;
+  }
+
+  function _encode(l, c) {
+    return l.toString(36).padStart(9, '0') + '.' + c.toString(36).padStart(4, '0') + '.' + (_cachedDeviceShard || '0000');
+  }
+
+  function parse(hlc) {
+    if (typeof hlc !== 'string') return null;
+    const [l, c, node] = hlc.split('.');
+    const lMs = parseInt(l, 36), cNum = parseInt(c, 36);
+    if (!isFinite(lMs) || !isFinite(cNum)) return null;
+    return { l: lMs, c: cNum, node: node || '' };
+  }
+
+  function now() {
+    const w = _wall();
+    if (w > _l) { _l = w; _c = 0; } else { _c++; }
+    _persist();
+    return _encode(_l, _c);
+  }
+
+  function receive(hlc) {
+    const r = parse(hlc);
+    if (!r) return;
+    const w = _wall();
+    if (r.l > w + MAX_DRIFT_MS) return;
+    const l = Math.max(_l, r.l, w);
+    if (l === _l && l === r.l) _c = Math.max(_c, r.c) + 1;
+    else if (l === _l) _c++;
+    else if (l === r.l) _c = r.c + 1;
+    else _c = 0;
+    _l = l;
+    _persist();
+  }
+
+  function calibrate(serverMs, sentMs, receivedMs) {
+    if (!serverMs || receivedMs - sentMs > MAX_RTT_MS) return;
+    _offset = Math.round(serverMs - (sentMs + receivedMs) / 2);
+    _persist();
+  }
+
+  function _serverMs(ts) {
+    if (!ts || typeof ts !== 'object') return 0;
+    if (typeof ts.toMillis === 'function') return ts.toMillis();
+    if (typeof ts.seconds === 'number') return ts.seconds * 1000;
+    if (typeof ts._seconds === 'number') return ts._seconds * 1000;
+    return 0;
+  }
+
+  function _effective(record) {
+    const h = parse(record.hlc);
+    const server = _serverMs(record.updatedAt);
+    if (server && h.l > server + MAX_DRIFT_MS) return { l: server, c: 0, node: h.node };
+    return h;
+  }
+
+  function compare(a, b) {
+    const ha = _effective(a), hb = _effective(b);
+    if (ha.l !== hb.l) return ha.l - hb.l;
+    if (ha.c !== hb.c) return ha.c - hb.c;
+    return ha.node === hb.node ? 0 : (ha.node > hb.node ? 1 : -1);
+  }
+
+  function comparable(a, b) {
+    return !!(a && b && parse(a.hlc) && parse(b.hlc));
+  }
+
+  function stamp(record) {
+    if (record && typeof record === 'object') record.hlc = now();
+    return record;
+  }
+
+  function touch(record) {
+    if (!record || typeof record !== 'object' || typeof record.updatedAt !== 'number') return record;
+    const h = parse(record.hlc);
+    const stampedAt = h ? h.l - _offset : _epoch;
+    if (record.updatedAt > stampedAt) stamp(record);
+    return record;
+  }
+
+  return { now, receive, calibrate, parse, compare, comparable, stamp, touch };
+})();
+window.HybridClock = HybridClock;
+
 function compareRecordVersions(a, b) {
   if (!a && !b) return 0;
   if (!a) return -1;
   if (!b) return 1;
+  if (HybridClock.comparable(a, b)) return HybridClock.compare(a, b);
   const metaA = (a.id && typeof extractUUIDMeta === 'function') ? extractUUIDMeta(a.id) : null;
   const metaB = (b.id && typeof extractUUIDMeta === 'function') ? extractUUIDMeta(b.id) : null;
   const aIsV2 = metaA && metaA.isEnriched && metaA.version === 2;
@@ -2531,6 +4651,7 @@ return 0;
 function resolveConflict(local, remote) {
 if (!local) return remote;
 if (!remote) return local;
+if (HybridClock.comparable(local, remote)) return HybridClock.compare(local, remote) >= 0 ? local : remote;
 const localTime = getRecordTimestamp(local);
 const remoteTime = getRecordTimestamp(remote);
 return localTime >= remoteTime ? local : remote;
@@ -2603,7 +4724,7 @@ return record;
 }
 
 async function cleanupOldTombstones() {
-const ninetyDaysAgo = Date.now() - APP_CONFIG.TOMBSTONE_EXPIRY_MS;
+const purgeBefore = await TombstoneGC.cutoff();
 const dataTypes = [
 'expenses',
 'mfg_pro_pkr',
@@ -2625,7 +4746,7 @@ if (!record.deletedAt && !record.tombstoned_at) {
 return true;
 }
 const deletionTime = record.deletedAt || record.tombstoned_at;
-if (validateTimestamp(deletionTime) && deletionTime > ninetyDaysAgo) {
+if (validateTimestamp(deletionTime) && deletionTime > purgeBefore) {
 return true;
 }
 return false;
@@ -0,0 +1,317 @@
+const CloudCipher = (() => {
+  const PREFIX       = 'E2E1:';
+  const STATE_KEY    = 'e2e_state';
+  const KEY_KEY      = 'e2e_key';
+  const IV_LEN       = 12;
+  const PBKDF2_ITERS = 210000;
+  const KEY_DB       = 'naswar_sw_keys';
+  const KEY_STORE    = 'keys';
+  const APP_KEY      = 'app:';
+  const DOC_COLLECTIONS = ['settings', 'factorySettings', 'expenseCategories', 'appStores', 'personPhotos', 'deletions'];
+  const PLAIN_FIELDS = [
+    'id', 'createdAt', 'updatedAt', 'deletedAt', 'expiresAt',
+    'collection', 'recordType', 'recordId', 'isMerged', '_placeholder', 'updatedBy',
+  ];
+  let _keyring = null;
+  let _key     = null;
+  let _unpublished = false;
+
+  const _hex   = bytes => Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+  const _unhex = hex => new Uint8Array(String(hex).match(/.{2}/g).map(h => parseInt(h, 16)));
+
+  function sealedCollections() {
+    const packs = typeof PackedLayout !== 'undefined' ? PackedLayout.collections() : [];
+    return Object.keys(FirestoreToSQLiteMap).concat(packs, DOC_COLLECTIONS);
+  }
+
+  function plainFields() {
+    const owners = typeof SYNC_OWNER_FIELDS !== 'undefined' ? Object.values(SYNC_OWNER_FIELDS) : [];
+    return Array.from(new Set(PLAIN_FIELDS.concat(owners)));
+  }
+
+  function _isFieldValue(v) {
+    if (!v || typeof v !== 'object') return false;
+    if (v.$serverTime === true || v.$delete === true) return true;
+    return typeof firebase !== 'undefined' && !!firebase.firestore
+      && (v instanceof firebase.firestore.FieldValue || v instanceof firebase.firestore.Timestamp);
+  }
+
+  function _undecryptable(collection, id) {
+    const err = new Error(`Cloud record ${collection}/${id} could not be decrypted. Download paused until it is repaired.`);
+    err.code = 'e2e-undecryptable';
+    return err;
+  }
+
+  function _keyDb() {
+    return new Promise((resolve, reject) => {
+      const req = indexedDB.open(KEY_DB, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore(KEY_STORE);
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  // The app key (encrypt + decrypt) and the background-sync key (encrypt only)
+  // are kept as non-extractable CryptoKeys; the raw key never leaves WebCrypto.
+  async function _keep(kid, key, sealKey) {
+    const db = await _keyDb();
+    try {
+      await new Promise((resolve, reject) => {
+        const tx = db.transaction(KEY_STORE, 'readwrite');
+        const store = tx.objectStore(KEY_STORE);
+        store.clear();
+        if (key) store.put(key, APP_KEY + kid);
+        if (sealKey) store.put(sealKey, kid);
+        tx.oncomplete = resolve;
+        tx.onerror = () => reject(tx.error);
+      });
+    } finally {
+      db.close();
+    }
+  }
+
+  async function _kept(kid) {
+    const db = await _keyDb();
+    try {
+      return await new Promise((resolve, reject) => {
+        const req = db.transaction(KEY_STORE, 'readonly').objectStore(KEY_STORE).get(APP_KEY + kid);
+        req.onsuccess = () => resolve(req.result || null);
+        req.onerror = () => reject(req.error);
+      });
+    } finally {
+      db.close();
+    }
+  }
+
+  function _locked() {
+    const err = new Error('Cloud data is end-to-end encrypted. Unlock it with the sync passphrase on this device.');
+    err.code = 'e2e-locked';
+    return err;
+  }
+
+  async function _deriveKek(passphrase, salt, iterations, bind) {
+    const material = await crypto.subtle.importKey(
+      'raw', new TextEncoder().encode(`${passphrase}:${bind}`), 'PBKDF2', false, ['deriveKey']
+    );
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt, iterations, hash: 'SHA-512' },
+      material, { name: 'AES-KW', length: 256 }, false, ['wrapKey', 'unwrapKey']
+    );
+  }
+
+  function _unwrap(keyring, kek, usages) {
+    return crypto.subtle.unwrapKey(
+      'raw', _unhex(keyring.wrappedKey), kek, 'AES-KW', { name: 'AES-GCM', length: 256 }, false, usages
+    );
+  }
+
+  async function _adopt(keyring, key, sealKey) {
+    _keyring = keyring;
+    _key     = key;
+    _unpublished = false;
+    await sqliteStore.set(STATE_KEY, { keyring });
+    try {
+      await _keep(keyring.kid, key, sealKey);
+    } catch (e) {
+      console.warn('[CloudCipher] Could not keep the key on this device; the passphrase will be asked again after a reload', _safeErr(e));
+    }
+  }
+
+  async function _encryptValue(value, aad) {
+    const iv = crypto.getRandomValues(new Uint8Array(IV_LEN));
+    const ct = new Uint8Array(await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(aad) },
+      _key, new TextEncoder().encode(JSON.stringify(value))
+    ));
+    const out = new Uint8Array(IV_LEN + ct.length);
+    out.set(iv, 0);
+    out.set(ct, IV_LEN);
+    let binary = '';
+    out.forEach(b => { binary += String.fromCharCode(b); });
+    return PREFIX + btoa(binary);
+  }
+
+  async function _decryptValue(text, aad) {
+    const binary = atob(text.slice(PREFIX.length));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    const plain = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: bytes.slice(0, IV_LEN), additionalData: new TextEncoder().encode(aad) },
+      _key, bytes.slice(IV_LEN)
+    );
+    return JSON.parse(new TextDecoder().decode(plain));
+  }
+
+  async function seal(collection, id, data) {
+    if (!_keyring || !data || typeof data !== 'object' || !sealedCollections().includes(collection)) return data;
+    if (!_key) throw _locked();
+    const plain = plainFields();
+    const out = {};
+    for (const [field, value] of Object.entries(data)) {
+      out[field] = value === undefined || plain.includes(field) || _isFieldValue(value)
+        ? value
+        : await _encryptValue(value, `${collection}/${id}/${field}`);
+    }
+    return out;
+  }
+
+  async function open(collection, id, record) {
+    if (!record || typeof record !== 'object') return record;
+    const fields = Object.keys(record).filter(f => typeof record[f] === 'string' && record[f].startsWith(PREFIX));
+    if (fields.length === 0) return record;
+    if (!_key) throw _locked();
+    const out = { ...record };
+    try {
+      for (const f of fields) out[f] = await _decryptValue(record[f], `${collection}/${id}/${f}`);
+    } catch (e) {
+      console.warn(`[CloudCipher] Could not decrypt ${collection}/${id}`, _safeErr(e));
+      throw _undecryptable(collection, id);
+    }
+    return out;
+  }
+
+  function wrap(backend) {
+    return {
+      ...backend,
+
+      async put(collection, id, data, opts) {
+        return backend.put(collection, id, await seal(collection, id, data), opts);
+      },
+
+      async get(collection, id) {
+        return open(collection, id, await backend.get(collection, id));
+      },
+
+      async query(collection, opts) {
+        const res = await backend.query(collection, opts);
+        const records = [];
+        for (const r of res.records) records.push(await open(collection, r.id, r));
+        return { ...res, records };
+      },
+
+      batch(opts) {
+        const inner = backend.batch(opts);
+        const pending = [];
+        const queue = (p) => { p.catch(() => {}); pending.push(p); };
+        return {
+          put(collection, id, data, opts) {
+            queue(seal(collection, id, data).then(sealed => () => inner.put(collection, id, sealed, opts)));
+          },
+          remove(collection, id) {
+            queue(Promise.resolve(() => inner.remove(collection, id)));
+          },
+          get size() { return pending.length; },
+          async commit() {
+            (await Promise.all(pending)).forEach(apply => apply());
+            return inner.commit();
+          },
+        };
+      },
+    };
+  }
+
+  async function load(backend) {
+    _key = null;
+    _unpublished = false;
+    try {
+      const state = (await sqliteStore.get(STATE_KEY)) || {};
+      _keyring = state.keyring || null;
+    } catch (e) {
+      console.warn('[CloudCipher] Could not read keyring state', _safeErr(e));
+    }
+    try {
+      if (backend.ready()) {
+        const remote = await backend.get('keyring', 'cloud');
+        if (remote && remote.kid) {
+          _keyring = remote;
+          await sqliteStore.set(STATE_KEY, { keyring: remote });
+        } else if (_keyring) {
+          _unpublished = true;
+        }
+      }
+    } catch (e) {
+      console.warn('[CloudCipher] Could not refresh keyring', _safeErr(e));
+    }
+    try {
+      if (_keyring) _key = await _kept(_keyring.kid);
+      const legacy = await sqliteStore.get(KEY_KEY);
+      if (legacy) {
+        if (!_key && _keyring && legacy.kid === _keyring.kid && legacy.raw) {
+          const raw = _unhex(legacy.raw);
+          await _adopt(_keyring,
+            await crypto.subtle.importKey('raw', raw, 'AES-GCM', false, ['encrypt', 'decrypt']),
+            await crypto.subtle.importKey('raw', raw, 'AES-GCM', false, ['encrypt']));
+        }
+        await sqliteStore.remove(KEY_KEY);
+      }
+    } catch (e) {
+      console.warn('[CloudCipher] Could not restore cloud key', _safeErr(e));
+    }
+    return status();
+  }
+
+  async function publish(backend) {
+    if (!_keyring) throw new Error('Encryption is not enabled for this account');
+    const remote = await backend.get('keyring', 'cloud');
+    if (remote && remote.kid) throw new Error('This backend already holds an encryption keyring');
+    _keyring = { ..._keyring, bind: _keyring.bind || currentUser.uid };
+    await backend.put('keyring', 'cloud', _keyring, { merge: false });
+    await sqliteStore.set(STATE_KEY, { keyring: _keyring });
+    _unpublished = false;
+  }
+
+  async function enable(backend, passphrase) {
+    const remote = await backend.get('keyring', 'cloud');
+    if (_keyring || (remote && remote.kid)) throw new Error('Encryption is already enabled for this account');
+    const key  = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const bind = Organisation.dataKey();
+    const kek  = await _deriveKek(passphrase, salt, PBKDF2_ITERS, bind);
+    const keyring = {
+      kid:        _hex(crypto.getRandomValues(new Uint8Array(8))),
+      salt:       _hex(salt),
+      iterations: PBKDF2_ITERS,
+      bind,
+      wrappedKey: _hex(new Uint8Array(await crypto.subtle.wrapKey('raw', key, kek, 'AES-KW'))),
+      createdAt:  Date.now(),
+    };
+    await backend.put('keyring', 'cloud', keyring, { merge: false });
+    await _adopt(keyring, await _unwrap(keyring, kek, ['encrypt', 'decrypt']), await _unwrap(keyring, kek, ['encrypt']));
+  }
+
+  async function unlock(backend, passphrase) {
+    const keyring = (await backend.get('keyring', 'cloud')) || _keyring;
+    if (!keyring || !keyring.kid) throw new Error('Encryption is not enabled for this account');
+    const kek = await _deriveKek(
+      passphrase, _unhex(keyring.salt), keyring.iterations || PBKDF2_ITERS, keyring.bind || currentUser.uid
+    );
+    let key, sealKey;
+    try {
+      key     = await _unwrap(keyring, kek, ['encrypt', 'decrypt']);
+      sealKey = await _unwrap(keyring, kek, ['encrypt']);
+    } catch (e) {
+      throw new Error('Wrong passphrase');
+    }
+    await _adopt(keyring, key, sealKey);
+  }
+
+  async function forget() {
+    _key = null;
+    await sqliteStore.remove(KEY_KEY);
+    await _keep(null, null, null);
+  }
+
+  function status() {
+    return { enabled: !!_keyring, unlocked: !!_key, unpublished: _unpublished };
+  }
+
+  function swTarget() {
+    if (!_keyring) return null;
+    return _key
+      ? { kid: _keyring.kid, keyStore: KEY_DB, collections: sealedCollections(), plain: plainFields() }
+      : { locked: true, collections: sealedCollections() };
+  }
+
+  return { wrap, seal, open, load, publish, enable, unlock, forget, status, swTarget };
+})();
+window.CloudCipher = CloudCipher;
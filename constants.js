@@ -12,11 +12,14 @@ const APP_CONFIG = Object.freeze({
   FIREBASE_INIT_RETRY_MAX:   5,
   FIREBASE_INIT_RETRY_DELAY: 2000,
   SYNC_RETRY_DELAY_MS:       2000,
+  DOWNLOAD_PAGE_SIZE:        250,
+  PACK_FLUSH_DELAY_MS:       60 * 1000,
   HEARTBEAT_INTERVAL_MS:     300000,
   TOMBSTONE_CLEANUP_INTERVAL_MS: 24 * 60 * 60 * 1000,
   OFFLINE_MAX_RETRIES:       10,
   OFFLINE_RETRY_DELAY_MS:    2000,
   OFFLINE_MAX_BACKOFF_MS:    30000,
+  SYNC_GROUP_MAX_WRITES:     500,
   VISIBILITY_SYNC_COOLDOWN_MS: 5 * 60 * 1000,
   MIN_LISTENER_RECONNECT_MS:   30 * 1000,
 });
@@ -18,8 +18,9 @@ const repSales = ensureArray(await sqliteStore.get('rep_sales'));
 const salesCustomers = ensureArray(await sqliteStore.get('sales_customers'));
 const repCustomers = ensureArray(await sqliteStore.get('rep_customers'));
 if (!name) return;
+const statsCustomer = resolveCustomerInput(salesCustomers, name, document.getElementById('cust-name')).customer || { id: null, name };
 const sales = customerSales.filter(s =>
-s && s.currentRepProfile === 'admin' && s.customerName && s.customerName.toLowerCase() === name.toLowerCase()
+s && s.currentRepProfile === 'admin' && recordBelongsToCustomer(s, statsCustomer)
 );
 if (sales.length === 0) {
 document.getElementById('customer-info-display').classList.add('hidden');
@@ -108,44 +109,46 @@ const name = sale.customerName;
 if (!name || name.trim() === '') continue;
 if (sale.currentRepProfile !== 'admin') continue;
 const isRepLinked = sale.salesRep && sale.salesRep !== 'NONE';
-if (!customerStats[name]) {
-customerStats[name] = { name: name, credit: 0, quantity: 0, lastSaleDate: 0 };
+const ref = customerRefKey(sale);
+if (!customerStats[ref]) {
+const contact = sale.customerId ? salesCustomers.find(c => c && String(c.id) === String(sale.customerId)) : null;
+customerStats[ref] = { id: contact ? contact.id : (sale.customerId || null), name: contact ? contact.name : name, credit: 0, quantity: 0, lastSaleDate: 0 };
 }
-customerStats[name].quantity += (sale.quantity || 0);
+customerStats[ref].quantity += (sale.quantity || 0);
 if (sale.transactionType === 'OLD_DEBT' && !sale.creditReceived) {
 const partialPaid = sale.partialPaymentReceived || 0;
-customerStats[name].credit += (await getSaleTransactionValue(sale) - partialPaid);
+customerStats[ref].credit += (await getSaleTransactionValue(sale) - partialPaid);
 } else if (sale.paymentType === 'CREDIT' && !sale.creditReceived) {
 
 if (sale.isMerged && typeof sale.creditValue === 'number') {
-customerStats[name].credit += sale.creditValue;
+customerStats[ref].credit += sale.creditValue;
 } else {
 const partialPaid = sale.partialPaymentReceived || 0;
-customerStats[name].credit += (await getSaleTransactionValue(sale) - partialPaid);
+customerStats[ref].credit += (await getSaleTransactionValue(sale) - partialPaid);
 }
 } else if (isRepLinked) {
 if (sale.paymentType === 'CREDIT' && !sale.creditReceived) {
 const partialPaid = sale.partialPaymentReceived || 0;
-customerStats[name].credit += (await getSaleTransactionValue(sale) - partialPaid);
+customerStats[ref].credit += (await getSaleTransactionValue(sale) - partialPaid);
 } else if (sale.paymentType === 'COLLECTION') {
-customerStats[name].credit -= (sale.totalValue || 0);
+customerStats[ref].credit -= (sale.totalValue || 0);
 } else if (sale.paymentType === 'PARTIAL_PAYMENT') {
-customerStats[name].credit -= (sale.totalValue || 0);
+customerStats[ref].credit -= (sale.totalValue || 0);
 }
 } else {
 
 if (sale.paymentType === 'COLLECTION') {
-customerStats[name].credit -= (sale.totalValue || 0);
+customerStats[ref].credit -= (sale.totalValue || 0);
 } else if (sale.paymentType === 'PARTIAL_PAYMENT') {
-customerStats[name].credit -= (sale.totalValue || 0);
+customerStats[ref].credit -= (sale.totalValue || 0);
 }
 }
-if (customerStats[name].credit < 0) customerStats[name].credit = 0;
+if (customerStats[ref].credit < 0) customerStats[ref].credit = 0;
 const saleDate = sale.date;
 if (saleDate) {
 const timestamp = new Date(saleDate).getTime();
-if (!isNaN(timestamp) && timestamp > customerStats[name].lastSaleDate) {
-customerStats[name].lastSaleDate = timestamp;
+if (!isNaN(timestamp) && timestamp > customerStats[ref].lastSaleDate) {
+customerStats[ref].lastSaleDate = timestamp;
 }
 }
 }
@@ -156,13 +159,13 @@ if (b.credit !== a.credit) return b.credit - a.credit;
 return b.lastSaleDate - a.lastSaleDate;
 });
 if (Array.isArray(salesCustomers)) {
-const statsNames = new Set(sortedCustomers.map(c => c.name.toLowerCase()));
+const statsIds = new Set(sortedCustomers.map(c => c.id).filter(Boolean));
+const statsNames = new Set(sortedCustomers.filter(c => !c.id).map(c => customerNameKey(c.name)));
 salesCustomers.forEach(sc => {
-if (!sc || !sc.name || !sc.name.trim()) return;
-const lcName = sc.name.toLowerCase();
-if (statsNames.has(lcName)) return;
-sortedCustomers.push({ name: sc.name, credit: 0, quantity: 0, lastSaleDate: 0 });
-statsNames.add(lcName);
+if (!sc || !sc.name || !sc.name.trim() || statsIds.has(sc.id)) return;
+if (statsNames.has(customerNameKey(sc.name)) && customersNamed(salesCustomers, sc.name).length === 1) return;
+sortedCustomers.push({ id: sc.id, name: sc.name, credit: 0, quantity: 0, lastSaleDate: 0 });
+statsIds.add(sc.id);
 });
 }
 if (filterValue) {
@@ -187,10 +190,9 @@ try {
 const displayDate = (c.lastSaleDate && !isNaN(c.lastSaleDate)) ? formatDisplayDate(new Date(c.lastSaleDate)) : '-';
 let phone = '-';
 try {
-const contact = salesCustomers.find(ct => ct && ct.name && c && c.name && ct.name.toLowerCase() === c.name.toLowerCase());
+const contact = findCustomerByRef(salesCustomers, c.id || c.name);
 const customerSaleData = customerSales.find(s =>
-s && s.customerName && c && c.name &&
-s.customerName === c.name &&
+s && recordBelongsToCustomer(s, c) &&
 s.customerPhone
 );
 phone = contact?.phone || customerSaleData?.customerPhone || '-';
@@ -201,7 +203,7 @@ const creditStyle = c.credit > 0 ? 'color:var(--warning); font-weight:700;' : 'c
 const row = document.createElement('tr');
 row.style.borderBottom = '1px solid var(--glass-border)';
 const safeName = esc(c.name || 'Unknown');
-const safeNameForAttr = (c.name || '').replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+const safeNameForAttr = (c.id || c.name || '').replace(/\\/g, '\\\\').replace(/'/g, "\\'");
 row.innerHTML = `
 <td class="u-table-td">${displayDate}</td>
 <td style="padding: 8px 2px; font-size: 0.8rem; color: var(--accent); font-weight: 600; cursor:pointer;" onclick="event.stopPropagation(); openCustomerManagement('${safeNameForAttr}')">${safeName}</td>
@@ -225,19 +227,36 @@ _setCustH('customers-total-quantity', safeNumber(totalGlobalQty, 0).toFixed(2) +
 }
 
 let currentManagingCustomer = null;
+let currentManagingCustomerId = null;
 let currentManagingRepCustomer = null;
-async function openCustomerManagement(customerName) {
-currentManagingCustomer = customerName;
+let currentManagingRepCustomerId = null;
+
+function _managedCustomerRef(name, registry) {
+if (currentManagingCustomerId && name === currentManagingCustomer) return { id: currentManagingCustomerId, name };
+return findCustomerByRef(registry, name) || { id: null, name };
+}
+
+function _managedRepCustomerRef(name, registry) {
+if (currentManagingRepCustomerId && name === currentManagingRepCustomer) return { id: currentManagingRepCustomerId, name };
+return findCustomerByRef(registry, name, { salesRep: currentRepProfile }) || { id: null, name };
+}
+
+async function openCustomerManagement(customerRef) {
+const salesCustomers = ensureArray(await sqliteStore.get('sales_customers'));
+const contact = findCustomerByRef(salesCustomers, customerRef);
+currentManagingCustomer = contact ? contact.name : customerRef;
+currentManagingCustomerId = contact ? contact.id : null;
 const _setMCT = (id, val) => { const el = document.getElementById(id); if (el) el.innerText = val; };
-_setMCT('manageCustomerTitle', customerName);
+_setMCT('manageCustomerTitle', currentManagingCustomer);
 document.getElementById('bulkPaymentAmount').value = '';
 if (typeof openStandaloneScreen === 'function') openStandaloneScreen('customer-management-screen');
-await renderCustomerTransactions(customerName);
+await renderCustomerTransactions(currentManagingCustomer);
 }
 
 function closeCustomerManagement() {
 if (typeof closeStandaloneScreen === 'function') closeStandaloneScreen('customer-management-screen');
 currentManagingCustomer = null;
+currentManagingCustomerId = null;
 setTimeout(async () => {
 try {
 await sqliteStore.get('customer_sales', []);
@@ -251,13 +270,13 @@ if (typeof renderCustomersTable === 'function') renderCustomersTable();
 }
 
 async function deleteCurrentCustomer() {
+if (!Permissions.check('record.delete')) return;
 const customerSales = ensureArray(await sqliteStore.get('customer_sales'));
 const salesCustomers = ensureArray(await sqliteStore.get('sales_customers'));
 if (!currentManagingCustomer) return;
 const name = currentManagingCustomer;
-const txs = customerSales.filter(s =>
-s && s.customerName === name
-);
+const customerRef = _managedCustomerRef(name, salesCustomers);
+const txs = customerSales.filter(s => recordBelongsToCustomer(s, customerRef));
 const totalDebt = txs
 .filter(s => s.paymentType === 'CREDIT' && !s.creditReceived)
 .reduce((sum, s) => sum + (s.totalValue || 0) - (s.partialPaymentReceived || 0), 0);
@@ -270,7 +289,7 @@ msg += `\n\nAll sales history for this customer will be permanently deleted.`;
 msg += `\n\nThis cannot be undone.`;
 if (!(await showGlassConfirm(msg, { title: 'Delete Customer', confirmText: 'Delete Permanently', danger: true }))) return;
 try {
-const contactIdx = salesCustomers.findIndex(c => c && c.name && c.name.toLowerCase() === name.toLowerCase());
+const contactIdx = customerRef.id ? salesCustomers.findIndex(c => c && String(c.id) === String(customerRef.id)) : -1;
 if (contactIdx !== -1) {
 const contactRecord = salesCustomers[contactIdx];
 const contactId = contactRecord.id;
@@ -301,6 +320,7 @@ const repSales = ensureArray(await sqliteStore.get('rep_sales'));
 const paymentTransactions = ensureArray(await sqliteStore.get('payment_transactions'));
 const list = document.getElementById('customerManagementHistoryList');
 if (!list) return;
+const customerRef = _managedCustomerRef(name, salesCustomers);
 let transactions = [];
 try {
 const dbSales = await sqliteStore.get('customer_sales', []);
@@ -320,18 +340,18 @@ return { ...s, currentRepProfile: 'admin' };
 return s;
 });
 transactions = normalizedSales.filter(s =>
-s && s.currentRepProfile === 'admin' && s.customerName === name
+s && s.currentRepProfile === 'admin' && recordBelongsToCustomer(s, customerRef)
 );
 } else {
 transactions = customerSales.filter(s =>
-s && s.currentRepProfile === 'admin' && s.customerName === name
+s && s.currentRepProfile === 'admin' && recordBelongsToCustomer(s, customerRef)
 );
 }
 } catch (error) {
 console.error('Customer data operation failed.', _safeErr(error));
 showToast('Customer data operation failed.', 'error');
 transactions = customerSales.filter(s =>
-s && s.currentRepProfile === 'admin' && s.customerName === name
+s && s.currentRepProfile === 'admin' && recordBelongsToCustomer(s, customerRef)
 );
 }
 const rangeSelect = document.getElementById('customerPdfRange');
@@ -362,7 +382,7 @@ return true;
 }
 });
 }
-const entity = (Array.isArray(salesCustomers) ? salesCustomers : []).find(e => e && e.name && e.name.toLowerCase() === name.toLowerCase());
+const entity = customerRef.id ? salesCustomers.find(e => e && String(e.id) === String(customerRef.id)) : null;
 const phone = entity?.phone || transactions.find(t => t && t.customerPhone)?.customerPhone || '';
 const address = entity?.address || '';
 const headerTitle = document.getElementById('manageCustomerTitle');
@@ -375,7 +395,7 @@ ${_custAvatarHTML}
 <div style="min-width:0;flex:1;">
 <div style="display:flex;align-items:center;gap:8px;flex-wrap:wrap;">
 <span>${esc(name)}</span>
-<button class="sidebar-settings-btn" style="width:auto;padding:5px 10px;font-size:0.75rem;color:var(--accent);background:rgba(29,233,182,0.07);border-radius:8px;border:1px solid rgba(29,233,182,0.25);display:inline-flex;align-items:center;gap:5px;" onclick="openCustomerEditModal('${_custSafeName}')" title="Edit Contact Info"><svg width="13" height="13" viewBox="0 0 36 36" fill="none" xmlns="http://www.w3.org/2000/svg"><rect x="5" y="5" width="26" height="7" rx="2.5" fill="var(--accent)" fill-opacity="0.18" stroke="var(--accent)" stroke-width="1.4"/><rect x="5" y="15" width="26" height="7" rx="2.5" fill="var(--accent)" fill-opacity="0.12" stroke="var(--accent)" stroke-width="1.4"/><rect x="5" y="25" width="18" height="7" rx="2.5" fill="var(--accent)" fill-opacity="0.08" stroke="var(--accent)" stroke-width="1.4"/><line x1="27" y1="26" x2="32" y2="21" stroke="var(--accent)" stroke-width="1.5" stroke-linecap="round"/><circle cx="26" cy="27" r="1" fill="var(--accent)"/></svg>Edit</button>
+<button class="sidebar-settings-btn" style="width:auto;padding:5px 10px;font-size:0.75rem;color:var(--accent);background:rgba(29,233,182,0.07);border-radius:8px;border:1px solid rgba(29,233,182,0.25);display:inline-flex;align-items:center;gap:5px;" onclick="openCustomerEditModal('${_custSafeName}', '${esc(customerRef.id || '')}')" title="Edit Contact Info"><svg width="13" height="13" viewBox="0 0 36 36" fill="none" xmlns="http://www.w3.org/2000/svg"><rect x="5" y="5" width="26" height="7" rx="2.5" fill="var(--accent)" fill-opacity="0.18" stroke="var(--accent)" stroke-width="1.4"/><rect x="5" y="15" width="26" height="7" rx="2.5" fill="var(--accent)" fill-opacity="0.12" stroke="var(--accent)" stroke-width="1.4"/><rect x="5" y="25" width="18" height="7" rx="2.5" fill="var(--accent)" fill-opacity="0.08" stroke="var(--accent)" stroke-width="1.4"/><line x1="27" y1="26" x2="32" y2="21" stroke="var(--accent)" stroke-width="1.5" stroke-linecap="round"/><circle cx="26" cy="27" r="1" fill="var(--accent)"/></svg>Edit</button>
 </div>
 <div style="font-size:0.75rem;color:var(--text-muted);font-weight:normal;margin-top:2px;">
 ${phone ? phoneActionHTML(phone) : 'No Phone'} ${address ? `|  ${esc(address)}` : ''}
@@ -459,6 +479,8 @@ const kebabBtn = t.isMerged
   ? `<button class="txn-kebab-btn" title="View pre-close details" onclick="_togglePreclosePanel(this,'${panelId}','${safeId}','customer_sales','sale')">⋮</button>`
   : '';
 const panelPlaceholder = t.isMerged ? `<div class="txn-preclose-panel" id="${panelId}"></div>` : '';
+const historyBtn = t.isMerged ? '' : `<button class="txn-kebab-btn" title="Change history" onclick="_toggleHistoryPanel(this,'hist-${esc(t.id)}','${safeId}','customer_sales')">⟲</button>`;
+const historyPlaceholder = t.isMerged ? '' : `<div class="txn-preclose-panel" id="hist-${esc(t.id)}"></div>`;
 let itemContent = '';
 if (isPartialPayment || isCollection) {
 itemContent = `
@@ -470,9 +492,9 @@ itemContent = `
     ${(t.supplyDate && t.supplyDate !== t.date) ? `<div style="font-size:0.7rem;color:var(--text-muted);margin-top:2px;font-style:italic;">Supply Date: ${formatDisplayDate(t.supplyDate)}</div>` : ''}
   </div>
   <div style="display:flex;align-items:center;gap:6px;flex-shrink:0;">
-    ${toggleBtnHtml}${deleteBtnHtml}${kebabBtn}
+    ${toggleBtnHtml}${deleteBtnHtml}${historyBtn}${kebabBtn}
   </div>
-</div>${panelPlaceholder}`;
+</div>${panelPlaceholder}${historyPlaceholder}`;
 } else if (isOldDebt) {
 itemContent = `
 <div class="txn-card-row">
@@ -486,13 +508,13 @@ itemContent = `
     ${(t.supplyDate && t.supplyDate !== t.date) ? `<div style="font-size:0.7rem;color:var(--text-muted);margin-top:2px;font-style:italic;">Supply Date: ${formatDisplayDate(t.supplyDate)}</div>` : ''}
   </div>
   <div style="display:flex;align-items:center;gap:6px;flex-shrink:0;">
-    ${toggleBtnHtml}${deleteBtnHtml}${kebabBtn}
+    ${toggleBtnHtml}${deleteBtnHtml}${historyBtn}${kebabBtn}
   </div>
-</div>${panelPlaceholder}`;
+</div>${panelPlaceholder}${historyPlaceholder}`;
 } else {
 const _displayUnitPrice = (t.unitPrice && t.unitPrice > 0)
   ? t.unitPrice
-  : await getEffectiveSalePriceForCustomer(t.customerName, t.supplyStore || 'STORE_A');
+  : await getEffectiveSalePriceForCustomer(t.customerId || t.customerName, t.supplyStore || 'STORE_A');
 itemContent = `
 <div class="txn-card-row">
   <div class="cust-history-info">
@@ -503,9 +525,9 @@ itemContent = `
     ${(t.supplyDate && t.supplyDate !== t.date) ? `<div style="font-size:0.7rem;color:var(--text-muted);margin-top:2px;font-style:italic;">Supply Date: ${formatDisplayDate(t.supplyDate)}</div>` : ''}
   </div>
   <div style="display:flex;align-items:center;gap:6px;flex-shrink:0;">
-    ${toggleBtnHtml}${deleteBtnHtml}${kebabBtn}
+    ${toggleBtnHtml}${deleteBtnHtml}${historyBtn}${kebabBtn}
   </div>
-</div>${panelPlaceholder}`;
+</div>${panelPlaceholder}${historyPlaceholder}`;
 }
 item.innerHTML = itemContent;
 item.style.flexDirection = 'column';
@@ -569,6 +591,7 @@ showToast('Failed to update transaction status. Please try again.', 'error');
 }
 
 async function deleteTransactionFromOverlay(id) {
+if (!Permissions.check('record.delete')) return;
 const customerSales = ensureArray(await sqliteStore.get('customer_sales'));
 const paymentTransactions = ensureArray(await sqliteStore.get('payment_transactions'));
 if (!id || !validateUUID(id)) {
@@ -656,6 +679,7 @@ showToast('Failed to delete transaction. Please try again.', 'error');
 }
 
 async function deleteRepTransactionFromOverlay(id) {
+if (!Permissions.check('record.delete')) return;
 const repSales = ensureArray(await sqliteStore.get('rep_sales'));
 if (!id || !validateUUID(id)) {
 showToast('Invalid transaction ID', 'error');
@@ -746,8 +770,9 @@ if (!amount || amount <= 0) { showToast('Please enter a valid amount', 'warning'
 const snapshot = [...customerSales];
 try {
 let remaining = amount, updatedCount = 0, partialPaymentMade = false;
+const customerRef = { id: currentManagingCustomerId, name: currentManagingCustomer };
 const pending = customerSales.filter(s =>
-s.customerName === currentManagingCustomer &&
+recordBelongsToCustomer(s, customerRef) &&
 s.paymentType === 'CREDIT' && !s.creditReceived
 ).sort((a, b) => a.timestamp - b.timestamp);
 if (pending.length === 0) { showToast('No pending credit transactions found for this customer.', 'info', 4000); return; }
@@ -777,7 +802,7 @@ const partialId = generateUUID('sale');
 customerSales.push(ensureRecordIntegrity({
 id: partialId, timestamp: nowEpoch, createdAt: nowEpoch, updatedAt: nowEpoch,
 date: nowISODate, time: nowTime,
-customerName: currentManagingCustomer, customerPhone: sale.customerPhone || '', quantity: 0,
+customerName: currentManagingCustomer, customerId: currentManagingCustomerId, customerPhone: sale.customerPhone || '', quantity: 0,
 supplyStore: sale.supplyStore || 'STORE_A', paymentType: 'PARTIAL_PAYMENT', salesRep: 'NONE',
 currentRepProfile: 'admin',
 totalCost: 0, totalValue: remaining, profit: 0, creditReceived: true,
@@ -793,7 +818,7 @@ collId = generateUUID('sale');
 customerSales.push(ensureRecordIntegrity({
 id: collId, timestamp: nowEpoch, createdAt: nowEpoch, updatedAt: nowEpoch,
 date: nowISODate, time: nowTime,
-customerName: currentManagingCustomer, customerPhone: ls?.customerPhone || '', quantity: 0,
+customerName: currentManagingCustomer, customerId: currentManagingCustomerId, customerPhone: ls?.customerPhone || '', quantity: 0,
 supplyStore: ls?.supplyStore || 'STORE_A', paymentType: 'COLLECTION', salesRep: 'NONE',
 currentRepProfile: 'admin',
 totalCost: 0, totalValue: remaining, profit: 0, creditReceived: true,
@@ -835,8 +860,9 @@ if (!amount || amount <= 0) { showToast('Please enter a valid amount', 'warning'
 const snapshot = [...repSales];
 try {
 let remaining = amount, updatedCount = 0, partialPaymentMade = false;
+const customerRef = { id: currentManagingRepCustomerId, name: currentManagingRepCustomer };
 const pending = repSales.filter(s =>
-s.customerName === currentManagingRepCustomer &&
+recordBelongsToCustomer(s, customerRef) &&
 s.salesRep === currentRepProfile &&
 s.paymentType === 'CREDIT' && !s.creditReceived
 ).sort((a, b) => a.timestamp - b.timestamp);
@@ -867,7 +893,7 @@ const partialId = generateUUID('sale');
 repSales.push(ensureRecordIntegrity({
 id: partialId, timestamp: nowEpoch, createdAt: nowEpoch, updatedAt: nowEpoch,
 date: nowISODate, time: nowTime,
-customerName: currentManagingRepCustomer, customerPhone: sale.customerPhone || '', quantity: 0,
+customerName: currentManagingRepCustomer, customerId: currentManagingRepCustomerId, customerPhone: sale.customerPhone || '', quantity: 0,
 supplyStore: sale.supplyStore || 'STORE_A', paymentType: 'PARTIAL_PAYMENT', salesRep: currentRepProfile,
 totalCost: 0, totalValue: remaining, profit: 0, creditReceived: true,
 relatedSaleId: sale.id, syncedAt: new Date().toISOString()
@@ -882,7 +908,7 @@ collId = generateUUID('sale');
 repSales.push(ensureRecordIntegrity({
 id: collId, timestamp: nowEpoch, createdAt: nowEpoch, updatedAt: nowEpoch,
 date: nowISODate, time: nowTime,
-customerName: currentManagingRepCustomer, customerPhone: ls?.customerPhone || '', quantity: 0,
+customerName: currentManagingRepCustomer, customerId: currentManagingRepCustomerId, customerPhone: ls?.customerPhone || '', quantity: 0,
 supplyStore: ls?.supplyStore || 'STORE_A', paymentType: 'COLLECTION', salesRep: currentRepProfile,
 totalCost: 0, totalValue: remaining, profit: 0, creditReceived: true,
 syncedAt: new Date().toISOString()
@@ -1087,7 +1113,7 @@ const salesCustomers = ensureArray(await sqliteStore.get('sales_customers'));
 renderCustomersTable();
 }
 
-async function openCustomerEditModal(customerName) {
+async function openCustomerEditModal(customerName, customerId = null) {
 customerName = customerName || '';
 const isAddMode = !customerName;
 const titleEl = document.getElementById('cust-edit-screen-title');
@@ -1116,6 +1142,7 @@ const customerSales = ensureArray(await sqliteStore.get('customer_sales'));
 const salesCustomers = ensureArray(await sqliteStore.get('sales_customers'));
 nameInput.value = customerName;
 nameInput.dataset.originalName = customerName;
+nameInput.dataset.customerId = '';
 if (!customerName) {
 document.getElementById('edit-cust-phone').value = '';
 document.getElementById('edit-cust-address').value = '';
@@ -1126,13 +1153,15 @@ await loadPersonPhotoIntoEditor('cust', '');
 if (typeof openStandaloneScreen === 'function') openStandaloneScreen('customer-edit-screen');
 return;
 }
-const contact = salesCustomers.find(c => c && c.name && c.name.toLowerCase() === customerName.toLowerCase());
+const contact = findCustomerByRef(salesCustomers, customerId || customerName);
+nameInput.dataset.customerId = contact ? contact.id : '';
+const customerRef = contact || { id: null, name: customerName };
 const saleRecord = customerSales.find(s =>
-s && s.customerName === customerName &&
+s && recordBelongsToCustomer(s, customerRef) &&
 s.customerPhone
 );
 const existingOldDebtTx = customerSales.find(s =>
-s && s.customerName && s.customerName.toLowerCase() === customerName.toLowerCase() &&
+s && recordBelongsToCustomer(s, customerRef) &&
 s.transactionType === 'OLD_DEBT'
 );
 const oldDebitValue = existingOldDebtTx ? (existingOldDebtTx.totalValue || 0) : (contact?.oldDebit || 0);
@@ -1152,11 +1181,13 @@ if (typeof closeStandaloneScreen === 'function') closeStandaloneScreen('customer
 }
 
 async function saveCustomerDetails() {
+if (!Permissions.check('customer.edit')) return;
 const customerSales = ensureArray(await sqliteStore.get('customer_sales'));
 const salesCustomers = ensureArray(await sqliteStore.get('sales_customers'));
 const nameInput = document.getElementById('edit-cust-name');
 const name = nameInput.value.trim();
 const originalName = nameInput.dataset.originalName || name;
+const editingId = nameInput.dataset.customerId || '';
 const phone = document.getElementById('edit-cust-phone').value.trim();
 const address = document.getElementById('edit-cust-address').value.trim();
 const oldDebit = parseFloat(document.getElementById('edit-cust-old-debit').value) || 0;
@@ -1173,9 +1204,22 @@ if (Array.isArray(salesCustomers)) salesCustomers.forEach(c => { if (!m.has(c.id
 const refreshedSC = Array.from(m.values());
 await sqliteStore.set('sales_customers', refreshedSC);
 }
-let contact = salesCustomers.find(c => c && c.name && c.name.toLowerCase() === originalName.toLowerCase());
-if (!contact) contact = salesCustomers.find(c => c && c.name && c.name.toLowerCase() === name.toLowerCase());
+const isAddMode = !nameInput.dataset.originalName;
+let contact = null;
+if (isAddMode) {
+const sameName = customersNamed(salesCustomers, name);
+if (sameName.length > 0) {
+const addSeparate = await showGlassConfirm(`A customer named "${name}" already exists. Add another, separate customer with the same name? Give them a phone or address so they can be told apart.`, {
+title: 'Duplicate Name', confirmText: 'Add Separate Customer', cancelText: 'Cancel'
+});
+if (!addSeparate) return;
+}
+} else {
+contact = findCustomerByRef(salesCustomers, editingId || originalName);
+if (!contact && !editingId) contact = findCustomerByRef(salesCustomers, name);
+}
 const previousOldDebit = contact?.oldDebit || 0;
+const formerRef = { id: contact ? contact.id : null, name: originalName };
 if (contact) {
 if (!validateUUID(String(contact.id || ''))) { contact.id = generateUUID('cust'); }
 contact.name = name; contact.phone = phone; contact.address = address; contact.oldDebit = oldDebit; contact.customSalePrice = customSalePrice; contact.updatedAt = getTimestamp();
@@ -1194,17 +1238,24 @@ const mSales = new Map(salesArray.map(s => [s.id, s]));
 customerSales.forEach(s => { if (s && s.id && !mSales.has(s.id)) mSales.set(s.id, s); });
 salesArray = Array.from(mSales.values());
 }
-const renamedRecords = [];
+const renamedRecords = [], nameOnlyRecords = [];
 if (nameChanged) {
 salesArray.forEach(s => {
-if (s && s.customerName && s.customerName.toLowerCase() === originalName.toLowerCase()) {
+if (!s) return;
+if (s.customerId && formerRef.id && String(s.customerId) === String(formerRef.id)) {
 s.customerName = name;
+s.customerId = contact.id;
+s.updatedAt = getTimestamp();
 renamedRecords.push(s);
+} else if (!s.customerId && s.currentRepProfile === 'admin' && recordBelongsToCustomer(s, { name: originalName })) {
+nameOnlyRecords.push(s);
 }
 });
+await holdRenamedNameOnlyRecords('customer_sales', contact, originalName, nameOnlyRecords);
 }
+const customerRef = { id: contact.id, name };
 const oldDebtIdx = salesArray.findIndex(s =>
-s && s.customerName === name &&
+s && recordBelongsToCustomer(s, customerRef) &&
 s.transactionType === 'OLD_DEBT'
 );
 let oldDebtModified = false, oldDebtRecord = null, deletedOldDebtId = null;
@@ -1222,7 +1273,7 @@ ensureRecordIntegrity(tx, true);
 oldDebtModified = true; oldDebtRecord = tx;
 } else {
 const tx = { id: generateUUID('old_debt'), date: new Date().toISOString().split('T')[0],
-customerName: name, customerPhone: phone, salesRep: 'ADMIN', quantity: 0,
+customerName: name, customerId: contact.id, customerPhone: phone, salesRep: 'ADMIN', quantity: 0,
 supplyStore: 'N/A', paymentType: 'CREDIT', transactionType: 'OLD_DEBT',
 currentRepProfile: 'admin',
 totalValue: oldDebit, creditReceived: false, partialPaymentReceived: 0,
@@ -1238,7 +1289,7 @@ salesArray.splice(oldDebtIdx, 1); oldDebtModified = true;
 if (deletedOldDebtId) { window._oldDebtRecordForDeletion = _oldDebtRecordForDeletion; }
 }
 let phoneUpdated = false;
-salesArray.forEach(s => { if (s && s.customerName === name && s.customerPhone !== phone) { s.customerPhone = phone; phoneUpdated = true; } });
+salesArray.forEach(s => { if (s && recordBelongsToCustomer(s, customerRef) && s.customerPhone !== phone) { s.customerPhone = phone; phoneUpdated = true; } });
 customerSales.length = 0; customerSales.push(...salesArray);
 if (nameChanged || oldDebtModified || phoneUpdated) {
 if (deletedOldDebtId) {
@@ -1252,7 +1303,7 @@ if (nameChanged && renamedRecords.length > 0) {
 await unifiedSave('customer_sales', salesArray, null, renamedRecords.map(r => r.id));
 }
 }
-const message = nameChanged ? `Customer renamed to "${name}" and details updated`
+const message = nameChanged ? `Customer renamed to "${name}" and details updated${nameOnlyRecords.length ? ` — ${nameOnlyRecords.length} unlinked record${nameOnlyRecords.length !== 1 ? 's' : ''} kept for review` : ''}`
 : oldDebit > 0 ? `Customer updated with old debt of ₨${oldDebit.toLocaleString()}`
 : (oldDebit === 0 && previousOldDebit > 0) ? 'Customer updated and old debt cleared'
 : 'Customer details updated successfully';
@@ -1281,8 +1332,9 @@ await savePersonPhoto('cust', 'cust:' + name.toLowerCase());
 showToast(message, 'success');
 closeCustomerEditModal();
 await new Promise(r => setTimeout(r, 350));
-if (nameChanged && currentManagingCustomer && currentManagingCustomer.toLowerCase() === originalName.toLowerCase()) {
+if (nameChanged && currentManagingCustomer && (currentManagingCustomerId ? currentManagingCustomerId === contact.id : currentManagingCustomer.toLowerCase() === originalName.toLowerCase())) {
 currentManagingCustomer = name;
+currentManagingCustomerId = contact.id;
 }
 const overlay = document.getElementById('customer-management-screen');
 if (overlay && overlay.style.display !== 'none') await renderCustomerTransactions(currentManagingCustomer || name);
@@ -1294,6 +1346,183 @@ showToast('Failed to save customer details. Please try again.', 'error');
 }
 }
 
+const _CUSTOMER_LINKS = [
+{ key: 'customer_sales', registry: 'sales_customers', idField: 'customerId', nameField: 'customerName', label: 'Customer',
+  applies: r => r.currentRepProfile === 'admin', scope: () => ({}),
+  creates: r => appMode === 'admin' && r.salesRep === 'NONE',
+  contact: r => ({ id: generateUUID('cust'), name: r.customerName.trim(), phone: r.customerPhone || '', address: '', oldDebit: 0, customSalePrice: 0 }) },
+{ key: 'rep_sales', registry: 'rep_customers', idField: 'customerId', nameField: 'customerName', label: 'Rep customer',
+  applies: r => !!r.salesRep && r.salesRep !== 'NONE', scope: r => ({ salesRep: r.salesRep }),
+  creates: r => appMode === 'rep' && r.salesRep === currentRepProfile,
+  contact: r => ({ id: generateUUID('rep_cust'), name: r.customerName.trim(), phone: r.customerPhone || '', address: '', oldDebit: 0, salesRep: r.salesRep }) },
+{ key: 'payment_transactions', registry: 'payment_entities', idField: 'entityId', nameField: 'entityName', label: 'Entity',
+  applies: () => true, scope: () => ({}), creates: () => false },
+];
+let _linkingCustomers = null;
+
+async function holdRenamedNameOnlyRecords(key, contact, formerName, records) {
+if (!records.length) return;
+const link = _CUSTOMER_LINKS.find(l => l.key === key);
+const scope = link.scope(records[0]);
+const registry = ensureArray(await sqliteStore.get(link.registry));
+const candidates = [contact].concat(customersNamed(registry, formerName, scope).filter(c => String(c.id) !== String(contact.id)));
+const conflicts = ensureArray(await sqliteStore.get('customer_link_conflicts'));
+const salesRep = scope.salesRep || null;
+let group = conflicts.find(g => g.renamedTo && g.key === key && customerNameKey(g.name) === customerNameKey(formerName) && g.salesRep === salesRep);
+if (!group) {
+group = { key, registry: link.registry, label: link.label, name: formerName.trim(), salesRep, recordIds: [] };
+conflicts.push(group);
+}
+group.renamedTo = contact.name;
+group.candidates = candidates.map(c => ({ id: c.id, name: c.name, phone: c.phone || '', detail: c.address || c.wallet || '' }));
+group.recordIds = Array.from(new Set(group.recordIds.concat(records.map(r => r.id))));
+await sqliteStore.set('customer_link_conflicts', conflicts);
+_updateLinkConflictBanners(conflicts);
+}
+
+async function linkCustomerReferences() {
+if (_linkingCustomers) return _linkingCustomers;
+_linkingCustomers = (async () => {
+const renames = ensureArray(await sqliteStore.get('customer_link_conflicts')).filter(g => g && g.renamedTo);
+const conflicts = [];
+let linkedTotal = 0;
+for (const link of _CUSTOMER_LINKS) {
+const records = ensureArray(await sqliteStore.get(link.key));
+const registry = ensureArray(await sqliteStore.get(link.registry));
+const linked = [], created = [];
+const groups = new Map();
+const unlinked = new Set(records.filter(r => r && r.id && !r[link.idField]).map(r => String(r.id)));
+const held = new Set();
+renames.filter(g => g.key === link.key).forEach(g => {
+g.recordIds = g.recordIds.filter(id => unlinked.has(String(id)));
+g.recordIds.forEach(id => held.add(String(id)));
+if (g.recordIds.length) conflicts.push(g);
+});
+for (const r of records) {
+if (!r || !r.id || r[link.idField] || !link.applies(r) || held.has(String(r.id))) continue;
+const name = r[link.nameField];
+if (!customerNameKey(name)) continue;
+const scope = link.scope(r);
+let matches = customersNamed(registry, name, scope);
+if (matches.length === 0 && link.creates(r)) {
+const now = getTimestamp();
+const contact = { ...link.contact(r), createdAt: now, updatedAt: now, timestamp: now };
+registry.push(contact);
+created.push(contact.id);
+matches = [contact];
+}
+if (matches.length === 1) {
+r[link.idField] = matches[0].id;
+r.updatedAt = getTimestamp();
+linked.push(r.id);
+} else if (matches.length > 1) {
+const groupKey = customerNameKey(name) + '|' + (scope.salesRep || '');
+if (!groups.has(groupKey)) {
+groups.set(groupKey, {
+key: link.key, registry: link.registry, label: link.label, name: name.trim(), salesRep: scope.salesRep || null, recordIds: [],
+candidates: matches.map(c => ({ id: c.id, name: c.name, phone: c.phone || '', detail: c.address || c.wallet || '' })),
+});
+}
+groups.get(groupKey).recordIds.push(r.id);
+}
+}
+if (created.length) await unifiedSave(link.registry, registry, null, created);
+if (linked.length) await unifiedSave(link.key, records, null, linked);
+linkedTotal += linked.length;
+conflicts.push(...groups.values());
+}
+await sqliteStore.set('customer_link_conflicts', conflicts);
+_updateLinkConflictBanners(conflicts);
+if (linkedTotal > 0) {
+notifyDataChange('all');
+triggerAutoSync();
+}
+return { linked: linkedTotal, conflicts };
+})();
+try { return await _linkingCustomers; } finally { _linkingCustomers = null; }
+}
+
+function _updateLinkConflictBanners(conflicts) {
+const count = ensureArray(conflicts).reduce((n, g) => n + g.recordIds.length, 0);
+['customer-link-conflicts-banner', 'rep-customer-link-conflicts-banner'].forEach(id => {
+const el = document.getElementById(id);
+if (!el) return;
+el.classList.toggle('hidden', count === 0);
+el.textContent = `${count} record${count !== 1 ? 's' : ''} share a name with more than one customer — tap to review`;
+});
+}
+
+async function showCustomerLinkConflicts() {
+const conflicts = ensureArray(await sqliteStore.get('customer_link_conflicts'));
+const existing = document.getElementById('customer-link-conflicts-panel');
+if (existing) existing.remove();
+const panel = document.createElement('div');
+panel.id = 'customer-link-conflicts-panel';
+panel.setAttribute('role', 'dialog');
+panel.style.cssText = `
+position:fixed;left:50%;top:50%;transform:translate(-50%,-50%);z-index:10300;
+background:var(--glass-bg,#1e293b);border:1px solid var(--glass-border,#334155);
+border-radius:16px;padding:20px 24px;width:min(420px,92vw);max-height:80vh;overflow-y:auto;
+box-shadow:0 8px 32px rgba(0,0,0,.4);color:var(--text-main,#f1f5f9);font-size:.85rem;
+`;
+const groupsHTML = conflicts.map((g, i) => `
+<div style="padding:10px 12px;margin-top:8px;background:rgba(245,158,11,.1);border-radius:10px;">
+<div><strong>${esc(g.name)}</strong> · ${esc(g.label)}${g.salesRep ? ` · ${esc(g.salesRep)}` : ''}${g.renamedTo ? ` · renamed to ${esc(g.renamedTo)}` : ''}</div>
+<div style="font-size:.75rem;color:var(--text-muted,#94a3b8);margin:2px 0 6px;">${g.recordIds.length} unlinked record${g.recordIds.length !== 1 ? 's' : ''}</div>
+${g.candidates.map(c => `
+<button onclick="resolveCustomerLinkConflict(${i}, '${esc(String(c.id)).replace(/'/g, "\\'")}')"
+style="display:block;width:100%;text-align:left;margin-top:4px;padding:6px 10px;border:1px solid var(--glass-border,#334155);border-radius:8px;background:var(--input-bg);color:var(--text-main);cursor:pointer;font-size:.78rem;">
+Link all to ${esc(c.name)} <span style="color:var(--text-muted,#94a3b8);">${esc([c.phone, c.detail].filter(Boolean).join(' · ') || 'no phone/address')}</span>
+</button>`).join('')}
+</div>`).join('');
+panel.innerHTML = `
+<div style="display:flex;justify-content:space-between;align-items:center;margin-bottom:8px">
+<strong style="font-size:.95rem">Ambiguous Customer Names</strong>
+<button onclick="document.getElementById('customer-link-conflicts-panel').remove()" style="background:none;border:none;color:var(--text-muted,#94a3b8);font-size:1.1rem;cursor:pointer;">×</button>
+</div>
+<div style="font-size:.75rem;color:var(--text-muted,#94a3b8);">These records were saved by name only, and more than one customer has that name or the customer was renamed. Choose who they belong to.</div>
+${groupsHTML || '<div style="margin-top:10px;color:var(--text-muted,#94a3b8);">Nothing to review.</div>'}
+`;
+document.body.appendChild(panel);
+}
+
+async function resolveCustomerLinkConflict(index, candidateId) {
+const conflicts = ensureArray(await sqliteStore.get('customer_link_conflicts'));
+const group = conflicts[index];
+if (!group) return;
+const candidate = group.candidates.find(c => String(c.id) === String(candidateId));
+if (!candidate) return;
+const link = _CUSTOMER_LINKS.find(l => l.key === group.key);
+try {
+const records = ensureArray(await sqliteStore.get(group.key));
+const wanted = new Set(group.recordIds.map(String));
+const linked = [];
+records.forEach(r => {
+if (!r || !wanted.has(String(r.id)) || r[link.idField]) return;
+r[link.idField] = candidate.id;
+if (group.renamedTo) r[link.nameField] = candidate.name;
+r.updatedAt = getTimestamp();
+linked.push(r.id);
+});
+if (linked.length) await unifiedSave(group.key, records, null, linked);
+conflicts.splice(index, 1);
+await sqliteStore.set('customer_link_conflicts', conflicts);
+_updateLinkConflictBanners(conflicts);
+notifyDataChange('all');
+triggerAutoSync();
+showToast(`${linked.length} record${linked.length !== 1 ? 's' : ''} linked to ${candidate.name}`, 'success');
+if (typeof renderCustomersTable === 'function') renderCustomersTable();
+if (typeof renderRepCustomerTable === 'function') renderRepCustomerTable();
+if (conflicts.length) await showCustomerLinkConflicts();
+else { const panel = document.getElementById('customer-link-conflicts-panel'); if (panel) panel.remove(); }
+} catch (e) {
+console.warn('[CustomerLinks] resolve failed', _safeErr(e));
+showToast('Failed to link records. Please try again.', 'error');
+}
+}
+window.showCustomerLinkConflicts = showCustomerLinkConflicts;
+window.resolveCustomerLinkConflict = resolveCustomerLinkConflict;
+
 async function fetchDeviceLocation() {
 const statusDiv = document.getElementById('location-status');
 const addressInput = document.getElementById('edit-cust-address');
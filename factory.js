@@ -423,6 +423,7 @@ _setFS('factorySettingsSalesCostPerKg', await formatCurrency(salesCostPerKg));
 }
 
 async function saveFactoryFormulas() {
+if (!Permissions.check('price.edit')) return;
 const _sffBatch = await sqliteStore.getBatch([
 'factory_inventory_data','factory_default_formulas','factory_additional_costs',
 'factory_cost_adjustment_factor','factory_sale_prices','payment_transactions',
@@ -528,7 +529,7 @@ await OfflineQueue.add({ action: 'set-doc', collection: 'factorySettings', docId
 showToast('Settings saved locally — will sync when online', 'warning');
 } else {
 try {
-await pushDataToCloud(true);
+await pushDataToCloud(true, 'local-change');
 emitSyncUpdate({
 factory_default_formulas: null,
 factory_sale_prices: null,
@@ -692,6 +693,7 @@ renderFactoryInventory();
 }
 
 async function saveFactoryInventoryItem() {
+if (!Permissions.check('factory.create')) return;
 const factoryInventoryData = ensureArray(await sqliteStore.get('factory_inventory_data'));
 const paymentEntities = ensureArray(await sqliteStore.get('payment_entities'));
 const paymentTransactions = ensureArray(await sqliteStore.get('payment_transactions'));
@@ -1037,11 +1039,11 @@ const formulaType = typeof getStoreFormulaType === 'function' ? await getStoreFo
 return factorySalePrices[formulaType] || 0;
 }
 
-async function getEffectiveSalePriceForCustomer(customerName, store) {
+async function getEffectiveSalePriceForCustomer(customerRef, store) {
 const salesCustomers = ensureArray(await sqliteStore.get('sales_customers'));
 const factorySalePrices = (await sqliteStore.get('factory_sale_prices')) || {};
-if (customerName) {
-const _reg = Array.isArray(salesCustomers) ? salesCustomers.find(c => c && c.name && c.name.toLowerCase() === String(customerName).toLowerCase()) : null;
+if (customerRef) {
+const _reg = findCustomerByRef(salesCustomers, customerRef);
 if (_reg && _reg.customSalePrice > 0) return _reg.customSalePrice;
 }
 return await getSalePriceForStore(store);
@@ -1057,7 +1059,7 @@ if (pt === 'COLLECTION' || pt === 'PARTIAL_PAYMENT') return parseFloat(t.totalVa
 if (t.transactionType === 'OLD_DEBT') return parseFloat(t.totalValue) || 0;
 const qty = parseFloat(t.quantity) || 0;
 if (qty <= 0) return parseFloat(t.totalValue) || 0;
-return qty * (await getEffectiveSalePriceForCustomer(t.customerName, t.supplyStore || 'STORE_A'));
+return qty * (await getEffectiveSalePriceForCustomer(t.customerId || t.customerName, t.supplyStore || 'STORE_A'));
 }
 
 async function getCostPriceForStore(store) {
@@ -1122,10 +1124,7 @@ const factoryDefaultFormulas = _sfpeBatch.get('factory_default_formulas') || {};
 const factoryAdditionalCosts = _sfpeBatch.get('factory_additional_costs') || {};
 const factoryInventoryData = ensureArray(_sfpeBatch.get('factory_inventory_data'));
 const factoryProductionHistory = ensureArray(_sfpeBatch.get('factory_production_history'));
-if (appMode === 'userrole' && !(window._userRoleAllowedTabs || []).includes('factory')) {
-showToast('Access Denied — Factory not in your assigned tabs', 'warning', 3000);
-return;
-}
+if (!Permissions.check('factory.create')) return;
 const units = parseInt(document.getElementById('factoryProductionUnits').value) || 0;
 if (units <= 0) return showToast('Invalid units', 'warning', 3000);
 const inventorySnapshot = JSON.parse(JSON.stringify(factoryInventoryData));
@@ -1346,6 +1345,8 @@ ${totalAdditionalCost > 0 ? `<div class="factory-summary-row"><span class="facto
 <div class="factory-summary-row"><span class="factory-summary-label">Total Cost</span><span class="rev-val">${await formatCurrency(entry.totalCost)}</span></div>
 <div class="factory-summary-row"><span class="factory-summary-label">Raw Materials Used</span><span class="qty-val">${safeNumber(entry.rawMaterialsUsed, 0).toFixed(2)} kg</span></div>
 ${matsBreakdownHtml}
+${entry.isMerged ? '' : `<button class="tbl-action-btn u-w-full u-mt-8" onclick="_toggleHistoryPanel(this,'hist-${esc(entry.id)}','${esc(entry.id)}','factory_production_history')">Change History</button>
+<div class="txn-preclose-panel" id="hist-${esc(entry.id)}"></div>`}
 ${entry.isMerged ? '' : `<button class="tbl-action-btn danger u-w-full u-mt-8" onclick="deleteFactoryEntry('${entry.id}')">Delete & Restore Inventory</button>`}`;
 _fhFrag.appendChild(div);
 }
@@ -1354,6 +1355,7 @@ _filterFactoryHistoryByMode(currentFactorySummaryMode || 'all');
 }
 
 async function deleteFactoryEntry(id) {
+if (!Permissions.check('record.delete')) return;
 const factoryProductionHistory = ensureArray(await sqliteStore.get('factory_production_history'));
 const factoryInventoryData = ensureArray(await sqliteStore.get('factory_inventory_data'));
 const factoryDefaultFormulas = (await sqliteStore.get('factory_default_formulas')) || {};
@@ -1594,6 +1596,7 @@ calculateDynamicProductionCost();
 }
 
 async function deleteProdEntry(id) {
+if (!Permissions.check('record.delete')) return;
 const customerSales = ensureArray(await sqliteStore.get('customer_sales'));
 const db = ensureArray(await sqliteStore.get('mfg_pro_pkr'));
 const factoryDefaultFormulas = (await sqliteStore.get('factory_default_formulas')) || {};
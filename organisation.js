@@ -0,0 +1,294 @@
+const Organisation = (() => {
+  const STATE_KEY  = 'org_membership';
+  const MIGRATE_PAGE = 400;
+  const ROLES      = ['owner', 'manager', 'rep', 'factory'];
+  const ROLE_MODES = { owner: 'admin', manager: 'admin', rep: 'rep', factory: 'factory' };
+  const SHARED_ACCESS = {
+    deletions: 'write', devices: 'write', activityLog: 'write', sync_updates: 'write',
+    settings: 'read', appStores: 'read', keyring: 'read',
+  };
+  const DEFAULT_PERMISSIONS = {
+    rep: {
+      ...SHARED_ACCESS,
+      rep_sales: 'write', rep_customers: 'write', personPhotos: 'write', factorySettings: 'read',
+    },
+    factory: {
+      ...SHARED_ACCESS,
+      inventory: 'write', factory_history: 'write', factorySettings: 'write',
+    },
+  };
+  let _org    = null;
+  let _member = null;
+
+  function _online() {
+    return typeof firebaseDB !== 'undefined' && !!firebaseDB
+      && typeof currentUser !== 'undefined' && !!currentUser
+      && navigator.onLine && !window._firestoreNetworkDisabled;
+  }
+
+  function _emailKey(email) {
+    return String(email || '').trim().toLowerCase();
+  }
+
+  async function _save(org, member) {
+    _org = org;
+    _member = member;
+    await sqliteStore.set(STATE_KEY, org && member ? { org, member } : null);
+  }
+
+  function _requireAdmin() {
+    if (!_org || !isAdmin()) throw new Error('Only the owner or a manager can manage the organisation');
+  }
+
+  function active()  { return !!(_org && _member); }
+  function id()      { return _org ? _org.id : null; }
+  function name()    { return _org ? _org.name : ''; }
+  function role()    { return _member ? _member.role : null; }
+  function member()  { return _member; }
+  function mode()    { return _member ? ROLE_MODES[_member.role] || null : null; }
+  function isAdmin() { return !_member || _member.role === 'owner' || _member.role === 'manager'; }
+
+  function rootPath() {
+    return _org ? `orgs/${_org.id}` : `users/${currentUser.uid}`;
+  }
+
+  function rootRef() {
+    return _org
+      ? firebaseDB.collection('orgs').doc(_org.id)
+      : firebaseDB.collection('users').doc(currentUser.uid);
+  }
+
+  function dataKey() {
+    return _org ? _org.id : currentUser.uid;
+  }
+
+  function can(collection, access = 'read') {
+    if (isAdmin()) return true;
+    const perms = (_org.permissions || DEFAULT_PERMISSIONS)[_member.role] || {};
+    const granted = perms[collection] || perms['*'] || 'none';
+    return access === 'write' ? granted === 'write' : granted !== 'none';
+  }
+
+  async function _pendingInvite() {
+    const email = _emailKey(currentUser.email);
+    if (!email) return null;
+    const snap = await firebaseDB.collection('invites').doc(email).get();
+    return snap.exists ? snap.data() : null;
+  }
+
+  async function _accept(invite) {
+    const memberDoc = {
+      uid:         currentUser.uid,
+      email:       _emailKey(currentUser.email),
+      displayName: currentUser.displayName || '',
+      role:        invite.role,
+      rep:         invite.rep || null,
+      invitedBy:   invite.invitedBy || null,
+      joinedAt:    Date.now(),
+    };
+    await firebaseDB.collection('orgs').doc(invite.orgId)
+      .collection('members').doc(currentUser.uid).set(memberDoc);
+    await firebaseDB.collection('users').doc(currentUser.uid).set({ orgId: invite.orgId }, { merge: true });
+    await firebaseDB.collection('invites').doc(memberDoc.email).delete()
+      .catch(e => console.warn('[Organisation] Could not clear accepted invite', _safeErr(e)));
+  }
+
+  async function load() {
+    _org = null;
+    _member = null;
+    try {
+      const state = await sqliteStore.get(STATE_KEY);
+      if (state && state.org && state.member) {
+        _org = state.org;
+        _member = state.member;
+      }
+    } catch (e) {
+      console.warn('[Organisation] Could not read membership state', _safeErr(e));
+    }
+    const before = id();
+    if (!_online()) return { changed: false, removed: false };
+    try {
+      const userSnap = await firebaseDB.collection('users').doc(currentUser.uid).get();
+      let orgId = userSnap.exists ? (userSnap.data() || {}).orgId || null : null;
+      const invite = await _pendingInvite().catch(() => null);
+      if (invite && invite.orgId && (!orgId || invite.orgId === orgId)) {
+        await _accept(invite);
+        orgId = invite.orgId;
+      }
+      if (!orgId) {
+        await _save(null, null);
+        return { changed: before !== null, removed: false };
+      }
+      const orgRef = firebaseDB.collection('orgs').doc(orgId);
+      const memberSnap = await orgRef.collection('members').doc(currentUser.uid).get();
+      if (!memberSnap.exists) {
+        await _save(null, null);
+        return { changed: before !== null, removed: true };
+      }
+      const orgData = (await orgRef.get()).data() || {};
+      await _save({
+        id:          orgId,
+        name:        orgData.name || '',
+        ownerUid:    orgData.ownerUid || null,
+        permissions: orgData.permissions || DEFAULT_PERMISSIONS,
+      }, memberSnap.data());
+    } catch (e) {
+      console.warn('[Organisation] Could not refresh membership', _safeErr(e));
+    }
+    return { changed: id() !== before, removed: false };
+  }
+
+  async function refreshMember(data) {
+    if (!_org || !data) return false;
+    const changed = !_member || _member.role !== data.role || (_member.rep || null) !== (data.rep || null);
+    await _save(_org, { ..._member, ...data });
+    return changed;
+  }
+
+  async function create(orgName) {
+    if (_org) throw new Error(`This account already belongs to ${_org.name || 'an organisation'}`);
+    const label = String(orgName || '').trim();
+    if (!label) throw new Error('Enter a name for the organisation');
+    const orgRef = firebaseDB.collection('orgs').doc();
+    const org = { name: label, ownerUid: currentUser.uid, permissions: DEFAULT_PERMISSIONS, createdAt: Date.now() };
+    const memberDoc = {
+      uid:         currentUser.uid,
+      email:       _emailKey(currentUser.email),
+      displayName: currentUser.displayName || '',
+      role:        'owner',
+      rep:         null,
+      joinedAt:    Date.now(),
+    };
+    const batch = firebaseDB.batch();
+    batch.set(orgRef, org);
+    batch.set(orgRef.collection('members').doc(currentUser.uid), memberDoc);
+    batch.set(firebaseDB.collection('users').doc(currentUser.uid), {
+      orgId: orgRef.id,
+      orgMigration: { orgId: orgRef.id, done: [], collection: null, after: null, finishedAt: null },
+    }, { merge: true });
+    await batch.commit();
+    await _save({ id: orgRef.id, name: label, ownerUid: currentUser.uid, permissions: DEFAULT_PERMISSIONS }, memberDoc);
+  }
+
+  async function _pendingMigration() {
+    if (!_org || !_member || _member.role !== 'owner' || !_online()) return null;
+    const snap = await firebaseDB.collection('users').doc(currentUser.uid).get();
+    const state = snap.exists ? (snap.data() || {}).orgMigration : null;
+    return state && state.orgId === _org.id && !state.finishedAt ? state : null;
+  }
+
+  async function migrateUserData(collections) {
+    let state = await _pendingMigration();
+    if (!state) return 0;
+    const userDoc = firebaseDB.collection('users').doc(currentUser.uid);
+    const byId = firebase.firestore.FieldPath.documentId();
+    let copied = 0;
+    for (const collection of collections) {
+      if (state.done.includes(collection)) continue;
+      let after = state.collection === collection ? state.after : null;
+      for (;;) {
+        let q = userDoc.collection(collection).orderBy(byId).limit(MIGRATE_PAGE);
+        if (after) q = q.startAfter(after);
+        const snap = await q.get();
+        trackFirestoreRead(snap.docs.length || 1);
+        const finished = snap.docs.length < MIGRATE_PAGE;
+        const batch = firebaseDB.batch();
+        if (snap.docs.length) {
+          const last = snap.docs[snap.docs.length - 1].id;
+          let existingQ = rootRef().collection(collection).orderBy(byId).endAt(last);
+          if (after) existingQ = existingQ.startAfter(after);
+          const existing = await existingQ.get();
+          trackFirestoreRead(existing.docs.length || 1);
+          const present = new Set(existing.docs.map(d => d.id));
+          const fresh = snap.docs.filter(d => !present.has(d.id));
+          fresh.forEach(d => batch.set(rootRef().collection(collection).doc(d.id), d.data()));
+          copied += fresh.length;
+          after = last;
+        }
+        state = finished
+          ? { ...state, done: state.done.concat(collection), collection: null, after: null }
+          : { ...state, collection, after };
+        batch.set(userDoc, { orgMigration: state }, { merge: true });
+        await batch.commit();
+        if (finished) break;
+      }
+    }
+    await userDoc.set({ orgMigration: { ...state, finishedAt: Date.now() } }, { merge: true });
+    if (copied) trackFirestoreWrite(copied);
+    return copied;
+  }
+
+  function _checkAssignable(targetRole, rep) {
+    if (!ROLES.includes(targetRole) || targetRole === 'owner') throw new Error('Choose a role for this member');
+    if (targetRole === 'manager' && _member.role !== 'owner') throw new Error('Only the owner can appoint managers');
+    if (targetRole === 'rep' && !rep) throw new Error('Choose which sales rep this member signs in as');
+  }
+
+  async function invite(email, targetRole, rep = null) {
+    _requireAdmin();
+    const key = _emailKey(email);
+    if (!key.includes('@')) throw new Error('Enter a valid email address');
+    _checkAssignable(targetRole, rep);
+    await firebaseDB.collection('invites').doc(key).set({
+      orgId:     _org.id,
+      orgName:   _org.name,
+      email:     key,
+      role:      targetRole,
+      rep:       targetRole === 'rep' ? rep : null,
+      invitedBy: currentUser.uid,
+      createdAt: Date.now(),
+    });
+  }
+
+  async function invites() {
+    _requireAdmin();
+    const snap = await firebaseDB.collection('invites').where('orgId', '==', _org.id).get();
+    return snap.docs.map(d => d.data());
+  }
+
+  async function revokeInvite(email) {
+    _requireAdmin();
+    await firebaseDB.collection('invites').doc(_emailKey(email)).delete();
+  }
+
+  async function members() {
+    if (!_org) return [];
+    const snap = await rootRef().collection('members').get();
+    return snap.docs.map(d => ({ uid: d.id, ...d.data() }));
+  }
+
+  async function _target(uid) {
+    _requireAdmin();
+    if (uid === currentUser.uid) throw new Error('You cannot change your own membership');
+    const snap = await rootRef().collection('members').doc(uid).get();
+    if (!snap.exists) throw new Error('Member not found');
+    const target = snap.data();
+    if (target.role === 'owner' || (target.role === 'manager' && _member.role !== 'owner')) {
+      throw new Error(`A ${_member.role} cannot change a ${target.role}`);
+    }
+    return target;
+  }
+
+  async function updateMember(uid, targetRole, rep = null) {
+    await _target(uid);
+    _checkAssignable(targetRole, rep);
+    await rootRef().collection('members').doc(uid).update({
+      role:      targetRole,
+      rep:       targetRole === 'rep' ? rep : null,
+      updatedBy: currentUser.uid,
+      updatedAt: Date.now(),
+    });
+  }
+
+  async function removeMember(uid) {
+    await _target(uid);
+    await rootRef().collection('members').doc(uid).delete();
+  }
+
+  return {
+    ROLES, ROLE_MODES,
+    active, id, name, role, member, mode, isAdmin, rootPath, rootRef, dataKey, can,
+    load, refreshMember, create, migrateUserData, invite, invites, revokeInvite, members, updateMember, removeMember,
+  };
+})();
+window.Organisation = Organisation;
@@ -0,0 +1,216 @@
+const PackedLayout = (() => {
+  const STATE_KEY    = 'storage_layout';
+  const FIELD_PREFIX = 'r_';
+  const PACKABLE = {
+    rep_sales:          { owner: 'salesRep', chunks: 2 },
+    calculator_history: { owner: null,       chunks: 1 },
+  };
+  let _state      = null;
+  let _lastFlush  = 0;
+  let _flushTimer = null;
+
+  function packable() {
+    return Object.keys(PACKABLE);
+  }
+
+  function packCollection(collection) {
+    return `${collection}_packs`;
+  }
+
+  function collections() {
+    return packable().map(packCollection);
+  }
+
+  function packs(collection) {
+    return !!_state && ensureArray(_state.packed).includes(collection);
+  }
+
+  function reads(collection) {
+    return !!_state && !!PACKABLE[collection];
+  }
+
+  function state() {
+    return _state;
+  }
+
+  function _day(record) {
+    if (typeof record.date === 'string' && /^\d{4}-\d{2}-\d{2}/.test(record.date)) return record.date.slice(0, 10);
+    const ms = Number(record.createdAt || record.timestamp);
+    return ms ? new Date(ms).toISOString().slice(0, 10) : 'undated';
+  }
+
+  function _hash(text) {
+    let h = 0;
+    for (let i = 0; i < text.length; i++) h = (h * 31 + text.charCodeAt(i)) | 0;
+    return Math.abs(h);
+  }
+
+  function locate(collection, record) {
+    const cfg = PACKABLE[collection];
+    const owner = cfg.owner ? String(record[cfg.owner] || 'unassigned') : null;
+    const day = _day(record);
+    const chunk = _hash(String(record.id)) % cfg.chunks;
+    const head = { collection, day };
+    if (cfg.owner) head[cfg.owner] = record[cfg.owner] || null;
+    return {
+      collection: packCollection(collection),
+      docId:      [owner, day, chunk].filter(p => p !== null).join('_').replace(/\//g, '-'),
+      field:      FIELD_PREFIX + record.id,
+      head,
+    };
+  }
+
+  function _pack(pending, loc, backend) {
+    const key = `${loc.collection}/${loc.docId}`;
+    if (!pending.has(key)) {
+      pending.set(key, {
+        collection: loc.collection,
+        docId:      loc.docId,
+        data:       { ...loc.head, updatedAt: backend.serverTimestamp() },
+      });
+    }
+    return pending.get(key).data;
+  }
+
+  function stage(pending, collection, record, backend, base = null) {
+    const loc = locate(collection, record);
+    _pack(pending, loc, backend)[loc.field] = record;
+    if (!base) return;
+    const was = locate(collection, { ...base, id: record.id });
+    if (was.docId !== loc.docId) _pack(pending, was, backend)[was.field] = backend.deleteField();
+  }
+
+  function placement(collection, record, base = null) {
+    const loc = locate(collection, record);
+    const was = base ? locate(collection, { ...base, id: record.id }) : null;
+    return { pack: loc, was: was && was.docId !== loc.docId ? was : null, record };
+  }
+
+  async function target(collection, id, record) {
+    if (!reads(collection)) return null;
+    if (!record) {
+      const sid = String(id);
+      const dr = ensureArray(await sqliteStore.get('deletion_records'))
+        .find(d => d && (String(d.id) === sid || String(d.recordId) === sid));
+      record = dr && dr.snapshot;
+    }
+    return record ? locate(collection, { ...record, id }) : null;
+  }
+
+  async function removal(backend, collection, id, record) {
+    const loc = await target(collection, id, record);
+    if (!loc) return null;
+    return { collection: loc.collection, docId: loc.docId, data: { ...loc.head, [loc.field]: backend.deleteField() } };
+  }
+
+  function unpack(docs) {
+    const out = [];
+    for (const doc of ensureArray(docs)) {
+      for (const [field, value] of Object.entries(doc || {})) {
+        if (!field.startsWith(FIELD_PREFIX) || !value || typeof value !== 'object') continue;
+        out.push({ ...value, id: value.id || field.slice(FIELD_PREFIX.length) });
+      }
+    }
+    return out;
+  }
+
+  function newest(records) {
+    const byId = new Map();
+    for (const r of records) {
+      if (!r || !r.id) continue;
+      const prev = byId.get(String(r.id));
+      if (!prev || compareRecordVersions(r, prev) > 0) byId.set(String(r.id), r);
+    }
+    return [...byId.values()];
+  }
+
+  function due() {
+    return Date.now() - _lastFlush >= APP_CONFIG.PACK_FLUSH_DELAY_MS;
+  }
+
+  function flushed() {
+    _lastFlush = Date.now();
+    if (_flushTimer) clearTimeout(_flushTimer);
+    _flushTimer = null;
+  }
+
+  function schedule() {
+    if (_flushTimer) return;
+    const wait = Math.max(APP_CONFIG.PACK_FLUSH_DELAY_MS - (Date.now() - _lastFlush), 1000);
+    _flushTimer = setTimeout(() => {
+      _flushTimer = null;
+      if (typeof pushDataToCloud === 'function') pushDataToCloud(true, 'pack-flush').catch(() => {});
+    }, wait);
+  }
+
+  async function load() {
+    try {
+      _state = (await sqliteStore.get(STATE_KEY)) || null;
+    } catch (e) {
+      console.warn('[PackedLayout] Could not read storage layout', _safeErr(e));
+    }
+    return _state;
+  }
+
+  function moving() {
+    return _state ? ensureArray(_state.moving) : [];
+  }
+
+  async function adopt(remote) {
+    if (!remote || !Array.isArray(remote.packed)) return;
+    if (_state && (_state.updatedAt || 0) >= (remote.updatedAt || 0)) return;
+    _state = { packed: remote.packed.filter(c => PACKABLE[c]), updatedAt: remote.updatedAt || Date.now(), moving: moving() };
+    await sqliteStore.set(STATE_KEY, _state);
+  }
+
+  async function _move(backend, collection, toPacks) {
+    const records = ensureArray(await sqliteStore.get(getSQLiteKey(collection)))
+      .filter(r => r && r.id && !r._placeholder);
+    const batch = backend.batch();
+    if (toPacks) {
+      const pending = new Map();
+      records.forEach(r => stage(pending, collection, sanitizeForFirestore(r), backend));
+      for (const p of pending.values()) batch.put(p.collection, p.docId, p.data, { merge: true });
+      records.forEach(r => batch.remove(collection, String(r.id)));
+    } else {
+      const packIds = new Set();
+      records.forEach(r => {
+        batch.put(collection, String(r.id), { ...sanitizeForFirestore(r), updatedAt: backend.serverTimestamp() }, { merge: true });
+        packIds.add(locate(collection, r).docId);
+      });
+      packIds.forEach(id => batch.remove(packCollection(collection), id));
+    }
+    await batch.commit();
+    return records.length;
+  }
+
+  async function resume(backend) {
+    let moved = 0;
+    while (moving().length > 0) {
+      const collection = moving()[0];
+      moved += await _move(backend, collection, _state.packed.includes(collection));
+      _state = { ..._state, moving: moving().slice(1) };
+      await sqliteStore.set(STATE_KEY, _state);
+    }
+    return moved;
+  }
+
+  async function apply(backend, packed) {
+    const previous = _state;
+    const next = { packed: ensureArray(packed).filter(c => PACKABLE[c]), updatedAt: Date.now() };
+    const changed = packable().filter(c => (!!previous && ensureArray(previous.packed).includes(c)) !== next.packed.includes(c));
+    await backend.put('settings', 'config', { storage_layout: { ...next } }, { merge: true });
+    // Collections still being moved stay in the local state until their move
+    // commits, so an interrupted apply() is finished by resume().
+    next.moving = Array.from(new Set(moving().concat(changed)));
+    _state = next;
+    await sqliteStore.set(STATE_KEY, _state);
+    return resume(backend);
+  }
+
+  return {
+    packable, packCollection, collections, packs, reads, state, locate, stage, placement, target, removal,
+    unpack, newest, due, flushed, schedule, load, moving, adopt, apply, resume,
+  };
+})();
+window.PackedLayout = PackedLayout;
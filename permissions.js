@@ -0,0 +1,158 @@
+// The action matrix decides what the app offers each role; it is not access
+// control. The cloud enforces per-collection access from the organisation's
+// permissions (firestore.rules, sync-server.mjs) and only lets org admins
+// change the matrix itself.
+const Permissions = (() => {
+  const STATE_KEY = 'role_permissions';
+  const REVISION  = 2;
+  const ACTIONS = {
+    'sale.create':       'Create sales & collections',
+    'customer.edit':     'Add & edit customers',
+    'calc.create':       'Record calculator entries',
+    'rep_sale.create':   'Record rep sales',
+    'production.create': 'Record production',
+    'factory.create':    'Record factory runs & stock',
+    'price.edit':        'Edit prices & formulas',
+    'payments.view':     'View payments',
+    'payments.create':   'Record payments & expenses',
+    'record.delete':     'Delete records',
+    'year.close':        'Close financial year',
+  };
+  const ADDED_ACTIONS = ['customer.edit', 'calc.create'];
+  const TAB_ACTIONS = {
+    sales:    ['sale.create', 'customer.edit'],
+    calc:     ['calc.create'],
+    rep:      ['rep_sale.create'],
+    prod:     ['production.create'],
+    factory:  ['factory.create'],
+    payments: ['payments.view', 'payments.create'],
+  };
+  const DEFAULT_ROLES = {
+    manager:    Object.keys(ACTIONS).filter(a => a !== 'year.close'),
+    rep:        ['rep_sale.create', 'record.delete'],
+    factory:    ['factory.create', 'price.edit', 'record.delete'],
+    production: ['production.create', 'record.delete'],
+  };
+  const ROLE_LABELS = { manager: 'Manager', rep: 'Sales Rep', factory: 'Factory', production: 'Production' };
+  const MODE_ROLES  = { admin: 'owner' };
+  let _matrix = {};
+
+  function _userRole(name) {
+    return `user:${String(name || '').trim().toUpperCase()}`;
+  }
+
+  function _tabs(name) {
+    const user = ensureArray(typeof userRolesList !== 'undefined' ? userRolesList : [])
+      .find(u => u && u.name === name);
+    return ensureArray(user ? user.tabs : window._assignedUserTabs);
+  }
+
+  function _clean(actions) {
+    return Array.from(new Set(ensureArray(actions).filter(a => ACTIONS[a])));
+  }
+
+  function currentRole() {
+    const mode = typeof appMode !== 'undefined' ? appMode : 'admin';
+    if (mode === 'userrole') return _userRole(window._assignedManagerName);
+    if (typeof Organisation !== 'undefined' && Organisation.active()) return Organisation.role();
+    return MODE_ROLES[mode] || mode;
+  }
+
+  function defaults(role) {
+    if (role.startsWith('user:')) {
+      const tabs = _tabs(role.slice(5));
+      return _clean(tabs.flatMap(t => TAB_ACTIONS[t] || []).concat(tabs.length ? ['record.delete'] : []));
+    }
+    return DEFAULT_ROLES[role] || [];
+  }
+
+  function grants(role) {
+    if (role === 'owner') return Object.keys(ACTIONS);
+    return Array.isArray(_matrix[role]) ? _matrix[role] : defaults(role);
+  }
+
+  function can(action, role = currentRole()) {
+    return grants(role).includes(action);
+  }
+
+  function check(action) {
+    if (can(action)) return true;
+    console.warn(`[Permissions] Blocked ${action} for role ${currentRole()}`);
+    if (typeof showToast === 'function') {
+      showToast(`Access Denied — your role cannot ${(ACTIONS[action] || action).toLowerCase()}`, 'warning', 3000);
+    }
+    return false;
+  }
+
+  function roles() {
+    const users = ensureArray(typeof userRolesList !== 'undefined' ? userRolesList : [])
+      .filter(u => u && u.name)
+      .map(u => ({ id: _userRole(u.name), label: u.name }));
+    return Object.keys(DEFAULT_ROLES).map(id => ({ id, label: ROLE_LABELS[id] })).concat(users);
+  }
+
+  function matrix() {
+    return _matrix;
+  }
+
+  function actions() {
+    return ACTIONS;
+  }
+
+  function set(role, action, granted) {
+    if (role === 'owner' || !ACTIONS[action]) return;
+    if (role === 'manager' && currentRole() !== 'owner') return;
+    const next = new Set(grants(role));
+    if (granted) next.add(action);
+    else next.delete(action);
+    _matrix = { ..._matrix, [role]: _clean([...next]), revision: REVISION };
+  }
+
+  function forget(name) {
+    const { [_userRole(name)]: _dropped, ...rest } = _matrix;
+    _matrix = rest;
+  }
+
+  function _parse(remote) {
+    const next = {};
+    for (const [role, list] of Object.entries(remote)) {
+      if (role !== 'owner' && role !== 'admin' && Array.isArray(list)) next[role] = _clean(list);
+    }
+    if (remote.revision !== REVISION) {
+      for (const role of Object.keys(next)) {
+        const added = ADDED_ACTIONS.filter(a => defaults(role).includes(a));
+        next[role] = _clean(next[role].concat(added));
+      }
+    }
+    next.revision = REVISION;
+    return next;
+  }
+
+  async function load() {
+    try {
+      const stored = await sqliteStore.get(STATE_KEY);
+      _matrix = stored && typeof stored === 'object' && !Array.isArray(stored) ? _parse(stored) : {};
+    } catch (e) {
+      console.warn('[Permissions] Could not read role permissions', _safeErr(e));
+    }
+    return _matrix;
+  }
+
+  async function adopt(remote) {
+    if (!remote || typeof remote !== 'object' || Array.isArray(remote)) return false;
+    const next = _parse(remote);
+    const changed = JSON.stringify(next) !== JSON.stringify(_matrix);
+    _matrix = next;
+    await sqliteStore.set(STATE_KEY, _matrix);
+    return changed;
+  }
+
+  async function persist() {
+    await sqliteStore.set(STATE_KEY, _matrix);
+  }
+
+  return {
+    actions, roles, currentRole, defaults, grants, can, check, matrix, set, forget, load, adopt, persist,
+  };
+})();
+window.Permissions = Permissions;
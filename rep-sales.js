@@ -241,8 +241,9 @@ document.getElementById('rep-customer-info-display').classList.add('hidden');
 showToast("Cannot create transaction with representative name", "warning");
 return;
 }
+const statsCustomer = resolveCustomerInput(repCustomers, name, document.getElementById('rep-cust-name'), { salesRep: currentRepProfile }).customer || { id: null, name };
 const history = repSales.filter(s =>
-s && s.customerName && s.customerName.toLowerCase() === name.toLowerCase() &&
+s && recordBelongsToCustomer(s, statsCustomer) &&
 s.salesRep === currentRepProfile
 );
 let debt = 0;
@@ -298,6 +299,7 @@ if (_repTVS) _repTVS.innerText = "" + fmtAmt(safeNumber(qty * salePrice, 0));
 }
 
 async function saveRepTransaction() {
+if (!Permissions.check('rep_sale.create')) return;
 const repSales = ensureArray(await sqliteStore.get('rep_sales'));
 const repCustomers = ensureArray(await sqliteStore.get('rep_customers'));
 const submitBtn = document.querySelector('#rep-new-transaction-card .btn-main');
@@ -323,6 +325,13 @@ showToast("Date and Name required", "warning");
 restoreBtn();
 return;
 }
+const _repMatch = resolveCustomerInput(repCustomers, name, document.getElementById('rep-cust-name'), { salesRep: currentRepProfile });
+if (_repMatch.ambiguous) {
+showToast(`More than one customer is named "${name}". Pick the right one from the search list.`, "warning", 5000);
+restoreBtn();
+return;
+}
+const customerRef = _repMatch.customer || { id: generateUUID('rep_cust'), name };
 
 let gpsCoords = null;
 const _gpsBgPromise = Promise.race([
@@ -368,6 +377,7 @@ id: saleId,
 date: date,
 time: timeString,
 customerName: name,
+customerId: customerRef.id,
 customerPhone: phoneNumber,
 quantity: qty,
 supplyStore: 'STORE_A',
@@ -396,7 +406,7 @@ return;
 let _repOutstanding = 0;
 try {
 const _repHistory = repSales.filter(s =>
-s && s.customerName && s.customerName.toLowerCase() === name.toLowerCase() &&
+s && recordBelongsToCustomer(s, customerRef) &&
 s.salesRep === currentRepProfile
 );
 for (const h of _repHistory) {
@@ -440,6 +450,7 @@ id: collId,
 date: date,
 time: timeString,
 customerName: name,
+customerId: customerRef.id,
 customerPhone: phoneNumber,
 quantity: 0,
 supplyStore: 'STORE_A',
@@ -472,19 +483,20 @@ void _gpsBgPromise.then(async coords => {
       allSales[idx].updatedAt = getTimestamp();
       await unifiedSave('rep_sales', allSales, allSales[idx]);
     }
-    autoUpdateCustomerLocation(name, coords).catch(() => {});
+    autoUpdateCustomerLocation(customerRef, coords).catch(() => {});
   } catch (_gpsErr) { console.warn('Background GPS patch failed:', _safeErr(_gpsErr)); }
 }).catch(() => {});
 try {
 const _rcName = transactionRecord.customerName;
 const _rcPhone = transactionRecord.customerPhone || '';
 if (_rcName && _rcName.trim()) {
-const existsInRepRegistry = Array.isArray(repCustomers) && repCustomers.some(c => c && c.name && c.name.toLowerCase() === _rcName.toLowerCase() && (c.salesRep === currentRepProfile || !c.salesRep));
+const existsInRepRegistry = repCustomers.some(c => c && c.id === transactionRecord.customerId);
 if (!existsInRepRegistry) {
-const _rcContact = { id: generateUUID('rep_cust'), name: _rcName, phone: _rcPhone, address: '', oldDebit: 0, salesRep: currentRepProfile, createdAt: getTimestamp(), updatedAt: getTimestamp(), timestamp: getTimestamp() };
+const _rcContact = { id: transactionRecord.customerId, name: _rcName, phone: _rcPhone, address: '', oldDebit: 0, salesRep: currentRepProfile, createdAt: getTimestamp(), updatedAt: getTimestamp(), timestamp: getTimestamp() };
 if (!Array.isArray(repCustomers)) repCustomers = [];
 repCustomers.push(_rcContact);
 await unifiedSave('rep_customers', repCustomers, _rcContact);
+if (typeof linkCustomerReferences === 'function') linkCustomerReferences().catch(e => console.warn('[CustomerLinks]', _safeErr(e)));
 }
 }
 } catch (_rcErr) { console.warn('Auto-register rep customer failed:', _safeErr(_rcErr)); }
@@ -497,11 +509,11 @@ document.getElementById('rep-quantity').value = '';
 const savedCustomerName = name;
 document.getElementById('rep-amount-collected').value = '';
 if(repTransactionMode === 'sale') {
-const _custName = document.getElementById('rep-cust-name'); if (_custName) _custName.value = '';
+const _custName = document.getElementById('rep-cust-name'); if (_custName) { _custName.value = ''; _custName.removeAttribute('data-entity-id'); }
 const _custInfo = document.getElementById('rep-customer-info-display'); if (_custInfo) _custInfo.classList.add('hidden');
 const _repTV1 = document.getElementById('rep-total-value'); if (_repTV1) _repTV1.innerText = '0.00';
 } else {
-const _custName2 = document.getElementById('rep-cust-name'); if (_custName2) _custName2.value = '';
+const _custName2 = document.getElementById('rep-cust-name'); if (_custName2) { _custName2.value = ''; _custName2.removeAttribute('data-entity-id'); }
 const _custInfo2 = document.getElementById('rep-customer-info-display'); if (_custInfo2) _custInfo2.classList.add('hidden');
 await setRepMode('sale');
 }
@@ -534,17 +546,12 @@ function deg2rad(deg) {
 return deg * (Math.PI / 180);
 }
 
-async function autoUpdateCustomerLocation(customerName, currentGps) {
+async function autoUpdateCustomerLocation(customer, currentGps) {
 const repCustomers = ensureArray(await sqliteStore.get('rep_customers'));
 const repSales = ensureArray(await sqliteStore.get('rep_sales'));
-if (!currentGps || !currentGps.lat || !currentGps.lng) return;
-const _lcAutoName = customerName.toLowerCase();
-const contactIndex = repCustomers.findIndex(c => {
-if (!c || !c.name) return false;
-if (c.name.toLowerCase() !== _lcAutoName) return false;
-if (c.salesRep) return c.salesRep === currentRepProfile;
-return repSales.some(s => s && s.salesRep === currentRepProfile && s.customerName && s.customerName.toLowerCase() === _lcAutoName);
-});
+if (!currentGps || !currentGps.lat || !currentGps.lng || !customer) return;
+const customerName = customer.name;
+const contactIndex = repCustomers.findIndex(c => c && c.id && String(c.id) === String(customer.id));
 if (contactIndex === -1) return;
 const contact = repCustomers[contactIndex];
 if (contact.locationConfirmed) return;
@@ -552,8 +559,8 @@ const isManualAddress = contact.address && contact.address.length > 5 && !contac
 if (isManualAddress) return;
 const pastTransactions = repSales.filter(sale =>
 sale &&
-sale.customerName &&
-sale.customerName.toLowerCase() === customerName.toLowerCase() &&
+sale.salesRep === currentRepProfile &&
+recordBelongsToCustomer(sale, customer) &&
 sale.gps &&
 sale.gps.lat &&
 sale.gps.lng &&
@@ -722,8 +729,6 @@ calculateRepAnalytics();
 }
 
 async function calculateRepAnalytics() {
-const repSales = ensureArray(await sqliteStore.get('rep_sales'));
-const repCustomers = ensureArray(await sqliteStore.get('rep_customers'));
 if (appMode !== 'admin') return;
 const adminDateInput = document.getElementById('admin-rep-date');
 const selectedDate = (adminDateInput && adminDateInput.value) || new Date().toISOString().split('T')[0];
@@ -746,6 +751,10 @@ endDate = new Date(selectedYear, 11, 31, 23, 59, 59);
 startDate = new Date('2000-01-01');
 endDate = new Date('2100-12-31');
 }
+const repSales = await sqliteStore.queryRecords('rep_sales', {
+...reportDateBounds(startDate, endDate),
+rep: currentRepProfile
+});
 let collections = 0;
 let cashSales = 0;
 let creditSales = 0;
@@ -816,46 +825,52 @@ s.salesRep === currentRepProfile
 );
 const custMap = {};
 myData.forEach(s => {
-if(!custMap[s.customerName]) custMap[s.customerName] = { debt: 0, count: 0 };
-custMap[s.customerName].count++;
+const ref = customerRefKey(s);
+if(!custMap[ref]) {
+const contact = s.customerId ? repCustomers.find(c => c && String(c.id) === String(s.customerId)) : null;
+custMap[ref] = { id: contact ? contact.id : (s.customerId || null), name: contact ? contact.name : s.customerName, debt: 0, count: 0 };
+}
+custMap[ref].count++;
 if (s.transactionType === 'OLD_DEBT' && !s.creditReceived) {
 const partialPaid = s.partialPaymentReceived || 0;
-custMap[s.customerName].debt += ((s.totalValue || 0) - partialPaid);
+custMap[ref].debt += ((s.totalValue || 0) - partialPaid);
 } else if(s.paymentType === 'CREDIT' && !s.creditReceived) {
 if (s.isMerged && typeof s.creditValue === 'number') {
-custMap[s.customerName].debt += s.creditValue;
+custMap[ref].debt += s.creditValue;
 } else {
 const partialPaid = s.partialPaymentReceived || 0;
-custMap[s.customerName].debt += ((s.totalValue || 0) - partialPaid);
+custMap[ref].debt += ((s.totalValue || 0) - partialPaid);
 }
 }
 if(s.paymentType === 'COLLECTION' || s.paymentType === 'PARTIAL_PAYMENT') {
-custMap[s.customerName].debt -= (s.totalValue || 0);
+custMap[ref].debt -= (s.totalValue || 0);
 }
 });
-const sortedCustomers = Object.keys(custMap).sort();
+const _byName = (a, b) => String(a.name || '').localeCompare(String(b.name || ''));
+const sortedCustomers = Object.values(custMap).filter(c => c.name).sort(_byName);
 if (Array.isArray(repCustomers)) {
-const custMapNames = new Set(Object.keys(custMap).map(n => n.toLowerCase()));
+const custMapIds = new Set(sortedCustomers.map(c => c.id).filter(Boolean));
+const custMapNames = new Set(sortedCustomers.filter(c => !c.id).map(c => customerNameKey(c.name)));
 const repSalesNamesForProfile = new Set(
 (Array.isArray(repSales) ? repSales : [])
 .filter(s => s && s.salesRep === currentRepProfile && s.customerName)
-.map(s => s.customerName.toLowerCase())
+.map(s => customerNameKey(s.customerName))
 );
 repCustomers.forEach(rc => {
-if (!rc || !rc.name || !rc.name.trim()) return;
+if (!rc || !rc.name || !rc.name.trim() || custMapIds.has(rc.id)) return;
 if (rc.salesRep && rc.salesRep !== currentRepProfile) return;
-if (!rc.salesRep && !repSalesNamesForProfile.has(rc.name.toLowerCase())) return;
-const lcName = rc.name.toLowerCase();
-if (custMapNames.has(lcName)) return;
-custMap[rc.name] = { debt: 0, count: 0 };
-sortedCustomers.push(rc.name);
-custMapNames.add(lcName);
+if (!rc.salesRep && !repSalesNamesForProfile.has(customerNameKey(rc.name))) return;
+if (custMapNames.has(customerNameKey(rc.name)) && customersNamed(repCustomers, rc.name, { salesRep: currentRepProfile }).length === 1) return;
+const entry = { id: rc.id, name: rc.name, debt: 0, count: 0 };
+custMap['id:' + rc.id] = entry;
+sortedCustomers.push(entry);
+custMapIds.add(rc.id);
 });
-sortedCustomers.sort();
+sortedCustomers.sort(_byName);
 }
-const filteredCustomers = sortedCustomers.filter(name => {
+const filteredCustomers = sortedCustomers.filter(c => {
 if (!filter) return true;
-return name && typeof name === 'string' && name.toLowerCase().includes(filter);
+return c.name && typeof c.name === 'string' && c.name.toLowerCase().includes(filter);
 });
 const totalItems = filteredCustomers.length;
 if (!filteredCustomers || !Array.isArray(filteredCustomers) || !custMap) {
@@ -869,19 +884,19 @@ const filter = filterInput ? filterInput.value : '';
 tbody.innerHTML = `<tr><td class="u-empty-state-md" colspan="5" >No customers match "${esc(filter)}"</td></tr>`;
 }
 } else {
-function buildRepCustomerRow(name) {
-const customerData = custMap[name];
+function buildRepCustomerRow(customerData) {
+const name = customerData.name;
 const customerTransactions = repSales.filter(s =>
-s.customerName === name &&
+recordBelongsToCustomer(s, customerData) &&
 s.salesRep === currentRepProfile
 );
 const latestTransaction = customerTransactions.sort((a, b) => b.timestamp - a.timestamp)[0];
 const displayDate = latestTransaction?.date ? formatDisplayDate(latestTransaction.date) : '-';
-const repContact = repCustomers.find(c => c && c.name && c.name.toLowerCase() === name.toLowerCase() && (c.salesRep === currentRepProfile || !c.salesRep));
+const repContact = findCustomerByRef(repCustomers, customerData.id || name, { salesRep: currentRepProfile });
 const phone = repContact?.phone || latestTransaction?.customerPhone || '-';
 const tr = document.createElement('tr');
 tr.style.borderBottom = '1px solid var(--glass-border)';
-const safeNameForAttr = name.replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+const safeNameForAttr = (customerData.id || name).replace(/\\/g, '\\\\').replace(/'/g, "\\'");
 tr.innerHTML = `
 <td class="u-table-td">${displayDate}</td>
 <td style="padding: 8px 2px; font-size: 0.8rem; color: var(--accent); font-weight: 600; cursor:pointer;" onclick="event.stopPropagation(); openRepCustomerManagement('${safeNameForAttr}')">${esc(name)}</td>
@@ -893,7 +908,7 @@ return tr;
 }
 tbody.innerHTML = '';
 const _fragR = document.createDocumentFragment();
-filteredCustomers.forEach((name, i) => { const el = buildRepCustomerRow(name, i); if (el) _fragR.appendChild(el); });
+filteredCustomers.forEach((c, i) => { const el = buildRepCustomerRow(c, i); if (el) _fragR.appendChild(el); });
 tbody.appendChild(_fragR);
 }
 let repTotalCreditSales = 0;
@@ -912,18 +927,22 @@ _setRepH('rep-customers-total-credit-sales', fmtAmt(repTotalCreditSales));
 _setRepH('rep-customers-total-collections', fmtAmt(repTotalCollections));
 }
 
-async function openRepCustomerManagement(customerName) {
-currentManagingRepCustomer = customerName;
-const _repMCT = document.getElementById('repManageCustomerTitle'); if (_repMCT) _repMCT.innerText = customerName;
+async function openRepCustomerManagement(customerRef) {
+const repCustomers = ensureArray(await sqliteStore.get('rep_customers'));
+const contact = findCustomerByRef(repCustomers, customerRef, { salesRep: currentRepProfile });
+currentManagingRepCustomer = contact ? contact.name : customerRef;
+currentManagingRepCustomerId = contact ? contact.id : null;
+const _repMCT = document.getElementById('repManageCustomerTitle'); if (_repMCT) _repMCT.innerText = currentManagingRepCustomer;
 const _repBulk = document.getElementById('repBulkPaymentAmount'); if (_repBulk) _repBulk.value = '';
 if (typeof openStandaloneScreen === 'function') openStandaloneScreen('rep-customer-management-screen');
-await renderRepCustomerTransactions(customerName);
+await renderRepCustomerTransactions(currentManagingRepCustomer);
 }
 
 async function closeRepCustomerManagement() {
 const repSales = ensureArray(await sqliteStore.get('rep_sales'));
 if (typeof closeStandaloneScreen === 'function') closeStandaloneScreen('rep-customer-management-screen');
 currentManagingRepCustomer = null;
+currentManagingRepCustomerId = null;
 setTimeout(async () => {
 try {
 const freshRepSales = await sqliteStore.get('rep_sales', []);
@@ -942,11 +961,13 @@ if (typeof renderRepCustomerTable === 'function') renderRepCustomerTable();
 }
 
 async function deleteCurrentRepCustomer() {
+if (!Permissions.check('record.delete')) return;
 const repSales = ensureArray(await sqliteStore.get('rep_sales'));
 const repCustomers = ensureArray(await sqliteStore.get('rep_customers'));
 if (!currentManagingRepCustomer) return;
 const name = currentManagingRepCustomer;
-const txs = repSales.filter(s => s.customerName === name && s.salesRep === currentRepProfile);
+const customerRef = _managedRepCustomerRef(name, repCustomers);
+const txs = repSales.filter(s => recordBelongsToCustomer(s, customerRef) && s.salesRep === currentRepProfile);
 const totalDebt = txs
 .filter(s => s.paymentType === 'CREDIT' && !s.creditReceived)
 .reduce((sum, s) => sum + (s.totalValue || 0) - (s.partialPaymentReceived || 0), 0);
@@ -959,13 +980,7 @@ msg += `\n\nAll rep sales history for this customer will be permanently deleted.
 msg += `\n\nThis cannot be undone.`;
 if (!(await showGlassConfirm(msg, { title: 'Delete Rep Customer', confirmText: 'Delete Permanently', danger: true }))) return;
 try {
-const _lcDelName = name.toLowerCase();
-const contactIdx = repCustomers.findIndex(c => {
-if (!c || !c.name) return false;
-if (c.name.toLowerCase() !== _lcDelName) return false;
-if (c.salesRep) return c.salesRep === currentRepProfile;
-return repSales.some(s => s && s.salesRep === currentRepProfile && s.customerName && s.customerName.toLowerCase() === _lcDelName);
-});
+const contactIdx = customerRef.id ? repCustomers.findIndex(c => c && String(c.id) === String(customerRef.id)) : -1;
 if (contactIdx !== -1) {
 const contactRecord = repCustomers[contactIdx];
 const contactId = contactRecord.id;
@@ -1007,6 +1022,7 @@ const repSales = ensureArray(await sqliteStore.get('rep_sales'));
 const repCustomers = ensureArray(await sqliteStore.get('rep_customers'));
 const list = document.getElementById('repCustomerManagementHistoryList');
 if (!list) return;
+const customerRef = _managedRepCustomerRef(name, repCustomers);
 let transactions = [];
 try {
 const dbSales = await sqliteStore.get('rep_sales', []);
@@ -1014,14 +1030,14 @@ if (Array.isArray(dbSales)) {
 const recordMap = new Map(dbSales.filter(s => s && s.id).map(s => [s.id, s]));
 if (Array.isArray(repSales)) repSales.forEach(s => { if (s && s.id && !recordMap.has(s.id)) recordMap.set(s.id, s); });
 const mergedTx = Array.from(recordMap.values());
-transactions = mergedTx.filter(s => s.customerName === name && s.salesRep === currentRepProfile);
+transactions = mergedTx.filter(s => recordBelongsToCustomer(s, customerRef) && s.salesRep === currentRepProfile);
 } else {
-transactions = repSales.filter(s => s.customerName === name && s.salesRep === currentRepProfile);
+transactions = repSales.filter(s => recordBelongsToCustomer(s, customerRef) && s.salesRep === currentRepProfile);
 }
 } catch (e) {
 console.error('Rep sales operation failed.', _safeErr(e));
 showToast('Rep sales operation failed.', 'error');
-transactions = repSales.filter(s => s.customerName === name && s.salesRep === currentRepProfile);
+transactions = repSales.filter(s => recordBelongsToCustomer(s, customerRef) && s.salesRep === currentRepProfile);
 }
 const rangeSelect = document.getElementById('repCustomerPdfRange');
 const range = rangeSelect ? rangeSelect.value : 'all';
@@ -1037,9 +1053,7 @@ if (range === 'year') { const y = new Date(today); y.setFullYear(y.getFullYear()
 return true;
 });
 }
-const repContacts = repCustomers;
-const contact = repContacts.find(c => c && c.name && c.name.toLowerCase() === name.toLowerCase() && c.salesRep === currentRepProfile)
-  || repContacts.find(c => c && c.name && c.name.toLowerCase() === name.toLowerCase());
+const contact = customerRef.id ? repCustomers.find(c => c && String(c.id) === String(customerRef.id)) : null;
 const phone = contact?.phone || transactions.find(t => t && t.customerPhone)?.customerPhone || '';
 const address = contact?.address || '';
 const _repHeaderPhoto = await getPersonPhoto('rep-cust:' + (currentRepProfile || '') + ':' + name.toLowerCase());
@@ -1052,7 +1066,7 @@ ${_repAvatarHTML}
 <div style="min-width:0;flex:1;">
 <div style="display:flex;align-items:center;gap:8px;flex-wrap:wrap;">
 <span>${esc(name)}</span>
-<button class="sidebar-settings-btn" style="width:auto;padding:5px 10px;font-size:0.75rem;color:var(--accent);background:rgba(29,233,182,0.07);border-radius:8px;border:1px solid rgba(29,233,182,0.25);display:inline-flex;align-items:center;gap:5px;" onclick="openRepCustomerEditModal('${_repSafeName}')" title="Edit Contact Info"><svg width="13" height="13" viewBox="0 0 36 36" fill="none" xmlns="http://www.w3.org/2000/svg"><rect x="5" y="5" width="26" height="7" rx="2.5" fill="var(--accent)" fill-opacity="0.18" stroke="var(--accent)" stroke-width="1.4"/><rect x="5" y="15" width="26" height="7" rx="2.5" fill="var(--accent)" fill-opacity="0.12" stroke="var(--accent)" stroke-width="1.4"/><rect x="5" y="25" width="18" height="7" rx="2.5" fill="var(--accent)" fill-opacity="0.08" stroke="var(--accent)" stroke-width="1.4"/><line x1="27" y1="26" x2="32" y2="21" stroke="var(--accent)" stroke-width="1.5" stroke-linecap="round"/><circle cx="26" cy="27" r="1" fill="var(--accent)"/></svg>Edit</button>
+<button class="sidebar-settings-btn" style="width:auto;padding:5px 10px;font-size:0.75rem;color:var(--accent);background:rgba(29,233,182,0.07);border-radius:8px;border:1px solid rgba(29,233,182,0.25);display:inline-flex;align-items:center;gap:5px;" onclick="openRepCustomerEditModal('${_repSafeName}', '${esc(customerRef.id || '')}')" title="Edit Contact Info"><svg width="13" height="13" viewBox="0 0 36 36" fill="none" xmlns="http://www.w3.org/2000/svg"><rect x="5" y="5" width="26" height="7" rx="2.5" fill="var(--accent)" fill-opacity="0.18" stroke="var(--accent)" stroke-width="1.4"/><rect x="5" y="15" width="26" height="7" rx="2.5" fill="var(--accent)" fill-opacity="0.12" stroke="var(--accent)" stroke-width="1.4"/><rect x="5" y="25" width="18" height="7" rx="2.5" fill="var(--accent)" fill-opacity="0.08" stroke="var(--accent)" stroke-width="1.4"/><line x1="27" y1="26" x2="32" y2="21" stroke="var(--accent)" stroke-width="1.5" stroke-linecap="round"/><circle cx="26" cy="27" r="1" fill="var(--accent)"/></svg>Edit</button>
 </div>
 <div style="font-size:0.75rem;color:var(--text-muted);font-weight:normal;margin-top:2px;">
 ${phone ? phoneActionHTML(phone) : 'No Phone'} ${address ? `|  ${esc(address)}` : ''}
@@ -1174,7 +1188,7 @@ _repFrag.appendChild(item);
 list.replaceChildren(_repFrag);
 }
 
-async function openRepCustomerEditModal(customerName) {
+async function openRepCustomerEditModal(customerName, customerId = null) {
 customerName = customerName || '';
 const isAddMode = !customerName;
 const titleEl = document.getElementById('rep-cust-edit-screen-title');
@@ -1203,6 +1217,7 @@ const repSales = ensureArray(await sqliteStore.get('rep_sales'));
 const repCustomers = ensureArray(await sqliteStore.get('rep_customers'));
 nameInput.value = customerName;
 nameInput.dataset.originalName = customerName;
+nameInput.dataset.customerId = '';
 if (!customerName) {
 document.getElementById('rep-edit-cust-phone').value = '';
 document.getElementById('rep-edit-cust-address').value = '';
@@ -1212,11 +1227,12 @@ await loadPersonPhotoIntoEditor('rep-cust', _repPhotoKey);
 if (typeof openStandaloneScreen === 'function') openStandaloneScreen('rep-customer-edit-screen');
 return;
 }
-const contact = repCustomers.find(c => c && c.name && c.name.toLowerCase() === customerName.toLowerCase() && c.salesRep === currentRepProfile)
-  || repCustomers.find(c => c && c.name && c.name.toLowerCase() === customerName.toLowerCase() && !c.salesRep);
-const saleRecord = repSales.find(s => s.customerName === customerName && s.salesRep === currentRepProfile && s.customerPhone);
+const contact = findCustomerByRef(repCustomers, customerId || customerName, { salesRep: currentRepProfile });
+nameInput.dataset.customerId = contact ? contact.id : '';
+const customerRef = contact || { id: null, name: customerName };
+const saleRecord = repSales.find(s => recordBelongsToCustomer(s, customerRef) && s.salesRep === currentRepProfile && s.customerPhone);
 const existingOldDebtTx = repSales.find(s =>
-s.customerName && s.customerName.toLowerCase() === customerName.toLowerCase() &&
+recordBelongsToCustomer(s, customerRef) &&
 s.transactionType === 'OLD_DEBT' &&
 s.salesRep === currentRepProfile
 );
@@ -1234,11 +1250,13 @@ if (typeof closeStandaloneScreen === 'function') closeStandaloneScreen('rep-cust
 }
 
 async function saveRepCustomerDetails() {
+if (!Permissions.check('rep_sale.create')) return;
 const repSales = ensureArray(await sqliteStore.get('rep_sales'));
 const repCustomers = ensureArray(await sqliteStore.get('rep_customers'));
 const nameInput = document.getElementById('rep-edit-cust-name');
 const name = nameInput.value.trim();
 const originalName = nameInput.dataset.originalName || name;
+const editingId = nameInput.dataset.customerId || '';
 const phone = document.getElementById('rep-edit-cust-phone').value.trim();
 const address = document.getElementById('rep-edit-cust-address').value.trim();
 const oldDebit = parseFloat(document.getElementById('rep-edit-cust-old-debit').value) || 0;
@@ -1253,11 +1271,22 @@ if (Array.isArray(repCustomers)) repCustomers.forEach(c => { if (!m.has(c.id)) m
 const mergedRepC = Array.from(m.values());
 await sqliteStore.set('rep_customers', mergedRepC);
 }
-let contact = repCustomers.find(c => c && c.name && c.name.toLowerCase() === originalName.toLowerCase() && c.salesRep === currentRepProfile);
-if (!contact) contact = repCustomers.find(c => c && c.name && c.name.toLowerCase() === name.toLowerCase() && c.salesRep === currentRepProfile);
-if (!contact) contact = repCustomers.find(c => c && c.name && c.name.toLowerCase() === originalName.toLowerCase() && !c.salesRep);
-if (!contact) contact = repCustomers.find(c => c && c.name && c.name.toLowerCase() === name.toLowerCase() && !c.salesRep);
+const isAddMode = !nameInput.dataset.originalName;
+const repScope = { salesRep: currentRepProfile };
+let contact = null;
+if (isAddMode) {
+if (customersNamed(repCustomers, name, repScope).length > 0) {
+const addSeparate = await showGlassConfirm(`A customer named "${name}" already exists. Add another, separate customer with the same name? Give them a phone or address so they can be told apart.`, {
+title: 'Duplicate Name', confirmText: 'Add Separate Customer', cancelText: 'Cancel'
+});
+if (!addSeparate) return;
+}
+} else {
+contact = findCustomerByRef(repCustomers, editingId || originalName, repScope);
+if (!contact && !editingId) contact = findCustomerByRef(repCustomers, name, repScope);
+}
 const previousOldDebit = contact?.oldDebit || 0;
+const formerRef = { id: contact ? contact.id : null, name: originalName };
 if (contact) {
 if (!validateUUID(String(contact.id || ''))) { contact.id = generateUUID('rep_cust'); }
 contact.name = name; contact.phone = phone; contact.address = address; contact.oldDebit = oldDebit;
@@ -1276,16 +1305,23 @@ const mSales = new Map(salesArray.map(s => [s.id, s]));
 repSales.forEach(s => { if (s && s.id && !mSales.has(s.id)) mSales.set(s.id, s); });
 salesArray = Array.from(mSales.values());
 }
-const renamedRecords = [];
+const renamedRecords = [], nameOnlyRecords = [];
 if (nameChanged) {
 salesArray.forEach(s => {
-if (s.customerName && s.customerName.toLowerCase() === originalName.toLowerCase() && s.salesRep === currentRepProfile) {
+if (!s || s.salesRep !== currentRepProfile) return;
+if (s.customerId && formerRef.id && String(s.customerId) === String(formerRef.id)) {
 s.customerName = name;
+s.customerId = contact.id;
+s.updatedAt = getTimestamp();
 renamedRecords.push(s);
+} else if (!s.customerId && recordBelongsToCustomer(s, { name: originalName })) {
+nameOnlyRecords.push(s);
 }
 });
+await holdRenamedNameOnlyRecords('rep_sales', contact, originalName, nameOnlyRecords);
 }
-const oldDebtIdx = salesArray.findIndex(s => s.customerName === name &&
+const customerRef = { id: contact.id, name };
+const oldDebtIdx = salesArray.findIndex(s => s && recordBelongsToCustomer(s, customerRef) &&
 s.transactionType === 'OLD_DEBT' && s.salesRep === currentRepProfile);
 let oldDebtModified = false, oldDebtRecord = null, deletedOldDebtId = null;
 if (oldDebit > 0) {
@@ -1301,7 +1337,7 @@ ensureRecordIntegrity(tx, true);
 oldDebtModified = true; oldDebtRecord = tx;
 } else {
 const tx = { id: generateUUID('old_debt'), date: new Date().toISOString().split('T')[0],
-customerName: name, customerPhone: phone, salesRep: currentRepProfile, quantity: 0,
+customerName: name, customerId: contact.id, customerPhone: phone, salesRep: currentRepProfile, quantity: 0,
 supplyStore: 'N/A', paymentType: 'CREDIT', transactionType: 'OLD_DEBT',
 totalValue: oldDebit, creditReceived: false, partialPaymentReceived: 0,
 time: new Date().toLocaleTimeString('en-US', {hour: '2-digit', minute: '2-digit', hour12: true}),
@@ -1316,7 +1352,7 @@ salesArray.splice(oldDebtIdx, 1); oldDebtModified = true;
 if (deletedOldDebtId) { window._repOldDebtRecordForDeletion = _repOldDebtRecordForDeletion; }
 }
 let phoneUpdated = false;
-salesArray.forEach(s => { if (s && s.customerName === name && s.customerPhone !== phone) { s.customerPhone = phone; phoneUpdated = true; } });
+salesArray.forEach(s => { if (s && s.salesRep === currentRepProfile && recordBelongsToCustomer(s, customerRef) && s.customerPhone !== phone) { s.customerPhone = phone; phoneUpdated = true; } });
 repSales.length = 0; repSales.push(...salesArray);
 if (nameChanged || oldDebtModified || phoneUpdated) {
 if (deletedOldDebtId) {
@@ -1330,7 +1366,7 @@ if (nameChanged && renamedRecords.length > 0) {
 await unifiedSave('rep_sales', salesArray, null, renamedRecords.map(r => r.id));
 }
 }
-const message = nameChanged ? `Rep customer renamed to "${name}" and details updated`
+const message = nameChanged ? `Rep customer renamed to "${name}" and details updated${nameOnlyRecords.length ? ` — ${nameOnlyRecords.length} unlinked record${nameOnlyRecords.length !== 1 ? 's' : ''} kept for review` : ''}`
 : oldDebit > 0 ? `Rep customer updated with old debt of ₨${oldDebit.toLocaleString()}`
 : (oldDebit === 0 && previousOldDebit > 0) ? 'Rep customer updated and old debt cleared'
 : 'Rep customer details updated successfully';
@@ -1359,8 +1395,9 @@ await savePersonPhoto('rep-cust', _repPhotoKeyNew);
 showToast(message, 'success');
 closeRepCustomerEditModal();
 await new Promise(r => setTimeout(r, 350));
-if (nameChanged && currentManagingRepCustomer && currentManagingRepCustomer.toLowerCase() === originalName.toLowerCase()) {
+if (nameChanged && currentManagingRepCustomer && (currentManagingRepCustomerId ? currentManagingRepCustomerId === contact.id : currentManagingRepCustomer.toLowerCase() === originalName.toLowerCase())) {
 currentManagingRepCustomer = name;
+currentManagingRepCustomerId = contact.id;
 }
 const overlay = document.getElementById('rep-customer-management-screen');
 if (overlay && overlay.style.display !== 'none') await renderRepCustomerTransactions(currentManagingRepCustomer || name);
@@ -1479,7 +1516,8 @@ await loadScript('https://cdnjs.cloudflare.com/ajax/libs/jspdf-autotable/3.5.31/
 await new Promise(r => setTimeout(r, 200));
 }
 if (!window.jspdf || !window.jspdf.jsPDF) throw new Error('Failed to load PDF library. Please refresh and try again.');
-const allRepCustTxns = repSales.filter(s => s.customerName === customerName && s.salesRep === currentRepProfile);
+const customerRef = _managedRepCustomerRef(customerName, repCustomers);
+const allRepCustTxns = repSales.filter(s => recordBelongsToCustomer(s, customerRef) && s.salesRep === currentRepProfile);
 const now = new Date();
 const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
 let repPeriodCutoff = null;
@@ -1536,7 +1574,7 @@ if (a.transactionType === 'OLD_DEBT' && b.transactionType !== 'OLD_DEBT') return
 if (a.transactionType !== 'OLD_DEBT' && b.transactionType === 'OLD_DEBT') return 1;
 return _repEffDate(a) - _repEffDate(b);
 });
-const repContact = repCustomers.find(c => c && c.name && c.name.toLowerCase() === customerName.toLowerCase());
+const repContact = customerRef.id ? repCustomers.find(c => c && String(c.id) === String(customerRef.id)) : null;
 const phone = repContact?.phone || transactions.find(t => t.customerPhone)?.customerPhone || 'N/A';
 const address = repContact?.address || 'N/A';
 const { jsPDF } = window.jspdf;
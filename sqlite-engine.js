@@ -0,0 +1,347 @@
+const SqlEngine = (() => {
+
+  const SQLITE_MAGIC = 'SQLite format 3\0';
+
+  function isValidSQLite(bytes) {
+    if (!bytes || bytes.length < 16) return false;
+    for (let i = 0; i < 16; i++) {
+      if (bytes[i] !== SQLITE_MAGIC.charCodeAt(i)) return false;
+    }
+    return true;
+  }
+
+  function encodeJournal(entries) {
+    return entries.map(e => JSON.stringify(e)).join('\n') + '\n';
+  }
+
+  function decodeJournal(text) {
+    const entries = [];
+    if (!text) return entries;
+    for (const line of text.split('\n')) {
+      if (!line) continue;
+      try { entries.push(JSON.parse(line)); }
+      catch { break; }
+    }
+    return entries;
+  }
+
+  const REPORT_SCHEMA = [
+    `CREATE TABLE facts (
+      collection   TEXT NOT NULL,
+      id           TEXT NOT NULL,
+      date         TEXT,
+      store        TEXT,
+      customer     TEXT,
+      rep          TEXT,
+      payment_type TEXT,
+      amount       REAL NOT NULL DEFAULT 0,
+      quantity     REAL NOT NULL DEFAULT 0,
+      body         TEXT NOT NULL,
+      PRIMARY KEY (collection, id)
+    )`,
+    'CREATE INDEX idx_facts_date     ON facts (collection, date)',
+    'CREATE INDEX idx_facts_customer ON facts (collection, customer)',
+    'CREATE INDEX idx_facts_rep      ON facts (collection, rep)',
+    'CREATE INDEX idx_facts_store    ON facts (collection, store)',
+    `CREATE VIRTUAL TABLE search USING fts4(
+      collection, id, kind, scope, label, detail, sound,
+      notindexed=collection, notindexed=id, notindexed=kind, notindexed=scope,
+      prefix="2,3", tokenize=unicode61
+    )`,
+  ];
+
+  const REPORT_UPSERT = `
+    INSERT OR REPLACE INTO facts
+      (collection, id, body, date, store, customer, rep, payment_type, amount, quantity)
+    VALUES (?1, ?2, ?3,
+      CASE WHEN json_extract(?3, '$.date') GLOB '[0-9][0-9][0-9][0-9]-[0-9][0-9]-[0-9][0-9]*'
+           THEN substr(json_extract(?3, '$.date'), 1, 10) END,
+      COALESCE(json_extract(?3, '$.supplyStore'), json_extract(?3, '$.store')),
+      COALESCE(json_extract(?3, '$.customerName'), json_extract(?3, '$.name')),
+      json_extract(?3, '$.salesRep'),
+      json_extract(?3, '$.paymentType'),
+      COALESCE(json_extract(?3, '$.totalValue'), json_extract(?3, '$.totalSale'), json_extract(?3, '$.amount'), 0),
+      COALESCE(json_extract(?3, '$.quantity'), json_extract(?3, '$.net'), 0)
+    )`;
+
+  function _compactSql(sql) {
+    return sql.replace(/\s+/g, ' ').trim();
+  }
+
+  function create(SQL) {
+    let _db         = null;
+    const _stmts    = new Map();
+    let _journaling = false;
+    let _pending    = [];
+    let _seq        = 0;
+    let _report     = null;
+
+    function _clearStmts() {
+      for (const stmt of _stmts.values()) { try { stmt.free(); } catch {} }
+      _stmts.clear();
+    }
+
+    function _stmt(sql) {
+      let stmt = _stmts.get(sql);
+      if (!stmt) {
+        stmt = _db.prepare(sql);
+        _stmts.set(sql, stmt);
+      }
+      return stmt;
+    }
+
+    function _requireDB() {
+      if (!_db) throw new Error('[SQLite] not initialised');
+      return _db;
+    }
+
+    function _apply(statements, transaction) {
+      const db = _requireDB();
+      if (transaction) db.run('BEGIN TRANSACTION');
+      try {
+        for (const [sql, params] of statements) {
+          if (params && params.length) {
+            const stmt = _stmt(sql);
+            try { stmt.run(params); } finally { stmt.reset(); }
+          } else {
+            db.run(sql);
+          }
+        }
+        if (transaction) db.run('COMMIT');
+      } catch (e) {
+        if (transaction) { try { db.run('ROLLBACK'); } catch {} }
+        throw e;
+      }
+    }
+
+    function _record(statements) {
+      if (!_journaling) return;
+      _pending.push({
+        s: ++_seq,
+        q: statements.map(([sql, params]) =>
+          (params && params.length) ? [_compactSql(sql), params] : [_compactSql(sql)]),
+      });
+    }
+
+    function _reportDB() {
+      if (!_report) {
+        _report = new SQL.Database();
+        for (const sql of REPORT_SCHEMA) _report.run(sql);
+      }
+      return _report;
+    }
+
+    function _reportReset() {
+      if (_report) { try { _report.close(); } catch {} }
+      _report = null;
+    }
+
+    function _readCheckpoint() {
+      try {
+        const r = _requireDB().exec(`SELECT value FROM persist_meta WHERE key='journal_seq'`);
+        return (r.length && r[0].values.length) ? Number(r[0].values[0][0]) || 0 : 0;
+      } catch { return 0; }
+    }
+
+    return {
+      open(bytes) {
+        _clearStmts();
+        if (_db) { try { _db.close(); } catch {} }
+        _reportReset();
+        _db      = bytes ? new SQL.Database(bytes) : new SQL.Database();
+        _pending = [];
+        _seq     = Math.max(_seq, _readCheckpoint());
+      },
+
+      close() {
+        _clearStmts();
+        if (_db) { try { _db.close(); } catch {} }
+        _db = null;
+        _reportReset();
+      },
+
+      isOpen() {
+        return _db !== null;
+      },
+
+      exec(sql, params = []) {
+        return _requireDB().exec(sql, params);
+      },
+
+      run(sql, params = []) {
+        _requireDB().run(sql, params);
+        if (!/^\s*PRAGMA/i.test(sql)) _record([[sql, params]]);
+      },
+
+      all(sql, params = []) {
+        _requireDB();
+        const stmt = _stmt(sql);
+        const out  = [];
+        try {
+          stmt.bind(params);
+          while (stmt.step()) out.push(stmt.getAsObject());
+        } finally { stmt.reset(); }
+        return out;
+      },
+
+      get(sql, params = []) {
+        _requireDB();
+        const stmt = _stmt(sql);
+        try {
+          stmt.bind(params);
+          return stmt.step() ? stmt.getAsObject() : null;
+        } finally { stmt.reset(); }
+      },
+
+      batch(statements, transaction = true) {
+        _apply(statements, transaction);
+        _record(statements.filter(([sql]) => !/^\s*PRAGMA/i.test(sql)));
+      },
+
+      setJournaling(on) {
+        _journaling = !!on;
+      },
+
+      takeJournal() {
+        const out = _pending;
+        _pending  = [];
+        return out;
+      },
+
+      requeueJournal(entries) {
+        _pending = entries.concat(_pending);
+      },
+
+      replay(entries) {
+        const from = _readCheckpoint();
+        let applied = 0;
+        for (const e of entries) {
+          if (!e || typeof e.s !== 'number' || !Array.isArray(e.q) || e.s <= from) continue;
+          try {
+            _apply(e.q, true);
+          } catch (err) {
+            console.warn(`[SQLite] journal replay stopped at entry ${e.s}:`, err);
+            return { applied, failed: e.s };
+          }
+          _seq = e.s;
+          applied++;
+        }
+        if (_seq < from) _seq = from;
+        return { applied, failed: null };
+      },
+
+      checkpoint() {
+        try {
+          _requireDB().run(`INSERT OR REPLACE INTO persist_meta (key, value) VALUES ('journal_seq', ?)`, [String(_seq)]);
+        } catch {}
+      },
+
+      reportApply(collection, { reset = false, upserts = [], removes = [] } = {}) {
+        const db = _reportDB();
+        db.run('BEGIN TRANSACTION');
+        try {
+          if (reset) db.run('DELETE FROM facts WHERE collection = ?', [collection]);
+          if (upserts.length) {
+            const stmt = db.prepare(REPORT_UPSERT);
+            try {
+              for (const [id, body] of upserts) { stmt.run([collection, id, body]); stmt.reset(); }
+            } finally { stmt.free(); }
+          }
+          if (removes.length) {
+            const stmt = db.prepare('DELETE FROM facts WHERE collection = ? AND id = ?');
+            try {
+              for (const id of removes) { stmt.run([collection, id]); stmt.reset(); }
+            } finally { stmt.free(); }
+          }
+          db.run('COMMIT');
+        } catch (e) {
+          try { db.run('ROLLBACK'); } catch {}
+          throw e;
+        }
+      },
+
+      searchApply(collection, { reset = false, upserts = [], removes = [] } = {}) {
+        const db = _reportDB();
+        db.run('BEGIN TRANSACTION');
+        try {
+          if (reset) db.run('DELETE FROM search WHERE collection = ?', [collection]);
+          const del = db.prepare('DELETE FROM search WHERE collection = ? AND id = ?');
+          try {
+            for (const id of removes) { del.run([collection, id]); del.reset(); }
+            if (!reset) for (const [id] of upserts) { del.run([collection, id]); del.reset(); }
+          } finally { del.free(); }
+          if (upserts.length) {
+            const stmt = db.prepare(
+              'INSERT INTO search (collection, id, kind, scope, label, detail, sound) VALUES (?, ?, ?, ?, ?, ?, ?)');
+            try {
+              for (const [id, d] of upserts) {
+                stmt.run([collection, id, d.kind, d.scope || '', d.label || '', d.detail || '', d.sound || '']);
+                stmt.reset();
+              }
+            } finally { stmt.free(); }
+          }
+          db.run('COMMIT');
+        } catch (e) {
+          try { db.run('ROLLBACK'); } catch {}
+          throw e;
+        }
+      },
+
+      reportQuery(sql, params = []) {
+        const stmt = _reportDB().prepare(sql);
+        const out  = [];
+        try {
+          stmt.bind(params);
+          while (stmt.step()) out.push(stmt.getAsObject());
+        } finally { stmt.free(); }
+        return out;
+      },
+
+      peek(bytes, sql, params = []) {
+        const db = new SQL.Database(bytes);
+        try {
+          const stmt = db.prepare(sql);
+          const out  = [];
+          try {
+            stmt.bind(params);
+            while (stmt.step()) out.push(stmt.getAsObject());
+          } finally { stmt.free(); }
+          return out;
+        } finally { db.close(); }
+      },
+
+      reportForget(prefix) {
+        if (!_report) return;
+        _report.run('DELETE FROM facts WHERE substr(collection, 1, ?) = ?', [prefix.length, prefix]);
+        _report.run('DELETE FROM search WHERE substr(collection, 1, ?) = ?', [prefix.length, prefix]);
+      },
+
+      reportReset() {
+        _reportReset();
+      },
+
+      export() {
+        _clearStmts();
+        return _requireDB().export();
+      },
+
+      integrityCheck() {
+        try {
+          const rows = _requireDB().exec('PRAGMA integrity_check');
+          const val  = rows.length && rows[0].values.length
+            ? rows[0].values[0][0] : 'error';
+          if (val !== 'ok') {
+            console.error('[SQLite] integrity_check failed:', val);
+            return false;
+          }
+          return true;
+        } catch (e) {
+          console.error('[SQLite] integrity_check threw:', e);
+          return false;
+        }
+      },
+    };
+  }
+
+  return { create, isValidSQLite, encodeJournal, decodeJournal };
+})();
@@ -0,0 +1,173 @@
+const SQLITE_DB_FILE   = 'naswar_dealers.sqlite';
+const SQLITE_JOURNAL   = SQLITE_DB_FILE + '.journal';
+const SQLITE_WASM_CDN  = 'https://cdnjs.cloudflare.com/ajax/libs/sql.js/1.13.0/sql-wasm.js';
+const SQLITE_ASMJS_CDN = 'https://cdnjs.cloudflare.com/ajax/libs/sql.js/1.13.0/sql.js';
+
+importScripts('./sqlite-engine.js');
+
+let engine       = null;
+let journalOn    = false;
+let compactBytes = 1024 * 1024;
+let journalBytes = 0;
+let imageBytes   = 0;
+
+async function opfsRead(filename) {
+  try {
+    const root = await navigator.storage.getDirectory();
+    const fh   = await root.getFileHandle(filename);
+    return new Uint8Array(await (await fh.getFile()).arrayBuffer());
+  } catch { return null; }
+}
+
+async function opfsWrite(filename, data) {
+  const root = await navigator.storage.getDirectory();
+  const fh   = await root.getFileHandle(filename, { create: true });
+  if (typeof fh.createSyncAccessHandle === 'function') {
+    const access = await fh.createSyncAccessHandle();
+    try {
+      access.truncate(0);
+      access.write(data, { at: 0 });
+      access.flush();
+    } finally { access.close(); }
+    return;
+  }
+  const wr = await fh.createWritable();
+  await wr.write(data);
+  await wr.close();
+}
+
+async function opfsAppend(filename, text) {
+  const data = new TextEncoder().encode(text);
+  const root = await navigator.storage.getDirectory();
+  const fh   = await root.getFileHandle(filename, { create: true });
+  if (typeof fh.createSyncAccessHandle === 'function') {
+    const access = await fh.createSyncAccessHandle();
+    try {
+      access.write(data, { at: access.getSize() });
+      access.flush();
+    } finally { access.close(); }
+    return data.byteLength;
+  }
+  const size = (await fh.getFile()).size;
+  const wr   = await fh.createWritable({ keepExistingData: true });
+  await wr.seek(size);
+  await wr.write(data);
+  await wr.close();
+  return data.byteLength;
+}
+
+async function opfsDelete(filename) {
+  try {
+    const root = await navigator.storage.getDirectory();
+    await root.removeEntry(filename);
+  } catch {}
+}
+
+async function loadBestDB() {
+  for (const name of [SQLITE_DB_FILE, SQLITE_DB_FILE + '.bak']) {
+    const bytes = await opfsRead(name);
+    if (bytes && SqlEngine.isValidSQLite(bytes)) return bytes;
+    if (bytes) console.warn(`[SQLite.worker] ${name} failed integrity check — trying next`);
+  }
+  return null;
+}
+
+function loadScript(local, cdn) {
+  try { importScripts(local); }
+  catch (e) {
+    console.warn(`[SQLite.worker] local ${local} failed, trying CDN:`, e);
+    importScripts(cdn);
+  }
+}
+
+async function loadSqlJs() {
+  try {
+    loadScript('./sql-wasm.js', SQLITE_WASM_CDN);
+    return await self.initSqlJs();
+  } catch (e1) {
+    console.warn('[SQLite.worker] WASM build failed, falling back to asm.js:', e1);
+  }
+  delete self.initSqlJs;
+  loadScript('./sql.js', SQLITE_ASMJS_CDN);
+  return self.initSqlJs();
+}
+
+async function compact() {
+  engine.checkpoint();
+  const data = engine.export();
+  await opfsWrite(SQLITE_DB_FILE, data);
+  await opfsWrite(SQLITE_DB_FILE + '.bak', data);
+  await opfsDelete(SQLITE_JOURNAL);
+  journalBytes = 0;
+  imageBytes   = data.byteLength;
+}
+
+async function persist({ force = false, compactAbove = compactBytes } = {}) {
+  const entries = engine.takeJournal();
+  if (journalOn && !force && journalBytes < compactAbove) {
+    if (!entries.length) return { imageBytes, journalBytes };
+    try {
+      journalBytes += await opfsAppend(SQLITE_JOURNAL, SqlEngine.encodeJournal(entries));
+      return { imageBytes, journalBytes };
+    } catch (e) {
+      console.warn('[SQLite.worker] journal append failed — compacting:', e);
+    }
+  }
+  try {
+    await compact();
+  } catch (e) {
+    engine.requeueJournal(entries);
+    throw e;
+  }
+  return { imageBytes, journalBytes };
+}
+
+const handlers = {
+  async open({ compactAbove } = {}) {
+    const SQL   = await loadSqlJs();
+    const bytes = await loadBestDB();
+    engine = SqlEngine.create(SQL);
+    engine.open(bytes);
+    imageBytes = bytes ? bytes.byteLength : 0;
+    const jbytes = await opfsRead(SQLITE_JOURNAL);
+    journalBytes = jbytes ? jbytes.byteLength : 0;
+    const replay = engine.replay(SqlEngine.decodeJournal(jbytes ? new TextDecoder().decode(jbytes) : ''));
+    if (compactAbove) compactBytes = compactAbove;
+    return { existing: !!bytes || replay.applied > 0, replayed: replay.applied, replayFailed: replay.failed, journalBytes };
+  },
+  replace({ bytes })           { engine.open(bytes); return true; },
+  exec({ sql, params })        { return engine.exec(sql, params); },
+  run({ sql, params })         { engine.run(sql, params); return true; },
+  all({ sql, params })         { return engine.all(sql, params); },
+  get({ sql, params })         { return engine.get(sql, params); },
+  batch({ statements, transaction }) { engine.batch(statements, transaction); return true; },
+  export()                     { return engine.export(); },
+  integrityCheck()             { return engine.integrityCheck(); },
+  reportApply({ collection, changes }) { engine.reportApply(collection, changes); return true; },
+  searchApply({ collection, changes }) { engine.searchApply(collection, changes); return true; },
+  reportQuery({ sql, params })  { return engine.reportQuery(sql, params); },
+  peek({ bytes, sql, params }) { return engine.peek(bytes, sql, params); },
+  reportForget({ prefix })     { engine.reportForget(prefix); return true; },
+  reportReset()                { engine.reportReset(); return true; },
+  setJournaling({ on })        { journalOn = !!on; engine.setJournaling(journalOn); return true; },
+  persist,
+};
+
+let _chain = Promise.resolve();
+
+self.addEventListener('message', (event) => {
+  const { id, op, args } = event.data || {};
+  if (!handlers[op]) {
+    self.postMessage({ id, ok: false, error: `Unknown op: ${op}` });
+    return;
+  }
+  _chain = _chain.then(async () => {
+    try {
+      const result   = await handlers[op](args || {});
+      const transfer = result instanceof Uint8Array ? [result.buffer] : [];
+      self.postMessage({ id, ok: true, result }, transfer);
+    } catch (e) {
+      self.postMessage({ id, ok: false, error: (e && e.message) || String(e) });
+    }
+  });
+});
@@ -7,6 +7,13 @@ const ASSETS_TO_CACHE = [
   '/sarim/app.css',
   '/sarim/constants.js',
   '/sarim/business.js',
+  '/sarim/organisation.js',
+  '/sarim/cloud-cipher.js',
+  '/sarim/sync-backend.js',
+  '/sarim/sync-journal.js',
+  '/sarim/packed-layout.js',
+  '/sarim/tombstone-gc.js',
+  '/sarim/permissions.js',
   '/sarim/sync.js',
   '/sarim/utilities.js',
   '/sarim/factory.js',
@@ -19,7 +26,9 @@ const ASSETS_TO_CACHE = [
 
   '/sarim/sql-wasm.js',
   '/sarim/sql-wasm.wasm',
-  '/sarim/sql.js'
+  '/sarim/sql.js',
+  '/sarim/sqlite-engine.js',
+  '/sarim/sqlite-worker.js'
 ];
 
 const CDN_ASSETS_TO_PRECACHE = [
@@ -116,7 +125,8 @@ async function getSWAuthToken() {
   if (!raw) return null;
   try {
     const rec = JSON.parse(raw);
-    if (rec.expiry && Date.now() > rec.expiry - 60_000) return null;
+    const selfHosted = rec.backend && rec.backend.type === 'rest';
+    if (!selfHosted && rec.expiry && Date.now() > rec.expiry - 60_000) return null;
     return rec;
   } catch { return null; }
 }
@@ -138,141 +148,376 @@ function toFirestoreFields(obj) {
   return fields;
 }
 
-async function executeViaREST(operation, uid, token) {
+function loadSealKey(e2e) {
+  return new Promise((resolve) => {
+    const req = indexedDB.open(e2e.keyStore, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore('keys');
+    req.onerror = () => resolve(null);
+    req.onsuccess = () => {
+      const db  = req.result;
+      const get = db.transaction('keys', 'readonly').objectStore('keys').get(e2e.kid);
+      get.onsuccess = () => { db.close(); resolve(get.result || null); };
+      get.onerror   = () => { db.close(); resolve(null); };
+    };
+  });
+}
+
+async function sealFields(collection, docId, payload, e2e) {
+  if (!e2e || !e2e.collections.includes(collection)) return payload;
+  if (e2e.locked) throw new Error('Cloud encryption key is locked on this device');
+  const key = await loadSealKey(e2e);
+  if (!key) throw new Error('Cloud encryption key is not available to background sync');
+  const enc = new TextEncoder();
+  const out = {};
+  for (const [field, value] of Object.entries(payload)) {
+    const special = value && typeof value === 'object' && (value.$serverTime === true || value.$delete === true);
+    if (value === undefined || special || e2e.plain.includes(field)) { out[field] = value; continue; }
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const ct = new Uint8Array(await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv, additionalData: enc.encode(`${collection}/${docId}/${field}`) },
+      key, enc.encode(JSON.stringify(value))
+    ));
+    const bytes = new Uint8Array(iv.length + ct.length);
+    bytes.set(iv, 0);
+    bytes.set(ct, iv.length);
+    let binary = '';
+    bytes.forEach((b) => { binary += String.fromCharCode(b); });
+    out[field] = 'E2E1:' + btoa(binary);
+  }
+  return out;
+}
+
+const FIRESTORE_COMMIT_LIMIT = 500;
+const TOMBSTONE_TTL_MS       = 90 * 24 * 3600 * 1000;
+
+function docName(root, collection, docId) {
+  return `projects/${FIREBASE_PROJECT}/databases/(default)/documents/${root}/${collection}/${docId}`;
+}
+
+function fieldPath(key) {
+  return /^[A-Za-z_][A-Za-z_0-9]*$/.test(key) ? key : '`' + key.replace(/[`\\]/g, '\\$&') + '`';
+}
+
+function toTimestampValue(ms) {
+  return { timestampValue: new Date(ms).toISOString() };
+}
+
+async function packWrite(root, uid, loc, fields, e2e) {
+  const payload = { ...loc.head, ...fields };
+  if (root.startsWith('orgs/')) payload.updatedBy = uid;
+  const sealed = await sealFields(loc.collection, loc.docId, payload, e2e);
+  const kept = {};
+  for (const [field, value] of Object.entries(sealed)) {
+    if (!(value && value.$delete === true)) kept[field] = value;
+  }
+  return {
+    update:     { name: docName(root, loc.collection, loc.docId), fields: toFirestoreFields(kept) },
+    updateMask: { fieldPaths: Object.keys(payload).map(fieldPath) },
+  };
+}
+
+async function restWrites(operation, root, uid, e2e) {
   const { collection, docId, data, action } = operation;
-  const docPath = `users/${uid}/${collection}/${docId}`;
-  const docURL  = `${FIRESTORE_BASE}/${docPath}`;
-  const headers = { 'Authorization': `Bearer ${token}`, 'Content-Type': 'application/json' };
+
+  if (action === 'pack') {
+    const write = await packWrite(root, uid, data.pack, { [data.pack.field]: data.record }, e2e);
+    write.updateTransforms = [{ fieldPath: 'updatedAt', setToServerValue: 'REQUEST_TIME' }];
+    const writes = [write];
+    if (data.was) writes.push(await packWrite(root, uid, data.was, { [data.was.field]: { $delete: true } }, e2e));
+    return writes;
+  }
 
   if (action === 'delete') {
-    const delRes = await fetch(docURL, { method: 'DELETE', headers });
-    if (!delRes.ok && delRes.status !== 404) throw new Error(`DELETE ${delRes.status}`);
-    const tombURL  = `${FIRESTORE_BASE}/users/${uid}/deletions/${docId}`;
-    const tombBody = {
-      fields: toFirestoreFields({
-        id: docId, recordId: docId, collection,
+    const writes = collection ? [{ delete: docName(root, collection, docId) }] : [];
+    if (data && data.pack) writes.push(await packWrite(root, uid, data.pack, { [data.pack.field]: { $delete: true } }, e2e));
+    if (collection === 'deletions') return writes;
+    const deletedAt = operation.createdAt || Date.now();
+    const fields = {
+      ...toFirestoreFields({
+        id: docId, recordId: docId,
+        collection: collection || operation.recordType || 'unknown',
         recordType: operation.recordType || collection,
-        deletedAt:  { seconds: Math.floor(Date.now() / 1000), nanos: 0 },
-        expiresAt:  { seconds: Math.floor(Date.now() / 1000) + 90 * 24 * 3600, nanos: 0 },
-      })
+      }),
+      deletedAt: toTimestampValue(deletedAt),
+      expiresAt: toTimestampValue(deletedAt + TOMBSTONE_TTL_MS),
     };
-    await fetch(
-      `${tombURL}?updateMask.fieldPaths=id&updateMask.fieldPaths=recordId&updateMask.fieldPaths=collection&updateMask.fieldPaths=recordType&updateMask.fieldPaths=deletedAt&updateMask.fieldPaths=expiresAt`,
-      { method: 'PATCH', headers, body: JSON.stringify(tombBody) }
-    );
-    return;
+    writes.push({
+      update:     { name: docName(root, 'deletions', docId), fields },
+      updateMask: { fieldPaths: Object.keys(fields).map(fieldPath) },
+    });
+    return writes;
   }
 
   if (action === 'set' || action === 'update' || action === 'set-doc') {
     const payload = (data && typeof data === 'object') ? { ...data } : { value: data };
-    if (!payload.isMerged) payload.updatedAt = new Date().toISOString();
-    const body      = { fields: toFirestoreFields(payload) };
-    const fieldMask = Object.keys(payload).map((k) => `updateMask.fieldPaths=${encodeURIComponent(k)}`).join('&');
-    const url       = collection === 'inventory' ? docURL : `${docURL}?${fieldMask}`;
-    const method    = collection === 'inventory' ? 'PUT' : 'PATCH';
-    const res       = await fetch(url, { method, headers, body: JSON.stringify(body) });
-    if (!res.ok) throw new Error(`${method} ${res.status}: ${await res.text()}`);
-    return;
+    const stamp = !payload.isMerged;
+    if (stamp) delete payload.updatedAt;
+    if (root.startsWith('orgs/')) payload.updatedBy = uid;
+    const write = {
+      update: { name: docName(root, collection, docId), fields: toFirestoreFields(await sealFields(collection, docId, payload, e2e)) },
+    };
+    if (collection !== 'inventory') write.updateMask = { fieldPaths: Object.keys(payload).map(fieldPath) };
+    if (stamp) write.updateTransforms = [{ fieldPath: 'updatedAt', setToServerValue: 'REQUEST_TIME' }];
+    return [write];
   }
 
   throw new Error(`Unknown action: ${action}`);
 }
 
-async function readQueueFromOPFS(uid) {
+async function commitViaREST(operations, root, uid, token, e2e) {
+  const writes = [];
+  for (const op of operations) writes.push(...(await restWrites(op, root, uid, e2e)));
+  if (writes.length > FIRESTORE_COMMIT_LIMIT) {
+    throw new Error(`${writes.length} writes exceed one ${FIRESTORE_COMMIT_LIMIT}-write commit; leaving the group for the app`);
+  }
+  const res = await fetch(`${FIRESTORE_BASE}:commit`, {
+    method: 'POST',
+    headers: { 'Authorization': `Bearer ${token}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ writes }),
+  });
+  if (!res.ok) throw new Error(`commit ${res.status}: ${await res.text()}`);
+}
+
+const SW_OUTBOX_ACK_FILE = 'sw_outbox_acks.json';
+const SW_OUTBOX_FILE     = 'sw_outbox.json';
+const OUTBOX_COLUMNS = [
+  'seq', 'idem_key', 'uid', 'action', 'collection', 'doc_id', 'record_type',
+  'payload', 'status', 'attempts', 'last_attempt', 'error', 'created_at', 'group_id',
+];
+
+async function readOutboxFromOPFS(uid) {
   try {
     const root = await navigator.storage.getDirectory();
     const fh   = await root.getFileHandle(SQLITE_DB_FILE);
     const buf  = await (await fh.getFile()).arrayBuffer();
-    return parseQueueFromSQLite(new Uint8Array(buf), uid);
+    return parseOutboxFromSQLite(new Uint8Array(buf), uid);
   } catch (e) {
     console.warn('[SW-BgSync] Could not read SQLite from OPFS:', e);
     return null;
   }
 }
 
-function parseQueueFromSQLite(bytes, uid) {
-  try {
-    const dv       = new DataView(bytes.buffer);
-    const pageSize = dv.getUint16(16);
-    if (pageSize < 512) return null;
-    const numPages  = Math.floor(bytes.length / pageSize);
-    const targetKey = `${uid}:offline_operation_queue`;
-    for (let p = 0; p < numPages; p++) {
-      const off      = p * pageSize;
-      const pageType = bytes[off];
-      if (pageType !== 0x0d) continue;
-      const cellCount = dv.getUint16(off + 3);
-      for (let c = 0; c < cellCount; c++) {
-        const cellPtrOff = off + 8 + c * 2;
-        if (cellPtrOff + 2 > bytes.length) continue;
-        const cellOff = dv.getUint16(cellPtrOff);
-        if (cellOff + 10 > bytes.length) continue;
-        try {
-          const [payloadLen, bytesRead] = readVarint(bytes, off + cellOff);
-          if (payloadLen <= 0 || payloadLen > 200_000) continue;
-          const [, ridBytes]  = readVarint(bytes, off + cellOff + bytesRead);
-          const headerStart   = off + cellOff + bytesRead + ridBytes;
-          if (headerStart >= bytes.length) continue;
-          const row = extractRowStrings(bytes, headerStart);
-          if (row && row.some((s) => s === targetKey)) {
-            const valueStr = row.find((s, i) => i > 0 && s && s.startsWith('['));
-            if (valueStr) {
-              const parsed = JSON.parse(valueStr);
-              return Array.isArray(parsed) ? parsed : null;
-            }
-          }
-        } catch { continue; }
-      }
+async function readOutbox(uid) {
+  const text = await opfsRead(SW_OUTBOX_FILE);
+  if (text) {
+    try {
+      const rec = JSON.parse(text);
+      if (Array.isArray(rec.items)) return rec.items.filter((item) => item.uid === uid);
+    } catch (e) {
+      console.warn('[SW-BgSync] Outbox file unreadable, falling back to the database image:', e);
     }
-    return null;
+  }
+  return readOutboxFromOPFS(uid);
+}
+
+function parseOutboxFromSQLite(bytes, uid) {
+  try {
+    const db = openSQLiteImage(bytes);
+    if (!db) return null;
+    let rootPage = 0;
+    walkTableBTree(db, 1, (rowid, rec) => {
+      if (rec[0] === 'table' && rec[1] === 'sync_outbox') rootPage = rec[3];
+    });
+    if (!rootPage) return null;
+    const items = [];
+    walkTableBTree(db, rootPage, (rowid, rec) => {
+      const row = {};
+      OUTBOX_COLUMNS.forEach((col, i) => { row[col] = i < rec.length ? rec[i] : null; });
+      if (row.uid !== uid || row.status !== 'pending') return;
+      items.push({
+        seq: rowid,
+        key: row.idem_key,
+        operation: {
+          action:     row.action,
+          collection: row.collection,
+          docId:      row.doc_id,
+          ...(row.record_type ? { recordType: row.record_type } : {}),
+          ...(row.group_id ? { group: row.group_id } : {}),
+          createdAt:  row.created_at,
+          data:       row.payload ? JSON.parse(row.payload) : null,
+        },
+      });
+    });
+    return items.sort((a, b) => a.seq - b.seq);
   } catch (e) {
     console.warn('[SW-BgSync] SQLite parse error:', e);
     return null;
   }
 }
 
+function openSQLiteImage(bytes) {
+  if (bytes.length < 100) return null;
+  const dv = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let pageSize = dv.getUint16(16);
+  if (pageSize === 1) pageSize = 65536;
+  if (pageSize < 512) return null;
+  return { bytes, dv, pageSize, usable: pageSize - bytes[20] };
+}
+
+function walkTableBTree(db, pageNo, visit, depth = 0) {
+  if (depth > 32) throw new Error('B-tree too deep');
+  const { bytes, dv, pageSize } = db;
+  const base = (pageNo - 1) * pageSize;
+  const hdr  = pageNo === 1 ? base + 100 : base;
+  if (base + pageSize > bytes.length) throw new Error(`Page ${pageNo} out of range`);
+  const pageType  = bytes[hdr];
+  const cellCount = dv.getUint16(hdr + 3);
+  if (pageType === 0x05) {
+    for (let c = 0; c < cellCount; c++) {
+      const cellOff = dv.getUint16(hdr + 12 + c * 2);
+      walkTableBTree(db, dv.getUint32(base + cellOff), visit, depth + 1);
+    }
+    walkTableBTree(db, dv.getUint32(hdr + 8), visit, depth + 1);
+    return;
+  }
+  if (pageType !== 0x0d) return;
+  for (let c = 0; c < cellCount; c++) {
+    let pos = base + dv.getUint16(hdr + 8 + c * 2);
+    const [payloadLen, n1] = readVarint(bytes, pos);
+    pos += n1;
+    const [rowid, n2] = readVarint(bytes, pos);
+    pos += n2;
+    visit(rowid, decodeRecord(readCellPayload(db, pos, payloadLen)));
+  }
+}
+
+function readCellPayload(db, pos, payloadLen) {
+  const { bytes, dv, pageSize, usable } = db;
+  const maxLocal = usable - 35;
+  if (payloadLen <= maxLocal) return bytes.subarray(pos, pos + payloadLen);
+  const minLocal = Math.floor((usable - 12) * 32 / 255) - 23;
+  const k = minLocal + ((payloadLen - minLocal) % (usable - 4));
+  const local = k <= maxLocal ? k : minLocal;
+  const out = new Uint8Array(payloadLen);
+  out.set(bytes.subarray(pos, pos + local), 0);
+  let written = local;
+  let next = dv.getUint32(pos + local);
+  while (next && written < payloadLen) {
+    const off  = (next - 1) * pageSize;
+    const take = Math.min(usable - 4, payloadLen - written);
+    out.set(bytes.subarray(off + 4, off + 4 + take), written);
+    written += take;
+    next = dv.getUint32(off);
+  }
+  if (written < payloadLen) throw new Error('Truncated overflow chain');
+  return out;
+}
+
 function readVarint(bytes, offset) {
-  let result = 0, shift = 0, i = 0;
-  while (offset + i < bytes.length) {
-    const byte = bytes[offset + i++];
-    result |= (byte & 0x7f) << shift;
-    shift  += 7;
-    if (!(byte & 0x80)) break;
+  let result = 0;
+  for (let i = 0; i < 9; i++) {
+    const byte = bytes[offset + i];
+    if (i === 8) return [result * 256 + byte, 9];
+    result = result * 128 + (byte & 0x7f);
+    if (!(byte & 0x80)) return [result, i + 1];
   }
-  return [result, i];
+  return [result, 9];
 }
 
-function extractRowStrings(bytes, start) {
-  try {
-    const [headerLen] = readVarint(bytes, start);
-    const columns = [];
-    let pos = start + 1;
-    const headerEnd = start + headerLen;
-    while (pos < headerEnd && columns.length < 10) {
-      const [serial, n] = readVarint(bytes, pos);
-      columns.push(serial);
-      pos += n;
+function decodeRecord(payload) {
+  const dv = new DataView(payload.buffer, payload.byteOffset, payload.byteLength);
+  const [headerLen, n] = readVarint(payload, 0);
+  const serials = [];
+  let pos = n;
+  while (pos < headerLen) {
+    const [serial, m] = readVarint(payload, pos);
+    serials.push(serial);
+    pos += m;
+  }
+  const values = [];
+  let dataPos = headerLen;
+  for (const serial of serials) {
+    if (serial === 0)      { values.push(null); continue; }
+    if (serial === 8)      { values.push(0); continue; }
+    if (serial === 9)      { values.push(1); continue; }
+    if (serial === 7)      { values.push(dv.getFloat64(dataPos)); dataPos += 8; continue; }
+    if (serial <= 6) {
+      const size = [0, 1, 2, 3, 4, 6, 8][serial];
+      let v = 0;
+      for (let i = 0; i < size; i++) v = v * 256 + payload[dataPos + i];
+      if (payload[dataPos] & 0x80) v -= Math.pow(2, size * 8);
+      values.push(v);
+      dataPos += size;
+      continue;
     }
-    const strings = [];
-    let dataPos = headerEnd;
-    for (const serial of columns) {
-      if (serial === 0) { strings.push(null); continue; }
-      if (serial >= 13 && serial % 2 === 1) {
-        const len = (serial - 13) / 2;
-        strings.push(new TextDecoder().decode(bytes.slice(dataPos, dataPos + len)));
-        dataPos += len;
-      } else if (serial >= 12 && serial % 2 === 0) {
-        const len = (serial - 12) / 2;
-        strings.push(null);
-        dataPos += len;
-      } else {
-        const sizes = [0, 1, 2, 3, 4, 6, 8, 8, 0, 0];
-        strings.push(null);
-        dataPos += (serial < sizes.length ? sizes[serial] : 0);
-      }
+    const len = serial % 2 === 1 ? (serial - 13) / 2 : (serial - 12) / 2;
+    const raw = payload.subarray(dataPos, dataPos + len);
+    values.push(serial % 2 === 1 ? new TextDecoder().decode(raw) : raw.slice());
+    dataPos += len;
+  }
+  return values;
+}
+
+async function readWorkerAcks() {
+  try {
+    const rec = JSON.parse((await opfsRead(SW_OUTBOX_ACK_FILE)) || '{}');
+    return Array.isArray(rec.keys) ? rec.keys : [];
+  } catch { return []; }
+}
+
+async function syncServerPackOp(root, uid, loc, fields, e2e) {
+  const payload = { ...loc.head, ...fields };
+  if (root.startsWith('orgs/')) payload.updatedBy = uid;
+  return { op: 'put', collection: loc.collection, id: loc.docId, merge: true, data: await sealFields(loc.collection, loc.docId, payload, e2e) };
+}
+
+async function syncServerOps(operation, root, uid, e2e) {
+  const { collection, docId, data, action } = operation;
+  if (action === 'pack') {
+    const ops = [await syncServerPackOp(root, uid, data.pack, { updatedAt: { $serverTime: true }, [data.pack.field]: data.record }, e2e)];
+    if (data.was) ops.push(await syncServerPackOp(root, uid, data.was, { [data.was.field]: { $delete: true } }, e2e));
+    return ops;
+  }
+  if (action === 'delete') {
+    const ops = collection ? [{ op: 'delete', collection, id: docId }] : [];
+    if (data && data.pack) ops.push(await syncServerPackOp(root, uid, data.pack, { [data.pack.field]: { $delete: true } }, e2e));
+    if (collection === 'deletions') return ops;
+    const deletedAt = operation.createdAt || Date.now();
+    ops.push({ op: 'put', collection: 'deletions', id: docId, merge: true, data: {
+      id: docId, recordId: docId,
+      collection: collection || operation.recordType || 'unknown',
+      recordType: operation.recordType || collection,
+      deletedAt,
+      expiresAt: deletedAt + TOMBSTONE_TTL_MS,
+    } });
+    return ops;
+  }
+  if (action === 'set' || action === 'update' || action === 'set-doc') {
+    const payload = (data && typeof data === 'object') ? { ...data } : { value: data };
+    if (!payload.isMerged) payload.updatedAt = { $serverTime: true };
+    if (root.startsWith('orgs/')) payload.updatedBy = uid;
+    return [{ op: 'put', collection, id: docId, data: await sealFields(collection, docId, payload, e2e), merge: collection !== 'inventory' }];
+  }
+  throw new Error(`Unknown action: ${action}`);
+}
+
+async function commitViaSyncServer(operations, root, uid, backend, e2e) {
+  const ops = [];
+  for (const op of operations) ops.push(...(await syncServerOps(op, root, uid, e2e)));
+  if (ops.length > FIRESTORE_COMMIT_LIMIT) {
+    throw new Error(`${ops.length} writes exceed one ${FIRESTORE_COMMIT_LIMIT}-write commit; leaving the group for the app`);
+  }
+  const res = await fetch(`${backend.url}/v1/${encodeURIComponent(root.split('/')[1])}/batch`, {
+    method: 'POST',
+    headers: { 'Authorization': `Bearer ${backend.token || ''}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ ops }),
+  });
+  if (!res.ok) throw new Error(`POST ${res.status}: ${await res.text()}`);
+}
+
+function groupOutbox(items) {
+  const units = [];
+  const byGroup = new Map();
+  for (const item of items) {
+    const group = item.operation.group;
+    if (!group) { units.push([item]); continue; }
+    if (!byGroup.has(group)) {
+      byGroup.set(group, []);
+      units.push(byGroup.get(group));
     }
-    return strings;
-  } catch { return null; }
+    byGroup.get(group).push(item);
+  }
+  return units;
 }
 
 async function doBackgroundSync() {
@@ -281,29 +526,43 @@ async function doBackgroundSync() {
     clients.forEach((c) => c.postMessage({ type: 'PROCESS_QUEUE' }));
     return;
   }
-  console.log('[SW-BgSync] App is closed, attempting direct Firestore sync…');
+  console.log('[SW-BgSync] App is closed, attempting direct cloud sync…');
   const authRec = await getSWAuthToken();
   if (!authRec) { console.warn('[SW-BgSync] No valid auth token available, skipping.'); return; }
-  const { token, uid } = authRec;
-  const queue = await readQueueFromOPFS(uid);
-  if (!queue || queue.length === 0) { console.log('[SW-BgSync] Queue is empty.'); return; }
-  console.log(`[SW-BgSync] Processing ${queue.length} queued operation(s) for uid=${uid}`);
-  const successIds = [];
-  for (const item of queue) {
-    if (!item || !item.operation) continue;
+  const { token, uid, backend, e2e } = authRec;
+  const root = authRec.root || `users/${uid}`;
+  const commit = backend && backend.type === 'rest'
+    ? (ops) => commitViaSyncServer(ops, root, uid, backend, e2e)
+    : (ops) => commitViaREST(ops, root, uid, token, e2e);
+  const outbox = await readOutbox(uid);
+  if (!outbox) { console.warn('[SW-BgSync] Outbox unreadable, leaving it for the app.'); return; }
+  const acked = await readWorkerAcks();
+  const queue = outbox.filter((item) => !acked.includes(item.key));
+  if (queue.length === 0) { console.log('[SW-BgSync] Outbox is empty.'); return; }
+  console.log(`[SW-BgSync] Processing ${queue.length} outbox operation(s) for uid=${uid}`);
+  const syncedKeys  = [];
+  const blockedDocs = new Set();
+  for (const items of groupOutbox(queue)) {
+    const docKeys = items.map((item) => `${item.operation.collection}/${item.operation.docId}`);
+    if (docKeys.some((k) => blockedDocs.has(k))) {
+      docKeys.forEach((k) => blockedDocs.add(k));
+      continue;
+    }
     try {
-      await executeViaREST(item.operation, uid, token);
-      successIds.push(item.id);
-      console.log(`[SW-BgSync] ✓ synced ${item.operation.action} → ${item.operation.collection}/${item.operation.docId}`);
+      await commit(items.map((item) => item.operation));
+      items.forEach((item) => syncedKeys.push(item.key));
+      await opfsWrite(SW_OUTBOX_ACK_FILE, JSON.stringify({ keys: acked.concat(syncedKeys) }));
+      console.log(`[SW-BgSync] ✓ committed ${items.length} op(s) → ${docKeys.join(', ')}`);
     } catch (e) {
-      console.warn(`[SW-BgSync] ✗ failed ${item.operation.collection}/${item.operation.docId}:`, e.message);
+      docKeys.forEach((k) => blockedDocs.add(k));
+      console.warn(`[SW-BgSync] ✗ failed ${docKeys.join(', ')}:`, e.message);
     }
   }
-  if (successIds.length > 0) {
+  if (syncedKeys.length > 0) {
     self.clients.matchAll({ includeUncontrolled: true }).then((cs) =>
-      cs.forEach((c) => c.postMessage({ type: 'BG_SYNC_COMPLETE', syncedIds: successIds }))
+      cs.forEach((c) => c.postMessage({ type: 'BG_SYNC_COMPLETE', syncedKeys }))
     );
-    console.log(`[SW-BgSync] Completed: ${successIds.length}/${queue.length} operations synced.`);
+    console.log(`[SW-BgSync] Completed: ${syncedKeys.length}/${queue.length} operations synced.`);
   }
 }
 
@@ -375,6 +634,8 @@ self.addEventListener('fetch', function (event) {
     return;
   }
 
+  if (/\/v1\/(health|[^/]+\/(records|events))(\/|$)/.test(url.pathname)) return;
+
   if (event.request.mode === 'navigate') {
     event.respondWith(
       caches.open(CACHE_NAME).then(function (cache) {
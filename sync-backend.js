@@ -0,0 +1,339 @@
+const SyncBackend = (() => {
+  const CONFIG_KEY  = 'sync_backend';
+  const REST_BATCH  = 500;
+  const FIRESTORE_COMMIT_LIMIT = 500;
+  const WATCH_RETRY_MS = 5000;
+  const _origin     = Math.random().toString(36).slice(2, 10);
+  let _config = { type: 'firestore' };
+  let _active = null;
+
+  function _attributed(data) {
+    return Organisation.active() && data && typeof data === 'object'
+      ? { ...data, updatedBy: currentUser.uid }
+      : data;
+  }
+
+  function _oversized(limit) {
+    const err = new Error(`Atomic batch exceeds ${limit} writes`);
+    err.code = 'group-too-large';
+    return err;
+  }
+
+  function _matches(match) {
+    return match ? (d => match.values.includes(d[match.field])) : (() => true);
+  }
+
+  function firestoreBackend() {
+    const userRef = () => Organisation.rootRef();
+    return {
+      name: 'firestore',
+      label: 'Firebase Cloud Firestore',
+
+      ready() {
+        return typeof firebaseDB !== 'undefined' && !!firebaseDB
+          && typeof currentUser !== 'undefined' && !!currentUser;
+      },
+      serverTimestamp() { return firebase.firestore.FieldValue.serverTimestamp(); },
+      deleteField()     { return firebase.firestore.FieldValue.delete(); },
+      timestamp(ms)     { return firebase.firestore.Timestamp.fromMillis(ms); },
+
+      async put(collection, id, data, opts = { merge: true }) {
+        await userRef().collection(collection).doc(String(id)).set(_attributed(data), opts);
+        trackFirestoreWrite(1);
+      },
+
+      async get(collection, id) {
+        const snap = await userRef().collection(collection).doc(String(id)).get();
+        trackFirestoreRead(1);
+        return snap.exists ? snap.data() : null;
+      },
+
+      async query(collection, { full = false, limit = 0, match = null, pageSize = 0, after = null } = {}) {
+        let q = userRef().collection(collection);
+        const since = full ? null : await DeltaSync.getLastSyncFirestoreTimestamp(collection);
+        if (since) q = q.where('updatedAt', '>', since);
+        if (pageSize) {
+          const byId = firebase.firestore.FieldPath.documentId();
+          q = since ? q.orderBy('updatedAt').orderBy(byId) : q.orderBy(byId);
+          if (after) {
+            q = since && after.updatedAt
+              ? q.startAfter(new firebase.firestore.Timestamp(after.updatedAt.seconds, after.updatedAt.nanoseconds), after.id)
+              : q.startAfter(after.id);
+          }
+          q = q.limit(pageSize);
+        } else if (limit) {
+          q = q.limit(limit);
+        }
+        let snap;
+        try {
+          snap = match
+            ? await q.where(match.field, match.values.length === 1 ? '==' : 'in',
+                match.values.length === 1 ? match.values[0] : match.values).get()
+            : await q.get();
+        } catch (e) {
+          if (!match || e.code !== 'failed-precondition') throw e;
+          console.warn(`[SyncBackend] No index for ${collection}.${match.field}; filtering on device`);
+          snap = await q.get();
+        }
+        trackFirestoreRead(snap.docs.length || 1);
+        const last = snap.docs[snap.docs.length - 1];
+        const lastAt = since && last ? last.get('updatedAt') : null;
+        return {
+          records: snap.docs.map(doc => ({ id: doc.id, ...doc.data() }))
+            .filter(d => !d._placeholder)
+            .filter(_matches(match)),
+          cursor: null,
+          next: pageSize && snap.docs.length === pageSize
+            ? { id: last.id, updatedAt: lastAt ? { seconds: lastAt.seconds, nanoseconds: lastAt.nanoseconds } : null }
+            : null,
+        };
+      },
+
+      batch({ atomic = false } = {}) {
+        const batches = [];
+        let current = firebaseDB.batch();
+        let ops = 0, size = 0;
+        const next = () => {
+          if (atomic && ops >= FIRESTORE_COMMIT_LIMIT) throw _oversized(FIRESTORE_COMMIT_LIMIT);
+          if (!atomic && ops >= 450) {
+            batches.push(current);
+            current = firebaseDB.batch();
+            ops = 0;
+          }
+          ops++; size++;
+          return current;
+        };
+        return {
+          put(collection, id, data, opts = { merge: true }) {
+            next().set(userRef().collection(collection).doc(String(id)), _attributed(data), opts);
+          },
+          remove(collection, id) {
+            next().delete(userRef().collection(collection).doc(String(id)));
+          },
+          get size() { return size; },
+          async commit() {
+            if (ops > 0) batches.push(current);
+            for (const b of batches) await b.commit();
+            if (size > 0) trackFirestoreWrite(size);
+          },
+        };
+      },
+
+      async commitCursors() {},
+
+      async ping(collections) {
+        await userRef().set({
+          lastWrite: { ts: firebase.firestore.FieldValue.serverTimestamp(), collections }
+        }, { merge: true });
+      },
+
+      watch() { return null; },
+    };
+  }
+
+  function restBackend(config) {
+    const base = String(config.url || '').replace(/\/+$/, '');
+    const url = (path) => `${base}/v1/${encodeURIComponent(Organisation.dataKey())}${path}`;
+
+    async function request(method, path, body) {
+      const res = await fetch(url(path), {
+        method,
+        headers: {
+          'Authorization': `Bearer ${config.token || ''}`,
+          'Content-Type': 'application/json',
+          'X-Sync-Origin': _origin,
+        },
+        body: body === undefined ? undefined : JSON.stringify(body),
+      });
+      if (res.status === 404 && method === 'GET') return null;
+      if (!res.ok) {
+        const err = new Error(`Sync server ${method} ${path} failed: ${res.status}`);
+        err.code = (res.status === 401 || res.status === 403) ? 'permission-denied' : 'unavailable';
+        throw err;
+      }
+      return res.status === 204 ? null : res.json();
+    }
+
+    function batch({ atomic = false } = {}) {
+      const ops = [];
+      return {
+        put(collection, id, data, opts = { merge: true }) {
+          ops.push({ op: 'put', collection, id: String(id), data: _attributed(data), merge: !opts || opts.merge !== false });
+        },
+        remove(collection, id) {
+          ops.push({ op: 'delete', collection, id: String(id) });
+        },
+        get size() { return ops.length; },
+        async commit() {
+          if (atomic && ops.length > REST_BATCH) throw _oversized(REST_BATCH);
+          for (let i = 0; i < ops.length; i += REST_BATCH) {
+            await request('POST', '/batch', { ops: ops.slice(i, i + REST_BATCH) });
+          }
+        },
+      };
+    }
+
+    return {
+      name: 'rest',
+      label: `Sync server at ${base}`,
+
+      ready() {
+        return !!base && typeof currentUser !== 'undefined' && !!currentUser;
+      },
+      serverTimestamp() { return { $serverTime: true }; },
+      deleteField()     { return { $delete: true }; },
+      timestamp(ms)     { return ms; },
+
+      async put(collection, id, data, opts = { merge: true }) {
+        const b = batch();
+        b.put(collection, id, data, opts);
+        await b.commit();
+      },
+
+      async get(collection, id) {
+        return request('GET', `/records/${encodeURIComponent(collection)}/${encodeURIComponent(String(id))}`);
+      },
+
+      async query(collection, { full = false, limit = 0, match = null, pageSize = 0, after = null } = {}) {
+        const since = after ? after.seq : full ? 0 : ((await sqliteStore.get(`restCursor_${collection}`)) || 0);
+        const params = new URLSearchParams({ since: String(since) });
+        if (pageSize || limit) params.set('limit', String(pageSize || limit));
+        if (match) {
+          params.set('field', match.field);
+          match.values.forEach(v => params.append('value', v));
+        }
+        const res = await request('GET', `/records/${encodeURIComponent(collection)}?${params}`);
+        const raw = ensureArray(res && res.records);
+        return {
+          records: raw.filter(d => d && !d._placeholder).filter(_matches(match)),
+          cursor: limit ? null : (res && res.cursor) || null,
+          next: pageSize && raw.length === pageSize ? { seq: res.cursor } : null,
+        };
+      },
+
+      batch,
+
+      async commitCursors(cursors) {
+        const entries = Object.entries(cursors || {}).filter(([, c]) => c);
+        if (entries.length) await sqliteStore.setBatch(entries.map(([col, c]) => [`restCursor_${col}`, c]));
+      },
+
+      async ping() {},
+
+      watch({ onChange, onOpen, onError } = {}) {
+        if (typeof ReadableStream === 'undefined' || typeof TextDecoder === 'undefined') return null;
+        let stopped = false;
+        let controller = null;
+        let retry = null;
+        const dispatch = (frame) => {
+          let event = 'message', data = '';
+          for (const line of frame.split('\n')) {
+            if (line.startsWith('event:')) event = line.slice(6).trim();
+            else if (line.startsWith('data:')) data += line.slice(5).trim();
+          }
+          if (event !== 'write') return;
+          let msg = {};
+          try { msg = JSON.parse(data); } catch (_) {}
+          if (msg.origin === _origin) return;
+          if (onChange) onChange(ensureArray(msg.collections));
+        };
+        const connect = async () => {
+          controller = new AbortController();
+          try {
+            const res = await fetch(url('/events'), {
+              headers: { 'Authorization': `Bearer ${config.token || ''}`, 'Accept': 'text/event-stream' },
+              cache: 'no-store',
+              signal: controller.signal,
+            });
+            if (!res.ok || !res.body) throw new Error(`Sync server events failed: ${res.status}`);
+            if (onOpen) onOpen();
+            const reader = res.body.getReader();
+            const decoder = new TextDecoder();
+            let buffer = '';
+            for (;;) {
+              const { value, done } = await reader.read();
+              if (done) break;
+              buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, '\n');
+              let end;
+              while ((end = buffer.indexOf('\n\n')) !== -1) {
+                dispatch(buffer.slice(0, end));
+                buffer = buffer.slice(end + 2);
+              }
+            }
+            throw new Error('Sync server closed the event stream');
+          } catch (e) {
+            if (stopped) return;
+            if (onError) onError(e);
+            retry = setTimeout(connect, WATCH_RETRY_MS);
+          }
+        };
+        connect();
+        return () => {
+          stopped = true;
+          clearTimeout(retry);
+          if (controller) controller.abort();
+        };
+      },
+    };
+  }
+
+  function _build(config) {
+    const backend = config && config.type === 'rest' && config.url ? restBackend(config) : firestoreBackend();
+    return CloudCipher.wrap(backend);
+  }
+
+  function current() {
+    if (!_active) _active = _build(_config);
+    return _active;
+  }
+
+  function config() {
+    return { ..._config };
+  }
+
+  async function load() {
+    try {
+      const saved = await sqliteStore.get(CONFIG_KEY);
+      _config = saved && typeof saved === 'object' && saved.type ? saved : { type: 'firestore' };
+    } catch (e) {
+      console.warn('[SyncBackend] Could not load backend config', _safeErr(e));
+    }
+    _active = _build(_config);
+    return current();
+  }
+
+  async function configure(next) {
+    _config = next && next.type === 'rest'
+      ? { type: 'rest', url: String(next.url || '').trim().replace(/\/+$/, ''), token: String(next.token || '') }
+      : { type: 'firestore' };
+    await sqliteStore.set(CONFIG_KEY, _config);
+    await resetCursors();
+    _active = _build(_config);
+    return current();
+  }
+
+  async function resetCursors(collections) {
+    const cols = collections
+      || Object.values(SQLiteToFirestoreMap).map(e => e.collection).concat(['deletions', 'personPhotos']);
+    await Promise.all(cols.map(c => sqliteStore.remove(`restCursor_${c}`).catch(() => {})));
+  }
+
+  async function probe(next) {
+    const base = String(next.url || '').trim().replace(/\/+$/, '');
+    const res = await fetch(`${base}/v1/health`, { headers: { 'Authorization': `Bearer ${next.token || ''}` } });
+    if (!res.ok) throw new Error(`Sync server responded ${res.status}`);
+    const info = await res.json();
+    const expected = typeof currentUser !== 'undefined' && currentUser ? Organisation.dataKey() : null;
+    if (expected && info.account && info.account !== expected) {
+      throw new Error(`that access token belongs to account ${info.account}, not ${expected}`);
+    }
+    return info;
+  }
+
+  function swTarget() {
+    return _config.type === 'rest' ? { type: 'rest', url: _config.url, token: _config.token } : null;
+  }
+
+  return { current, config, load, configure, resetCursors, probe, swTarget };
+})();
+window.SyncBackend = SyncBackend;
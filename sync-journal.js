@@ -0,0 +1,109 @@
+const SyncJournal = (() => {
+  let _run = null;
+
+  function _entry(trigger) {
+    const conn = navigator.connection || {};
+    return {
+      trigger,
+      startedAt:   Date.now(),
+      endedAt:     0,
+      status:      'running',
+      backend:     typeof SyncBackend !== 'undefined' ? SyncBackend.current().name : null,
+      network:     { online: navigator.onLine, type: conn.effectiveType || null },
+      collections: {},
+      conflicts:   0,
+      errors:      [],
+      reads:       0,
+      writes:      0,
+    };
+  }
+
+  function _col(run, collection) {
+    if (!run.collections[collection]) run.collections[collection] = { up: 0, down: 0, conflicts: 0 };
+    return run.collections[collection];
+  }
+
+  function begin(trigger) {
+    _run = _entry(trigger);
+    return _run;
+  }
+
+  function active() {
+    return _run;
+  }
+
+  function count(collection, direction, n) {
+    if (!_run || !n) return;
+    _col(_run, collection)[direction] += n;
+  }
+
+  function conflicts(collection, n) {
+    if (!_run || !n) return;
+    _col(_run, collection).conflicts += n;
+    _run.conflicts += n;
+  }
+
+  function track(kind, n) {
+    if (_run && n) _run[kind] += n;
+  }
+
+  function error(where, err) {
+    if (!_run) return;
+    const e = _safeErr(err);
+    _run.errors.push({ at: Date.now(), where, message: e.message, code: (err && err.code) || null });
+  }
+
+  async function _store(run) {
+    try {
+      run.outboxPending = (await sqliteStore.outboxStats()).pending;
+      await sqliteStore.journalAdd(run);
+    } catch (e) {
+      console.warn('[SyncJournal] Could not record sync run', _safeErr(e));
+    }
+  }
+
+  async function end(run, status) {
+    if (!run) return;
+    if (_run === run) _run = null;
+    run.endedAt    = Date.now();
+    run.durationMs = run.endedAt - run.startedAt;
+    run.status     = status || (run.errors.length ? 'error' : 'ok');
+    await _store(run);
+  }
+
+  async function record(trigger, collection, { down = 0, up = 0, conflicts: n = 0 } = {}) {
+    const run = _entry(trigger);
+    run.collections[collection] = { up, down, conflicts: n };
+    run.conflicts  = n;
+    run.endedAt    = run.startedAt;
+    run.durationMs = 0;
+    run.status     = 'ok';
+    await _store(run);
+  }
+
+  async function entries(limit) {
+    return sqliteStore.journalList(limit);
+  }
+
+  async function exportJSON() {
+    const list = await entries();
+    const report = {
+      exportedAt: new Date().toISOString(),
+      appVersion: APP_CONFIG.CACHE_VERSION,
+      account:    typeof currentUser !== 'undefined' && currentUser ? currentUser.email || currentUser.uid : null,
+      userAgent:  navigator.userAgent,
+      entries:    list,
+    };
+    const blob = new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'sync_journal_' + new Date().toISOString().slice(0, 10) + '.json';
+    document.body.appendChild(a); a.click(); a.remove();
+    URL.revokeObjectURL(url);
+    return list.length;
+  }
+
+  return { begin, active, count, conflicts, track, error, end, record, entries, exportJSON };
+})();
+window.SyncJournal = SyncJournal;
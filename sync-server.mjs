@@ -0,0 +1,324 @@
+// Reference sync server for the "Self-hosted server" backend (sync-backend.js).
+//
+//   SYNC_ACCOUNTS=./sync-accounts.json node sync-server.mjs
+//
+// Environment: PORT (default 8787), HOST (default 0.0.0.0), SYNC_ACCOUNTS
+// (credentials file, default ./sync-accounts.json, re-read on SIGHUP), DATA_DIR
+// (default ./sync-data), SYNC_ALLOW_ORIGIN (CORS origin, default *). Each
+// account is one JSON file in DATA_DIR.
+//
+// The credentials file lists one entry per device or person; every request is
+// scoped to the account its bearer token was issued for:
+//
+//   [{ "token": "<long random secret>", "account": "<Firebase uid or organisation id>" }]
+//
+// Organisation members get the same checks firestore.rules applies:
+//
+//   "role": "owner" | "manager" | "rep" | "factory"   (default "owner")
+//   "rep":  "<rep name>"                               (required for, and implies, role "rep")
+//   "permissions": { "<collection>" | "*": "none" | "read" | "write" }
+//
+// Owners and managers may read and write everything. Reps and factory staff
+// only reach the collections their permissions allow (the organisation
+// defaults below when "permissions" is omitted), and a rep only sees and
+// writes their own rep_sales and rep_customers records and packed docs.
+// Only owners and managers may write the encryption keyring.
+//
+//   GET  /v1/health                                             → { ok, account }
+//   GET  /v1/:uid/records/:collection?since=<cursor>&limit=<n>  → { records, cursor }
+//        optional &field=<name>&value=<v>[&value=<v>…] keeps records whose field is one of the values
+//   GET  /v1/:uid/records/:collection/:id                       → record | 404
+//   POST /v1/:uid/batch  { ops: [{ op: 'put'|'delete', collection, id, data, merge }] }
+//   GET  /v1/:uid/events                                        → text/event-stream
+//
+// Every request carries `Authorization: Bearer <token>`; the events stream is
+// read with fetch() so the token never appears in a URL.
+
+import { createServer } from 'node:http';
+import { createHash } from 'node:crypto';
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import { join, resolve } from 'node:path';
+
+const PORT         = parseInt(process.env.PORT || '8787', 10);
+const HOST         = process.env.HOST || '0.0.0.0';
+const ACCOUNTS     = resolve(process.env.SYNC_ACCOUNTS || './sync-accounts.json');
+const DATA_DIR     = resolve(process.env.DATA_DIR || './sync-data');
+const ALLOW_ORIGIN = process.env.SYNC_ALLOW_ORIGIN || '*';
+const MAX_BODY     = 32 * 1024 * 1024;
+const MAX_OPS      = 500;
+const KEEPALIVE_MS = 25 * 1000;
+
+const UID_RE  = /^[A-Za-z0-9_-]{1,128}$/;
+const NAME_RE = /^[^/\\\u0000-\u001f]{1,256}$/;
+const OWNER_FIELDS = { rep_sales: 'salesRep', rep_customers: 'salesRep' };
+const ROLES        = ['owner', 'manager', 'rep', 'factory'];
+const ACCESS       = ['none', 'read', 'write'];
+const SHARED_ACCESS = {
+  deletions: 'write', devices: 'write', activityLog: 'write', sync_updates: 'write',
+  settings: 'read', appStores: 'read', keyring: 'read',
+};
+const DEFAULT_PERMISSIONS = {
+  rep:     { ...SHARED_ACCESS, rep_sales: 'write', rep_customers: 'write', personPhotos: 'write', factorySettings: 'read' },
+  factory: { ...SHARED_ACCESS, inventory: 'write', factory_history: 'write', factorySettings: 'write' },
+};
+
+const _stores  = new Map();
+const _writes  = new Map();
+const _streams = new Map();
+let _credentials = new Map();
+
+function digest(token) {
+  return createHash('sha256').update(String(token)).digest('hex');
+}
+
+async function loadCredentials() {
+  const list = JSON.parse(await readFile(ACCOUNTS, 'utf8'));
+  if (!Array.isArray(list)) throw new Error(`${ACCOUNTS} must hold an array of credentials`);
+  const next = new Map();
+  for (const entry of list) {
+    if (!entry || typeof entry.token !== 'string' || entry.token.length < 16 || !UID_RE.test(entry.account || '')) {
+      throw new Error(`${ACCOUNTS}: every entry needs a token of at least 16 characters and a valid account id`);
+    }
+    if (entry.rep !== undefined && (typeof entry.rep !== 'string' || !entry.rep)) {
+      throw new Error(`${ACCOUNTS}: "rep" must be a non-empty rep name`);
+    }
+    const role = entry.role || (entry.rep ? 'rep' : 'owner');
+    if (!ROLES.includes(role)) throw new Error(`${ACCOUNTS}: "role" must be one of ${ROLES.join(', ')}`);
+    if (role === 'rep' && !entry.rep) throw new Error(`${ACCOUNTS}: a rep credential needs "rep"`);
+    const permissions = entry.permissions || DEFAULT_PERMISSIONS[role] || {};
+    if (typeof permissions !== 'object' || !Object.values(permissions).every(a => ACCESS.includes(a))) {
+      throw new Error(`${ACCOUNTS}: "permissions" values must be one of ${ACCESS.join(', ')}`);
+    }
+    next.set(digest(entry.token), { account: entry.account, role, rep: role === 'rep' ? entry.rep : null, permissions });
+  }
+  if (!next.size) throw new Error(`${ACCOUNTS} lists no credentials`);
+  _credentials = next;
+}
+
+function loadStore(uid) {
+  if (!_stores.has(uid)) {
+    _stores.set(uid, readFile(join(DATA_DIR, `${uid}.json`), 'utf8')
+      .then(text => JSON.parse(text))
+      .catch((e) => {
+        if (e.code === 'ENOENT') return { seq: 0, collections: {} };
+        _stores.delete(uid);
+        throw e;
+      }));
+  }
+  return _stores.get(uid);
+}
+
+async function persist(uid, store) {
+  const file = join(DATA_DIR, `${uid}.json`);
+  const tmp  = `${file}.${process.pid}.tmp`;
+  await writeFile(tmp, JSON.stringify(store));
+  await rename(tmp, file);
+}
+
+function resolveSentinels(data, now) {
+  const out = {};
+  for (const [k, v] of Object.entries(data || {})) {
+    if (v && typeof v === 'object' && v.$serverTime === true) out[k] = now;
+    else if (v && typeof v === 'object' && v.$delete === true) out[k] = undefined;
+    else out[k] = v;
+  }
+  return out;
+}
+
+function baseCollection(collection) {
+  return collection.endsWith('_packs') ? collection.slice(0, -'_packs'.length) : collection;
+}
+
+function isAdmin(cred) {
+  return cred.role === 'owner' || cred.role === 'manager';
+}
+
+function access(cred, collection) {
+  const base = baseCollection(collection);
+  return cred.permissions[base] || cred.permissions['*'] || 'none';
+}
+
+function canRead(cred, collection) {
+  return isAdmin(cred) || access(cred, collection) !== 'none';
+}
+
+function canWrite(cred, collection) {
+  if (collection === 'keyring') return isAdmin(cred);
+  return isAdmin(cred) || access(cred, collection) === 'write';
+}
+
+function owns(cred, collection, data) {
+  const field = cred.role === 'rep' ? OWNER_FIELDS[baseCollection(collection)] : null;
+  return !field || !data || data[field] === cred.rep;
+}
+
+function forbidden(message) {
+  return Object.assign(new Error(message), { status: 403 });
+}
+
+function applyBatch(store, ops, cred) {
+  const now = Date.now();
+  const next = { seq: store.seq, collections: { ...store.collections } };
+  const touched = new Set();
+  for (const op of ops) {
+    if (!touched.has(op.collection)) {
+      next.collections[op.collection] = { ...(store.collections[op.collection] || {}) };
+      touched.add(op.collection);
+    }
+    const col = next.collections[op.collection];
+    const id = String(op.id);
+    if (!canWrite(cred, op.collection)) throw forbidden(`${cred.role} may not write ${op.collection}`);
+    if (col[id] && !owns(cred, op.collection, col[id].data)) throw forbidden(`${op.collection}/${id} belongs to another rep`);
+    const team = op.collection === 'settings' && id === 'team' && !isAdmin(cred);
+    if (op.op === 'delete') {
+      if (team) throw forbidden(`${cred.role} may not delete the team settings`);
+      delete col[id];
+    } else {
+      const incoming = resolveSentinels(op.data, now);
+      const data = op.merge && col[id] ? { ...col[id].data, ...incoming } : incoming;
+      for (const k of Object.keys(data)) if (data[k] === undefined) delete data[k];
+      if (!owns(cred, op.collection, data)) throw forbidden(`${op.collection}/${id} must be assigned to ${cred.rep}`);
+      if (team && JSON.stringify(data.role_permissions) !== JSON.stringify(col[id] ? col[id].data.role_permissions : undefined)) {
+        throw forbidden(`${cred.role} may not change role permissions`);
+      }
+      col[id] = { seq: ++next.seq, data };
+    }
+  }
+  return { store: next, collections: Array.from(touched) };
+}
+
+function commit(uid, ops, cred) {
+  const prev = _writes.get(uid) || Promise.resolve();
+  const next = prev.catch(() => {}).then(async () => {
+    const result = applyBatch(await loadStore(uid), ops, cred);
+    await persist(uid, result.store);
+    _stores.set(uid, Promise.resolve(result.store));
+    return result;
+  });
+  _writes.set(uid, next);
+  return next;
+}
+
+function validOps(ops) {
+  return Array.isArray(ops) && ops.length <= MAX_OPS && ops.every(op =>
+    op && (op.op === 'put' || op.op === 'delete')
+    && NAME_RE.test(String(op.collection || '')) && NAME_RE.test(String(op.id || ''))
+    && (op.op === 'delete' || (op.data && typeof op.data === 'object' && !Array.isArray(op.data))));
+}
+
+function broadcast(uid, payload) {
+  const streams = _streams.get(uid);
+  if (!streams) return;
+  for (const [res, cred] of streams) {
+    const collections = payload.collections.filter(c => canRead(cred, c));
+    if (collections.length) res.write(`event: write\ndata: ${JSON.stringify({ ...payload, collections })}\n\n`);
+  }
+}
+
+function credential(req) {
+  const header = req.headers.authorization || '';
+  return header.startsWith('Bearer ') ? _credentials.get(digest(header.slice(7))) || null : null;
+}
+
+function send(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolveBody, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY) { reject(Object.assign(new Error('Payload too large'), { status: 413 })); req.destroy(); return; }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try { resolveBody(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}')); }
+      catch { reject(Object.assign(new Error('Invalid JSON'), { status: 400 })); }
+    });
+    req.on('error', reject);
+  });
+}
+
+async function handle(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', ALLOW_ORIGIN);
+  res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type, X-Sync-Origin');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  if (req.method === 'OPTIONS') { res.writeHead(204); res.end(); return; }
+
+  const url   = new URL(req.url, 'http://localhost');
+  const parts = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+  if (parts[0] !== 'v1') return send(res, 404, { error: 'not found' });
+  const cred = credential(req);
+  if (!cred) return send(res, 401, { error: 'unauthorized' });
+  if (parts[1] === 'health' && parts.length === 2) return send(res, 200, { ok: true, server: 'naswar-sync', version: 1, account: cred.account });
+
+  const [, uid, resource, collection, id] = parts;
+  if (!UID_RE.test(uid || '')) return send(res, 400, { error: 'invalid account id' });
+  if (uid !== cred.account) return send(res, 403, { error: 'this token is not valid for that account' });
+
+  if (resource === 'events' && req.method === 'GET') {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-store', 'Connection': 'keep-alive' });
+    res.write(': connected\n\n');
+    if (!_streams.has(uid)) _streams.set(uid, new Map());
+    _streams.get(uid).set(res, cred);
+    const keepalive = setInterval(() => res.write(': keepalive\n\n'), KEEPALIVE_MS);
+    req.on('close', () => { clearInterval(keepalive); _streams.get(uid).delete(res); });
+    return;
+  }
+
+  if (resource === 'records' && req.method === 'GET' && NAME_RE.test(collection || '')) {
+    if (!canRead(cred, collection)) return send(res, 403, { error: `${cred.role} may not read ${collection}` });
+    const store = await loadStore(uid);
+    const col = store.collections[collection] || {};
+    if (id !== undefined) {
+      const entry = col[id];
+      return entry && owns(cred, collection, entry.data) ? send(res, 200, { id, ...entry.data }) : send(res, 404, { error: 'not found' });
+    }
+    const since = parseInt(url.searchParams.get('since') || '0', 10) || 0;
+    const limit = parseInt(url.searchParams.get('limit') || '0', 10) || 0;
+    const field = url.searchParams.get('field');
+    const values = url.searchParams.getAll('value');
+    let rows = Object.entries(col)
+      .filter(([, e]) => e.seq > since && owns(cred, collection, e.data) && (!field || values.includes(String(e.data[field]))))
+      .sort((a, b) => a[1].seq - b[1].seq);
+    if (limit > 0) rows = rows.slice(0, limit);
+    const cursor = rows.length ? rows[rows.length - 1][1].seq : since;
+    return send(res, 200, { records: rows.map(([rid, e]) => ({ id: rid, ...e.data })), cursor });
+  }
+
+  if (resource === 'batch' && req.method === 'POST') {
+    const body = await readBody(req);
+    if (!validOps(body.ops)) return send(res, 400, { error: `ops must be an array of at most ${MAX_OPS} put/delete operations` });
+    const { store, collections } = await commit(uid, body.ops, cred);
+    broadcast(uid, { origin: req.headers['x-sync-origin'] || null, collections });
+    return send(res, 200, { ok: true, seq: store.seq });
+  }
+
+  return send(res, 404, { error: 'not found' });
+}
+
+try {
+  await loadCredentials();
+} catch (e) {
+  console.error(`[sync-server] Could not load credentials from ${ACCOUNTS}; refusing to start without authentication.`, e.message);
+  process.exit(1);
+}
+process.on('SIGHUP', () => {
+  loadCredentials()
+    .then(() => console.log(`[sync-server] reloaded ${_credentials.size} credential(s)`))
+    .catch(e => console.error('[sync-server] Could not reload credentials; keeping the previous set.', e.message));
+});
+
+await mkdir(DATA_DIR, { recursive: true });
+
+createServer((req, res) => {
+  handle(req, res).catch((e) => {
+    if (!res.headersSent) send(res, e.status || 500, { error: e.status ? e.message : 'internal error' });
+    if (!e.status) console.error('[sync-server]', e);
+  });
+}).listen(PORT, HOST, () => {
+  console.log(`[sync-server] listening on http://${HOST}:${PORT} · data in ${DATA_DIR}`);
+});
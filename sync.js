@@ -1,6 +1,18 @@
-async function saveWithTracking(key, data, specificRecord = null, specificIds = null) {
-const result = await sqliteStore.set(key, data);
+async function saveWithTracking(key, data, specificRecord = null, specificIds = null, audit = null) {
 const collectionEntry = SQLiteToFirestoreMap[key];
+if (collectionEntry && Array.isArray(data)) {
+  if (specificRecord && specificRecord.id) {
+    HybridClock.stamp(specificRecord);
+    const inArray = data.find(r => r && r.id === specificRecord.id);
+    if (inArray && inArray !== specificRecord) inArray.hlc = specificRecord.hlc;
+  } else if (Array.isArray(specificIds) && specificIds.length > 0) {
+    const ids = new Set(specificIds.map(String));
+    data.forEach(r => { if (r && ids.has(String(r.id))) HybridClock.stamp(r); });
+  } else {
+    data.forEach(r => HybridClock.touch(r));
+  }
+}
+const result = await sqliteStore.set(key, data, audit ? { audit } : {});
 if (collectionEntry) {
   const col = collectionEntry.collection;
   if (specificRecord && specificRecord.id) {
@@ -49,8 +61,72 @@ function getSQLiteKey(firestoreCollection) {
 return FirestoreToSQLiteMap[firestoreCollection] || firestoreCollection;
 }
 
-async function saveRecordToFirestore(sqliteKey, record, silent = true) {
-if (!firebaseDB || !currentUser) {
+const SYNC_TAB_COLLECTIONS = {
+  prod:     ['production'],
+  sales:    ['sales', 'sales_customers', 'returns'],
+  calc:     ['calculator_history', 'returns'],
+  factory:  ['inventory', 'factory_history'],
+  payments: ['transactions', 'entities', 'expenses'],
+  rep:      ['rep_sales', 'rep_customers'],
+};
+const SYNC_OWNER_FIELDS = { rep_sales: 'salesRep', rep_customers: 'salesRep' };
+
+function currentSyncScope() {
+  const mode = typeof appMode !== 'undefined' ? appMode : 'admin';
+  let tabs;
+  if (mode === 'rep') tabs = ['rep'];
+  else if (mode === 'production') tabs = ['prod'];
+  else if (mode === 'factory') tabs = ['factory'];
+  else if (mode === 'userrole') tabs = ensureArray(window._assignedUserTabs);
+  else return null;
+  const collections = new Set(tabs.flatMap(t => SYNC_TAB_COLLECTIONS[t] || []));
+  const rep = mode === 'rep' && typeof currentRepProfile !== 'undefined' ? currentRepProfile || null : null;
+  const docs = new Set(['settings', 'factorySettings', 'appStores']);
+  if (collections.has('expenses')) docs.add('expenseCategories');
+  const photos = ['sales_customers', 'rep_customers', 'entities'].some(c => collections.has(c));
+  const signature = `${mode}:${rep || ''}:${Array.from(collections).sort().join(',')}`;
+  return { mode, rep, collections, docs, photos, signature };
+}
+
+function syncScopeAllows(scope, collection, record = null) {
+  if (!scope) return true;
+  if (!scope.collections.has(collection)) return false;
+  const field = scope.rep ? SYNC_OWNER_FIELDS[collection] : null;
+  return !field || !record || record[field] === scope.rep;
+}
+
+function syncScopeMatch(scope, collection) {
+  const field = scope && scope.rep ? SYNC_OWNER_FIELDS[collection] : null;
+  return field ? { field, values: [scope.rep] } : null;
+}
+
+function syncScopeAllowsPhoto(scope, key) {
+  if (!scope) return true;
+  if (!scope.photos) return false;
+  return !scope.rep || String(key).startsWith(`rep-cust:${scope.rep}:`);
+}
+
+function syncScopeWants(scope, changed) {
+  const cols = ensureArray(changed).map(getFirestoreCollection);
+  if (!scope || cols.length === 0) return true;
+  return cols.some(c => scope.collections.has(c) || scope.docs.has(c) || (c === 'personPhotos' && scope.photos));
+}
+
+async function _applySyncScopeChange(scope) {
+  const signature = scope ? scope.signature : 'all';
+  const previous = await sqliteStore.get('sync_scope_signature');
+  if (previous === signature) return;
+  if (previous) {
+    const cols = Object.keys(FirestoreToSQLiteMap).concat(PackedLayout.collections(), ['deletions', 'personPhotos']);
+    await DeltaSync.clearLastSync(cols);
+    await SyncBackend.current().resetCursors(cols);
+  }
+  await sqliteStore.set('sync_scope_signature', signature);
+}
+
+async function saveRecordToFirestore(sqliteKey, record, silent = true, group = null) {
+const backend = SyncBackend.current();
+if (!backend.ready()) {
 return false;
 }
 if (!record || !record.id) {
@@ -64,6 +140,23 @@ const collectionName = getFirestoreCollection(sqliteKey);
 if (!collectionName) {
 return false;
 }
+if (!syncScopeAllows(currentSyncScope(), collectionName, record)) {
+console.warn('[saveRecordToFirestore] Blocked upload: outside this device\'s sync scope', collectionName, record.id);
+return false;
+}
+if (PackedLayout.packs(collectionName)) {
+if (typeof OfflineQueue === 'undefined') return false;
+const sid = String(record.id);
+const bases = await sqliteStore.syncBases(sqliteKey, [sid]).catch(() => new Map());
+await OfflineQueue.add({
+action: 'pack',
+collection: collectionName,
+docId: sid,
+group,
+data: PackedLayout.placement(collectionName, sanitizeForFirestore(record), bases.get(sid))
+});
+return true;
+}
 if (window._firestoreNetworkDisabled || !navigator.onLine) {
 if (typeof OfflineQueue !== 'undefined') {
 const now = Date.now();
@@ -77,26 +170,25 @@ await OfflineQueue.add({
 action: 'set',
 collection: collectionName,
 docId: String(record.id),
+group,
 data: queuedRecord
 });
 }
 return true;
 }
 try {
-const userRef = firebaseDB.collection('users').doc(currentUser.uid);
-const docRef = userRef.collection(collectionName).doc(String(record.id));
 const now = Date.now();
 const sanitized = sanitizeForFirestore({ ...record, syncedAt: new Date().toISOString() });
 if (!sanitized.createdAt) sanitized.createdAt = now;
-if (!record.isMerged) sanitized.updatedAt = firebase.firestore.FieldValue.serverTimestamp();
+if (!record.isMerged) sanitized.updatedAt = backend.serverTimestamp();
 
 if (collectionName === 'inventory') {
   const _supplierFields = ['supplierId', 'supplierName', 'supplierContact', 'supplierType', 'totalPayable', 'paidDate'];
-  _supplierFields.forEach(f => { if (!(f in record)) sanitized[f] = firebase.firestore.FieldValue.delete(); });
+  _supplierFields.forEach(f => { if (!(f in record)) sanitized[f] = backend.deleteField(); });
 }
-await docRef.set(sanitized, { merge: true });
-trackFirestoreWrite(1);
+await backend.put(collectionName, record.id, sanitized, { merge: true });
 await DeltaSync.setLastSyncTimestamp(collectionName);
+sqliteStore.setSyncBases(sqliteKey, [record]).catch(() => {});
 
 if (typeof UUIDSyncRegistry !== 'undefined') {
   UUIDSyncRegistry.markUploaded(collectionName, record.id);
@@ -114,6 +206,7 @@ await OfflineQueue.add({
 action: 'set',
 collection: collectionName,
 docId: String(record.id),
+group,
 data: fallbackRecord
 });
 return true;
@@ -126,7 +219,8 @@ return false;
 }
 
 async function deleteRecordFromFirestore(sqliteKey, recordId, silent = true) {
-if (!firebaseDB || !currentUser) {
+const backend = SyncBackend.current();
+if (!backend.ready()) {
 return false;
 }
 if (!recordId) {
@@ -136,6 +230,10 @@ const collectionName = getFirestoreCollection(sqliteKey);
 if (!collectionName) {
 return false;
 }
+if (!syncScopeAllows(currentSyncScope(), collectionName)) {
+console.warn('[deleteRecordFromFirestore] Blocked delete: outside this device\'s sync scope', collectionName, recordId);
+return false;
+}
 if (window._firestoreNetworkDisabled || !navigator.onLine) {
 if (typeof OfflineQueue !== 'undefined') {
 await OfflineQueue.add({
@@ -148,19 +246,19 @@ data: null
 return true;
 }
 try {
-const userRef = firebaseDB.collection('users').doc(currentUser.uid);
-const batch = firebaseDB.batch();
-batch.delete(userRef.collection(collectionName).doc(String(recordId)));
-batch.set(userRef.collection('deletions').doc(String(recordId)), {
+const batch = backend.batch();
+batch.remove(collectionName, recordId);
+const packRemoval = await PackedLayout.removal(backend, collectionName, recordId);
+if (packRemoval) batch.put(packRemoval.collection, packRemoval.docId, packRemoval.data, { merge: true });
+batch.put('deletions', recordId, {
 id: recordId,
 recordId: recordId,
 collection: collectionName,
 recordType: collectionName,
-deletedAt: firebase.firestore.FieldValue.serverTimestamp(),
-expiresAt: firebase.firestore.Timestamp.fromMillis(Date.now() + APP_CONFIG.TOMBSTONE_EXPIRY_MS)
+deletedAt: backend.serverTimestamp(),
+expiresAt: backend.timestamp(Date.now() + APP_CONFIG.TOMBSTONE_EXPIRY_MS)
 }, { merge: true });
 await batch.commit();
-trackFirestoreWrite(2);
 return true;
 } catch (error) {
 console.error('deleteRecordFromFirestore error:', _safeErr(error));
@@ -181,17 +279,30 @@ return false;
 }
 }
 
-async function unifiedSave(sqliteKey, dataArray, specificRecord = null, linkedIds = null) {
+async function _auditContext(action = null) {
+let device = null;
+try { device = await getDeviceId(); } catch (e) {}
+let actor = typeof _currentActorName === 'function' ? _currentActorName() : null;
+const account = (typeof currentUser !== 'undefined' && currentUser) ? (currentUser.email || currentUser.uid) : null;
+if (account) actor = actor ? `${actor} (${account})` : account;
+return { actor, device, action };
+}
 
+function newSyncGroup() {
+  return generateUUID('grp');
+}
+
+async function unifiedSave(sqliteKey, dataArray, specificRecord = null, linkedIds = null, opts = {}) {
+const audit = await _auditContext(opts.auditAction || null);
 if (specificRecord && specificRecord.id) {
-  await saveWithTracking(sqliteKey, dataArray, specificRecord);
+  await saveWithTracking(sqliteKey, dataArray, specificRecord, null, audit);
 
   _syncQueue.run(async () => {
     try {
-      await saveRecordToFirestore(sqliteKey, specificRecord);
+      await saveRecordToFirestore(sqliteKey, specificRecord, true, opts.group || null);
     } catch (e) {
       const collectionName = getFirestoreCollection(sqliteKey);
-      if (typeof OfflineQueue !== 'undefined' && collectionName) {
+      if (typeof OfflineQueue !== 'undefined' && collectionName && e.code !== 'group-too-large') {
         const now = Date.now();
         const fallback = sanitizeForFirestore({ ...specificRecord, syncedAt: new Date().toISOString() });
         if (!fallback.createdAt) fallback.createdAt = now;
@@ -200,21 +311,23 @@ if (specificRecord && specificRecord.id) {
           action: 'set',
           collection: getFirestoreCollection(sqliteKey),
           docId: String(specificRecord.id),
+          group: opts.group || null,
           data: fallback
         });
       }
     }
   });
 } else if (Array.isArray(linkedIds) && linkedIds.length > 0) {
-  await saveWithTracking(sqliteKey, dataArray, null, linkedIds);
+  await saveWithTracking(sqliteKey, dataArray, null, linkedIds, audit);
   const recordsToSync = dataArray.filter(r => r && linkedIds.includes(r.id));
+  const group = opts.group || newSyncGroup();
   _syncQueue.run(async () => {
     for (const record of recordsToSync) {
       try {
-        await saveRecordToFirestore(sqliteKey, record);
+        await saveRecordToFirestore(sqliteKey, record, true, group);
       } catch (e) {
         const collectionName = getFirestoreCollection(sqliteKey);
-        if (typeof OfflineQueue !== 'undefined' && collectionName) {
+        if (typeof OfflineQueue !== 'undefined' && collectionName && e.code !== 'group-too-large') {
           const now = Date.now();
           const fallback = sanitizeForFirestore({ ...record, syncedAt: new Date().toISOString() });
           if (!fallback.createdAt) fallback.createdAt = now;
@@ -223,6 +336,7 @@ if (specificRecord && specificRecord.id) {
             action: 'set',
             collection: collectionName,
             docId: String(record.id),
+            group,
             data: fallback
           });
         }
@@ -230,7 +344,7 @@ if (specificRecord && specificRecord.id) {
     }
   });
 } else {
-  await saveWithTracking(sqliteKey, dataArray);
+  await saveWithTracking(sqliteKey, dataArray, null, null, audit);
 }
 triggerAutoSync();
 return true;
@@ -242,6 +356,7 @@ if (opts.strict !== true) {
   if (typeof window.showToast === 'function') window.showToast('Delete blocked: missing strict confirmation flag.', 'warning');
   return false;
 }
+if (!Permissions.check('record.delete')) return false;
 await saveWithTracking(sqliteKey, dataArray);
 const collectionName = getFirestoreCollection(sqliteKey);
 if (collectionName && typeof window.registerDeletion === 'function') {
@@ -352,7 +467,7 @@ async function saveTokenForSW(firebaseUser) {
   try {
     if (!firebaseUser || !navigator.storage || typeof navigator.storage.getDirectory !== 'function') return;
     const token  = await firebaseUser.getIdToken( false);
-    const record = JSON.stringify({ token, uid: firebaseUser.uid, expiry: Date.now() + 55 * 60 * 1000 });
+    const record = JSON.stringify({ token, uid: firebaseUser.uid, expiry: Date.now() + 55 * 60 * 1000, root: Organisation.rootPath(), backend: SyncBackend.swTarget(), e2e: CloudCipher.swTarget() });
     const root   = await navigator.storage.getDirectory();
     const fh     = await root.getFileHandle(SW_TOKEN_FILE, { create: true });
     const wr     = await fh.createWritable();
@@ -376,7 +491,7 @@ function startSWTokenRefresh(firebaseUser) {
   _swTokenRefreshTimer = setInterval(async () => {
     try {
       const fresh = await firebaseUser.getIdToken( true);
-      const record = JSON.stringify({ token: fresh, uid: firebaseUser.uid, expiry: Date.now() + 55 * 60 * 1000 });
+      const record = JSON.stringify({ token: fresh, uid: firebaseUser.uid, expiry: Date.now() + 55 * 60 * 1000, root: Organisation.rootPath(), backend: SyncBackend.swTarget(), e2e: CloudCipher.swTarget() });
       const root   = await navigator.storage.getDirectory();
       const fh     = await root.getFileHandle(SW_TOKEN_FILE, { create: true });
       const wr     = await fh.createWritable();
@@ -394,14 +509,15 @@ function stopSWTokenRefresh() {
 if ('serviceWorker' in navigator) {
   navigator.serviceWorker.addEventListener('message', (event) => {
     if (event.data && event.data.type === 'BG_SYNC_COMPLETE') {
-      const syncedIds = event.data.syncedIds || [];
-      if (syncedIds.length > 0 && typeof OfflineQueue !== 'undefined') {
-        OfflineQueue.queue = OfflineQueue.queue.filter(item => !syncedIds.includes(item.id));
-        OfflineQueue.saveQueue().catch(() => {});
-        console.log(`[SWToken] SW synced ${syncedIds.length} operation(s) in background; queue updated.`);
-        if (OfflineQueue.queue.length === 0 && typeof showToast === 'function') {
-          showToast('☁️ Background sync complete', 'success', 3000);
-        }
+      const syncedKeys = event.data.syncedKeys || [];
+      if (syncedKeys.length > 0 && typeof OfflineQueue !== 'undefined') {
+        OfflineQueue.acknowledge(syncedKeys).then(() => {
+          console.log(`[SWToken] SW synced ${syncedKeys.length} operation(s) in background; outbox updated.`);
+          if (typeof updateOfflineBanner === 'function') updateOfflineBanner();
+          if (OfflineQueue.queue.length === 0 && typeof showToast === 'function') {
+            showToast('☁️ Background sync complete', 'success', 3000);
+          }
+        }).catch(e => console.warn('[SWToken] Could not acknowledge background-synced ops', _safeErr(e)));
       }
     }
   });
@@ -523,6 +639,29 @@ if (typeof initDeviceShard === 'function') {
     await UUIDSyncRegistry.loadAll().catch(() => {});
   }
 }
+const _orgState = await Organisation.load();
+if (_orgState.removed) {
+showToast('Your access to this organisation has been removed. Contact the owner.', 'error', 6000);
+setTimeout(() => { if (typeof signOut === 'function') signOut().catch(() => {}); }, 1500);
+return;
+}
+if (_orgState.changed) {
+await DeltaSync.clearAllTimestamps();
+if (typeof UUIDSyncRegistry !== 'undefined') await UUIDSyncRegistry.clearAll().catch(() => {});
+}
+if (Organisation.active()) {
+Organisation.migrateUserData(_orgMigrationCollections()).then(async (copied) => {
+if (!copied) return;
+await DeltaSync.clearAllTimestamps();
+performOneClickSync(true, 'organisation');
+}).catch(e => console.warn('[Organisation] Could not resume moving account data:', _safeErr(e)));
+}
+await _applyOrganisationRole().catch(e => console.warn('[Organisation] Could not apply role:', _safeErr(e)));
+await SyncBackend.load();
+await CloudCipher.load(SyncBackend.current());
+_promptUnpublishedKeyring();
+await PackedLayout.load();
+if (Organisation.active() || SyncBackend.swTarget() || CloudCipher.swTarget()) saveTokenForSW(user).catch(() => {});
 if (typeof subscribeToRealtime === 'function') {
 subscribeToRealtime().catch(e => console.warn('subscribeToRealtime failed:', _safeErr(e)));
 }
@@ -546,7 +685,7 @@ console.error('Could not restore device mode:', _safeErr(error));
 setTimeout(async () => {
 try {
 if (typeof performOneClickSync === 'function' && !isSyncing) {
-  await performOneClickSync(true);
+  await performOneClickSync(true, 'login');
 }
 } catch (e) { console.warn('[Sync] Auto-sync on login error:', _safeErr(e)); }
 }, 1500);
@@ -603,7 +742,7 @@ if (!this.firebaseDB || !this.currentUser) {
 throw new Error('Firebase DB and Current User are required');
 }
 if (!silent) showToast('Setting up complete cloud database...', 'info');
-this.userRef = this.firebaseDB.collection('users').doc(this.currentUser.uid);
+this.userRef = Organisation.rootRef();
 try {
 await this.createUserDocument();
 await this.createDevicesCollection();
@@ -980,7 +1119,7 @@ return await initializer.initialize(silent);
 async function isCompleteDatabaseInitialized() {
 if (!firebaseDB || !currentUser) return false;
 try {
-const userRef = firebaseDB.collection('users').doc(currentUser.uid);
+const userRef = Organisation.rootRef();
 const requiredCollections = [
 'devices', 'account', 'activityLog', 'production', 'sales',
 'rep_sales', 'rep_customers',
@@ -1024,7 +1163,7 @@ return await initializeCompleteFirestoreDatabase(silent);
 async function cleanupPlaceholders() {
 if (!firebaseDB || !currentUser) return false;
 try {
-const userRef = firebaseDB.collection('users').doc(currentUser.uid);
+const userRef = Organisation.rootRef();
 const batch = firebaseDB.batch();
 const collections = [
 'devices', 'account', 'activityLog',
@@ -1187,7 +1326,8 @@ const _existingArr = await _getColData(col.sqliteKey);
 const _existingIdSet = new Set(_existingArr.map(r => r && r.id ? String(r.id) : null).filter(Boolean));
 for (const change of changes) {
 try {
-const docData = { id: change.doc.id, ...change.doc.data() };
+const docData = await CloudCipher.open(col.firestoreId, change.doc.id, { id: change.doc.id, ...change.doc.data() });
+if (!docData) continue;
 if (change.type === 'added' || change.type === 'modified') {
 const _sid = String(change.doc.id);
 if (change.type === 'added' && _existingIdSet.has(_sid)) {
@@ -1211,6 +1351,7 @@ _ensureLocalTombstone(change.doc.id, col.firestoreId);
 removedIds.push(change.doc.id);
 }
 } catch (docErr) {
+if (_isCloudCipherError(docErr)) throw docErr;
 console.warn(`[Snapshot:${col.firestoreId}] doc error`, _safeErr(docErr));
 }
 }
@@ -1224,14 +1365,23 @@ removedIds.forEach(id => deletedSet.add(id));
 await sqliteStore.set('deleted_records', Array.from(deletedSet));
 }
 let arr = _existingArr;
+const _mergeCtx = { bases: new Map(), conflicts: [], pushed: [] };
+const _modifiedIds = addedOrModified.filter(d => _existingIdSet.has(String(d.id))).map(d => String(d.id));
+if (_modifiedIds.length > 0) {
+_mergeCtx.bases = await sqliteStore.syncBases(col.sqliteKey, _modifiedIds).catch(() => new Map());
+}
 for (const docData of addedOrModified) {
-arr = _updateArray(arr, docData, col.firestoreId);
+arr = _updateArray(arr, docData, col.firestoreId, _mergeCtx);
 }
 for (const rid of removedIds) {
 arr = arr.filter(item => item.id !== rid);
 }
 await _setColData(col.sqliteKey, arr);
+await sqliteStore.setSyncBases(col.sqliteKey, addedOrModified).catch(e => console.warn('[Sync] Failed to store merge bases:', _safeErr(e)));
+_mergeCtx.pushed.forEach(id => DeltaSync.trackId(col.firestoreId, id));
+await _flagSyncConflicts(col.firestoreId, _mergeCtx.conflicts);
 await DeltaSync.setLastSyncTimestamp(col.firestoreId);
+SyncJournal.record('realtime', col.firestoreId, { down: addedOrModified.length + removedIds.length, conflicts: _mergeCtx.conflicts.length });
 emitSyncUpdate({ [col.sqliteKey]: null});
 if (col.tabSyncFn === 'syncFactoryTab' && typeof renderFactoryInventory === 'function') {
 renderFactoryInventory();
@@ -1243,7 +1393,7 @@ window[col.tabSyncFn]();
 flashLivePulse();
 recordSuccessfulConnection();
 } catch (err) {
-console.warn(`[Snapshot:${col.firestoreId}] local save error`, _safeErr(err));
+if (!_warnCloudLocked(err)) console.warn(`[Snapshot:${col.firestoreId}] local save error`, _safeErr(err));
 }
 };
 }
@@ -1266,8 +1416,9 @@ _syncQueue.run(async () => {
 });
 }
 
-function _updateArray(array, docData, collectionName) {
+function _updateArray(array, docData, collectionName, ctx) {
   if (docData._placeholder || docData.id === '_placeholder_') return array;
+  if (docData.hlc) HybridClock.receive(docData.hlc);
   if (!docData.id) {
     docData = ensureRecordIntegrity(docData, false, true);
   }
@@ -1276,6 +1427,14 @@ function _updateArray(array, docData, collectionName) {
   const existingIdx_pre = array.findIndex(item => item && item.id === docData.id);
   if (existingIdx_pre !== -1) {
     const localRecord = array[existingIdx_pre];
+    const base = ctx && ctx.bases && ctx.bases.get(sid);
+    if (base) {
+      const m = mergeRecord(base, localRecord, docData);
+      if (m.pulled) array[existingIdx_pre] = m.record;
+      if (m.conflicts) ctx.conflicts.push({ id: sid, base, local: localRecord, cloud: docData, ...m.conflicts });
+      if (m.pushed) ctx.pushed.push(sid);
+      return array;
+    }
     if (typeof UUIDSyncRegistry !== 'undefined') {
       if (UUIDSyncRegistry.skipDownload(collectionName, sid)) {
         if (!UUIDSyncRegistry.shouldApplyCloud(docData, localRecord)) return array;
@@ -1411,7 +1570,8 @@ function flashLivePulse() {
 }
 
 async function emitSyncUpdate(payload) {
-if (!firebaseDB || !currentUser) return;
+const backend = SyncBackend.current();
+if (!backend.ready()) return;
 flashLivePulse();
 if (payload && typeof payload === 'object') {
 const changedKeys = Object.keys(payload);
@@ -1419,9 +1579,7 @@ try {
 const _now = Date.now();
 if (!window._lastEmitPingAt || (_now - window._lastEmitPingAt) > 2000) {
 window._lastEmitPingAt = _now;
-firebaseDB.collection('users').doc(currentUser.uid).set({
-lastWrite: { ts: firebase.firestore.FieldValue.serverTimestamp(), collections: changedKeys }
-}, { merge: true }).catch(() => {});
+backend.ping(changedKeys).catch(() => {});
 }
 } catch (_pe) {}
 }
@@ -1432,8 +1590,7 @@ async function startSyncUpdatesCleanup() {
   const runCleanup = async () => {
     if (!firebaseDB || !currentUser) return;
     try {
-      const syncSnapshot = await firebaseDB
-        .collection('users').doc(currentUser.uid)
+      const syncSnapshot = await Organisation.rootRef()
         .collection('sync_updates')
         .orderBy('timestamp', 'desc')
         .get();
@@ -1485,9 +1642,80 @@ function isConnectionStale() {
   return (Date.now() - lastSuccessfulConnection) > 5 * 60 * 1000;
 }
 
+function _watchSyncBackend(backend) {
+  updateSignalUI('connecting');
+  realtimeRefs.forEach(unsub => {
+    try { if (typeof unsub === 'function') unsub(); }
+    catch (e) { console.error('Sync backend unsubscribe failed.', _safeErr(e)); }
+  });
+  realtimeRefs = [];
+  let dropped = false;
+  const pull = () => {
+    if (typeof pullDataFromCloud === 'function') pullDataFromCloud(true, false, 'realtime').catch(() => {});
+  };
+  const unsub = backend.watch({
+    onOpen: () => {
+      updateSignalUI('online');
+      recordSuccessfulConnection();
+      if (dropped) { dropped = false; pull(); }
+    },
+    onChange: (collections) => { if (syncScopeWants(currentSyncScope(), collections)) pull(); },
+    onError: () => { dropped = true; updateSignalUI('error'); },
+  });
+  if (unsub) realtimeRefs.push(unsub);
+  else updateSignalUI('online');
+}
+
+function _handleLastWritePing(snap) {
+  const data = snap.data() || {};
+  if (snap.metadata.hasPendingWrites || snap.metadata.fromCache || !data.lastWrite) return;
+  const pingTs = data.lastWrite.ts && data.lastWrite.ts.toMillis
+    ? data.lastWrite.ts.toMillis()
+    : (typeof data.lastWrite.ts === 'number' ? data.lastWrite.ts : 0);
+  const lastSeenPing = window._lastSeenPingTs || 0;
+  if (pingTs <= lastSeenPing + 1000) return;
+  window._lastSeenPingTs = pingTs;
+  const relevant = syncScopeWants(currentSyncScope(), data.lastWrite.collections);
+  if (relevant && (!window._lastEmitPingAt || Math.abs(pingTs - window._lastEmitPingAt) > 3000)) {
+    setTimeout(() => {
+      if (typeof pullDataFromCloud === 'function') pullDataFromCloud(true, false, 'realtime').catch(() => {});
+    }, 500);
+  }
+}
+
+async function _handleMembershipSnapshot(snap) {
+  if (snap.metadata.fromCache || snap.metadata.hasPendingWrites) return;
+  if (!snap.exists) {
+    showToast(`You have been removed from ${Organisation.name() || 'the organisation'}. Signing out…`, 'error', 5000);
+    setTimeout(async () => {
+      try { if (typeof signOut === 'function') await signOut(); }
+      catch (e) { console.warn('[Auth] Membership logout error:', _safeErr(e)); }
+    }, 1500);
+    return;
+  }
+  try {
+    if (await Organisation.refreshMember(snap.data())) await _applyOrganisationRole();
+  } catch (e) {
+    console.warn('[Organisation] Could not apply role change', _safeErr(e));
+  }
+}
+
+async function _applyOrganisationRole() {
+  const member = Organisation.member();
+  const mode = Organisation.mode();
+  if (!member || !mode || typeof applyRemoteModeChange !== 'function') return;
+  if (appMode === mode && (mode !== 'rep' || currentRepProfile === member.rep)) return;
+  await applyRemoteModeChange(mode, 'organisation', member.rep || null);
+}
+
 async function subscribeToRealtime() {
   if (!firebaseDB || !currentUser) return;
   if (window._firestoreNetworkDisabled) return;
+  const backend = SyncBackend.current();
+  if (backend.name !== 'firestore') {
+    _watchSyncBackend(backend);
+    return;
+  }
   try {
     if (!pendingFirestoreYearClose) {
       const storedFlag = await sqliteStore.get('pendingFirestoreYearClose');
@@ -1496,7 +1724,7 @@ async function subscribeToRealtime() {
   } catch (_flagErr) {  }
   if (pendingFirestoreYearClose && !closeYearInProgress) {
     try {
-      const userRef = firebaseDB.collection('users').doc(currentUser.uid);
+      const userRef = Organisation.rootRef();
       const [_db,_cs,_rs,_sh,_pt,_fph,_er,_sr] = await Promise.all([
         sqliteStore.get('mfg_pro_pkr',[]), sqliteStore.get('customer_sales',[]),
         sqliteStore.get('rep_sales',[]), sqliteStore.get('noman_history',[]),
@@ -1530,14 +1758,14 @@ async function subscribeToRealtime() {
           const _fySettings = await sqliteStore.get('naswar_default_settings', {});
           const _fyTs = Date.now();
           await sqliteStore.set('naswar_default_settings_timestamp', _fyTs);
-          await userRef.collection('settings').doc('config').set({
+          await userRef.collection('settings').doc('config').set(await CloudCipher.seal('settings', 'config', {
             naswar_default_settings: {
               fyCloseCount:       _fySettings.fyCloseCount       || 0,
               lastYearClosedAt:   _fySettings.lastYearClosedAt   || null,
               lastYearClosedDate: _fySettings.lastYearClosedDate || null,
             },
             naswar_default_settings_timestamp: _fyTs,
-          }, { merge: true });
+          }), { merge: true });
           if (typeof DeltaSync !== 'undefined') await DeltaSync.setLastSyncTimestamp('settings');
         } catch (_metaRetryErr) {
           console.warn('pendingFirestoreYearClose: metadata push failed:', _safeErr(_metaRetryErr));
@@ -1569,7 +1797,7 @@ async function subscribeToRealtime() {
   if (pendingFirestoreRestore) {
     try {
       showToast('Retrying restore cloud sync...', 'info', 3000);
-      const _restoreUserRef = firebaseDB.collection('users').doc(currentUser.uid);
+      const _restoreUserRef = Organisation.rootRef();
       const _restoreKeys = [
         'mfg_pro_pkr', 'customer_sales', 'noman_history', 'rep_sales',
         'rep_customers', 'sales_customers', 'factory_inventory_data',
@@ -1609,7 +1837,7 @@ async function subscribeToRealtime() {
             const san = (typeof sanitizeForFirestore === 'function') ? sanitizeForFirestore(record) : record;
             if (!san) continue;
             if (wOps >= 495) { wBatches.push(firebaseDB.batch()); wOps = 0; }
-            wBatches[wBatches.length-1].set(colRef.doc(String(record.id)), san, { merge: false }); wOps++;
+            wBatches[wBatches.length-1].set(colRef.doc(String(record.id)), await CloudCipher.seal(colName, record.id, san), { merge: false }); wOps++;
           }
           if (wOps > 0) await Promise.all(wBatches.map(b => b.commit()));
 
@@ -1654,10 +1882,10 @@ async function subscribeToRealtime() {
   });
   realtimeRefs = [];
 
-  const userRef = firebaseDB.collection('users').doc(currentUser.uid);
+  const userRef = Organisation.rootRef();
 
   try {
-    const userDocUnsub = userRef.onSnapshot(async (snap) => {
+    const userDocUnsub = firebaseDB.collection('users').doc(currentUser.uid).onSnapshot(async (snap) => {
       if (!snap.exists) return;
       const data = snap.data() || {};
       if (data.forceLogout && data.forceLogout.at) {
@@ -1677,20 +1905,7 @@ async function subscribeToRealtime() {
           catch (e) { console.warn('[Auth] Suspend logout error:', _safeErr(e)); }
         }, 1500);
       }
-      if (!snap.metadata.hasPendingWrites && !snap.metadata.fromCache && data.lastWrite) {
-        const pingTs = data.lastWrite.ts && data.lastWrite.ts.toMillis
-          ? data.lastWrite.ts.toMillis()
-          : (typeof data.lastWrite.ts === 'number' ? data.lastWrite.ts : 0);
-        const lastSeenPing = window._lastSeenPingTs || 0;
-        if (pingTs > lastSeenPing + 1000) {
-          window._lastSeenPingTs = pingTs;
-          if (!window._lastEmitPingAt || Math.abs(pingTs - window._lastEmitPingAt) > 3000) {
-            setTimeout(() => {
-              if (typeof pullDataFromCloud === 'function') pullDataFromCloud(true).catch(() => {});
-            }, 500);
-          }
-        }
-      }
+      if (!Organisation.active()) _handleLastWritePing(snap);
     }, (_userDocErr) => {
       const _code = _userDocErr && _userDocErr.code;
       console.warn('[sync] userDoc snapshot error:', _code, _safeErr(_userDocErr));
@@ -1703,13 +1918,26 @@ async function subscribeToRealtime() {
     });
     realtimeRefs.push(userDocUnsub);
 
+    if (Organisation.active()) {
+      const orgDocUnsub = userRef.onSnapshot(snap => {
+        if (snap.exists) _handleLastWritePing(snap);
+      }, _e => {
+        console.warn('[sync] organisation listener error:', _e && _e.code, _safeErr(_e));
+      });
+      const memberUnsub = userRef.collection('members').doc(currentUser.uid).onSnapshot(_handleMembershipSnapshot, _e => {
+        console.warn('[sync] membership listener error:', _e && _e.code, _safeErr(_e));
+      });
+      realtimeRefs.push(orgDocUnsub, memberUnsub);
+    }
+
     const _handleSettingsSnapshot = async (doc) => {
       try {
         if (!doc.exists || doc.metadata.hasPendingWrites) return;
         if (doc.metadata.fromCache) return;
         trackFirestoreRead(1);
-        const cloudSettings = doc.data();
+        const cloudSettings = await CloudCipher.open('settings', doc.id, doc.data());
         if (!cloudSettings || typeof cloudSettings !== 'object') return;
+        await PackedLayout.adopt(cloudSettings.storage_layout);
 
         let hasUpdates = false;
         const timestampChecks = [
@@ -1779,7 +2007,7 @@ async function subscribeToRealtime() {
         flashLivePulse();
         recordSuccessfulConnection();
       } catch (error) {
-        console.warn('[sync] local save error in snapshot handler:', _safeErr(error));
+        if (!_warnCloudLocked(error)) console.warn('[sync] local save error in snapshot handler:', _safeErr(error));
       }
     };
     const settingsUnsub = userRef.collection('settings').doc('config').onSnapshot(async (doc) => {
@@ -1798,7 +2026,7 @@ async function subscribeToRealtime() {
         if (!doc.exists || doc.metadata.hasPendingWrites) return;
         if (doc.metadata.fromCache) return;
         trackFirestoreRead(1);
-        const cfs = doc.data();
+        const cfs = await CloudCipher.open('factorySettings', doc.id, doc.data());
         if (!cfs || typeof cfs !== 'object') return;
 
         const checks = [
@@ -1861,7 +2089,7 @@ async function subscribeToRealtime() {
         flashLivePulse();
         recordSuccessfulConnection();
       } catch (error) {
-        console.warn('[sync] local save error in snapshot handler:', _safeErr(error));
+        if (!_warnCloudLocked(error)) console.warn('[sync] local save error in snapshot handler:', _safeErr(error));
       }
     };
     const factorySettingsUnsub = userRef.collection('factorySettings').doc('config').onSnapshot(async (doc) => {
@@ -1880,7 +2108,7 @@ async function subscribeToRealtime() {
         if (!doc.exists || doc.metadata.hasPendingWrites) return;
         if (doc.metadata.fromCache) return;
         trackFirestoreRead(1);
-        const cloud = doc.data();
+        const cloud = await CloudCipher.open('expenseCategories', doc.id, doc.data());
         if (!cloud || !Array.isArray(cloud.categories)) return;
 
         const cloudTs = cloud.categories_timestamp || cloud.updated_at || 0;
@@ -1898,26 +2126,28 @@ async function subscribeToRealtime() {
         }
         recordSuccessfulConnection();
       } catch (error) {
-        console.warn('[sync] local save error in snapshot handler:', _safeErr(error));
+        if (!_warnCloudLocked(error)) console.warn('[sync] local save error in snapshot handler:', _safeErr(error));
       }
     };
-    const expenseCategoriesUnsub = userRef.collection('expenseCategories').doc('categories').onSnapshot(async (doc) => {
-      if (isSyncing) { _enqueueSyncLocked(_handleExpenseCategoriesSnapshot, doc); return; }
-      await _handleExpenseCategoriesSnapshot(doc);
-    }, _e => {
-      const _ec = _e && _e.code;
-      console.warn('[sync] expenseCategories listener error:', _ec, _safeErr(_e));
-      if (_ec === 'permission-denied' || _ec === 'failed-precondition') { updateSignalUI('offline'); }
-      else { updateSignalUI('error'); scheduleListenerReconnect(); }
-    });
-    realtimeRefs.push(expenseCategoriesUnsub);
+    if (Organisation.can('expenseCategories')) {
+      const expenseCategoriesUnsub = userRef.collection('expenseCategories').doc('categories').onSnapshot(async (doc) => {
+        if (isSyncing) { _enqueueSyncLocked(_handleExpenseCategoriesSnapshot, doc); return; }
+        await _handleExpenseCategoriesSnapshot(doc);
+      }, _e => {
+        const _ec = _e && _e.code;
+        console.warn('[sync] expenseCategories listener error:', _ec, _safeErr(_e));
+        if (_ec === 'permission-denied' || _ec === 'failed-precondition') { updateSignalUI('offline'); }
+        else { updateSignalUI('error'); scheduleListenerReconnect(); }
+      });
+      realtimeRefs.push(expenseCategoriesUnsub);
+    }
 
     const _handleAppStoresSnapshot = async (doc) => {
       try {
         if (!doc.exists || doc.metadata.hasPendingWrites) return;
         if (doc.metadata.fromCache) return;
         trackFirestoreRead(1);
-        const cloud = doc.data();
+        const cloud = await CloudCipher.open('appStores', doc.id, doc.data());
         if (!cloud || !Array.isArray(cloud.stores)) return;
         const cloudTs = cloud.stores_timestamp || 0;
         const localTs = (await sqliteStore.get('app_stores_timestamp')) || 0;
@@ -1934,7 +2164,7 @@ async function subscribeToRealtime() {
         }
         recordSuccessfulConnection();
       } catch (error) {
-        console.warn('[sync] local save error in appStores snapshot handler:', _safeErr(error));
+        if (!_warnCloudLocked(error)) console.warn('[sync] local save error in appStores snapshot handler:', _safeErr(error));
       }
     };
     const appStoresUnsub = userRef.collection('appStores').doc('stores').onSnapshot(async (doc) => {
@@ -1980,7 +2210,8 @@ async function subscribeToRealtime() {
         const deletedSet = new Set(deletedArr);
         for (const change of changes) {
           try {
-            const docData = { id: change.doc.id, ...change.doc.data() };
+            const docData = await CloudCipher.open('deletions', change.doc.id, { id: change.doc.id, ...change.doc.data() });
+            if (!docData) continue;
             if (change.type === 'added' || change.type === 'modified') {
               if (docData.recordId || docData.id) {
                 const _rid = docData.recordId || docData.id;
@@ -2061,7 +2292,10 @@ async function subscribeToRealtime() {
 
               hasChanges = true;
             }
-          } catch (docError) { console.warn('Failed to save data locally.', _safeErr(docError)); }
+          } catch (docError) {
+            if (_isCloudCipherError(docError)) throw docError;
+            console.warn('Failed to save data locally.', _safeErr(docError));
+          }
         }
         if (hasChanges) {
           deletionRecords = _dedupDeletionRecords(deletionRecords);
@@ -2072,7 +2306,7 @@ async function subscribeToRealtime() {
           recordSuccessfulConnection();
         }
       } catch (error) {
-        console.warn('[sync] local save error in snapshot handler:', _safeErr(error));
+        if (!_warnCloudLocked(error)) console.warn('[sync] local save error in snapshot handler:', _safeErr(error));
       }
     };
     const deletionsUnsub = userRef.collection('deletions').onSnapshot(async (snapshot) => {
@@ -2108,6 +2342,7 @@ async function subscribeToRealtime() {
           await sqliteStore.set('user_roles_list', userRolesList);
           if (JSON.stringify(userRolesList) !== prev2) changed = true;
         }
+        if (await Permissions.adopt(teamData.role_permissions)) changed = true;
         await sqliteStore.set('team_list_timestamp', cloudTs);
         if (changed) {
           if (typeof renderAllRepUI === 'function') renderAllRepUI();
@@ -2180,7 +2415,7 @@ async function subscribeToRealtime() {
         } catch (_dsErr) {  }
 
         try {
-          await pullDataFromCloud(false, true);
+          await pullDataFromCloud(false, true, 'year-close');
         } catch (_rebuildErr) {
           console.warn('[yearCloseSignal] pullDataFromCloud failed:', _safeErr(_rebuildErr));
           showToast('Auto-refresh failed — please sync manually.', 'warning', 5000);
@@ -2268,7 +2503,7 @@ async function subscribeToRealtime() {
 }
 
 async function executeSmartPull() {
-  await pullDataFromCloud(true);
+  await pullDataFromCloud(true, false, 'realtime');
   if (pendingSocketUpdate) {
     pendingSocketUpdate = false;
     setTimeout(executeSmartPull, 1000);
@@ -2296,8 +2531,16 @@ async function initFirebase() {
         subscribeToRealtime().catch(e => console.warn('[sync] online-recovery re-subscribe failed:', _safeErr(e)));
       }
     };
+    window._fbVisibilityHandler = () => {
+      if (document.visibilityState !== 'visible' || !navigator.onLine || !firebaseDB || !currentUser) return;
+      const last = window._lastVisibilitySyncAt || 0;
+      if (Date.now() - last < APP_CONFIG.VISIBILITY_SYNC_COOLDOWN_MS) return;
+      window._lastVisibilitySyncAt = Date.now();
+      performOneClickSync(true, 'visibility').catch(e => console.warn('[sync] visibility sync failed:', _safeErr(e)));
+    };
     window.addEventListener('offline', window._fbOfflineHandler);
     window.addEventListener('online',  window._fbOnlineHandler);
+    document.addEventListener('visibilitychange', window._fbVisibilityHandler);
   } catch (e) { console.warn('Failed to pull data from cloud.', _safeErr(e)); }
 }
 
@@ -2309,9 +2552,119 @@ function _toMs(v) {
   return new Date(v).getTime() || 0;
 }
 
-function mergeDatasets(localArray, cloudArray, deletedSet = new Set()) {
+function _localWins(localItem, cloudItem) {
+  const isFinancialRecord = (localItem.totalSold !== undefined || localItem.revenue !== undefined);
+  if (isFinancialRecord) {
+    const localHasData = (localItem.totalSold > 0 || localItem.revenue > 0);
+    const cloudIsCorrupt = (cloudItem.totalSold === undefined || cloudItem.totalSold === null || cloudItem.revenue === null);
+    if (localHasData && cloudIsCorrupt) return true;
+  }
+  if (localItem.isReturn === true && !cloudItem.isReturn) return true;
+  if ((localItem.formulaUnits > 0 && !cloudItem.formulaUnits) || (localItem.formulaCost > 0 && !cloudItem.formulaCost)) return true;
+  if (localItem.supplierId && !cloudItem.supplierId) return true;
+  if (localItem.paymentStatus === 'paid' && cloudItem.paymentStatus !== 'paid') return true;
+  if (HybridClock.comparable(localItem, cloudItem)) return HybridClock.compare(localItem, cloudItem) >= 0;
+  const localTime = _toMs(localItem.updatedAt || localItem.timestamp) || new Date(localItem.date).getTime() || 0;
+  const cloudTime = _toMs(cloudItem.updatedAt || cloudItem.timestamp) || new Date(cloudItem.date).getTime() || 0;
+  return localTime >= cloudTime;
+}
+
+const _MERGE_META_FIELDS = new Set(['id', 'updatedAt', 'syncedAt', 'hlc']);
+
+function _mergeValue(field, value) {
+  if (value === undefined || value === null) return 'null';
+  const v = sanitizeForFirestore({ [field]: value })[field];
+  return JSON.stringify(v === undefined ? null : v);
+}
+
+function mergeRecord(base, local, cloud) {
+  const localWins = _localWins(local, cloud);
+  const record = { id: local.id };
+  const conflicts = {};
+  let pushed = false, pulled = false;
+  const fields = new Set([...Object.keys(base), ...Object.keys(local), ...Object.keys(cloud)]);
+  for (const f of fields) {
+    if (_MERGE_META_FIELDS.has(f)) continue;
+    const b = _mergeValue(f, base[f]), l = _mergeValue(f, local[f]), c = _mergeValue(f, cloud[f]);
+    let side;
+    if (l === c || c === b) side = local;
+    else if (l === b) side = cloud;
+    else {
+      side = localWins ? local : cloud;
+      conflicts[f] = { base: base[f], local: local[f], cloud: cloud[f] };
+    }
+    if (side === local && l !== c) pushed = true;
+    if (side === cloud) pulled = true;
+    if (f in side) record[f] = side[f];
+  }
+  const newer = _toMs(local.updatedAt) >= _toMs(cloud.updatedAt) ? local : cloud;
+  if (newer.updatedAt !== undefined) record.updatedAt = newer.updatedAt;
+  const syncedAt = cloud.syncedAt || local.syncedAt;
+  if (syncedAt !== undefined) record.syncedAt = syncedAt;
+  const hlc = pushed ? HybridClock.now() : (cloud.hlc || local.hlc);
+  if (hlc) record.hlc = hlc;
+  return {
+    record,
+    pushed,
+    pulled,
+    conflicts: Object.keys(conflicts).length ? { fields: conflicts, chosen: localWins ? 'local' : 'cloud' } : null,
+  };
+}
+
+function _recordDiff(local, cloud) {
+  const fields = {};
+  const keys = new Set([...Object.keys(local || {}), ...Object.keys(cloud || {})]);
+  for (const f of keys) {
+    if (_MERGE_META_FIELDS.has(f)) continue;
+    if (_mergeValue(f, local[f]) !== _mergeValue(f, cloud[f])) fields[f] = { local: local[f], cloud: cloud[f] };
+  }
+  return Object.keys(fields).length ? fields : null;
+}
+
+function _conflictLabel(record) {
+  if (!record) return '';
+  return String(record.customerName || record.name || record.entityName || record.supplierName
+    || record.description || record.type || record.date || record.id);
+}
+
+async function _flagSyncConflicts(collectionName, found) {
+  if (!found || found.length === 0) return;
+  try {
+    const existing = ensureArray(await sqliteStore.get('sync_conflicts'));
+    const at = Date.now();
+    for (const { id, fields, chosen, base, local, cloud } of found) {
+      const sid = String(id);
+      const idx = existing.findIndex(c => c.collection === collectionName && c.id === sid);
+      const entry = {
+        collection: collectionName,
+        key: getSQLiteKey(collectionName),
+        id: sid,
+        label: _conflictLabel(local || cloud),
+        fields: idx === -1 ? fields : { ...existing[idx].fields, ...fields },
+        chosen,
+        base: base || null,
+        local: local ? sanitizeForFirestore(local) : null,
+        cloud: cloud ? sanitizeForFirestore(cloud) : null,
+        at,
+      };
+      if (idx === -1) existing.push(entry);
+      else existing[idx] = entry;
+    }
+    await sqliteStore.set('sync_conflicts', existing.slice(-500));
+    SyncJournal.conflicts(collectionName, found.length);
+    console.warn(`[Sync] ${found.length} conflicting edit(s) in ${collectionName} flagged for review`);
+    if (typeof showToast === 'function') {
+      showToast(`${found.length} conflicting edit${found.length !== 1 ? 's need' : ' needs'} review — open Sync Health`, 'warning', 5000);
+    }
+  } catch (e) {
+    console.warn('[Sync] Failed to flag conflicts:', _safeErr(e));
+  }
+}
+
+function mergeDatasets(localArray, cloudArray, deletedSet = new Set(), opts = {}) {
   if (!Array.isArray(localArray)) localArray = [];
   if (!Array.isArray(cloudArray)) cloudArray = [];
+  const bases = opts.bases || null;
   const mergedMap = new Map();
   cloudArray.forEach(item => {
     if (item && item.id) {
@@ -2324,19 +2677,14 @@ function mergeDatasets(localArray, cloudArray, deletedSet = new Set()) {
     if (deletedSet.has(localItem.id)) return;
     const cloudItem = mergedMap.get(localItem.id);
     if (!cloudItem) { mergedMap.set(localItem.id, localItem); return; }
-    const isFinancialRecord = (localItem.totalSold !== undefined || localItem.revenue !== undefined);
-    if (isFinancialRecord) {
-      const localHasData = (localItem.totalSold > 0 || localItem.revenue > 0);
-      const cloudIsCorrupt = (cloudItem.totalSold === undefined || cloudItem.totalSold === null || cloudItem.revenue === null);
-      if (localHasData && cloudIsCorrupt) { mergedMap.set(localItem.id, localItem); return; }
+    const base = bases && bases.get(String(localItem.id));
+    if (base) {
+      const m = mergeRecord(base, localItem, cloudItem);
+      if (m.conflicts && opts.conflicts) opts.conflicts.push({ id: localItem.id, base, local: localItem, cloud: cloudItem, ...m.conflicts });
+      mergedMap.set(localItem.id, m.record);
+      return;
     }
-    if (localItem.isReturn === true && !cloudItem.isReturn) { mergedMap.set(localItem.id, localItem); return; }
-    if ((localItem.formulaUnits > 0 && !cloudItem.formulaUnits) || (localItem.formulaCost > 0 && !cloudItem.formulaCost)) { mergedMap.set(localItem.id, localItem); return; }
-    if (localItem.supplierId && !cloudItem.supplierId) { mergedMap.set(localItem.id, localItem); return; }
-    if (localItem.paymentStatus === 'paid' && cloudItem.paymentStatus !== 'paid') { mergedMap.set(localItem.id, localItem); return; }
-    const localTime = _toMs(localItem.updatedAt || localItem.timestamp) || new Date(localItem.date).getTime() || 0;
-    const cloudTime = _toMs(cloudItem.updatedAt || cloudItem.timestamp) || new Date(cloudItem.date).getTime() || 0;
-    if (localTime >= cloudTime) mergedMap.set(localItem.id, localItem);
+    if (_localWins(localItem, cloudItem)) mergedMap.set(localItem.id, localItem);
   });
   return Array.from(mergedMap.values());
 }
@@ -2416,13 +2764,13 @@ async function _commitMergedBatch(userRef, collectionName, mergedRecords, delete
     const deleteDocs = existingSnapshot.docs.filter(doc => {
       const d = doc.data(); return deleteFilter ? deleteFilter(d) : !d.isMerged;
     });
-    const writeDocs = mergedRecords.map(record => {
+    const writeDocs = await Promise.all(mergedRecords.map(async record => {
       const sanitized = sanitizeForFirestore(record);
       sanitized.updatedAt = record.updatedAt;
       sanitized.createdAt = record.createdAt;
       sanitized.timestamp = record.timestamp;
-      return { ref: userRef.collection(collectionName).doc(record.id), data: sanitized };
-    });
+      return { ref: userRef.collection(collectionName).doc(record.id), data: await CloudCipher.seal(collectionName, record.id, sanitized) };
+    }));
     const allOps = [
       ...deleteDocs.map(d => ({ type: 'delete', ref: d.ref })),
       ...writeDocs.map(w => ({ type: 'set', ref: w.ref, data: w.data })),
@@ -2449,7 +2797,7 @@ async function _commitMergedBatch(userRef, collectionName, mergedRecords, delete
   return { ok: batchesFailed === 0, batchesTotal, batchesFailed, error: firstError || null };
 }
 
-function mergeArrays(localArray, cloudArray, collectionName) {
+function mergeArrays(localArray, cloudArray, collectionName, ctx) {
   const merged = [...localArray];
 
   const idxMap = new Map();
@@ -2469,6 +2817,7 @@ function mergeArrays(localArray, cloudArray, collectionName) {
 
   for (let cloudItem of cloudArray) {
     if (!cloudItem.id || cloudItem.id === '_placeholder_' || cloudItem._placeholder) continue;
+    if (cloudItem.hlc) HybridClock.receive(cloudItem.hlc);
     if (!validateUUID(cloudItem.id)) { cloudItem = ensureRecordIntegrity(cloudItem, false, true); fixedCount++; }
     const sid = String(cloudItem.id);
 
@@ -2495,6 +2844,22 @@ function mergeArrays(localArray, cloudArray, collectionName) {
       const idx = idxMap.get(sid);
       const localRecord = merged[idx];
 
+      const base = ctx && ctx.bases && ctx.bases.get(sid);
+      if (base) {
+        const m = mergeRecord(base, localRecord, cloudItem);
+        if (m.pulled) {
+          merged[idx] = ensureRecordIntegrity(m.record, false, true);
+          downloadedCount++;
+        }
+        if (m.conflicts) ctx.conflicts.push({ id: sid, base, local: localRecord, cloud: cloudItem, ...m.conflicts });
+        if (m.pushed) ctx.pushed.push(sid);
+        else if (collectionName) {
+          if (useUUIDGate) UUIDSyncRegistry.markUploaded(collectionName, sid);
+          else DeltaSync.markUploaded(collectionName, sid);
+        }
+        continue;
+      }
+
       if (useUUIDGate && UUIDSyncRegistry.skipDownload(collectionName, sid)) {
 
         if (!UUIDSyncRegistry.shouldApplyCloud(cloudItem, localRecord)) {
@@ -2535,7 +2900,7 @@ function mergeArrays(localArray, cloudArray, collectionName) {
   });
 }
 
-async function _detectUserType(userRef) {
+async function _detectUserType(backend) {
   const hasInitialized = await sqliteStore.get('firestore_initialized');
   const sqliteArrays = await Promise.all([
     sqliteStore.get('mfg_pro_pkr', []), sqliteStore.get('customer_sales', []), sqliteStore.get('rep_sales', []),
@@ -2547,124 +2912,178 @@ async function _detectUserType(userRef) {
   if (hasInitialized && totalLocal > 0) return 'returning';
 
   try {
-    const checks = await Promise.all([
-      userRef.collection('production').limit(20).get(),
-      userRef.collection('sales').limit(20).get(),
-      userRef.collection('transactions').limit(20).get(),
-      userRef.collection('rep_sales').limit(20).get(),
-      userRef.collection('entities').limit(20).get(),
-      userRef.collection('inventory').limit(20).get(),
-      userRef.collection('expenses').limit(20).get(),
-    ]);
-    const hasRealData = checks.some(snap => snap.docs.some(doc => !doc.data()._placeholder));
+    const scope = currentSyncScope();
+    const probe = scope
+      ? Array.from(scope.collections)
+      : ['production', 'sales', 'transactions', 'rep_sales', 'entities', 'inventory', 'expenses'];
+    const checks = await Promise.all(
+      probe.map(col => backend.query(col, { full: true, limit: 20, match: syncScopeMatch(scope, col) }))
+    );
+    const hasRealData = checks.some(res => res.records.length > 0);
     return hasRealData ? 'existing' : 'new';
   } catch (_e) {
     return hasInitialized ? 'returning' : 'new';
   }
 }
 
-async function _downloadDeltas(userRef, userType, forceDownload = false) {
-  const FRESH_THRESHOLD_MS = 8 * 1000;
-  const buildQuery = async (collection, collectionName) => {
+function _downloadProgress(collections) {
+  const counts = new Map(collections.map(col => [col, { count: 0, done: false }]));
+  let panel = null;
+  const render = () => {
+    if (!panel) {
+      panel = document.createElement('div');
+      panel.id = 'sync-download-progress';
+      panel.setAttribute('role', 'status');
+      panel.style.cssText = `
+        position:fixed;bottom:20px;left:50%;transform:translateX(-50%);z-index:10250;
+        background:var(--glass-bg,#1e293b);border:1px solid var(--glass-border,#334155);
+        border-radius:16px;padding:14px 18px;min-width:260px;max-width:340px;
+        box-shadow:0 8px 32px rgba(0,0,0,.4);color:var(--text-main,#f1f5f9);font-size:.78rem;
+      `;
+      document.body.appendChild(panel);
+    }
+    const done = [...counts.values()].filter(c => c.done).length;
+    const pct = Math.round((done / Math.max(counts.size, 1)) * 100);
+    panel.innerHTML = `
+      <strong style="font-size:.85rem">Downloading cloud data…</strong>
+      <div style="margin:8px 0;height:6px;border-radius:3px;background:rgba(255,255,255,.1);overflow:hidden">
+        <div style="height:100%;width:${pct}%;background:#2563eb;transition:width .3s"></div>
+      </div>
+      ${[...counts].filter(([, c]) => c.count > 0 || !c.done).map(([col, c]) => `
+        <div style="display:flex;justify-content:space-between;color:var(--text-muted,#94a3b8)">
+          <span>${esc(col)}</span>
+          <span style="color:${c.done ? '#10b981' : 'inherit'}">${c.count.toLocaleString()}${c.done ? ' ✓' : '…'}</span>
+        </div>`).join('')}
+    `;
+  };
+  return {
+    update(col, count, done, show) {
+      counts.set(col, { count, done });
+      if (show || panel) render();
+    },
+    finish() {
+      if (panel) panel.remove();
+      panel = null;
+    },
+  };
+}
 
-    if (forceDownload || userType === 'existing') return collection.get();
-    const lastDownloadKey = `lastDownload_${collectionName}`;
-    let lastDownloadMs = 0;
-    try {
-      const raw = await sqliteStore.get(lastDownloadKey);
-      lastDownloadMs = raw ? (typeof raw === 'number' ? raw : parseInt(raw)) : 0;
-    } catch (_) {}
+async function _downloadPaged(backend, collectionName, { full = false, match = null } = {}, progress) {
+  const plan = JSON.stringify({ backend: backend.name, full, match });
+  let state = await sqliteStore.get(`downloadCursor_${collectionName}`);
+  const byId = new Map();
+  if (state && state.plan === plan) {
+    (await sqliteStore.stagedDownload(collectionName)).forEach(r => byId.set(String(r.id), r));
+  } else {
+    if (state) await sqliteStore.clearStagedDownload([collectionName]);
+    state = { plan, after: null, cursor: null, done: false, startedAt: Date.now() };
+  }
+  progress.update(collectionName, byId.size, state.done, byId.size > 0 && !state.done);
+  while (!state.done) {
+    const page = await backend.query(collectionName, {
+      full, match, pageSize: APP_CONFIG.DOWNLOAD_PAGE_SIZE, after: state.after,
+    });
+    page.records.forEach(r => byId.set(String(r.id), r));
+    state = { ...state, after: page.next, cursor: page.cursor || state.cursor, done: !page.next };
+    await sqliteStore.stageDownloadPage(collectionName, page.records, state);
+    progress.update(collectionName, byId.size, state.done, !state.done);
+  }
+  return { records: [...byId.values()], cursor: state.cursor, startedAt: state.startedAt };
+}
+
+async function _downloadDeltas(backend, userType, forceDownload = false) {
+  const FRESH_THRESHOLD_MS = 8 * 1000;
+  const scope = currentSyncScope();
+  const recordCollections = Object.keys(FirestoreToSQLiteMap);
+  const progress = _downloadProgress(recordCollections.concat(!scope || scope.photos ? ['personPhotos'] : [])
+    .filter(col => col === 'personPhotos' || syncScopeAllows(scope, col)));
+  const fetchCollection = async (collectionName) => {
+    if (!syncScopeAllows(scope, collectionName)) return { records: null, cursor: null };
+    const match = syncScopeMatch(scope, collectionName);
+    const full = forceDownload || userType === 'existing' || reconcile;
+    if (!full) {
+      const lastDownloadKey = `lastDownload_${collectionName}`;
+      let lastDownloadMs = 0;
+      try {
+        const raw = await sqliteStore.get(lastDownloadKey);
+        lastDownloadMs = raw ? (typeof raw === 'number' ? raw : parseInt(raw)) : 0;
+      } catch (_) {}
 
-    if (lastDownloadMs && (Date.now() - lastDownloadMs) < FRESH_THRESHOLD_MS) {
-      return { docs: [], docChanges: () => [] };
+      if (lastDownloadMs && (Date.now() - lastDownloadMs) < FRESH_THRESHOLD_MS) {
+        progress.update(collectionName, 0, true);
+        return { records: [], cursor: null };
+      }
     }
-    const lastSync = await DeltaSync.getLastSyncFirestoreTimestamp(collectionName);
-    return lastSync ? collection.where('updatedAt', '>', lastSync).get() : collection.get();
+    const res = await _downloadPaged(backend, collectionName, { full, match }, progress);
+    if (!PackedLayout.reads(collectionName)) return res;
+    const packs = await _downloadPaged(backend, PackedLayout.packCollection(collectionName), { full, match }, {
+      update: (_col, n, done, resumed) => progress.update(collectionName, res.records.length + n, done, resumed),
+    });
+    return { ...res, records: PackedLayout.newest(res.records.concat(PackedLayout.unpack(packs.records))), packs };
   };
+  const fetchDoc = (collectionName, docId) =>
+    !scope || scope.docs.has(collectionName) ? backend.get(collectionName, docId) : null;
+  let reconcile = false;
 
-  const [
-    settingsSnap, factorySettingsSnap, expenseCategoriesSnap, appStoresSnap,
-    productionSnap, salesSnap, calcHistorySnap,
-    repSalesSnap, repCustomersSnap, salesCustomersSnap,
-    transactionsSnap, entitiesSnap,
-    inventorySnap, factoryHistorySnap,
-    expensesSnap, returnsSnap,
-  ] = await Promise.all([
-    userRef.collection('settings').doc('config').get(),
-    userRef.collection('factorySettings').doc('config').get(),
-    userRef.collection('expenseCategories').doc('categories').get(),
-    userRef.collection('appStores').doc('stores').get(),
-    buildQuery(userRef.collection('production'), 'production'),
-    buildQuery(userRef.collection('sales'), 'sales'),
-    buildQuery(userRef.collection('calculator_history'), 'calculator_history'),
-    buildQuery(userRef.collection('rep_sales'), 'rep_sales'),
-    buildQuery(userRef.collection('rep_customers'), 'rep_customers'),
-    buildQuery(userRef.collection('sales_customers'), 'sales_customers'),
-    buildQuery(userRef.collection('transactions'), 'transactions'),
-    buildQuery(userRef.collection('entities'), 'entities'),
-    buildQuery(userRef.collection('inventory'), 'inventory'),
-    buildQuery(userRef.collection('factory_history'), 'factory_history'),
-    buildQuery(userRef.collection('expenses'), 'expenses'),
-    buildQuery(userRef.collection('returns'), 'returns'),
-  ]);
-  trackFirestoreRead(4);
-  let realCollectionReads = 0;
-  [productionSnap, salesSnap, calcHistorySnap, repSalesSnap, repCustomersSnap,
-   salesCustomersSnap, transactionsSnap, entitiesSnap, inventorySnap,
-   factoryHistorySnap, expensesSnap, returnsSnap].forEach(snap => {
-    if (snap && typeof snap.query !== 'undefined') realCollectionReads++;
-  });
-  trackFirestoreRead(realCollectionReads);
-
-  let personPhotosSnap = null;
   try {
-    const lastPhotoSync = await DeltaSync.getLastSyncFirestoreTimestamp('personPhotos');
-    personPhotosSnap = lastPhotoSync && !forceDownload
-      ? await userRef.collection('personPhotos').where('updatedAt', '>', lastPhotoSync).get()
-      : await userRef.collection('personPhotos').get();
-    if (personPhotosSnap && !personPhotosSnap.empty) trackFirestoreRead(personPhotosSnap.docs.length);
-  } catch(_phe) { console.warn('[downloadDeltas] personPhotos fetch error', _phe); }
+    const settings = await fetchDoc('settings', 'config');
+    if (settings) await PackedLayout.adopt(settings.storage_layout);
+    reconcile = await TombstoneGC.stale(settings && settings.tombstone_horizon);
+    if (reconcile) console.warn('[downloadDeltas] deleted records were purged since this device last synced — reconciling fully');
+    const [factorySettings, expenseCategories, appStores, ...results] = await Promise.all([
+      fetchDoc('factorySettings', 'config'),
+      fetchDoc('expenseCategories', 'categories'),
+      fetchDoc('appStores', 'stores'),
+      ...recordCollections.map(col => fetchCollection(col)),
+    ]);
 
-  const extract = (snap) => snap
-    ? snap.docs.map(doc => ({ id: doc.id, ...doc.data() })).filter(d => !d._placeholder)
-    : [];
+    const data = {};
+    const cursors = {};
+    const startedAt = {};
+    recordCollections.forEach((col, i) => {
+      data[getSQLiteKey(col)] = results[i].records;
+      cursors[col] = results[i].cursor;
+      startedAt[col] = results[i].startedAt;
+      if (results[i].packs) {
+        cursors[PackedLayout.packCollection(col)] = results[i].packs.cursor;
+        startedAt[PackedLayout.packCollection(col)] = results[i].packs.startedAt;
+      }
+      if (results[i].records) SyncJournal.count(col, 'down', results[i].records.length);
+    });
 
-  return {
-    settings: settingsSnap,
-    factorySettings: factorySettingsSnap,
-    expenseCategories: expenseCategoriesSnap,
-    appStores: appStoresSnap,
-    personPhotosSnap,
-    data: {
-      mfg_pro_pkr:              extract(productionSnap),
-      customer_sales:           extract(salesSnap),
-      noman_history:            extract(calcHistorySnap),
-      rep_sales:                extract(repSalesSnap),
-      rep_customers:            extract(repCustomersSnap),
-      sales_customers:          extract(salesCustomersSnap),
-      payment_transactions:     extract(transactionsSnap),
-      payment_entities:         extract(entitiesSnap),
-      factory_inventory_data:   extract(inventorySnap),
-      factory_production_history: extract(factoryHistorySnap),
-      stock_returns:            extract(returnsSnap),
-      expenses:                 extract(expensesSnap),
-    },
-  };
+    let personPhotos = [];
+    try {
+      if (!scope || scope.photos) {
+        const photosRes = await _downloadPaged(backend, 'personPhotos', { full: forceDownload }, progress);
+        personPhotos = photosRes.records.filter(p => syncScopeAllowsPhoto(scope, p.key));
+        cursors.personPhotos = photosRes.cursor;
+        startedAt.personPhotos = photosRes.startedAt;
+        SyncJournal.count('personPhotos', 'down', personPhotos.length);
+      }
+    } catch(_phe) { console.warn('[downloadDeltas] personPhotos fetch error', _phe); _warnCloudLocked(_phe); }
+
+    return { settings, factorySettings, expenseCategories, appStores, personPhotos, cursors, startedAt, data, reconcile };
+  } finally {
+    progress.finish();
+  }
 }
 
 async function _mergeAndPersist(cloudData) {
 
+  let tombstonesSeenAt = 0;
   try {
-    const deletionsSnap = await firebaseDB
-      .collection('users').doc(currentUser.uid)
-      .collection('deletions').get();
-    const threeMonthsAgo = Date.now() - APP_CONFIG.TOMBSTONE_EXPIRY_MS;
-    const cloudDels = deletionsSnap.docs
-      .filter(d => d.id !== '_placeholder_' && !d.data()._placeholder)
-      .map(d => {
-        const data = d.data();
+    const scope = currentSyncScope();
+    const delMatch = scope && scope.collections.size <= 10
+      ? { field: 'collection', values: Array.from(scope.collections) }
+      : null;
+    const delStartedAt = Date.now();
+    const { records: deletionDocs } = await SyncBackend.current().query('deletions', { full: true, match: delMatch });
+    const purgeBefore = await TombstoneGC.cutoff();
+    const cloudDels = deletionDocs
+      .filter(d => d.id !== '_placeholder_' && syncScopeAllows(scope, d.collection || d.recordType))
+      .map(data => {
         return {
-          id: String(d.id), recordId: String(d.id),
+          id: String(data.id), recordId: String(data.id),
           recordType: data.recordType || data.collection || 'unknown',
           collection: data.collection || data.recordType || 'unknown',
           deletedAt: data.deletedAt?.toMillis ? data.deletedAt.toMillis() : (data.deletedAt || Date.now()),
@@ -2676,7 +3095,7 @@ async function _mergeAndPersist(cloudData) {
           deleted_by:    data.deleted_by    || 'user',
         };
       })
-      .filter(r => r.deletedAt > threeMonthsAgo);
+      .filter(r => r.deletedAt > purgeBefore);
 
     let localDels = await sqliteStore.get('deletion_records') || [];
     if (!Array.isArray(localDels)) localDels = [];
@@ -2703,14 +3122,15 @@ async function _mergeAndPersist(cloudData) {
     const safeDels = (_rSet
       ? mergedDels.filter(r => !_rSet.has(String(r.id)) && !_rSet.has(String(r.recordId)))
       : mergedDels
-    ).filter(r => r.deletedAt > threeMonthsAgo);
+    ).filter(r => r.deletedAt > purgeBefore);
   const deduped = window._dedupDeletionRecords ? window._dedupDeletionRecords(safeDels) : safeDels;
   await sqliteStore.set('deletion_records', deduped);
   const _deletedSet = new Set(deduped.map(r => r.id));
   await sqliteStore.set('deleted_records', Array.from(_deletedSet));
-  trackFirestoreRead(deletionsSnap.docs.length);
+  tombstonesSeenAt = delStartedAt;
   } catch (_delErr) {
   console.warn('[Sync] Failed to refresh deletions:', _safeErr(_delErr));
+  _warnCloudLocked(_delErr);
   }
 
   const { data } = cloudData;
@@ -2769,11 +3189,19 @@ async function _mergeAndPersist(cloudData) {
     _preFilter[localKey] = _applyYearCloseCompaction(localArr, cloudArr);
   }
 
+  const _mergeCtx = {};
+  for (const key of _localKeys) {
+    const ids = ensureArray(data[key]).filter(r => r && r.id).map(r => String(r.id));
+    const bases = ids.length ? await sqliteStore.syncBases(key, ids).catch(() => new Map()) : new Map();
+    _mergeCtx[key] = { bases, conflicts: [], pushed: [] };
+  }
+
   const _m = (key, col, cloudKey) =>
     mergeArrays(
       ensureArray(_preFilter[key] !== undefined ? _preFilter[key] : _localBatch.get(key)),
       data[cloudKey] || [],
-      col
+      col,
+      _mergeCtx[key]
     ).filter(_notDeleted);
   const _merged = {
   mfg_pro_pkr:                _m('mfg_pro_pkr',                'production',       'mfg_pro_pkr'),
@@ -2790,6 +3218,20 @@ async function _mergeAndPersist(cloudData) {
   expenses:                   _m('expenses',                   'expenses',          'expenses'),
   };
 
+  const _scope = currentSyncScope();
+  if (_scope) {
+    for (const key of _localKeys) {
+      const col = getFirestoreCollection(key);
+      _merged[key] = _merged[key].filter(r =>
+        !r || !r.id || syncScopeAllows(_scope, col, r) || DeltaSync.isDirtyId(col, r.id));
+    }
+  }
+  if (cloudData.reconcile) {
+    for (const key of _localKeys) {
+      if (Array.isArray(data[key])) _merged[key] = await TombstoneGC.prune(key, getFirestoreCollection(key), _merged[key], data[key]);
+    }
+  }
+
   const _mark = (col, arr) => {
   if (!Array.isArray(arr)) return;
   arr.forEach(i => {
@@ -2813,6 +3255,15 @@ async function _mergeAndPersist(cloudData) {
   ['last_synced', new Date().toISOString()],
   ]);
 
+  for (const key of _localKeys) {
+    const col = getFirestoreCollection(key);
+    const ctx = _mergeCtx[key];
+    ctx.pushed.forEach(id => DeltaSync.trackId(col, id));
+    await _flagSyncConflicts(col, ctx.conflicts);
+    const synced = ensureArray(data[key]).filter(r => r && r.id && !r._placeholder && _notDeleted(r));
+    await sqliteStore.setSyncBases(key, synced).catch(e => console.warn('[Sync] Failed to store merge bases:', _safeErr(e)));
+  }
+
   const _colMap = {
   production: data.mfg_pro_pkr, sales: data.customer_sales,
   calculator_history: data.noman_history, transactions: data.payment_transactions,
@@ -2823,18 +3274,22 @@ async function _mergeAndPersist(cloudData) {
   };
   for (const [col, arr] of Object.entries(_colMap)) {
   if (Array.isArray(arr)) {
-    await DeltaSync.setLastSyncTimestamp(col);
+    await DeltaSync.setLastSyncTimestamp(col, (cloudData.startedAt || {})[col]);
     await sqliteStore.set(`lastDownload_${col}`, Date.now());
+    const packCol = PackedLayout.packCollection(col);
+    if ((cloudData.startedAt || {})[packCol]) await DeltaSync.setLastSyncTimestamp(packCol, cloudData.startedAt[packCol]);
   }
   }
   await DeltaSync.setLastSyncTimestamp('deletions');
+  await SyncBackend.current().commitCursors({ ...cloudData.cursors, personPhotos: null });
+  await sqliteStore.clearStagedDownload(Object.keys(FirestoreToSQLiteMap).concat(PackedLayout.collections()));
+  if (tombstonesSeenAt) await TombstoneGC.ack(tombstonesSeenAt);
 }
 
 async function _syncSettings(cloudData) {
-  const { settings: settingsSnap, factorySettings: factorySettingsSnap, expenseCategories: expCatSnap, appStores: appStoresSnap, personPhotosSnap } = cloudData;
+  const { settings: sd, factorySettings: fsData, expenseCategories: ecd, appStores: asd, personPhotos } = cloudData;
 
-  if (settingsSnap && settingsSnap.exists) {
-    const sd = settingsSnap.data();
+  if (sd) {
     if (sd && sd.naswar_default_settings) {
 
       const ct = sd.naswar_default_settings_timestamp || 0;
@@ -2910,61 +3365,51 @@ async function _syncSettings(cloudData) {
       }
     }
   }
-  if (factorySettingsSnap && factorySettingsSnap.exists) {
-    const fsData = factorySettingsSnap.data();
-    if (fsData && typeof fsData === 'object') {
-      const ts = getTimestamp();
-      const _applyFs = async (obj, tsKey, dataKey, transform) => {
-        if (!obj || typeof obj !== 'object') return;
-        if (!(('standard' in obj) && ('asaan' in obj))) return;
-        return transform(obj);
-      };
-      const newFormulas = await _applyFs(fsData.default_formulas, 'factory_default_formulas_timestamp', 'factory_default_formulas',
-        o => ({ standard: Array.isArray(o.standard) ? o.standard : [], asaan: Array.isArray(o.asaan) ? o.asaan : [] }));
-      if (newFormulas) { await sqliteStore.setBatch([['factory_default_formulas', newFormulas], ['factory_default_formulas_timestamp', fsData.default_formulas_timestamp || ts]]); }
-      const newCosts = await _applyFs(fsData.additional_costs, null, null, o => ({ standard: parseFloat(o.standard) || 0, asaan: parseFloat(o.asaan) || 0 }));
-      if (newCosts) { await sqliteStore.setBatch([['factory_additional_costs', newCosts], ['factory_additional_costs_timestamp', fsData.additional_costs_timestamp || ts]]); }
-      const newFactor = await _applyFs(fsData.cost_adjustment_factor, null, null, o => ({ standard: parseFloat(o.standard) || 1, asaan: parseFloat(o.asaan) || 1 }));
-      if (newFactor) { await sqliteStore.setBatch([['factory_cost_adjustment_factor', newFactor], ['factory_cost_adjustment_factor_timestamp', fsData.cost_adjustment_factor_timestamp || ts]]); }
-      const newPrices = await _applyFs(fsData.sale_prices, null, null, o => ({ standard: parseFloat(o.standard) || 0, asaan: parseFloat(o.asaan) || 0 }));
-      if (newPrices) { await sqliteStore.setBatch([['factory_sale_prices', newPrices], ['factory_sale_prices_timestamp', fsData.sale_prices_timestamp || ts]]); }
-      if (fsData.unit_tracking && ('standard' in fsData.unit_tracking) && ('asaan' in fsData.unit_tracking)) {
-        const vt = (d) => ({ produced: parseFloat(d?.produced) || 0, consumed: parseFloat(d?.consumed) || 0, available: parseFloat(d?.available) || 0, unitCostHistory: Array.isArray(d?.unitCostHistory) ? d.unitCostHistory : [] });
-        const newTracking = { standard: vt(fsData.unit_tracking.standard), asaan: vt(fsData.unit_tracking.asaan) };
-        await sqliteStore.setBatch([['factory_unit_tracking', newTracking], ['factory_unit_tracking_timestamp', fsData.unit_tracking_timestamp || ts]]);
-      }
-      refreshFactorySettingsOverlay();
+  if (fsData && typeof fsData === 'object') {
+    const ts = getTimestamp();
+    const _applyFs = async (obj, tsKey, dataKey, transform) => {
+      if (!obj || typeof obj !== 'object') return;
+      if (!(('standard' in obj) && ('asaan' in obj))) return;
+      return transform(obj);
+    };
+    const newFormulas = await _applyFs(fsData.default_formulas, 'factory_default_formulas_timestamp', 'factory_default_formulas',
+      o => ({ standard: Array.isArray(o.standard) ? o.standard : [], asaan: Array.isArray(o.asaan) ? o.asaan : [] }));
+    if (newFormulas) { await sqliteStore.setBatch([['factory_default_formulas', newFormulas], ['factory_default_formulas_timestamp', fsData.default_formulas_timestamp || ts]]); }
+    const newCosts = await _applyFs(fsData.additional_costs, null, null, o => ({ standard: parseFloat(o.standard) || 0, asaan: parseFloat(o.asaan) || 0 }));
+    if (newCosts) { await sqliteStore.setBatch([['factory_additional_costs', newCosts], ['factory_additional_costs_timestamp', fsData.additional_costs_timestamp || ts]]); }
+    const newFactor = await _applyFs(fsData.cost_adjustment_factor, null, null, o => ({ standard: parseFloat(o.standard) || 1, asaan: parseFloat(o.asaan) || 1 }));
+    if (newFactor) { await sqliteStore.setBatch([['factory_cost_adjustment_factor', newFactor], ['factory_cost_adjustment_factor_timestamp', fsData.cost_adjustment_factor_timestamp || ts]]); }
+    const newPrices = await _applyFs(fsData.sale_prices, null, null, o => ({ standard: parseFloat(o.standard) || 0, asaan: parseFloat(o.asaan) || 0 }));
+    if (newPrices) { await sqliteStore.setBatch([['factory_sale_prices', newPrices], ['factory_sale_prices_timestamp', fsData.sale_prices_timestamp || ts]]); }
+    if (fsData.unit_tracking && ('standard' in fsData.unit_tracking) && ('asaan' in fsData.unit_tracking)) {
+      const vt = (d) => ({ produced: parseFloat(d?.produced) || 0, consumed: parseFloat(d?.consumed) || 0, available: parseFloat(d?.available) || 0, unitCostHistory: Array.isArray(d?.unitCostHistory) ? d.unitCostHistory : [] });
+      const newTracking = { standard: vt(fsData.unit_tracking.standard), asaan: vt(fsData.unit_tracking.asaan) };
+      await sqliteStore.setBatch([['factory_unit_tracking', newTracking], ['factory_unit_tracking_timestamp', fsData.unit_tracking_timestamp || ts]]);
     }
+    refreshFactorySettingsOverlay();
   }
-  if (expCatSnap && expCatSnap.exists) {
-    const ecd = expCatSnap.data();
-    if (ecd && Array.isArray(ecd.categories)) {
-      await sqliteStore.set('expense_categories', ecd.categories);
-    }
+  if (ecd && Array.isArray(ecd.categories)) {
+    await sqliteStore.set('expense_categories', ecd.categories);
   }
 
-  if (appStoresSnap && appStoresSnap.exists) {
-    const asd = appStoresSnap.data();
-    if (asd && Array.isArray(asd.stores)) {
-      const cloudStoresTs = asd.stores_timestamp || 0;
-      const localStoresTs = (await sqliteStore.get('app_stores_timestamp')) || 0;
-      if (cloudStoresTs >= localStoresTs) {
-        await sqliteStore.set('app_stores', asd.stores);
-        if (cloudStoresTs) await sqliteStore.set('app_stores_timestamp', cloudStoresTs);
-        if (typeof _invalidateStoresCache === 'function') _invalidateStoresCache();
-      }
+  if (asd && Array.isArray(asd.stores)) {
+    const cloudStoresTs = asd.stores_timestamp || 0;
+    const localStoresTs = (await sqliteStore.get('app_stores_timestamp')) || 0;
+    if (cloudStoresTs >= localStoresTs) {
+      await sqliteStore.set('app_stores', asd.stores);
+      if (cloudStoresTs) await sqliteStore.set('app_stores_timestamp', cloudStoresTs);
+      if (typeof _invalidateStoresCache === 'function') _invalidateStoresCache();
     }
   }
 
-  if (personPhotosSnap && !personPhotosSnap.empty) {
+  if (Array.isArray(personPhotos) && personPhotos.length > 0) {
     try {
       const localPhotos = (await sqliteStore.get('person_photos')) || {};
       const localPhotoTimestamps = (await sqliteStore.get('person_photos_timestamps')) || {};
       const localDirtyKeys = new Set((await sqliteStore.get('person_photos_dirty_keys')) || []);
       let photosChanged = false;
       let timestampsChanged = false;
-      for (const doc of personPhotosSnap.docs) {
-        const docData = doc.data();
+      for (const docData of personPhotos) {
         const photoKey = docData.key;
         if (!photoKey) continue;
 
@@ -2978,7 +3423,7 @@ async function _syncSettings(cloudData) {
             timestampsChanged = true;
           }
         } else if (docData.data) {
-          const remoteUpdatedAt = docData.updatedAt?.toMillis ? docData.updatedAt.toMillis() : 0;
+          const remoteUpdatedAt = _toMs(docData.updatedAt);
           const localUpdatedAt = localPhotoTimestamps[photoKey] || 0;
           if (!localPhotos[photoKey] || remoteUpdatedAt > localUpdatedAt) {
             localPhotos[photoKey] = docData.data;
@@ -2992,12 +3437,14 @@ async function _syncSettings(cloudData) {
       }
       if (photosChanged) await sqliteStore.set('person_photos', localPhotos);
       if (timestampsChanged) await sqliteStore.set('person_photos_timestamps', localPhotoTimestamps);
-      await DeltaSync.setLastSyncTimestamp('personPhotos');
+      await DeltaSync.setLastSyncTimestamp('personPhotos', (cloudData.startedAt || {}).personPhotos);
+      await SyncBackend.current().commitCursors({ personPhotos: (cloudData.cursors || {}).personPhotos });
+      await sqliteStore.clearStagedDownload(['personPhotos']);
     } catch(_phe) { console.warn('[syncSettings] personPhotos merge error', _phe); }
   }
 }
 
-async function _uploadChanges(userRef) {
+async function _uploadChanges(backend, { flushPacks = true } = {}) {
   const isRealRecord = item => item && item.id && !item._placeholder && item.id !== '_placeholder_';
   const _keys = [
   'mfg_pro_pkr','customer_sales','rep_sales','rep_customers','sales_customers',
@@ -3020,35 +3467,44 @@ async function _uploadChanges(userRef) {
   returns:            ensureArray(_batch.get('stock_returns')).filter(isRealRecord),
   };
 
-  const batches = [];
-  let currentBatch = firebaseDB.batch();
-  let operationCount = 0;
-  const getOrNewBatch = () => {
-    if (operationCount >= 450) {
-      batches.push(currentBatch);
-      currentBatch = firebaseDB.batch();
-      operationCount = 0;
-    }
-    return currentBatch;
-  };
-
+  const batch = backend.batch();
+  const scope = currentSyncScope();
   let totalItemsToWrite = 0;
   const collectionsUploaded = new Set();
   const _pendingUploadMarks = []; 
+  const _uploadedRecords = [];
+  const _refused = [];
+  const _packs = new Map();
+  const _deferred = new Set();
 
   for (const [collectionName, dataArray] of Object.entries(collections)) {
     if (!Array.isArray(dataArray) || dataArray.length === 0) continue;
+    if (!syncScopeAllows(scope, collectionName)) continue;
     const _isUploaded = (col, id) => {
       if (typeof UUIDSyncRegistry !== 'undefined') return UUIDSyncRegistry.skipUpload(col, id);
       return DeltaSync.wasUploaded(col, id);
     };
     const changedItems = await DeltaSync.getChangedItems(collectionName, dataArray);
     if (changedItems.length === 0) continue;
+    const packed = PackedLayout.packs(collectionName);
+    if (packed && !flushPacks) {
+      _deferred.add(collectionName);
+      PackedLayout.schedule();
+      continue;
+    }
+    const packBases = packed
+      ? await sqliteStore.syncBases(getSQLiteKey(collectionName), changedItems.filter(i => i && i.id).map(i => String(i.id))).catch(() => new Map())
+      : null;
     for (const item of changedItems) {
       if (!item || !item.id) continue;
 
       if (_isUploaded(collectionName, item.id)) continue; 
 
+      if (!syncScopeAllows(scope, collectionName, item)) {
+        if (DeltaSync.isDirtyId(collectionName, item.id)) _refused.push({ collectionName, id: item.id });
+        continue;
+      }
+
       if (DeltaSync.wasDownloaded(collectionName, item.id)
           && !DeltaSync.isDirtyId(collectionName, item.id)) {
         _pendingUploadMarks.push({ collectionName, id: item.id }); 
@@ -3062,19 +3518,26 @@ async function _uploadChanges(userRef) {
       if (!docId || docId.includes('/')) continue;
       const sanitizedItem = sanitizeForFirestore(item);
       if (!sanitizedItem || Object.keys(sanitizedItem).length === 0) continue;
-      sanitizedItem.updatedAt = firebase.firestore.FieldValue.serverTimestamp();
       if (sanitizedItem.id && typeof sanitizedItem.id !== 'string') sanitizedItem.id = String(sanitizedItem.id);
-      getOrNewBatch().set(userRef.collection(collectionName).doc(docId), sanitizedItem, { merge: true });
-      operationCount++;
-      totalItemsToWrite++;
-      trackFirestoreWrite(1);
+      if (packed) {
+        PackedLayout.stage(_packs, collectionName, sanitizedItem, backend, packBases.get(docId));
+      } else {
+        sanitizedItem.updatedAt = backend.serverTimestamp();
+        batch.put(collectionName, docId, sanitizedItem, { merge: true });
+        totalItemsToWrite++;
+      }
 
       _pendingUploadMarks.push({ collectionName, id: item.id });
+      _uploadedRecords.push({ collectionName, item });
       collectionsUploaded.add(collectionName);
     }
   }
 
-  const configBatch = getOrNewBatch();
+  for (const pack of _packs.values()) {
+    batch.put(pack.collection, pack.docId, pack.data, { merge: true });
+    totalItemsToWrite++;
+  }
+
   const localFormulaTs = await sqliteStore.get('factory_default_formulas_timestamp');
   const localCostsTs   = await sqliteStore.get('factory_additional_costs_timestamp');
   const localFactorTs  = await sqliteStore.get('factory_cost_adjustment_factor_timestamp');
@@ -3082,7 +3545,7 @@ async function _uploadChanges(userRef) {
   const localUnitTs    = await sqliteStore.get('factory_unit_tracking_timestamp');
 
   const lastFactorySync = await DeltaSync.getLastSyncTimestamp('factorySettings');
-  const factorySettingsDirty = [localFormulaTs, localCostsTs, localFactorTs, localPricesTs, localUnitTs]
+  const factorySettingsDirty = !scope && [localFormulaTs, localCostsTs, localFactorTs, localPricesTs, localUnitTs]
     .some(ts => ts && (!lastFactorySync || ts > lastFactorySync));
   if (factorySettingsDirty) {
     const [_fdf, _fac, _fsp, _fcaf, _fut] = await Promise.all([
@@ -3105,77 +3568,62 @@ async function _uploadChanges(userRef) {
       unit_tracking:                   _fut  || { standard: { produced: 0, consumed: 0, available: 0, unitCostHistory: [] }, asaan: { produced: 0, consumed: 0, available: 0, unitCostHistory: [] } },
       unit_tracking_timestamp:         localUnitTs    || _nowTs,
     };
-    configBatch.set(userRef.collection('factorySettings').doc('config'), sanitizeForFirestore(fsPayload), { merge: true });
-    operationCount++;
+    batch.put('factorySettings', 'config', sanitizeForFirestore(fsPayload), { merge: true });
     collectionsUploaded.add('factorySettings');
   }
 
   const localSettingsTs = await sqliteStore.get('naswar_default_settings_timestamp');
   const lastSettingsSync = await DeltaSync.getLastSyncTimestamp('settings');
-  if (localSettingsTs && (!lastSettingsSync || localSettingsTs > lastSettingsSync)) {
+  if (!scope && localSettingsTs && (!lastSettingsSync || localSettingsTs > lastSettingsSync)) {
     const _ds = await sqliteStore.get('naswar_default_settings');
-    configBatch.set(
-      userRef.collection('settings').doc('config'),
-      sanitizeForFirestore({ naswar_default_settings: _ds || {} }),
-      { merge: true }
-    );
-    operationCount++;
+    batch.put('settings', 'config', sanitizeForFirestore({ naswar_default_settings: _ds || {} }), { merge: true });
     collectionsUploaded.add('settings');
   }
 
   const localExpCatTs = await sqliteStore.get('expense_categories_timestamp');
   const lastExpCatSync = await DeltaSync.getLastSyncTimestamp('expenseCategories');
-  if (localExpCatTs && (!lastExpCatSync || localExpCatTs > lastExpCatSync)) {
+  if (!scope && localExpCatTs && (!lastExpCatSync || localExpCatTs > lastExpCatSync)) {
     const _ec = await sqliteStore.get('expense_categories');
-    configBatch.set(
-      userRef.collection('expenseCategories').doc('categories'),
-      sanitizeForFirestore({ categories: _ec || [] }),
-      { merge: true }
-    );
-    operationCount++;
+    batch.put('expenseCategories', 'categories', sanitizeForFirestore({ categories: _ec || [] }), { merge: true });
     collectionsUploaded.add('expenseCategories');
   }
 
   const localStoresTs = await sqliteStore.get('app_stores_timestamp');
   const lastStoresSync = await DeltaSync.getLastSyncTimestamp('appStores');
-  if (localStoresTs && (!lastStoresSync || localStoresTs > lastStoresSync)) {
+  if (!scope && localStoresTs && (!lastStoresSync || localStoresTs > lastStoresSync)) {
     const _as = await sqliteStore.get('app_stores');
-    configBatch.set(
-      userRef.collection('appStores').doc('stores'),
-      sanitizeForFirestore({ stores: _as || [] }),
-      { merge: true }
-    );
-    operationCount++;
+    batch.put('appStores', 'stores', sanitizeForFirestore({ stores: _as || [] }), { merge: true });
     collectionsUploaded.add('appStores');
   }
 
   let _uploadedPhotoKeys = [];
   try {
-    const _dirtyPhotoKeys = (await sqliteStore.get('person_photos_dirty_keys')) || [];
+    const _dirtyPhotoKeys = ((await sqliteStore.get('person_photos_dirty_keys')) || [])
+      .filter(k => syncScopeAllowsPhoto(scope, k));
     if (_dirtyPhotoKeys.length > 0) {
       const _allPhotos = (await sqliteStore.get('person_photos')) || {};
-      const _photosRef = userRef.collection('personPhotos');
       for (const _photoKey of _dirtyPhotoKeys) {
         const _safeDocId = btoa(unescape(encodeURIComponent(_photoKey))).replace(/[+/=]/g, c => ({'+':'-','/':'_','=':''})[c] || '');
         const _photoVal = _allPhotos[_photoKey];
-        const _photoBatch = getOrNewBatch();
         if (_photoVal) {
-          _photoBatch.set(_photosRef.doc(_safeDocId), { key: _photoKey, data: _photoVal, updatedAt: firebase.firestore.FieldValue.serverTimestamp() }, { merge: false });
+          batch.put('personPhotos', _safeDocId, { key: _photoKey, data: _photoVal, updatedAt: backend.serverTimestamp() }, { merge: false });
         } else {
-          _photoBatch.set(_photosRef.doc(_safeDocId), { key: _photoKey, data: null, deleted: true, updatedAt: firebase.firestore.FieldValue.serverTimestamp() }, { merge: false });
+          batch.put('personPhotos', _safeDocId, { key: _photoKey, data: null, deleted: true, updatedAt: backend.serverTimestamp() }, { merge: false });
         }
-        operationCount++;
         totalItemsToWrite++;
-        trackFirestoreWrite(1);
         _uploadedPhotoKeys.push(_photoKey);
       }
       collectionsUploaded.add('personPhotos');
     }
   } catch(_photoUploadErr) { console.warn('[uploadChanges] person_photos upload error', _photoUploadErr); }
 
-  if (operationCount > 0) batches.push(currentBatch);
-  for (const batch of batches) {
-    await batch.commit();
+  await batch.commit();
+  if (_packs.size > 0) PackedLayout.flushed();
+
+  for (const { collectionName } of _uploadedRecords) SyncJournal.count(collectionName, 'up', 1);
+  SyncJournal.count('personPhotos', 'up', _uploadedPhotoKeys.length);
+  for (const col of ['factorySettings', 'settings', 'expenseCategories', 'appStores']) {
+    if (collectionsUploaded.has(col)) SyncJournal.count(col, 'up', 1);
   }
 
   for (const { collectionName, id } of _pendingUploadMarks) {
@@ -3186,6 +3634,16 @@ async function _uploadChanges(userRef) {
     }
   }
 
+  const _basesByKey = new Map();
+  for (const { collectionName, item } of _uploadedRecords) {
+    const key = getSQLiteKey(collectionName);
+    if (!_basesByKey.has(key)) _basesByKey.set(key, []);
+    _basesByKey.get(key).push(item);
+  }
+  for (const [key, items] of _basesByKey) {
+    await sqliteStore.setSyncBases(key, items).catch(e => console.warn('[uploadChanges] merge base update failed', _safeErr(e)));
+  }
+
   if (_uploadedPhotoKeys.length > 0) {
     try {
       const _remainingDirty = (await sqliteStore.get('person_photos_dirty_keys')) || [];
@@ -3203,10 +3661,16 @@ async function _uploadChanges(userRef) {
     DeltaSync.clearDirty(col);
   }
   for (const col of Object.keys(collections)) {
-    if (DeltaSync.isDirty(col) && !collectionsUploaded.has(col)) {
+    if (DeltaSync.isDirty(col) && !collectionsUploaded.has(col) && !_deferred.has(col) && syncScopeAllows(scope, col)) {
       DeltaSync.clearDirty(col);
     }
   }
+  for (const { collectionName, id } of _refused) {
+    await DeltaSync.trackId(collectionName, id);
+  }
+  if (_refused.length > 0) {
+    console.warn(`[uploadChanges] ${_refused.length} record(s) outside this device's sync scope were not uploaded`);
+  }
 
   const configItemCount = (collectionsUploaded.has('factorySettings') ? 1 : 0)
     + (collectionsUploaded.has('settings') ? 1 : 0)
@@ -3220,11 +3684,29 @@ async function _uploadChanges(userRef) {
   return totalUploaded;
 }
 
-function performOneClickSync(silent = false) {
-  return _syncQueue.run(() => _doOneClickSync(silent));
+let _cloudLockWarned = false;
+function _isCloudCipherError(err) {
+  return !!err && (err.code === 'e2e-locked' || err.code === 'e2e-undecryptable');
+}
+
+function _warnCloudLocked(err) {
+  if (err && err.code === 'e2e-undecryptable') {
+    showToast(err.message, 'error', 8000);
+    return true;
+  }
+  if (!err || err.code !== 'e2e-locked') return false;
+  if (!_cloudLockWarned) {
+    _cloudLockWarned = true;
+    showToast('Cloud data is encrypted. Unlock it from Sync Health to keep syncing.', 'warning', 6000);
+  }
+  return true;
+}
+
+function performOneClickSync(silent = false, trigger) {
+  return _syncQueue.run(() => _doOneClickSync(silent, trigger));
 }
 
-async function _doOneClickSync(silent = false) {
+async function _doOneClickSync(silent = false, trigger) {
   if (!firebaseDB) {
     if (!silent) { showToast('⌛ Connecting to cloud…', 'info', 3000); initializeFirebaseSystem(); }
     return;
@@ -3239,6 +3721,7 @@ async function _doOneClickSync(silent = false) {
   }
 
   isSyncing = true;
+  const run = SyncJournal.begin(trigger || (silent ? 'auto' : 'manual'));
   const btn = document.getElementById('sync-btn');
   const originalText = btn ? btn.innerHTML : '';
   if (!silent && btn) btn.innerHTML = 'Syncing…';
@@ -3251,19 +3734,20 @@ async function _doOneClickSync(silent = false) {
     if (typeof UUIDSyncRegistry !== 'undefined') {
       await UUIDSyncRegistry.loadAll().catch(() => {});
     }
-    const userRef = firebaseDB.collection('users').doc(currentUser.uid);
+    await _applySyncScopeChange(currentSyncScope());
+    const backend = SyncBackend.current();
 
-    const userType = await _detectUserType(userRef);
+    const userType = await _detectUserType(backend);
 
     if (userType === 'new') {
-      await initializeFirestoreStructure(true);
+      if (backend.name === 'firestore' && Organisation.isAdmin()) await initializeFirestoreStructure(true);
       await sqliteStore.set('firestore_initialized', true);
       if (!silent) showToast('Your account is ready!', 'success');
       return;
     }
 
     const syncForceDownload = (userType === 'existing');
-    const cloudData = await _downloadDeltas(userRef, userType, syncForceDownload);
+    const cloudData = await _downloadDeltas(backend, userType, syncForceDownload);
     const totalCloudChanges = Object.values(cloudData.data).reduce((s, a) => s + (a?.length || 0), 0);
 
     if (userType === 'existing' && typeof UUIDSyncRegistry !== 'undefined') {
@@ -3281,7 +3765,7 @@ async function _doOneClickSync(silent = false) {
       await sqliteStore.set('firestore_initialized', true);
       await sqliteStore.set('user_state', { type: 'existing', hasRealData: true, lastChecked: Date.now(), initialized: true, restoredItems: totalCloudChanges });
 
-      const totalItemsToWrite = await _uploadChanges(userRef);
+      const totalItemsToWrite = await _uploadChanges(backend);
 
       if (typeof refreshAllDisplays === 'function') await refreshAllDisplays().catch(() => {});
       if (!silent) {
@@ -3303,7 +3787,7 @@ async function _doOneClickSync(silent = false) {
       return;
     }
 
-    const totalItemsToWrite = await _uploadChanges(userRef);
+    const totalItemsToWrite = await _uploadChanges(backend);
 
     if (typeof refreshAllDisplays === 'function') await refreshAllDisplays().catch(() => {});
 
@@ -3334,29 +3818,33 @@ async function _doOneClickSync(silent = false) {
 
   } catch (e) {
     console.error('[OneClickSync] error:', _safeErr(e));
-    if (!silent) showToast(' Sync error - will retry automatically', 'warning');
+    SyncJournal.error('sync', e);
+    if (!_warnCloudLocked(e) && !silent) showToast(' Sync error - will retry automatically', 'warning');
     return { down: 0, up: 0, error: true };
   } finally {
     isSyncing = false;
     if (!silent && btn) btn.innerHTML = originalText;
+    await SyncJournal.end(run);
     _flushSyncLockQueue().catch(err => console.warn('[SyncLock] Flush error', _safeErr(err)));
   }
 }
 
-function pushDataToCloud(silent = false) {
-  return _syncQueue.run(() => _doPushDataToCloud(silent));
+function pushDataToCloud(silent = false, trigger) {
+  return _syncQueue.run(() => _doPushDataToCloud(silent, trigger));
 }
 
-async function _doPushDataToCloud(silent = false) {
+async function _doPushDataToCloud(silent = false, trigger) {
   if (!firebaseDB || !currentUser) {
     if (!silent) showToast('Please sign in to sync data', 'warning');
     return;
   }
 
   isSyncing = true;
+  const run = SyncJournal.begin(trigger || (silent ? 'auto' : 'manual'));
   let btn = null, originalText = '';
   const pushTimeout = setTimeout(() => {
     isSyncing = false;
+    SyncJournal.error('push', new Error('Upload timed out'));
     _flushSyncLockQueue().catch(() => {});
     if (!silent) {
       showToast(' Upload timeout - Please try again', 'warning');
@@ -3378,33 +3866,35 @@ async function _doPushDataToCloud(silent = false) {
       await initDeviceShard().catch(() => {});
     }
 
-    const userRef = firebaseDB.collection('users').doc(currentUser.uid);
-    const operationCount = await _uploadChanges(userRef);
+    const backend = SyncBackend.current();
+    if (PackedLayout.moving().length > 0) {
+      await PackedLayout.resume(backend).catch(e => console.warn('[PackedLayout] Could not finish changing the storage layout', _safeErr(e)));
+    }
+    const operationCount = await _uploadChanges(backend, { flushPacks: trigger !== 'local-change' || PackedLayout.due() });
 
     const deletionRecordsLocal = await sqliteStore.get('deletion_records', []);
     const unsyncedDeletions = deletionRecordsLocal.filter(r => !r.syncedToCloud);
     if (unsyncedDeletions.length > 0) {
-      const dBatch = firebaseDB.batch();
-      let dOps = 0;
+      const dBatch = backend.batch();
       for (const dr of unsyncedDeletions) {
         if (!dr.id) continue;
         const deletedAtMs = typeof dr.deletedAt === 'number' && dr.deletedAt > 0 ? dr.deletedAt : Date.now();
-        const deletionsRef = userRef.collection('deletions').doc(String(dr.id));
-        dBatch.set(deletionsRef, {
+        dBatch.put('deletions', dr.id, {
           id: String(dr.id),
-          deletedAt: firebase.firestore.Timestamp.fromMillis(deletedAtMs),
+          deletedAt: backend.timestamp(deletedAtMs),
           collection: dr.collection || 'unknown',
-          expiresAt: firebase.firestore.Timestamp.fromMillis(deletedAtMs + APP_CONFIG.TOMBSTONE_EXPIRY_MS),
-        });
-        dOps++;
+          expiresAt: backend.timestamp(deletedAtMs + APP_CONFIG.TOMBSTONE_EXPIRY_MS),
+        }, { merge: false });
         if (dr.collection && dr.collection !== 'unknown') {
-          dBatch.delete(userRef.collection(dr.collection).doc(String(dr.id)));
-          dOps++;
+          dBatch.remove(dr.collection, dr.id);
+          const packRemoval = await PackedLayout.removal(backend, dr.collection, dr.id, dr.snapshot);
+          if (packRemoval) dBatch.put(packRemoval.collection, packRemoval.docId, packRemoval.data, { merge: true });
         }
         dr.syncedToCloud = true;
-        if (dOps >= 450) break;
+        if (dBatch.size >= 450) break;
       }
       await dBatch.commit();
+      SyncJournal.count('deletions', 'up', unsyncedDeletions.filter(r => r.syncedToCloud).length);
       await sqliteStore.set('deletion_records', deletionRecordsLocal);
     }
 
@@ -3421,27 +3911,30 @@ async function _doPushDataToCloud(silent = false) {
     }
   } catch (error) {
     console.error('[pushDataToCloud] error:', _safeErr(error));
+    SyncJournal.error('push', error);
     if (!silent) showToast(` Backup failed: ${error.message}`, 'error');
   } finally {
     clearTimeout(pushTimeout);
     isSyncing = false;
     if (btn) { btn.innerText = originalText || 'Backup to Cloud'; btn.disabled = false; }
+    await SyncJournal.end(run);
     _flushSyncLockQueue().catch(() => {});
   }
 }
 
-function pullDataFromCloud(silent = false, forceDownload = false) {
+function pullDataFromCloud(silent = false, forceDownload = false, trigger) {
 
-  return _syncQueue.run(() => _doPullDataFromCloud(silent, forceDownload));
+  return _syncQueue.run(() => _doPullDataFromCloud(silent, forceDownload, trigger));
 }
 
-async function _doPullDataFromCloud(silent = false, forceDownload = false) {
+async function _doPullDataFromCloud(silent = false, forceDownload = false, trigger) {
   if (!firebaseDB || !currentUser) {
     if (!silent) showToast('Please sign in to sync data', 'warning');
     return;
   }
 
   isSyncing = true;
+  const run = SyncJournal.begin(trigger || (silent ? 'auto' : 'manual'));
   try {
     if (!silent) showToast('Downloading cloud data...', 'info');
     await sqliteStore.init();
@@ -3451,15 +3944,16 @@ async function _doPullDataFromCloud(silent = false, forceDownload = false) {
       await initDeviceShard().catch(() => {});
     }
 
-    const userRef = firebaseDB.collection('users').doc(currentUser.uid);
-    const pullUserType = await _detectUserType(userRef);
+    await _applySyncScopeChange(currentSyncScope());
+    const backend = SyncBackend.current();
+    const pullUserType = await _detectUserType(backend);
 
     const effectiveUserType = forceDownload ? 'existing' : (pullUserType === 'new' ? 'existing' : pullUserType);
-    const cloudData = await _downloadDeltas(userRef, effectiveUserType, forceDownload);
+    const cloudData = await _downloadDeltas(backend, effectiveUserType, forceDownload);
 
-    const hasData = Object.values(cloudData.data).some(a => a.length > 0)
-      || (cloudData.settings && cloudData.settings.exists)
-      || (cloudData.factorySettings && cloudData.factorySettings.exists);
+    const hasData = Object.values(cloudData.data).some(a => a && a.length > 0)
+      || !!cloudData.settings
+      || !!cloudData.factorySettings;
     if (!hasData && !forceDownload) {
       if (!silent) showToast('Cloud is empty. Nothing to download.', 'info');
       return;
@@ -3475,9 +3969,9 @@ async function _doPullDataFromCloud(silent = false, forceDownload = false) {
     await _syncSettings(cloudData);
     await sqliteStore.set('firestore_initialized', true);
 
-    if (forceDownload && cloudData.factorySettings && cloudData.factorySettings.exists) {
-      const fsData = cloudData.factorySettings.data();
-      if (fsData && typeof fsData === 'object') {
+    if (forceDownload && cloudData.factorySettings) {
+      const fsData = cloudData.factorySettings;
+      if (typeof fsData === 'object') {
         if (fsData.unit_tracking && ('standard' in fsData.unit_tracking) && ('asaan' in fsData.unit_tracking)) {
           const vt = (d) => ({ produced: parseFloat(d?.produced) || 0, consumed: parseFloat(d?.consumed) || 0, available: parseFloat(d?.available) || 0, unitCostHistory: Array.isArray(d?.unitCostHistory) ? d.unitCostHistory : [] });
           const newTracking = { standard: vt(fsData.unit_tracking.standard), asaan: vt(fsData.unit_tracking.asaan) };
@@ -3526,13 +4020,15 @@ async function _doPullDataFromCloud(silent = false, forceDownload = false) {
     });
   } catch (error) {
     console.error('[pullDataFromCloud] error:', _safeErr(error));
-    if (!silent) showToast('Restore failed. Using local data.', 'error');
+    SyncJournal.error('pull', error);
+    if (!_warnCloudLocked(error) && !silent) showToast('Restore failed. Using local data.', 'error');
 
     queueMicrotask(() => {
       if (typeof refreshAllDisplays === 'function') refreshAllDisplays().catch(() => {});
     });
   } finally {
     isSyncing = false;
+    await SyncJournal.end(run);
     _flushSyncLockQueue().catch(() => {});
   }
 }
@@ -3543,6 +4039,18 @@ async function showSyncHealthPanel() {
     const lastSync = (await sqliteStore.get('last_synced', null)) || 'Unknown';
     const pending = results.issues.length;
     const ok = results.valid.length;
+    const conflicts = ensureArray(await sqliteStore.get('sync_conflicts'));
+    const e2e = CloudCipher.status();
+    const outbox = await sqliteStore.outboxStats();
+    const outboxAge = outbox.oldestAt ? Math.max(1, Math.round((Date.now() - outbox.oldestAt) / 60000)) : 0;
+    const tombstoneAck = await TombstoneGC.acked();
+    const migration = sqliteStore.migrationReport();
+    const schemaLine = migration
+      ? `Local database schema v${migration.to}` +
+        (migration.applied.length && migration.from > 0 ? ` · upgraded from v${migration.from} (${migration.applied.map(m => m.version).join(', ')})` : '') +
+        (migration.failed ? ` · <span style="color:#f87171">step ${migration.failed.version} failed: ${esc(migration.failed.error)}</span>` : '') +
+        (migration.failed && migration.snapshot ? ' · <a href="#" onclick="restorePremigrationCopy();return false" style="color:#60a5fa">Restore pre-upgrade copy</a>' : '')
+      : sqliteStore.engineMode() === 'follower' ? 'Local database shared with another open window' : '';
 
     const existing = document.getElementById('sync-health-panel');
     if (existing) existing.remove();
@@ -3569,10 +4077,39 @@ async function showSyncHealthPanel() {
           <strong>${s.collection}</strong> — never synced · ${s.localRecords} local records
           ${s.hasPendingChanges ? ' · <span style="color:#f87171">pending changes</span>' : ''}
         </div>`).join('')}
+      ${conflicts.length ? `
+        <button onclick="showSyncConflictInbox()"
+          style="display:block;width:100%;text-align:left;margin-top:6px;padding:6px 10px;border:none;border-radius:8px;
+                 background:rgba(248,113,113,.12);color:#f87171;cursor:pointer;font-size:.78rem">
+          ${conflicts.length} conflicting edit${conflicts.length !== 1 ? 's' : ''} to review →
+        </button>` : ''}
       <div style="margin-top:10px;color:var(--text-muted,#94a3b8);font-size:.75rem">
         Last sync: ${results.valid[0]?.lastSync || 'Never'}
       </div>
-      <button onclick="performOneClickSync();document.getElementById('sync-health-panel').remove()"
+      ${schemaLine ? `<div style="margin-top:4px;color:var(--text-muted,#94a3b8);font-size:.75rem">${schemaLine}</div>` : ''}
+      <div style="margin-top:4px;color:var(--text-muted,#94a3b8);font-size:.75rem">
+        Outbox: ${outbox.pending ? `${outbox.pending} waiting to upload · oldest ${outboxAge} min` : 'Empty'}
+        ${outbox.dead ? ` · <a href="#" onclick="OfflineQueue._showDeadLetterModal();return false" style="color:#f87171">${outbox.dead} failed</a>` : ''}
+      </div>
+      <div style="margin-top:4px;color:var(--text-muted,#94a3b8);font-size:.75rem">
+        Sync history: <a href="#" onclick="showSyncJournal();return false" style="color:#60a5fa">View</a>
+      </div>
+      <div style="margin-top:4px;color:var(--text-muted,#94a3b8);font-size:.75rem">
+        Deletions applied through: ${tombstoneAck ? new Date(tombstoneAck).toLocaleString() : 'Not yet'}
+      </div>
+      <div style="margin-top:4px;color:var(--text-muted,#94a3b8);font-size:.75rem">
+        Backend: ${esc(SyncBackend.current().label)} ·
+        <a href="#" onclick="showSyncBackendSettings();return false" style="color:#60a5fa">Change</a>
+      </div>
+      <div style="margin-top:4px;color:var(--text-muted,#94a3b8);font-size:.75rem">
+        Storage layout: ${PackedLayout.state() && PackedLayout.state().packed.length ? `packed (${PackedLayout.state().packed.map(esc).join(', ')})` : 'one document per record'}
+        ${Organisation.isAdmin() ? ' · <a href="#" onclick="showStorageLayoutSettings();return false" style="color:#60a5fa">Change</a>' : ''}
+      </div>
+      <div style="margin-top:4px;color:var(--text-muted,#94a3b8);font-size:.75rem">
+        Encryption: ${e2e.enabled ? (e2e.unlocked ? 'On' : '<span style="color:#f87171">Locked on this device</span>') : 'Off'}${e2e.unpublished ? ' · <span style="color:#fbbf24">keyring not in the cloud</span>' : ''} ·
+        <a href="#" onclick="showCloudEncryptionSettings();return false" style="color:#60a5fa">Manage</a>
+      </div>
+      <button onclick="performOneClickSync(false, 'manual');document.getElementById('sync-health-panel').remove()"
         style="margin-top:12px;width:100%;padding:8px;border:none;border-radius:10px;
                background:#2563eb;color:#fff;font-weight:700;cursor:pointer;font-size:.85rem">
         Sync Now
@@ -3582,6 +4119,523 @@ async function showSyncHealthPanel() {
   } catch (e) { console.warn('[SyncHealth]', _safeErr(e)); }
 }
 window.showSyncHealthPanel = showSyncHealthPanel;
+
+async function restorePremigrationCopy() {
+  const confirmed = await showGlassConfirm(
+    'Replace local data with the copy saved before the database upgrade?\nThe current data is saved as a snapshot first.',
+    { title: 'Restore Pre-upgrade Copy?', confirmText: 'Restore', cancelText: 'Cancel', danger: true }
+  );
+  if (!confirmed) return;
+  try {
+    await sqliteStore.restorePremigration();
+    showToast('Pre-upgrade copy restored', 'success');
+    const panel = document.getElementById('sync-health-panel');
+    if (panel) panel.remove();
+    if (typeof refreshAllDisplays === 'function') await refreshAllDisplays();
+  } catch (e) {
+    console.warn('[SQLite] Could not restore pre-upgrade copy', _safeErr(e));
+    showToast('Could not restore the pre-upgrade copy', 'error');
+  }
+}
+window.restorePremigrationCopy = restorePremigrationCopy;
+
+function showSyncBackendSettings() {
+  const cfg = SyncBackend.config();
+  const panel = _conflictPanel(420);
+  const inputCss = 'width:100%;box-sizing:border-box;margin-top:6px;padding:7px 10px;border-radius:8px;border:1px solid var(--glass-border,#334155);background:rgba(0,0,0,.2);color:inherit';
+  panel.innerHTML = `
+    <div style="display:flex;justify-content:space-between;align-items:center;margin-bottom:12px">
+      <strong style="font-size:.95rem">Sync Backend</strong>
+      <button onclick="document.getElementById('sync-conflict-panel').remove()"
+        style="background:none;border:none;color:inherit;cursor:pointer;font-size:1rem">✕</button>
+    </div>
+    <label style="display:block;margin-bottom:6px;cursor:pointer">
+      <input type="radio" name="sync-backend-type" value="firestore" ${cfg.type !== 'rest' ? 'checked' : ''}>
+      Firebase Cloud Firestore
+    </label>
+    <label style="display:block;cursor:pointer">
+      <input type="radio" name="sync-backend-type" value="rest" ${cfg.type === 'rest' ? 'checked' : ''}>
+      Self-hosted sync server
+    </label>
+    <input id="sync-backend-url" type="url" placeholder="http://192.168.1.10:8787" value="${esc(cfg.url || '')}" style="${inputCss}">
+    <input id="sync-backend-token" type="password" placeholder="Server access token" value="${esc(cfg.token || '')}" style="${inputCss}">
+    <div style="margin-top:8px;color:var(--text-muted,#94a3b8);font-size:.75rem">
+      Sign-in, team and device management stay on Firebase. Switching backend uploads every local record to the new one on the next sync.
+    </div>
+    <button onclick="saveSyncBackendSettings()"
+      style="margin-top:12px;width:100%;padding:8px;border:none;border-radius:10px;
+             background:#2563eb;color:#fff;font-weight:700;cursor:pointer;font-size:.85rem">
+      Save &amp; Sync
+    </button>
+  `;
+  document.body.appendChild(panel);
+}
+
+async function _resetSyncStateForFullUpload() {
+  await DeltaSync.clearAllTimestamps();
+  if (typeof UUIDSyncRegistry !== 'undefined') await UUIDSyncRegistry.clearAll().catch(() => {});
+  Object.keys(FirestoreToSQLiteMap).forEach(col => DeltaSync.trackCollection(col));
+  for (const col of ['settings', 'factorySettings', 'expenseCategories', 'appStores', 'personPhotos']) {
+    await DeltaSync.setLastSyncTimestamp(col, 1);
+  }
+  const photos = (await sqliteStore.get('person_photos')) || {};
+  await sqliteStore.set('person_photos_dirty_keys', Object.keys(photos));
+}
+
+async function saveSyncBackendSettings() {
+  const picked = document.querySelector('input[name="sync-backend-type"]:checked');
+  const next = {
+    type:  picked ? picked.value : 'firestore',
+    url:   (document.getElementById('sync-backend-url')?.value || '').trim().replace(/\/+$/, ''),
+    token: document.getElementById('sync-backend-token')?.value || '',
+  };
+  if (next.type === 'rest') {
+    if (!/^https?:\/\//i.test(next.url)) {
+      showToast('Enter the sync server address, e.g. http://192.168.1.10:8787', 'warning');
+      return;
+    }
+    try { await SyncBackend.probe(next); }
+    catch (e) {
+      showToast(`Could not reach the sync server: ${e.message}`, 'error');
+      return;
+    }
+  }
+  const prev = SyncBackend.config();
+  const switched = prev.type !== next.type || (next.type === 'rest' && prev.url !== next.url);
+  try {
+    await SyncBackend.configure(next);
+    await CloudCipher.load(SyncBackend.current());
+    _promptUnpublishedKeyring();
+    if (switched) await _resetSyncStateForFullUpload();
+    if (auth && auth.currentUser) saveTokenForSW(auth.currentUser).catch(() => {});
+    document.getElementById('sync-conflict-panel')?.remove();
+    showToast(`Syncing with ${SyncBackend.current().label}`, 'success');
+    subscribeToRealtime().catch(e => console.warn('subscribeToRealtime failed:', _safeErr(e)));
+    performOneClickSync(true, 'backend-switch');
+  } catch (e) {
+    console.warn('[SyncBackend] Could not switch backend', _safeErr(e));
+    showToast('Could not save sync backend settings', 'error');
+  }
+}
+window.showSyncBackendSettings = showSyncBackendSettings;
+window.saveSyncBackendSettings = saveSyncBackendSettings;
+
+const _PACK_LABELS = {
+  rep_sales:          'Rep sales — one document per rep per day',
+  calculator_history: 'Calculator history — one document per day',
+};
+
+function showStorageLayoutSettings() {
+  const panel = _conflictPanel(420);
+  panel.innerHTML = `
+    <div style="display:flex;justify-content:space-between;align-items:center;margin-bottom:12px">
+      <strong style="font-size:.95rem">Storage Layout</strong>
+      <button onclick="document.getElementById('sync-conflict-panel').remove()"
+        style="background:none;border:none;color:inherit;cursor:pointer;font-size:1rem">✕</button>
+    </div>
+    ${PackedLayout.packable().map(col => `
+      <label style="display:block;margin-bottom:6px;cursor:pointer">
+        <input type="checkbox" name="storage-layout-packed" value="${esc(col)}" ${PackedLayout.packs(col) ? 'checked' : ''}>
+        ${esc(_PACK_LABELS[col] || col)}
+      </label>`).join('')}
+    <div style="margin-top:8px;color:var(--text-muted,#94a3b8);font-size:.75rem">
+      Packed collections are stored as a few shared cloud documents instead of one per record, and this
+      device's changes to them upload at most once a minute. Applying moves the existing cloud records
+      to the chosen layout for every device on the account.
+    </div>
+    <button onclick="applyStorageLayout()"
+      style="margin-top:12px;width:100%;padding:8px;border:none;border-radius:10px;
+             background:#2563eb;color:#fff;font-weight:700;cursor:pointer;font-size:.85rem">
+      Apply
+    </button>
+  `;
+  document.body.appendChild(panel);
+}
+
+async function applyStorageLayout() {
+  if (!Organisation.isAdmin()) {
+    showToast('Only the owner or a manager can change the storage layout', 'warning');
+    return;
+  }
+  const backend = SyncBackend.current();
+  if (!backend.ready() || !navigator.onLine) {
+    showToast('Connect to the internet to change the storage layout', 'warning');
+    return;
+  }
+  const packed = Array.from(document.querySelectorAll('input[name="storage-layout-packed"]:checked')).map(el => el.value);
+  document.getElementById('sync-conflict-panel')?.remove();
+  await performOneClickSync(true, 'layout');
+  await _syncQueue.run(async () => {
+    try {
+      const moved = await PackedLayout.apply(backend, packed);
+      showToast(`Storage layout updated — ${moved} record${moved !== 1 ? 's' : ''} moved`, 'success');
+    } catch (e) {
+      console.warn('[PackedLayout] Could not change storage layout', _safeErr(e));
+      showToast('Could not change the storage layout — apply it again to finish', 'error');
+    }
+  });
+}
+window.showStorageLayoutSettings = showStorageLayoutSettings;
+window.applyStorageLayout = applyStorageLayout;
+
+function _promptUnpublishedKeyring() {
+  if (!CloudCipher.status().unpublished) return;
+  showToast('The cloud has no copy of your encryption keyring. Open Cloud Encryption in Sync Health to upload it.', 'warning', 8000);
+}
+
+function showCloudEncryptionSettings() {
+  const { enabled, unlocked, unpublished } = CloudCipher.status();
+  const panel = _conflictPanel(420);
+  const inputCss = 'width:100%;box-sizing:border-box;margin-top:6px;padding:7px 10px;border-radius:8px;border:1px solid var(--glass-border,#334155);background:rgba(0,0,0,.2);color:inherit';
+  const buttonCss = 'margin-top:12px;width:100%;padding:8px;border:none;border-radius:10px;background:#2563eb;color:#fff;font-weight:700;cursor:pointer;font-size:.85rem';
+  const noteCss = 'margin-top:8px;color:var(--text-muted,#94a3b8);font-size:.75rem';
+  let body;
+  if (!enabled) {
+    body = `
+      <div>Encrypt record contents on this device before they are uploaded. The cloud only sees ids and timestamps.</div>
+      <input id="e2e-pass" type="password" placeholder="Sync passphrase" style="${inputCss}">
+      <input id="e2e-pass-confirm" type="password" placeholder="Repeat passphrase" style="${inputCss}">
+      <div style="${noteCss}">
+        Every other device will need this passphrase once to keep syncing. It cannot be recovered — if it is lost, cloud data can only be rebuilt from a device that still holds it.
+      </div>
+      <button onclick="enableCloudEncryption()" style="${buttonCss}">Turn On Encryption</button>`;
+  } else if (!unlocked) {
+    body = `
+      <div>Cloud data for this account is encrypted. Enter the sync passphrase to read and upload it from this device.</div>
+      <input id="e2e-pass" type="password" placeholder="Sync passphrase" style="${inputCss}">
+      <button onclick="unlockCloudEncryption()" style="${buttonCss}">Unlock</button>`;
+  } else {
+    body = `
+      <div>Cloud encryption is on and this device holds the key.</div>
+      <div style="${noteCss}">Forgetting the key stops this device from syncing until the passphrase is entered again.</div>
+      <button onclick="forgetCloudEncryptionKey()" style="${buttonCss};background:#475569">Forget Key on This Device</button>`;
+  }
+  if (enabled && unpublished) {
+    body = `
+      <div style="margin-bottom:12px;color:#fbbf24">
+        ${esc(SyncBackend.current().label)} has no copy of this account's keyring, so other devices cannot unlock what this one uploads.
+        <button onclick="publishCloudKeyring()" style="${buttonCss};background:#b45309">Upload Keyring</button>
+      </div>` + body;
+  }
+  panel.innerHTML = `
+    <div style="display:flex;justify-content:space-between;align-items:center;margin-bottom:12px">
+      <strong style="font-size:.95rem">Cloud Encryption</strong>
+      <button onclick="document.getElementById('sync-conflict-panel').remove()"
+        style="background:none;border:none;color:inherit;cursor:pointer;font-size:1rem">✕</button>
+    </div>
+    ${body}
+  `;
+  document.body.appendChild(panel);
+}
+
+async function enableCloudEncryption() {
+  const pass = document.getElementById('e2e-pass')?.value || '';
+  const confirm = document.getElementById('e2e-pass-confirm')?.value || '';
+  if (pass.length < 8) { showToast('Use a passphrase of at least 8 characters', 'warning'); return; }
+  if (pass !== confirm) { showToast('Passphrases do not match', 'warning'); return; }
+  try {
+    await CloudCipher.enable(SyncBackend.current(), pass);
+    await _resetSyncStateForFullUpload();
+    if (auth && auth.currentUser) saveTokenForSW(auth.currentUser).catch(() => {});
+    document.getElementById('sync-conflict-panel')?.remove();
+    showToast('Cloud encryption is on. Re-uploading your data encrypted…', 'success');
+    performOneClickSync(true, 'encryption');
+  } catch (e) {
+    console.warn('[CloudCipher] Could not enable encryption', _safeErr(e));
+    showToast(e.message || 'Could not turn on encryption', 'error');
+  }
+}
+
+async function unlockCloudEncryption() {
+  const pass = document.getElementById('e2e-pass')?.value || '';
+  if (!pass) { showToast('Enter the sync passphrase', 'warning'); return; }
+  try {
+    await CloudCipher.unlock(SyncBackend.current(), pass);
+    _cloudLockWarned = false;
+    if (auth && auth.currentUser) saveTokenForSW(auth.currentUser).catch(() => {});
+    document.getElementById('sync-conflict-panel')?.remove();
+    showToast('Cloud data unlocked on this device', 'success');
+    subscribeToRealtime().catch(e => console.warn('subscribeToRealtime failed:', _safeErr(e)));
+    performOneClickSync(true, 'encryption');
+  } catch (e) {
+    console.warn('[CloudCipher] Could not unlock', _safeErr(e));
+    showToast(e.message === 'Wrong passphrase' ? 'Wrong passphrase' : 'Could not unlock cloud data', 'error');
+  }
+}
+
+async function publishCloudKeyring() {
+  const confirmed = await showGlassConfirm(
+    `Upload this device's encryption keyring to ${SyncBackend.current().label}?\nOther devices unlock it with the same passphrase.`,
+    { title: 'Upload Keyring?', confirmText: 'Upload', cancelText: 'Cancel' }
+  );
+  if (!confirmed) return;
+  try {
+    await CloudCipher.publish(SyncBackend.current());
+    document.getElementById('sync-conflict-panel')?.remove();
+    showToast('Encryption keyring uploaded', 'success');
+  } catch (e) {
+    console.warn('[CloudCipher] Could not upload keyring', _safeErr(e));
+    showToast(e.message || 'Could not upload the keyring', 'error');
+  }
+}
+
+async function forgetCloudEncryptionKey() {
+  try {
+    await CloudCipher.forget();
+    if (auth && auth.currentUser) saveTokenForSW(auth.currentUser).catch(() => {});
+    document.getElementById('sync-conflict-panel')?.remove();
+    showToast('Encryption key removed from this device', 'info');
+  } catch (e) {
+    console.warn('[CloudCipher] Could not forget key', _safeErr(e));
+  }
+}
+window.showCloudEncryptionSettings = showCloudEncryptionSettings;
+window.enableCloudEncryption = enableCloudEncryption;
+window.unlockCloudEncryption = unlockCloudEncryption;
+window.publishCloudKeyring = publishCloudKeyring;
+window.forgetCloudEncryptionKey = forgetCloudEncryptionKey;
+
+const _CONFLICT_PANEL_CSS = `
+  position:fixed;left:50%;top:50%;transform:translate(-50%,-50%);z-index:10310;
+  background:var(--glass-bg,#1e293b);border:1px solid var(--glass-border,#334155);
+  border-radius:16px;padding:20px 24px;max-height:80vh;overflow-y:auto;
+  box-shadow:0 8px 32px rgba(0,0,0,.4);color:var(--text-main,#f1f5f9);font-size:.85rem;
+`;
+
+function _conflictPanel(width) {
+  const existing = document.getElementById('sync-conflict-panel');
+  if (existing) existing.remove();
+  const panel = document.createElement('div');
+  panel.id = 'sync-conflict-panel';
+  panel.setAttribute('role', 'dialog');
+  panel.style.cssText = _CONFLICT_PANEL_CSS + `width:min(${width}px,94vw);`;
+  return panel;
+}
+
+function _conflictCell(v) {
+  if (v === undefined || v === null) return '<span style="color:var(--text-muted,#94a3b8)">—</span>';
+  const t = typeof v === 'object' ? JSON.stringify(v) : String(v);
+  return esc(t.length > 80 ? t.slice(0, 77) + '…' : t);
+}
+
+async function showSyncConflictInbox() {
+  const conflicts = ensureArray(await sqliteStore.get('sync_conflicts'));
+  const panel = _conflictPanel(440);
+  const rows = conflicts.map((c, i) => ({ c, i })).reverse().map(({ c, i }) => {
+    const when = new Date(c.at).toLocaleString('en-GB', { day: '2-digit', month: 'short', hour: '2-digit', minute: '2-digit' });
+    const n = Object.keys(c.fields || {}).length;
+    return `
+      <button onclick="showSyncConflict(${i})"
+        style="display:block;width:100%;text-align:left;margin-top:6px;padding:8px 12px;border:1px solid var(--glass-border,#334155);
+               border-radius:10px;background:rgba(245,158,11,.08);color:var(--text-main,#f1f5f9);cursor:pointer;font-size:.8rem">
+        <strong>${esc(c.label || c.id)}</strong> · ${esc(c.collection)}
+        <div style="font-size:.72rem;color:var(--text-muted,#94a3b8);margin-top:2px">
+          ${n} field${n !== 1 ? 's' : ''} edited on both sides · kept ${c.chosen === 'local' ? 'this device' : 'cloud'} version · ${when}
+        </div>
+      </button>`;
+  }).join('');
+  panel.innerHTML = `
+    <div style="display:flex;justify-content:space-between;align-items:center;margin-bottom:8px">
+      <strong style="font-size:.95rem">Sync Conflicts</strong>
+      <button onclick="document.getElementById('sync-conflict-panel').remove()" style="background:none;border:none;color:var(--text-muted,#94a3b8);font-size:1.1rem;cursor:pointer">×</button>
+    </div>
+    <div style="font-size:.75rem;color:var(--text-muted,#94a3b8)">
+      The same entry was changed here and on another device before they synced. One version was kept automatically — check it and pick the right values.
+    </div>
+    ${rows || '<div style="margin-top:10px;color:var(--text-muted,#94a3b8)">Nothing to review.</div>'}
+  `;
+  document.body.appendChild(panel);
+}
+
+async function showSyncConflict(index) {
+  const conflicts = ensureArray(await sqliteStore.get('sync_conflicts'));
+  const c = conflicts[index];
+  if (!c) return showSyncConflictInbox();
+  const mine = c.local || {}, theirs = c.cloud || {};
+  const fields = Object.keys(c.fields || {}).sort();
+  const autoMerged = Object.keys(_recordDiff(mine, theirs) || {}).filter(f => !(f in c.fields));
+  const panel = _conflictPanel(640);
+  const rows = fields.map(f => {
+    const start = c.chosen === 'local' ? mine[f] : theirs[f];
+    const editable = ['string', 'number', 'boolean', 'undefined'].includes(typeof start) || start === null;
+    return `
+      <tr data-field="${esc(f)}">
+        <td style="padding:6px;font-weight:600">${esc(f)}</td>
+        <td style="padding:6px">${_conflictCell(mine[f])}</td>
+        <td style="padding:6px">${_conflictCell(theirs[f])}</td>
+        <td style="padding:6px">
+          <select class="sync-conflict-pick" onchange="_syncConflictPick(this, ${index})"
+            style="width:100%;padding:3px;border-radius:6px;background:var(--input-bg);color:var(--text-main);border:1px solid var(--glass-border,#334155)">
+            <option value="local"${c.chosen === 'local' ? ' selected' : ''}>Mine</option>
+            <option value="cloud"${c.chosen !== 'local' ? ' selected' : ''}>Theirs</option>
+          </select>
+          ${editable ? `<input class="sync-conflict-value" value="${esc(start === undefined || start === null ? '' : String(start))}"
+            style="width:100%;margin-top:4px;padding:3px 6px;border-radius:6px;background:var(--input-bg);color:var(--text-main);border:1px solid var(--glass-border,#334155)">` : ''}
+        </td>
+      </tr>`;
+  }).join('');
+  const btn = (label, onclick, bg) => `<button onclick="${onclick}"
+    style="flex:1;padding:8px;border:none;border-radius:10px;background:${bg};color:#fff;font-weight:700;cursor:pointer;font-size:.8rem">${label}</button>`;
+  panel.innerHTML = `
+    <div style="display:flex;justify-content:space-between;align-items:center;margin-bottom:8px">
+      <strong style="font-size:.95rem">${esc(c.label || c.id)} <span style="font-weight:400;color:var(--text-muted,#94a3b8)">· ${esc(c.collection)}</span></strong>
+      <button onclick="showSyncConflictInbox()" style="background:none;border:none;color:var(--text-muted,#94a3b8);font-size:.8rem;cursor:pointer">← Back</button>
+    </div>
+    <table style="width:100%;border-collapse:collapse;font-size:.78rem">
+      <thead><tr style="text-align:left;color:var(--text-muted,#94a3b8)">
+        <th style="padding:6px">Field</th><th style="padding:6px">Mine</th><th style="padding:6px">Theirs</th><th style="padding:6px;width:30%">Result</th>
+      </tr></thead>
+      <tbody>${rows}</tbody>
+    </table>
+    ${autoMerged.length ? `<div style="margin-top:8px;font-size:.72rem;color:var(--text-muted,#94a3b8)">
+      Also changed on one side only and merged automatically: ${autoMerged.map(esc).join(', ')}</div>` : ''}
+    <div style="display:flex;gap:8px;margin-top:14px">
+      ${btn('Keep Mine', `resolveSyncConflict(${index}, 'local')`, '#2563eb')}
+      ${btn('Keep Theirs', `resolveSyncConflict(${index}, 'cloud')`, '#475569')}
+      ${btn('Save Merge', `resolveSyncConflict(${index}, 'merge')`, '#10b981')}
+    </div>
+  `;
+  document.body.appendChild(panel);
+}
+
+async function _syncConflictPick(select, index) {
+  const c = ensureArray(await sqliteStore.get('sync_conflicts'))[index];
+  const row = select.closest('tr');
+  const input = row && row.querySelector('.sync-conflict-value');
+  if (!c || !input) return;
+  const v = ((select.value === 'local' ? c.local : c.cloud) || {})[row.dataset.field];
+  input.value = v === undefined || v === null ? '' : String(v);
+}
+
+function _parseConflictValue(text, like) {
+  if (typeof like === 'number') { const n = parseFloat(text); return isNaN(n) ? like : n; }
+  if (typeof like === 'boolean') return text.trim().toLowerCase() === 'true';
+  return text;
+}
+
+async function resolveSyncConflict(index, choice) {
+  const conflicts = ensureArray(await sqliteStore.get('sync_conflicts'));
+  const c = conflicts[index];
+  if (!c) return;
+  const mine = c.local || {}, theirs = c.cloud || {};
+  const picks = {};
+  for (const f of Object.keys(c.fields || {})) {
+    picks[f] = choice === 'cloud' ? { side: theirs } : { side: mine };
+  }
+  if (choice === 'merge') {
+    document.querySelectorAll('#sync-conflict-panel tr[data-field]').forEach(row => {
+      const f = row.dataset.field;
+      const side = row.querySelector('.sync-conflict-pick').value === 'local' ? mine : theirs;
+      const input = row.querySelector('.sync-conflict-value');
+      const pick = { side };
+      if (input && input.value !== (side[f] === undefined || side[f] === null ? '' : String(side[f]))) {
+        pick.value = _parseConflictValue(input.value, side[f]);
+      }
+      picks[f] = pick;
+    });
+  }
+  try {
+    const records = ensureArray(await sqliteStore.get(c.key));
+    const idx = records.findIndex(r => r && String(r.id) === c.id);
+    if (idx === -1) {
+      showToast('This entry no longer exists — it may have been deleted', 'warning');
+    } else {
+      const record = { ...records[idx] };
+      for (const [f, pick] of Object.entries(picks)) {
+        if ('value' in pick) record[f] = pick.value;
+        else if (f in pick.side) record[f] = pick.side[f];
+        else delete record[f];
+      }
+      record.updatedAt = getTimestamp();
+      records[idx] = record;
+      await unifiedSave(c.key, records, record);
+      notifyDataChange('all');
+      showToast('Conflict resolved and synced', 'success');
+    }
+    conflicts.splice(index, 1);
+    await sqliteStore.set('sync_conflicts', conflicts);
+    if (typeof refreshAllDisplays === 'function') refreshAllDisplays().catch(() => {});
+    if (conflicts.length) await showSyncConflictInbox();
+    else { const panel = document.getElementById('sync-conflict-panel'); if (panel) panel.remove(); }
+  } catch (e) {
+    console.warn('[SyncConflicts] resolve failed', _safeErr(e));
+    showToast('Failed to save the resolution. Please try again.', 'error');
+  }
+}
+window.showSyncConflictInbox = showSyncConflictInbox;
+window.showSyncConflict = showSyncConflict;
+window._syncConflictPick = _syncConflictPick;
+window.resolveSyncConflict = resolveSyncConflict;
+
+function _journalTotals(entry) {
+  return Object.values(entry.collections || {}).reduce((t, c) => {
+    t.up += c.up || 0;
+    t.down += c.down || 0;
+    return t;
+  }, { up: 0, down: 0 });
+}
+
+async function showSyncJournal() {
+  let entries = [];
+  try {
+    entries = await SyncJournal.entries(100);
+  } catch (e) {
+    console.warn('[SyncJournal] Could not read sync history', _safeErr(e));
+  }
+  const panel = _conflictPanel(520);
+  const rows = entries.map(e => {
+    const when = new Date(e.startedAt).toLocaleString('en-GB', { day: '2-digit', month: 'short', hour: '2-digit', minute: '2-digit', second: '2-digit' });
+    const t = _journalTotals(e);
+    const cols = Object.entries(e.collections || {})
+      .filter(([, c]) => c.up || c.down || c.conflicts)
+      .map(([name, c]) => `${esc(name)} ${c.up ? '↑' + c.up : ''}${c.down ? ' ↓' + c.down : ''}${c.conflicts ? ' ⚠' + c.conflicts : ''}`)
+      .join(' · ');
+    const failed = e.status === 'error';
+    return `
+      <div style="margin-top:6px;padding:8px 12px;border:1px solid var(--glass-border,#334155);border-radius:10px;
+                  background:${failed ? 'rgba(248,113,113,.08)' : 'rgba(255,255,255,.03)'};font-size:.78rem">
+        <div style="display:flex;justify-content:space-between;gap:8px">
+          <strong>${esc(e.trigger || 'auto')}</strong>
+          <span style="color:var(--text-muted,#94a3b8)">${when} · ${((e.durationMs || 0) / 1000).toFixed(1)}s</span>
+        </div>
+        <div style="font-size:.72rem;color:var(--text-muted,#94a3b8);margin-top:2px">
+          ↑${t.up} ↓${t.down}${e.conflicts ? ` · ${e.conflicts} conflict${e.conflicts !== 1 ? 's' : ''}` : ''}
+          · ${e.reads || 0} reads / ${e.writes || 0} writes
+          · ${e.network && e.network.online === false ? 'offline' : esc((e.network && e.network.type) || 'online')}
+          ${e.outboxPending ? ` · ${e.outboxPending} left in outbox` : ''}
+        </div>
+        ${cols ? `<div style="font-size:.72rem;color:var(--text-muted,#94a3b8);margin-top:2px">${cols}</div>` : ''}
+        ${(e.errors || []).map(err => `
+          <div style="font-size:.72rem;color:#f87171;margin-top:2px">${esc(err.where)}: ${esc(err.message)}${err.code ? ` (${esc(err.code)})` : ''}</div>`).join('')}
+      </div>`;
+  }).join('');
+  panel.innerHTML = `
+    <div style="display:flex;justify-content:space-between;align-items:center;margin-bottom:8px">
+      <strong style="font-size:.95rem">Sync History</strong>
+      <button onclick="document.getElementById('sync-conflict-panel').remove()" style="background:none;border:none;color:var(--text-muted,#94a3b8);font-size:1.1rem;cursor:pointer">×</button>
+    </div>
+    <div style="font-size:.75rem;color:var(--text-muted,#94a3b8)">
+      Recent sync runs on this device, newest first.
+      <a href="#" onclick="exportSyncJournal();return false" style="color:#60a5fa">Export</a>
+    </div>
+    <div style="max-height:60vh;overflow-y:auto">
+      ${rows || '<div style="margin-top:10px;color:var(--text-muted,#94a3b8)">No sync runs recorded yet.</div>'}
+    </div>
+  `;
+  document.body.appendChild(panel);
+}
+
+async function exportSyncJournal() {
+  try {
+    const n = await SyncJournal.exportJSON();
+    showToast(`Exported ${n} sync run${n !== 1 ? 's' : ''}`, 'success');
+  } catch (e) {
+    console.warn('[SyncJournal] Export failed', _safeErr(e));
+    showToast('Could not export sync history', 'error');
+  }
+}
+window.showSyncJournal = showSyncJournal;
+window.exportSyncJournal = exportSyncJournal;
 let seamlessBackupTimer = null;
 const SEAMLESS_DELAY_MS = 5000;
 async function triggerSeamlessBackup() {
@@ -3591,7 +4645,7 @@ clearTimeout(seamlessBackupTimer);
 seamlessBackupTimer = setTimeout(async () => {
 try {
 if (currentUser && firebaseDB) {
-await pushDataToCloud(true);
+await pushDataToCloud(true, 'local-change');
 }
 } catch (e) { console.warn('[Backup] Seamless backup error:', _safeErr(e)); }
 }, SEAMLESS_DELAY_MS);
@@ -3614,7 +4668,7 @@ try {
 const cols = ['production','sales','rep_sales','transactions','expenses','returns','calculator_history'];
 const hasChanges = await DeltaSync.hasAnyChanges(cols);
 if (!hasChanges) return;
-await performOneClickSync(true);
+await performOneClickSync(true, 'heartbeat');
 } catch (e) { console.warn('[AutoBackup]', _safeErr(e)); }
 }, AUTO_BACKUP_INTERVAL);
 }
@@ -3631,12 +4685,12 @@ async function wakeUpDatabaseAndSync() {
   if (!firebaseDB || !currentUser) {
     setTimeout(async () => {
       try {
-        if (firebaseDB && currentUser) await pullDataFromCloud(false);
+        if (firebaseDB && currentUser) await pullDataFromCloud(false, false, 'wake');
       } catch (e) { console.warn('[Sync] Wake-up pull error:', _safeErr(e)); }
     }, 5000);
     return;
   }
-  await pullDataFromCloud(false);
+  await pullDataFromCloud(false, false, 'wake');
 }
 
 async function triggerCloudAction(action) {
@@ -3654,7 +4708,7 @@ showAuthOverlay();
 return;
 }
 if (action === 'backup') {
-await pushDataToCloud(false);
+await pushDataToCloud(false, 'backup');
 }
 if (action === 'restore') {
 const _ufc_localCount = Object.keys(localStorage).filter(k => k.startsWith('gznd_')).length;
@@ -3662,7 +4716,7 @@ const _ufc_msg = `Merge the latest cloud data into this device?\n\n• Your loca
 if (await showGlassConfirm(_ufc_msg, { title: "Sync from Cloud", confirmText: "Update from Cloud", cancelText: "Cancel" })) {
 closeDataMenu();
 showToast("Starting Update...", "info");
-await pullDataFromCloud(false);
+await pullDataFromCloud(false, false, 'restore');
 }
 }
 }
@@ -3851,6 +4905,14 @@ try {
 const db = (typeof firebaseDB !== 'undefined' && firebaseDB) ? firebaseDB : firebase.firestore();
 const snap = await db.collection('users').doc(uid).get();
 if (!snap.exists) {
+const invite = email ? await db.collection('invites').doc(email.toLowerCase()).get().catch(() => null) : null;
+if (invite && invite.exists) {
+await db.collection('users').doc(uid).set({
+  email, displayName: '', role: 'user', approved: true,
+  orgId: invite.data().orgId, createdAt: Date.now(), createdBy: 'invite'
+});
+return { denied: false, role: 'user', displayName: '' };
+}
 await firebase.auth().signOut().catch(() => {});
 return { denied: true, reason: `Access denied. Your account (${email}) is not registered in this system. Contact the administrator.` };
 }
@@ -3912,7 +4974,7 @@ try { if (typeof loadAllData === 'function') await loadAllData(); } catch(e) { c
 hideAuthOverlay();
 setTimeout(() => {
 if (typeof refreshAllDisplays === 'function') refreshAllDisplays().catch(() => {});
-if (typeof performOneClickSync === 'function') performOneClickSync();
+if (typeof performOneClickSync === 'function') performOneClickSync(false, 'login');
 }, 300);
 }
 
@@ -4140,7 +5202,7 @@ try {
 setTimeout(() => {
 hideAuthOverlay();
 if (typeof refreshAllDisplays === 'function') refreshAllDisplays();
-if(typeof performOneClickSync === 'function') performOneClickSync();
+if(typeof performOneClickSync === 'function') performOneClickSync(false, 'login');
 }, 300);
 } else {
 const hasStored = await OfflineAuth.hasStoredCredentials();
@@ -4406,6 +5468,171 @@ console.error('adminRemoveAccount:', _safeErr(err));
 }
 }
 
+const _ORG_ROLE_LABELS = { owner: 'Owner', manager: 'Manager', rep: 'Sales Rep', factory: 'Factory' };
+
+function _orgNote(text, color) {
+  return '<div style="color:' + (color || 'var(--text-muted)') + ';font-size:0.8rem;text-align:center;padding:16px;">' + esc(text) + '</div>';
+}
+
+function _orgRoleOptions(selected) {
+  const roles = Organisation.role() === 'owner' ? ['manager', 'rep', 'factory'] : ['rep', 'factory'];
+  return roles.map(r => '<option value="' + r + '"' + (r === selected ? ' selected' : '') + '>' + _ORG_ROLE_LABELS[r] + '</option>').join('');
+}
+
+function _orgRepOptions(selected) {
+  return '<option value="">— No rep —</option>' + ensureArray(salesRepsList)
+    .map(r => '<option value="' + esc(r) + '"' + (r === selected ? ' selected' : '') + '>' + esc(r) + '</option>').join('');
+}
+
+function _orgCanManage(member) {
+  if (member.uid === currentUser.uid || member.role === 'owner') return false;
+  return Organisation.role() === 'owner' || member.role !== 'manager';
+}
+
+async function loadOrganisationPanel() {
+  const panel = document.getElementById('org-panel');
+  if (!panel) return;
+  if (!navigator.onLine) { panel.innerHTML = _orgNote('Internet required to manage the organisation.'); return; }
+  if (!Organisation.active()) {
+    panel.innerHTML =
+      '<div style="font-size:0.78rem;color:var(--text-muted);margin-bottom:10px;">Give every staff member their own Google sign-in. ' +
+      'Creating an organisation moves this account\'s cloud data under it and makes you the owner.</div>' +
+      '<div class="field" style="margin-bottom:10px;"><label>Organisation Name</label><input type="text" id="org-new-name" placeholder="Business name" autocomplete="off"></div>' +
+      '<button class="btn btn-main u-h-42 u-fs-md2 u-fw-700" onclick="createOrganisation()">Create Organisation</button>';
+    return;
+  }
+  if (!Organisation.isAdmin()) {
+    panel.innerHTML = _orgNote('Signed in to ' + Organisation.name() + ' as ' + _ORG_ROLE_LABELS[Organisation.role()] + '.');
+    return;
+  }
+  panel.innerHTML = _orgNote('Loading...');
+  try {
+    const [members, invites] = await Promise.all([Organisation.members(), Organisation.invites()]);
+    members.sort((a, b) => (a.email || '').localeCompare(b.email || ''));
+    const rowCss = 'display:flex;align-items:center;justify-content:space-between;gap:8px;padding:10px 12px;background:var(--glass-raised);border:1px solid var(--glass-border);border-radius:var(--radius-lg);margin-bottom:8px;';
+    const selectCss = 'font-size:0.72rem;padding:4px 6px;border-radius:8px;';
+    const memberRows = members.map(m => {
+      const label = _ORG_ROLE_LABELS[m.role] + (m.rep ? ' · ' + m.rep : '');
+      const actions = _orgCanManage(m)
+        ? '<select id="org-role-' + m.uid + '" style="' + selectCss + '">' + _orgRoleOptions(m.role) + '</select>' +
+          '<select id="org-rep-' + m.uid + '" style="' + selectCss + '">' + _orgRepOptions(m.rep) + '</select>' +
+          '<button class="btn-theme" data-uid="' + m.uid + '" onclick="saveOrganisationMember(this.dataset.uid)" style="font-size:0.72rem;padding:4px 9px;">Save</button>' +
+          '<button class="btn-theme" data-uid="' + m.uid + '" data-email="' + esc(m.email || '') + '" onclick="removeOrganisationMember(this.dataset.uid,this.dataset.email)" style="font-size:0.72rem;padding:4px 9px;color:var(--danger);border-color:rgba(239,68,68,0.3);">Remove</button>'
+        : '';
+      return '<div style="' + rowCss + 'flex-wrap:wrap;"><div style="min-width:0;flex:1;">' +
+        '<div style="font-size:0.82rem;font-weight:700;color:var(--text-main);overflow:hidden;text-overflow:ellipsis;">' + esc(m.email || m.uid) +
+        (m.uid === currentUser.uid ? ' <em style="color:var(--text-muted);font-size:0.65rem;">(you)</em>' : '') + '</div>' +
+        '<div style="font-size:0.65rem;color:var(--text-muted);margin-top:3px;text-transform:uppercase;font-weight:700;">' + esc(label) + '</div>' +
+        '</div><div style="display:flex;gap:5px;flex-shrink:0;">' + actions + '</div></div>';
+    }).join('');
+    const inviteRows = invites.map(inv =>
+      '<div style="' + rowCss + '"><div style="min-width:0;flex:1;font-size:0.8rem;color:var(--text-main);">' + esc(inv.email) +
+      ' <span style="font-size:0.65rem;color:var(--text-muted);">' + esc(_ORG_ROLE_LABELS[inv.role] + (inv.rep ? ' · ' + inv.rep : '')) + '</span></div>' +
+      '<button class="btn-theme" data-email="' + esc(inv.email) + '" onclick="revokeOrganisationInvite(this.dataset.email)" style="font-size:0.72rem;padding:4px 9px;color:var(--danger);border-color:rgba(239,68,68,0.3);">Revoke</button></div>'
+    ).join('');
+    panel.innerHTML =
+      '<div style="font-size:0.9rem;font-weight:700;color:var(--text-main);margin-bottom:10px;">' + esc(Organisation.name()) + '</div>' +
+      '<div class="grid-inputs" style="margin-bottom:10px;">' +
+      '<div class="field"><label>Invite Email</label><input type="email" id="org-invite-email" placeholder="staff@example.com" autocomplete="off"></div>' +
+      '<div class="field"><label>Role</label><select id="org-invite-role">' + _orgRoleOptions('rep') + '</select></div>' +
+      '<div class="field"><label>Sales Rep</label><select id="org-invite-rep">' + _orgRepOptions(null) + '</select></div>' +
+      '</div>' +
+      '<button class="btn btn-main u-h-42 u-fs-md2 u-fw-700" onclick="inviteOrganisationMember()" style="margin-bottom:14px;">Send Invite</button>' +
+      memberRows +
+      (inviteRows ? '<div style="font-size:0.72rem;color:var(--text-muted);font-weight:700;text-transform:uppercase;margin:12px 0 8px;">Pending Invites</div>' + inviteRows : '');
+  } catch (err) {
+    panel.innerHTML = _orgNote('Failed to load: ' + (err.message || ''), 'var(--danger)');
+    console.error('loadOrganisationPanel:', _safeErr(err));
+  }
+}
+
+function _orgMigrationCollections() {
+  return Object.keys(FirestoreToSQLiteMap).concat(PackedLayout.collections(),
+    ['settings', 'factorySettings', 'expenseCategories', 'appStores', 'personPhotos', 'deletions', 'keyring']);
+}
+
+async function createOrganisation() {
+  const name = document.getElementById('org-new-name')?.value || '';
+  const confirmed = await showGlassConfirm(
+    'Create "' + name.trim() + '" and move this account\'s cloud data into it?\n\nYou will be the owner. Staff you invite sign in with their own Google accounts.',
+    { title: 'Create Organisation', confirmText: 'Create', cancelText: 'Cancel' }
+  );
+  if (!confirmed) return;
+  try {
+    await Organisation.create(name);
+    try {
+      await Organisation.migrateUserData(_orgMigrationCollections());
+    } catch (e) {
+      console.warn('[Organisation] Data move paused; it resumes on next sign-in', _safeErr(e));
+    }
+    await CloudCipher.load(SyncBackend.current());
+    _promptUnpublishedKeyring();
+    await _resetSyncStateForFullUpload();
+    if (auth && auth.currentUser) saveTokenForSW(auth.currentUser).catch(() => {});
+    showToast('Organisation created. Moving your data into ' + Organisation.name() + '…', 'success');
+    subscribeToRealtime().catch(e => console.warn('subscribeToRealtime failed:', _safeErr(e)));
+    performOneClickSync(true, 'organisation');
+    await loadOrganisationPanel();
+  } catch (e) {
+    console.warn('[Organisation] Could not create organisation', _safeErr(e));
+    showToast(e.message || 'Could not create organisation', 'error');
+  }
+}
+
+async function inviteOrganisationMember() {
+  const email = document.getElementById('org-invite-email')?.value || '';
+  const role  = document.getElementById('org-invite-role')?.value || '';
+  const rep   = document.getElementById('org-invite-rep')?.value || null;
+  try {
+    await Organisation.invite(email, role, rep);
+    showToast('Invite saved. ' + email.trim() + ' can now sign in with Google.', 'success');
+    await loadOrganisationPanel();
+  } catch (e) {
+    console.warn('[Organisation] Could not invite member', _safeErr(e));
+    showToast(e.message || 'Could not send invite', 'error');
+  }
+}
+
+async function revokeOrganisationInvite(email) {
+  try {
+    await Organisation.revokeInvite(email);
+    showToast('Invite revoked: ' + email, 'info');
+    await loadOrganisationPanel();
+  } catch (e) {
+    console.warn('[Organisation] Could not revoke invite', _safeErr(e));
+    showToast(e.message || 'Could not revoke invite', 'error');
+  }
+}
+
+async function saveOrganisationMember(uid) {
+  const role = document.getElementById('org-role-' + uid)?.value || '';
+  const rep  = document.getElementById('org-rep-' + uid)?.value || null;
+  try {
+    await Organisation.updateMember(uid, role, rep);
+    showToast('Member updated', 'success');
+    await loadOrganisationPanel();
+  } catch (e) {
+    console.warn('[Organisation] Could not update member', _safeErr(e));
+    showToast(e.message || 'Could not update member', 'error');
+  }
+}
+
+async function removeOrganisationMember(uid, email) {
+  const confirmed = await showGlassConfirm(
+    'Remove ' + email + ' from ' + Organisation.name() + '?\n\nThey are signed out on every device and lose access to the shared data.',
+    { title: 'Remove Member', confirmText: 'Remove', cancelText: 'Cancel', danger: true }
+  );
+  if (!confirmed) return;
+  try {
+    await Organisation.removeMember(uid);
+    showToast('Removed from organisation: ' + email, 'success');
+    await loadOrganisationPanel();
+  } catch (e) {
+    console.warn('[Organisation] Could not remove member', _safeErr(e));
+    showToast(e.message || 'Could not remove member', 'error');
+  }
+}
+
 async function signOut() {
 try {
 
@@ -4428,6 +5655,7 @@ clearAutoBackup();
 if (typeof OfflineQueue !== 'undefined') OfflineQueue.cancelRetry();
 if (window._fbOfflineHandler) { window.removeEventListener('offline', window._fbOfflineHandler); window._fbOfflineHandler = null; }
 if (window._fbOnlineHandler)  { window.removeEventListener('online',  window._fbOnlineHandler);  window._fbOnlineHandler  = null; }
+if (window._fbVisibilityHandler) { document.removeEventListener('visibilitychange', window._fbVisibilityHandler); window._fbVisibilityHandler = null; }
 window._firebaseListenersRegistered = false;
 if (seamlessBackupTimer) { clearTimeout(seamlessBackupTimer); seamlessBackupTimer = null; }
 if (socketReconnectTimer) { clearTimeout(socketReconnectTimer); socketReconnectTimer = null; }
@@ -4563,7 +5791,7 @@ syncBtn.style.color = '#fff';
 } else {
 syncBtn.innerHTML = ' SYNC DATA';
 syncBtn.onclick = () => {
-performOneClickSync();
+performOneClickSync(false, 'manual');
 };
 syncBtn.style.removeProperty('background');
 syncBtn.style.setProperty('background-color', '#2563eb', 'important');
@@ -0,0 +1,85 @@
+const TombstoneGC = (() => {
+  const ACK_KEY     = 'tombstone_ack';
+  const HORIZON_KEY = 'tombstone_horizon';
+  const BATCH_LIMIT = 450;
+
+  const _ms = v => (v && typeof v.toMillis === 'function' ? v.toMillis() : Number(v) || 0);
+
+  async function _num(key) {
+    const v = Number(await sqliteStore.get(key));
+    return Number.isFinite(v) ? v : 0;
+  }
+
+  function acked() {
+    return _num(ACK_KEY);
+  }
+
+  function horizon() {
+    return _num(HORIZON_KEY);
+  }
+
+  async function ack(ms) {
+    if (ms > await acked()) await sqliteStore.set(ACK_KEY, ms);
+  }
+
+  async function stale(remoteHorizon) {
+    const local = await horizon();
+    const h = Math.max(_ms(remoteHorizon), local);
+    if (h > local) await sqliteStore.set(HORIZON_KEY, h);
+    return h > 0 && (await acked()) < h;
+  }
+
+  async function cutoff() {
+    const expiry = Date.now() - APP_CONFIG.TOMBSTONE_EXPIRY_MS;
+    if (!(await sqliteStore.get('firestore_initialized'))) return expiry;
+    return Math.min(expiry, await horizon());
+  }
+
+  async function prune(key, collection, local, cloud) {
+    const inCloud = new Set(ensureArray(cloud).map(r => String(r.id)));
+    const missing = local
+      .filter(r => r && r.id && !inCloud.has(String(r.id)) && !DeltaSync.isDirtyId(collection, r.id))
+      .map(r => String(r.id));
+    if (missing.length === 0) return local;
+    const bases = await sqliteStore.syncBases(key, missing);
+    const gone = new Set(missing.filter(id => bases.has(id)));
+    if (gone.size === 0) return local;
+    console.warn(`[TombstoneGC] Dropping ${gone.size} ${collection} record(s) deleted elsewhere while this device was away`);
+    return local.filter(r => !r || !r.id || !gone.has(String(r.id)));
+  }
+
+  async function safePoint(rootRef) {
+    const activeSince = Date.now() - APP_CONFIG.TOMBSTONE_EXPIRY_MS;
+    const snap = await rootRef.collection('devices').get();
+    const acks = snap.docs
+      .filter(d => d.id !== 'default_device' && _ms(d.get('lastSeen')) >= activeSince)
+      .map(d => _ms(d.get('tombstoneAck')));
+    return acks.length ? Math.min(...acks) : Date.now();
+  }
+
+  async function purge() {
+    const backend = SyncBackend.current();
+    if (!firebaseDB || backend.name !== 'firestore' || !Organisation.isAdmin()) return 0;
+    const rootRef = Organisation.rootRef();
+    const safe = await safePoint(rootRef);
+    const expired = await rootRef.collection('deletions')
+      .where('expiresAt', '<=', firebase.firestore.Timestamp.now())
+      .get();
+    const purgeable = expired.docs.filter(doc => _ms(doc.get('deletedAt')) <= safe);
+    if (purgeable.length === 0) return 0;
+    const reached = Math.max(...purgeable.map(doc => _ms(doc.get('deletedAt'))));
+    if (reached > await horizon()) {
+      await backend.put('settings', 'config', { tombstone_horizon: reached }, { merge: true });
+      await sqliteStore.set(HORIZON_KEY, reached);
+    }
+    for (let i = 0; i < purgeable.length; i += BATCH_LIMIT) {
+      const batch = firebaseDB.batch();
+      purgeable.slice(i, i + BATCH_LIMIT).forEach(doc => batch.delete(doc.ref));
+      await batch.commit();
+    }
+    return purgeable.length;
+  }
+
+  return { acked, horizon, ack, stale, cutoff, prune, safePoint, purge };
+})();
+window.TombstoneGC = TombstoneGC;
@@ -43,13 +43,62 @@ deadLetterQueue: [],
 isProcessing: false,
 maxRetries: APP_CONFIG.OFFLINE_MAX_RETRIES,
 retryDelay: APP_CONFIG.OFFLINE_RETRY_DELAY_MS,
+_legacyKey: 'offline_operation_queue',
 _dlKey: 'offline_dead_letter_queue',
+_ackFile: 'sw_outbox_acks.json',
+_toItem(row) {
+const item = {
+id: String(row.seq),
+seq: row.seq,
+key: row.key,
+operation: row.operation,
+timestamp: row.createdAt,
+retries: row.attempts,
+lastAttempt: row.lastAttempt,
+error: row.error
+};
+if (row.status === 'dead') {
+item.failedAt = row.lastAttempt;
+item.finalError = row.error || `Exhausted ${this.maxRetries} retries`;
+}
+return item;
+},
+async _refresh() {
+this.queue = (await sqliteStore.outboxList('pending')).map(row => this._toItem(row));
+this.deadLetterQueue = (await sqliteStore.outboxList('dead')).map(row => this._toItem(row));
+},
+async _migrateLegacy() {
+const legacy = await sqliteStore.get(this._legacyKey, []);
+const legacyDL = await sqliteStore.get(this._dlKey, []);
+if (Array.isArray(legacy)) {
+for (const item of legacy) {
+if (item && item.operation) await sqliteStore.outboxAdd(item.operation);
+}
+}
+if (Array.isArray(legacyDL) && legacyDL.length > 0) {
+const deadKeys = [];
+for (const item of legacyDL) {
+if (item && item.operation) deadKeys.push(await sqliteStore.outboxAdd(item.operation));
+}
+for (const row of await sqliteStore.outboxList('pending')) {
+if (deadKeys.includes(row.key)) await sqliteStore.outboxFail(row.seq, row.key, 'Failed before outbox upgrade', true);
+}
+}
+if (legacy !== null && legacy !== undefined) await sqliteStore.remove(this._legacyKey);
+if (legacyDL !== null && legacyDL !== undefined) await sqliteStore.remove(this._dlKey);
+},
+async _applyWorkerAcks() {
+const acks = await _OPFSStore.read(this._ackFile, '_sw_outbox_acks');
+const keys = Array.isArray(acks.keys) ? acks.keys : [];
+if (keys.length > 0) await sqliteStore.outboxAckKeys(keys);
+await _OPFSStore.remove(this._ackFile, '_sw_outbox_acks');
+},
 async init() {
 try {
-const savedQueue = await sqliteStore.get('offline_operation_queue', []);
-this.queue = Array.isArray(savedQueue) ? savedQueue : [];
-const savedDL = await sqliteStore.get(this._dlKey, []);
-this.deadLetterQueue = Array.isArray(savedDL) ? savedDL : [];
+await sqliteStore.init();
+await this._migrateLegacy();
+await this._applyWorkerAcks();
+await this._refresh();
 if (this.deadLetterQueue.length > 0) {
 this._renderDeadLetterPanel();
 }
@@ -57,76 +106,105 @@ if (this.queue.length > 0 && navigator.onLine) {
 this.processQueue();
 }
 } catch (error) {
+console.warn('[OfflineQueue] init failed:', _safeErr(error));
 this.queue = [];
 this.deadLetterQueue = [];
 }
 },
+_writeCount(operation) {
+const data = operation.data || {};
+if (operation.action === 'pack') return data.was ? 2 : 1;
+if (operation.action !== 'delete') return 1;
+return (operation.collection ? 1 : 0) + (operation.collection === 'deletions' ? 0 : 1) + (data.pack ? 1 : 0);
+},
 async add(operation) {
-if (operation.docId && operation.collection && operation.action) {
-const existingIdx = this.queue.findIndex(item =>
-item.operation.action === operation.action &&
-item.operation.collection === operation.collection &&
-item.operation.docId === operation.docId
-);
-if (existingIdx !== -1) {
-this.queue[existingIdx].operation = operation;
-this.queue[existingIdx].timestamp = Date.now();
-this.queue[existingIdx].retries = 0;
-this.queue[existingIdx].error = null;
-await this.saveQueue();
-return;
+if (operation.action === 'delete' && operation.collection && !operation.data) {
+const pack = await PackedLayout.target(operation.collection, operation.docId);
+if (pack) operation = { ...operation, data: { pack } };
+}
+if (operation.group) {
+const writes = this.queue
+.filter(item => item.operation.group === operation.group)
+.reduce((n, item) => n + this._writeCount(item.operation), this._writeCount(operation));
+if (writes > APP_CONFIG.SYNC_GROUP_MAX_WRITES) {
+const err = new Error(`Sync group needs ${writes} writes, over the ${APP_CONFIG.SYNC_GROUP_MAX_WRITES}-write limit`);
+err.code = 'group-too-large';
+console.warn('[OfflineQueue] rejected oversized group:', _safeErr(err));
+showToast('Too many linked changes to queue together — sync once you are back online', 'warning', 5000);
+throw err;
 }
 }
-const queueItem = {
-id: generateUUID('offline'),
-operation: operation,
-timestamp: Date.now(),
-retries: 0,
-lastAttempt: null,
-error: null
-};
-this.queue.push(queueItem);
-await this.saveQueue();
+try {
+await sqliteStore.outboxAdd(operation);
+await this._refresh();
+} catch (error) {
+console.warn('[OfflineQueue] could not write to outbox:', _safeErr(error));
+throw error;
+}
 if (navigator.onLine) {
 this.processQueue();
 } else if ('serviceWorker' in navigator && 'SyncManager' in window) {
-navigator.serviceWorker.ready.then((reg) => {
+sqliteStore.flush()
+.catch(e => console.warn('[OfflineQueue] could not save the outbox before background sync:', _safeErr(e)))
+.then(() => navigator.serviceWorker.ready)
+.then((reg) => {
 reg.sync.register('offline-queue-sync').catch(() => {});
 }).catch(() => {});
 }
 },
-async saveQueue() {
-try {
-await sqliteStore.init();
-await sqliteStore.set('offline_operation_queue', this.queue);
-} catch (error) {
-console.warn('[OfflineQueue] saveQueue failed:', _safeErr(error));
-}
+async acknowledge(keys) {
+if (!Array.isArray(keys) || keys.length === 0) return;
+await sqliteStore.outboxAckKeys(keys);
+await this._refresh();
 },
-async saveDeadLetterQueue() {
-try {
-await sqliteStore.set(this._dlKey, this.deadLetterQueue);
-} catch (error) {
-console.error('Failed to persist dead-letter queue.', _safeErr(error));
-}
+async discard(predicate) {
+await this._refresh();
+const doomed = this.queue.concat(this.deadLetterQueue).filter(predicate);
+if (doomed.length === 0) return 0;
+await sqliteStore.outboxDiscard(doomed.map(item => item.seq));
+await this._refresh();
+this._renderDeadLetterPanel();
+return doomed.length;
 },
 async processQueue() {
-if (this.isProcessing || this.queue.length === 0 || !navigator.onLine) {
+if (this.isProcessing || !navigator.onLine) {
+return;
+}
+if (sqliteStore.engineMode() === 'follower') {
 return;
 }
 this.isProcessing = true;
-const itemsToProcess = [...this.queue];
-const successfulIds = [];
-for (const item of itemsToProcess) {
-if (item.retries >= this.maxRetries) {
-const dlEntry = {
-...item,
-failedAt: Date.now(),
-finalError: item.error || `Exhausted ${this.maxRetries} retries`
-};
-this.deadLetterQueue.push(dlEntry);
-await this.saveDeadLetterQueue();
-successfulIds.push(item.id);
+try {
+await this._refresh();
+const blockedDocs = new Set();
+let newlyDead = 0;
+for (const items of this._groups(this.queue)) {
+const docKeys = items.map(item => `${item.operation.collection}/${item.operation.docId}`);
+if (docKeys.some(k => blockedDocs.has(k))) {
+docKeys.forEach(k => blockedDocs.add(k));
+continue;
+}
+try {
+await this.executeGroup(items.map(item => item.operation));
+for (const item of items) await sqliteStore.outboxAck(item.seq, item.key);
+} catch (error) {
+docKeys.forEach(k => blockedDocs.add(k));
+const retries = Math.max(...items.map(item => item.retries));
+const dead = error.code === 'group-too-large' || retries + 1 >= this.maxRetries;
+console.warn('[OfflineQueue] operation failed' + (dead ? ', moved to failed ops:' : ', will retry:'), _safeErr(error));
+for (const item of items) {
+await sqliteStore.outboxFail(item.seq, item.key, error.code ? `${error.code}: ${error.message}` : error.message, dead);
+}
+if (dead) {
+newlyDead += items.length;
+continue;
+}
+const backoff = Math.min(this.retryDelay * Math.pow(2, retries), APP_CONFIG.OFFLINE_MAX_BACKOFF_MS);
+await new Promise(resolve => setTimeout(resolve, backoff));
+}
+}
+await this._refresh();
+if (newlyDead > 0) {
 this._renderDeadLetterPanel();
 this._scheduleDlqAutoRetry();
 showToast(
@@ -134,54 +212,77 @@ showToast(
 'error',
 6000
 );
-continue;
 }
-try {
-await this.executeOperation(item.operation);
-successfulIds.push(item.id);
 } catch (error) {
-console.warn('[OfflineQueue] operation failed, will retry:', _safeErr(error));
-item.retries++;
-item.lastAttempt = Date.now();
-item.error = error.message;
-const backoff = Math.min(this.retryDelay * Math.pow(2, item.retries - 1), APP_CONFIG.OFFLINE_MAX_BACKOFF_MS);
-await new Promise(resolve => setTimeout(resolve, backoff));
-}
-}
-this.queue = this.queue.filter(item => !successfulIds.includes(item.id));
-await this.saveQueue();
+console.warn('[OfflineQueue] processQueue failed:', _safeErr(error));
+} finally {
 this.isProcessing = false;
+}
 if (this.queue.length > 0 && navigator.onLine) {
 if (this._retryTimer) clearTimeout(this._retryTimer);
 this._retryTimer = setTimeout(() => { this._retryTimer = null; this.processQueue(); }, 15000);
 }
 },
+_groups(items) {
+const units = [];
+const byGroup = new Map();
+for (const item of items) {
+const group = item.operation.group;
+if (!group) { units.push([item]); continue; }
+if (!byGroup.has(group)) {
+byGroup.set(group, []);
+units.push(byGroup.get(group));
+}
+byGroup.get(group).push(item);
+}
+return units;
+},
 async retryDeadLetter(id) {
-const idx = this.deadLetterQueue.findIndex(e => e.id === id);
-if (idx === -1) return;
-const entry = this.deadLetterQueue.splice(idx, 1)[0];
-await this.saveDeadLetterQueue();
-const fresh = { ...entry, retries: 0, error: null, lastAttempt: null };
-delete fresh.failedAt;
-delete fresh.finalError;
-this.queue.push(fresh);
-await this.saveQueue();
+const entry = this.deadLetterQueue.find(e => e.id === id);
+if (!entry) return;
+const group = entry.operation.group;
+await sqliteStore.outboxRevive(group
+? this.deadLetterQueue.filter(e => e.operation.group === group).map(e => e.seq)
+: [entry.seq]);
+await this._refresh();
 this._renderDeadLetterPanel();
 if (navigator.onLine) this.processQueue();
 showToast('Operation re-queued for upload', 'info', 3000);
 },
-async dismissDeadLetter(id) {
-this.deadLetterQueue = this.deadLetterQueue.filter(e => e.id !== id);
-await this.saveDeadLetterQueue();
+async dismissDeadLetter(id, reason = 'Dismissed from failed ops list') {
+const entry = this.deadLetterQueue.find(e => e.id === id);
+if (!entry) return;
+await this._recordDiscards([entry], reason);
+await sqliteStore.outboxDiscard([entry.seq]);
+await this._refresh();
 this._renderDeadLetterPanel();
 showToast('Failed operation dismissed', 'info', 2500);
 },
 async dismissAllDeadLetters() {
-this.deadLetterQueue = [];
-await this.saveDeadLetterQueue();
+await this._recordDiscards(this.deadLetterQueue, 'Dismissed all failed ops');
+await sqliteStore.outboxDiscard(this.deadLetterQueue.map(e => e.seq));
+await this._refresh();
 this._renderDeadLetterPanel();
 showToast('All failed operations cleared', 'info', 2500);
 },
+_discardLogKey: 'outbox_discards',
+async _recordDiscards(entries, reason) {
+if (entries.length === 0) return;
+try {
+const log = await sqliteStore.get(this._discardLogKey, []);
+const stamped = entries.map(entry => ({
+at: Date.now(),
+reason: reason,
+operation: entry.operation,
+error: entry.finalError,
+attempts: entry.retries,
+failedAt: entry.failedAt
+}));
+await sqliteStore.set(this._discardLogKey, (Array.isArray(log) ? log : []).concat(stamped).slice(-200));
+} catch (error) {
+console.warn('[OfflineQueue] could not record discard reason:', _safeErr(error));
+}
+},
 dlqAutoRetryDelay: 30 * 60 * 1000,
 _dlqAutoRetryTimer: null,
 _scheduleDlqAutoRetry() {
@@ -190,17 +291,11 @@ _scheduleDlqAutoRetry() {
   this._dlqAutoRetryTimer = setTimeout(async () => {
     try {
       this._dlqAutoRetryTimer = null;
+      await this._refresh();
       if (this.deadLetterQueue.length === 0) return;
       showToast('\uD83D\uDD04 Auto-retrying ' + this.deadLetterQueue.length + ' failed operation(s)\u2026', 'info', 4000);
-      const items = [...this.deadLetterQueue];
-      this.deadLetterQueue = [];
-      await this.saveDeadLetterQueue();
-      for (const entry of items) {
-        const fresh = { ...entry, retries: 0, error: null, lastAttempt: null };
-        delete fresh.failedAt; delete fresh.finalError;
-        this.queue.push(fresh);
-      }
-      await this.saveQueue();
+      await sqliteStore.outboxRevive(this.deadLetterQueue.map(e => e.seq));
+      await this._refresh();
       this._renderDeadLetterPanel();
       if (navigator.onLine) await this.processQueue();
       if (this.deadLetterQueue.length > 0) {
@@ -209,9 +304,30 @@ _scheduleDlqAutoRetry() {
     } catch (e) { console.warn('[DLQ] Auto-retry error:', _safeErr(e)); }
   }, this.dlqAutoRetryDelay);
 },
-exportDeadLetterQueue() {
+async exportDeadLetterQueue() {
+  await this._refresh();
   if (this.deadLetterQueue.length === 0) { showToast('No failed operations to export', 'info', 2500); return; }
-  const blob = new Blob([JSON.stringify(this.deadLetterQueue, null, 2)], { type: 'application/json' });
+  const failures = [];
+  for (const entry of this.deadLetterQueue) {
+    failures.push({
+      seq: entry.seq,
+      key: entry.key,
+      operation: entry.operation,
+      error: entry.finalError,
+      attempts: entry.retries,
+      queuedAt: entry.timestamp,
+      failedAt: entry.failedAt,
+      localRecord: await this._localRecord(entry.operation)
+    });
+  }
+  const report = {
+    exportedAt: new Date().toISOString(),
+    appVersion: APP_CONFIG.CACHE_VERSION,
+    userAgent: navigator.userAgent,
+    failures,
+    recentDiscards: await sqliteStore.get(this._discardLogKey, [])
+  };
+  const blob = new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' });
   const url = URL.createObjectURL(blob);
   const a = document.createElement('a');
   a.href = url;
@@ -247,22 +363,40 @@ if (dlBadge) {
 dlBadge.textContent = ` ${count} failed op${count !== 1 ? 's' : ''}`;
 }
 if (document.getElementById('dl-queue-modal')) {
+if (this._inspecting && this.deadLetterQueue.some(e => e.id === this._inspecting)) {
+this.inspectDeadLetter(this._inspecting);
+} else {
 this._showDeadLetterModal();
 }
+}
 },
-_showDeadLetterModal() {
+_inspecting: null,
+_deadLetterModal() {
 const existing = document.getElementById('dl-queue-modal');
 if (existing) existing.remove();
-if (this.deadLetterQueue.length === 0) return;
 const modal = document.createElement('div');
 modal.id = 'dl-queue-modal';
 modal.setAttribute('role', 'dialog');
 modal.setAttribute('aria-modal', 'true');
 modal.setAttribute('aria-label', 'Failed operations');
+modal.addEventListener('click', e => { if (e.target === modal) { this._inspecting = null; modal.remove(); } });
+document.body.appendChild(modal);
+return modal;
+},
+_deadLetterLabel(op) {
+return [op.action, op.collection, op.docId ? op.docId.slice(0, 8) + '…' : ''].filter(Boolean).join(' · ');
+},
+_showDeadLetterModal() {
+this._inspecting = null;
+if (this.deadLetterQueue.length === 0) {
+const existing = document.getElementById('dl-queue-modal');
+if (existing) existing.remove();
+return;
+}
+const modal = this._deadLetterModal();
 const rows = this.deadLetterQueue.map(entry => {
 const ts = entry.failedAt ? new Date(entry.failedAt).toLocaleString() : '—';
-const op = entry.operation || {};
-const label = [op.action, op.collection, op.docId ? op.docId.slice(0, 8) + '…' : ''].filter(Boolean).join(' · ');
+const label = this._deadLetterLabel(entry.operation || {});
 const errText = esc(entry.finalError || '');
 return `<div class="dl-queue-row" data-id="${esc(entry.id)}">
 <div class="dl-queue-row-info">
@@ -271,8 +405,8 @@ return `<div class="dl-queue-row" data-id="${esc(entry.id)}">
 ${errText ? `<span class="dl-queue-error">${errText}</span>` : ''}
 </div>
 <div class="dl-queue-actions">
+<button class="dl-btn dl-btn-inspect" onclick="OfflineQueue.inspectDeadLetter('${esc(entry.id)}')">Inspect</button>
 <button class="dl-btn dl-btn-retry" onclick="OfflineQueue.retryDeadLetter('${esc(entry.id)}')">Retry</button>
-<button class="dl-btn dl-btn-dismiss" onclick="OfflineQueue.dismissDeadLetter('${esc(entry.id)}')">Dismiss</button>
 </div>
 </div>`;
 }).join('');
@@ -281,69 +415,175 @@ modal.innerHTML = `
 <div class="dl-queue-header">
 <h3 class="dl-queue-title"> Failed Uploads</h3>
 </div>
-<p class="dl-queue-subtitle">These operations exhausted all ${this.maxRetries} retry attempts. Retry to re-attempt upload, or dismiss to discard.</p>
+<p class="dl-queue-subtitle">These operations exhausted all ${this.maxRetries} retry attempts. Inspect one to see its payload and the local record, edit and replay it, or discard it with a reason.</p>
 <div class="dl-queue-list">${rows}</div>
 <div class="dl-queue-footer">
 <button class="dl-btn dl-btn-export" onclick="OfflineQueue.exportDeadLetterQueue()" title="Save failed operations as JSON">Export JSON</button>
 <button class="dl-btn dl-btn-dismiss-all" onclick="OfflineQueue.dismissAllDeadLetters()">Dismiss all</button>
 </div>
 </div>`;
-modal.addEventListener('click', e => { if (e.target === modal) modal.remove(); });
-document.body.appendChild(modal);
 },
-async executeOperation(operation) {
-if (!firebaseDB || !currentUser) {
-throw new Error('Database or user not available');
+async _localRecord(operation) {
+if (!operation || !operation.collection) return null;
+try {
+const key = typeof getSQLiteKey === 'function' ? getSQLiteKey(operation.collection) : operation.collection;
+const stored = await sqliteStore.get(key, null);
+if (Array.isArray(stored)) {
+return stored.find(r => r && String(r.id) === String(operation.docId)) || null;
+}
+if (stored && typeof stored === 'object' && operation.docId in stored) {
+return stored[operation.docId];
+}
+return null;
+} catch (error) {
+console.warn('[OfflineQueue] could not read local record:', _safeErr(error));
+return null;
+}
+},
+async inspectDeadLetter(id) {
+const entry = this.deadLetterQueue.find(e => e.id === id);
+if (!entry) { this._showDeadLetterModal(); return; }
+const op = entry.operation || {};
+const local = await this._localRecord(op);
+const editable = op.action !== 'delete';
+this._inspecting = id;
+const modal = this._deadLetterModal();
+const localNote = op.action === 'delete'
+? (local ? 'This record still exists locally — it may have been restored after the delete was queued.' : 'The record is gone locally, as expected for a delete.')
+: (local ? '' : 'This record no longer exists locally.');
+modal.innerHTML = `
+<div class="dl-queue-card">
+<div class="dl-queue-header">
+<h3 class="dl-queue-title">${esc(this._deadLetterLabel(op))}</h3>
+<button class="dl-btn dl-btn-dismiss" onclick="OfflineQueue._showDeadLetterModal()">Back</button>
+</div>
+<p class="dl-queue-subtitle">
+Queued ${entry.timestamp ? new Date(entry.timestamp).toLocaleString() : '—'} ·
+failed ${entry.failedAt ? new Date(entry.failedAt).toLocaleString() : '—'} after ${entry.retries} attempt${entry.retries !== 1 ? 's' : ''}
+</p>
+<div class="dl-queue-list">
+<span class="dl-queue-error">${esc(entry.finalError || 'No error recorded')}</span>
+${editable ? `
+<label class="dl-queue-section">Payload to upload</label>
+<textarea id="dl-queue-editor" class="dl-queue-editor" spellcheck="false">${esc(JSON.stringify(op.data, null, 2))}</textarea>` : ''}
+<label class="dl-queue-section">Current local record</label>
+${localNote ? `<span class="dl-queue-time">${esc(localNote)}</span>` : ''}
+${local ? `<pre class="dl-queue-pre">${esc(JSON.stringify(local, null, 2))}</pre>` : ''}
+<label class="dl-queue-section" for="dl-queue-reason">Reason (required to discard)</label>
+<input id="dl-queue-reason" class="dl-queue-reason" type="text" maxlength="200" placeholder="e.g. duplicate of an entry already in the cloud">
+</div>
+<div class="dl-queue-footer dl-queue-actions">
+${editable && local ? `<button class="dl-btn dl-btn-dismiss" onclick="OfflineQueue.rebaseDeadLetter('${esc(id)}')">Use local version</button>` : ''}
+<button class="dl-btn dl-btn-retry" onclick="OfflineQueue.replayDeadLetter('${esc(id)}')">Replay</button>
+<button class="dl-btn dl-btn-discard" onclick="OfflineQueue.discardDeadLetter('${esc(id)}')">Discard</button>
+</div>
+</div>`;
+},
+async rebaseDeadLetter(id) {
+const entry = this.deadLetterQueue.find(e => e.id === id);
+const editor = document.getElementById('dl-queue-editor');
+if (!entry || !editor) return;
+const local = await this._localRecord(entry.operation);
+if (!local) { showToast('This record no longer exists locally', 'warning', 3000); return; }
+const data = entry.operation.action === 'pack' ? { ...entry.operation.data, record: sanitizeForFirestore(local) } : local;
+editor.value = JSON.stringify(data, null, 2);
+showToast('Payload replaced with the latest local version — review it, then Replay', 'info', 3500);
+},
+async replayDeadLetter(id) {
+const entry = this.deadLetterQueue.find(e => e.id === id);
+if (!entry) return;
+const editor = document.getElementById('dl-queue-editor');
+if (editor) {
+let data;
+try {
+data = JSON.parse(editor.value);
+} catch (error) {
+showToast('Payload is not valid JSON: ' + error.message, 'error', 4000);
+return;
 }
+if (JSON.stringify(data) !== JSON.stringify(entry.operation.data)) {
+await sqliteStore.outboxEdit(entry.seq, data);
+await this._refresh();
+this._inspecting = null;
+this._showDeadLetterModal();
+this._renderDeadLetterPanel();
+if (navigator.onLine) this.processQueue();
+showToast('Edited operation re-queued for upload', 'info', 3000);
+return;
+}
+}
+this._inspecting = null;
+await this.retryDeadLetter(id);
+this._showDeadLetterModal();
+},
+async discardDeadLetter(id) {
+const input = document.getElementById('dl-queue-reason');
+const reason = input ? input.value.trim() : '';
+if (!reason) {
+showToast('Enter a reason before discarding', 'warning', 3000);
+if (input) input.focus();
+return;
+}
+this._inspecting = null;
+await this.dismissDeadLetter(id, reason);
+this._showDeadLetterModal();
+},
+_stageOperation(batch, backend, operation) {
 const { collection, docId, data, action } = operation;
-const userRef = firebaseDB.collection('users').doc(currentUser.uid);
 switch (action) {
 case 'set': {
 const setData = (data && typeof data === 'object') ? { ...data } : data;
 if (setData && !setData.isMerged) {
-setData.updatedAt = firebase.firestore.FieldValue.serverTimestamp();
-}
-
-if (collection === 'inventory') {
-  await userRef.collection(collection).doc(docId).set(setData);
-} else {
-  await userRef.collection(collection).doc(docId).set(setData, { merge: true });
-}
-trackFirestoreWrite(1);
-
-if (typeof DeltaSync !== 'undefined') {
-  DeltaSync.markUploaded(collection, docId);
-  await DeltaSync.setLastSyncTimestamp(collection);
+setData.updatedAt = backend.serverTimestamp();
 }
+batch.put(collection, docId, setData, { merge: collection !== 'inventory' });
 break;
 }
 case 'update':
-await userRef.collection(collection).doc(docId).update(data);
-trackFirestoreWrite(1);
+case 'set-doc':
+batch.put(collection, docId, data, { merge: true });
+break;
+case 'pack':
+batch.put(data.pack.collection, data.pack.docId, { ...data.pack.head, updatedAt: backend.serverTimestamp(), [data.pack.field]: data.record }, { merge: true });
+if (data.was) batch.put(data.was.collection, data.was.docId, { ...data.was.head, [data.was.field]: backend.deleteField() }, { merge: true });
 break;
 case 'delete':
-const deleteBatch = firebaseDB.batch();
-deleteBatch.delete(userRef.collection(collection).doc(docId));
-const tombstoneRef = userRef.collection('deletions').doc(docId);
-deleteBatch.set(tombstoneRef, {
+if (collection) batch.remove(collection, docId);
+if (data && data.pack) batch.put(data.pack.collection, data.pack.docId, { ...data.pack.head, [data.pack.field]: backend.deleteField() }, { merge: true });
+if (collection === 'deletions') break;
+const deletedAt = operation.createdAt || Date.now();
+batch.put('deletions', docId, {
 id: docId,
 recordId: docId,
-collection: collection,
+collection: collection || operation.recordType || 'unknown',
 recordType: operation.recordType || collection,
-deletedAt: firebase.firestore.Timestamp.now(),
-expiresAt: firebase.firestore.Timestamp.fromMillis(Date.now() + (90 * 24 * 60 * 60 * 1000))
+deletedAt: backend.timestamp(deletedAt),
+expiresAt: backend.timestamp(deletedAt + APP_CONFIG.TOMBSTONE_EXPIRY_MS)
 }, { merge: true });
-await deleteBatch.commit();
-trackFirestoreWrite(2);
-break;
-case 'set-doc':
-await userRef.collection(collection).doc(docId).set(data, { merge: true });
-trackFirestoreWrite(1);
 break;
 default:
 throw new Error(`Unknown operation action: ${action}`);
 }
 },
+async executeGroup(operations) {
+const backend = SyncBackend.current();
+if (!backend.ready()) {
+throw new Error('Database or user not available');
+}
+const batch = backend.batch({ atomic: true });
+operations.forEach(op => this._stageOperation(batch, backend, op));
+await batch.commit();
+if (typeof DeltaSync === 'undefined') return;
+for (const op of operations) {
+if (op.action !== 'set' && op.action !== 'pack') continue;
+DeltaSync.markUploaded(op.collection, op.docId);
+await DeltaSync.setLastSyncTimestamp(op.collection);
+if (op.action === 'pack') await sqliteStore.setSyncBases(getSQLiteKey(op.collection), [op.data.record]).catch(() => {});
+}
+},
+async executeOperation(operation) {
+return this.executeGroup([operation]);
+},
 getQueueStatus() {
 return {
 pendingCount: this.queue.length,
@@ -664,7 +904,7 @@ clearTimeout(autoSyncTimeout);
 autoSyncTimeout = setTimeout(async () => {
 if (typeof isSyncing !== 'undefined' && isSyncing) return;
 try {
-await pushDataToCloud(true);
+await pushDataToCloud(true, 'local-change');
 } catch (error) {
 if (navigator.onLine) {
 const _errMsg = (error && (error.message || error.code || error.name))
@@ -1124,9 +1364,7 @@ const salesCustomers = ensureArray(await sqliteStore.get('sales_customers'));
 const factoryDefaultFormulas = (await sqliteStore.get('factory_default_formulas')) || {};
 const factoryAdditionalCosts = (await sqliteStore.get('factory_additional_costs')) || {};
 const factoryUnitTracking = (await sqliteStore.get('factory_unit_tracking')) || {};
-if (appMode === 'userrole' && !(window._userRoleAllowedTabs || []).includes('prod')) {
-showToast('Access Denied — Production not in your assigned tabs', 'warning', 3000); return;
-}
+if (!Permissions.check('production.create')) return;
 const netElement = document.getElementById('net-wt');
 const dateElement = document.getElementById('sys-date');
 const storeElement = document.getElementById('storeSelector');
@@ -1263,6 +1501,13 @@ function _dedupDeletionRecordsLocal(arr) {
   return Array.from(seen.values());
 }
 
+function _currentActorName() {
+  const _mode = typeof appMode !== 'undefined' ? appMode : 'admin';
+  if (_mode === 'rep') return (typeof currentRepProfile !== 'undefined' && currentRepProfile) ? currentRepProfile : 'Sales Rep';
+  if (_mode === 'userrole' || _mode === 'production' || _mode === 'factory') return (window._assignedManagerName) ? window._assignedManagerName : (_mode === 'userrole' ? 'User Role' : _mode === 'production' ? 'Production' : 'Factory');
+  return 'Admin';
+}
+
 async function registerDeletion(id, collectionName = 'unknown', preDeletedRecord = null) {
 
 const deletionRecords = ensureArray(await sqliteStore.get('deletion_records'));
@@ -1354,12 +1599,7 @@ deletedAt: now,
 collection: collectionName,
 syncedToCloud: false,
 tombstoned_at: now,
-deleted_by: (() => {
-  const _mode = typeof appMode !== 'undefined' ? appMode : 'admin';
-  if (_mode === 'rep') return (typeof currentRepProfile !== 'undefined' && currentRepProfile) ? currentRepProfile : 'Sales Rep';
-  if (_mode === 'userrole' || _mode === 'production' || _mode === 'factory') return (window._assignedManagerName) ? window._assignedManagerName : (_mode === 'userrole' ? 'User Role' : _mode === 'production' ? 'Production' : 'Factory');
-  return 'Admin';
-})(),
+deleted_by: _currentActorName(),
 deletion_version: '2.0',
 displayName: _snapshot.displayName || null,
 displayDetail: _snapshot.displayDetail || null,
@@ -1582,7 +1822,8 @@ _captureRecordSnapshot._fromObj = function(snapshotObj, collectionName) {
 };
 async function uploadDeletionToCloud(deletionRecord) {
 const deletionRecords = ensureArray(await sqliteStore.get('deletion_records'));
-if (!firebaseDB || typeof currentUser === 'undefined' || !currentUser) {
+const backend = SyncBackend.current();
+if (!backend.ready()) {
 return;
 }
 if (window._firestoreNetworkDisabled || !navigator.onLine) {
@@ -1598,29 +1839,27 @@ data: null
 return;
 }
 try {
-const userRef = firebaseDB.collection('users').doc(currentUser.uid);
-const batch = firebaseDB.batch();
-const deletionsRef = userRef.collection('deletions').doc(String(deletionRecord.id));
-batch.set(deletionsRef, {
+const batch = backend.batch();
+batch.put('deletions', deletionRecord.id, {
 id: String(deletionRecord.id),
 recordId: String(deletionRecord.id),
-deletedAt: firebase.firestore.Timestamp.fromMillis(deletionRecord.deletedAt),
+deletedAt: backend.timestamp(deletionRecord.deletedAt),
 collection: deletionRecord.collection,
 recordType: deletionRecord.collection,
-expiresAt: firebase.firestore.Timestamp.fromMillis(deletionRecord.deletedAt + (90 * 24 * 60 * 60 * 1000)),
+expiresAt: backend.timestamp(deletionRecord.deletedAt + (90 * 24 * 60 * 60 * 1000)),
 displayName: deletionRecord.displayName || null,
 displayDetail: deletionRecord.displayDetail || null,
 displayAmount: deletionRecord.displayAmount || null,
 snapshot: deletionRecord.snapshot ? (typeof sanitizeForFirestore === 'function' ? sanitizeForFirestore({...deletionRecord.snapshot}) : deletionRecord.snapshot) : null,
 deleted_by: deletionRecord.deleted_by || 'user',
 deletion_version: deletionRecord.deletion_version || '2.0'
-});
+}, { merge: false });
 if (deletionRecord.collection && deletionRecord.collection !== 'unknown') {
-const itemRef = userRef.collection(deletionRecord.collection).doc(String(deletionRecord.id));
-batch.delete(itemRef);
+batch.remove(deletionRecord.collection, deletionRecord.id);
+const packRemoval = await PackedLayout.removal(backend, deletionRecord.collection, deletionRecord.id, deletionRecord.snapshot);
+if (packRemoval) batch.put(packRemoval.collection, packRemoval.docId, packRemoval.data, { merge: true });
 }
 await batch.commit();
-trackFirestoreWrite(2);
 if (Array.isArray(deletionRecords)) {
 const index = deletionRecords.findIndex(r => String(r.id) === String(deletionRecord.id) || String(r.recordId) === String(deletionRecord.id));
 if (index > -1) {
@@ -1645,30 +1884,21 @@ data: null
 async function cleanupOldDeletions() {
 const deletionRecords = ensureArray(await sqliteStore.get('deletion_records'));
 const deletedRecordIds = new Set(ensureArray(await sqliteStore.get('deleted_records')));
-const threeMonthsAgo = Date.now() - (90 * 24 * 60 * 60 * 1000);
-const validDeletions = deletionRecords.filter(record => record.deletedAt > threeMonthsAgo);
+const purgeBefore = await TombstoneGC.cutoff();
+const validDeletions = deletionRecords.filter(record => record.deletedAt > purgeBefore);
 if (validDeletions.length !== deletionRecords.length) {
 const expiredIds = new Set(
-  deletionRecords.filter(r => r.deletedAt <= threeMonthsAgo).map(r => r.id)
+  deletionRecords.filter(r => r.deletedAt <= purgeBefore).map(r => r.id)
 );
 expiredIds.forEach(id => deletedRecordIds.delete(id));
 await sqliteStore.set('deletion_records', validDeletions);
 await sqliteStore.set('deleted_records', Array.from(deletedRecordIds));
 }
 if (firebaseDB && typeof currentUser !== 'undefined' && currentUser &&
+SyncBackend.current().name === 'firestore' &&
 !window._firestoreNetworkDisabled && navigator.onLine) {
 try {
-const userRef = firebaseDB.collection('users').doc(currentUser.uid);
-const expiredQuery = userRef.collection('deletions')
-.where('expiresAt', '<=', firebase.firestore.Timestamp.now());
-const snapshot = await expiredQuery.get();
-if (!snapshot.empty) {
-const batch = firebaseDB.batch();
-snapshot.docs.forEach(doc => {
-batch.delete(doc.ref);
-});
-await batch.commit();
-}
+await TombstoneGC.purge();
 } catch (error) {
 console.warn('[cleanupOldDeletions] cloud cleanup failed, will retry when online:', _safeErr(error));
 }
@@ -1796,6 +2026,89 @@ async function _togglePreclosePanel(btn, panelId, recordId, storeKey, type) {
   btn.classList.add('active');
 }
 
+const _HISTORY_ACTION_LABELS = { create: 'Created', update: 'Edited', revert: 'Reverted' };
+
+function _historyValue(v) {
+  if (v === undefined) return '—';
+  const t = (v !== null && typeof v === 'object') ? JSON.stringify(v) : String(v);
+  return esc(t.length > 60 ? t.slice(0, 57) + '…' : t);
+}
+
+async function _buildHistoryPanel(storeKey, recordId) {
+  const history = await sqliteStore.recordHistory(storeKey, recordId);
+  let html = '<div class="txn-preclose-section">Change History</div>';
+  if (!history.length) {
+    return html + '<div class="txn-preclose-row"><span class="txn-preclose-label">No edits recorded for this entry yet</span></div>';
+  }
+  const safeKey = String(storeKey).replace(/'/g, "\\'");
+  const safeId  = String(recordId).replace(/'/g, "\\'");
+  for (const h of history) {
+    const when   = new Date(h.at).toLocaleString('en-GB', { day: '2-digit', month: 'short', year: '2-digit', hour: '2-digit', minute: '2-digit' });
+    const device = h.device ? ` · ${esc(String(h.device).slice(-6))}` : '';
+    let changes;
+    if (!h.changes) {
+      changes = '<div class="txn-history-change u-text-muted">Details cannot be decrypted on this device</div>';
+    } else {
+      changes = Object.entries(h.changes).map(([f, d]) => h.action === 'create'
+        ? `<div class="txn-history-change">${esc(f)}: ${_historyValue(d.to)}</div>`
+        : `<div class="txn-history-change">${esc(f)}: ${_historyValue(d.from)} → ${_historyValue(d.to)}</div>`
+      ).join('');
+    }
+    const revert = (h.action !== 'create' && h.changes)
+      ? `<button class="txn-history-revert" onclick="revertRecordChange('${safeKey}','${safeId}',${Number(h.seq)})">Revert to before this</button>`
+      : '';
+    html += `<div class="txn-history-entry">
+      <div class="txn-history-meta"><span>${_HISTORY_ACTION_LABELS[h.action] || esc(h.action)} · ${esc(h.actor || 'Unknown')}${device}</span><span>${when}</span></div>
+      ${changes}${revert}
+    </div>`;
+  }
+  return html;
+}
+
+async function _toggleHistoryPanel(btn, panelId, recordId, storeKey) {
+  const panel = document.getElementById(panelId);
+  if (!panel) return;
+  if (panel.classList.contains('open')) {
+    panel.classList.remove('open');
+    btn.classList.remove('active');
+    return;
+  }
+  try {
+    panel.innerHTML = await _buildHistoryPanel(storeKey, recordId);
+  } catch(e) { console.warn('history panel build error', e); return; }
+  panel.dataset.historyKey = storeKey;
+  panel.dataset.historyId  = String(recordId);
+  panel.classList.add('open');
+  btn.classList.add('active');
+}
+
+async function revertRecordChange(storeKey, recordId, seq) {
+  const ok = await showGlassConfirm('Restore this entry to how it was before this change? Any later edits to it will be undone too.', {
+    title: 'Revert Change', confirmText: 'Revert', cancelText: 'Cancel'
+  });
+  if (!ok) return;
+  try {
+    const version = await sqliteStore.recordVersion(storeKey, recordId, seq - 1);
+    if (!version) { showToast('This version can no longer be reconstructed', 'error'); return; }
+    const records = ensureArray(await sqliteStore.get(storeKey));
+    const idx = records.findIndex(r => r && String(r.id) === String(recordId));
+    if (idx < 0) { showToast('Entry not found — it may have been deleted', 'error'); return; }
+    version.updatedAt = getTimestamp();
+    records[idx] = version;
+    await unifiedSave(storeKey, records, version, null, { auditAction: 'revert' });
+    showToast('Entry reverted', 'success');
+    if (typeof refreshAllDisplays === 'function') await refreshAllDisplays();
+    for (const panel of document.querySelectorAll('.txn-preclose-panel.open[data-history-id]')) {
+      if (panel.dataset.historyId === String(recordId) && panel.dataset.historyKey === storeKey) {
+        panel.innerHTML = await _buildHistoryPanel(storeKey, recordId);
+      }
+    }
+  } catch (e) {
+    console.warn('[History] revert failed:', _safeErr(e));
+    showToast('Revert failed', 'error');
+  }
+}
+
 async function openEntityDetailsOverlay(id) {
 const paymentEntities = ensureArray(await sqliteStore.get('payment_entities'));
 const paymentTransactions = ensureArray(await sqliteStore.get('payment_transactions'));
@@ -1943,8 +2256,9 @@ item.innerHTML = `
       Photo
     </button>
     <button class="btn btn-sm btn-danger u-p-4-8" onclick="deleteEntityTransaction('${esc(t.id)}')">⌫</button>
+    ${t.isMerged ? '' : `<button class="txn-kebab-btn" title="Change history" onclick="_toggleHistoryPanel(this,'hist-${esc(t.id)}','${safeId}','payment_transactions')">⟲</button>`}
   </div>
-</div>`;
+</div>${t.isMerged ? '' : `<div class="txn-preclose-panel" id="hist-${esc(t.id)}"></div>`}`;
 _entityFrag.appendChild(item);
 if (t.expenseId) {
   const _phKey = 'expense:' + t.expenseId;
@@ -1982,6 +2296,7 @@ async function _toggleEntityTxnPanel(btn, panelId, txnId, expenseId) {
 }
 
 async function saveQuickEntityTransaction() {
+if (!Permissions.check('payments.create')) return;
 const factoryInventoryData = ensureArray(await sqliteStore.get('factory_inventory_data'));
 const paymentEntities = ensureArray(await sqliteStore.get('payment_entities'));
 const paymentTransactions = ensureArray(await sqliteStore.get('payment_transactions'));
@@ -2156,6 +2471,7 @@ return false;
 }
 
 async function deleteEntityTransaction(id) {
+if (!Permissions.check('record.delete')) return;
 const paymentEntities = ensureArray(await sqliteStore.get('payment_entities'));
 const paymentTransactions = ensureArray(await sqliteStore.get('payment_transactions'));
 const factoryInventoryData = ensureArray(await sqliteStore.get('factory_inventory_data'));
@@ -2228,6 +2544,7 @@ showToast('Failed to delete transaction. Please try again.', 'error');
 }
 
 async function deleteCurrentEntity() {
+if (!Permissions.check('record.delete')) return;
 const paymentEntities = ensureArray(await sqliteStore.get('payment_entities'));
 const paymentTransactions = ensureArray(await sqliteStore.get('payment_transactions'));
 const factoryInventoryData = ensureArray(await sqliteStore.get('factory_inventory_data'));
@@ -2860,7 +3177,8 @@ await loadScript('https://cdnjs.cloudflare.com/ajax/libs/jspdf-autotable/3.5.31/
 await new Promise(r => setTimeout(r, 200));
 }
 if (!window.jspdf || !window.jspdf.jsPDF) throw new Error("Failed to load PDF library. Please refresh and try again.");
-const allCustTxns = customerSales.filter(s => s && s.customerName === customerName);
+const customerRef = _managedCustomerRef(customerName, salesCustomers);
+const allCustTxns = customerSales.filter(s => s && recordBelongsToCustomer(s, customerRef));
 const now = new Date();
 const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
 let custPeriodCutoff = null;
@@ -2917,7 +3235,7 @@ if (a.transactionType === 'OLD_DEBT' && b.transactionType !== 'OLD_DEBT') return
 if (a.transactionType !== 'OLD_DEBT' && b.transactionType === 'OLD_DEBT') return 1;
 return _custEffDate(a) - _custEffDate(b);
 });
-const salesContact = salesCustomers.find(c => c && c.name && c.name.toLowerCase() === customerName.toLowerCase());
+const salesContact = customerRef.id ? salesCustomers.find(c => c && String(c.id) === String(customerRef.id)) : null;
 const phone = salesContact?.phone || transactions.find(t => t.customerPhone)?.customerPhone || 'N/A';
 const address = salesContact?.address || transactions.find(t => t.customerAddress)?.customerAddress || 'N/A';
 const { jsPDF } = window.jspdf;
@@ -2956,7 +3274,7 @@ yPos += 5;
 if (transactions.length > 0) {
 const getSalePrice = async (t) => {
   if (t.unitPrice && t.unitPrice > 0) return t.unitPrice;
-  return await getEffectiveSalePriceForCustomer(t.customerName, t.supplyStore || 'STORE_A');
+  return await getEffectiveSalePriceForCustomer(t.customerId || t.customerName, t.supplyStore || 'STORE_A');
 };
 const buildSaleRow = async (t, runBal) => {
   const pt = t.paymentType || 'CASH';
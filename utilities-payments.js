@@ -734,6 +734,9 @@ document.addEventListener('DOMContentLoaded', async function _appBootstrap() {
     await initializeDeviceListeners();
     if (typeof OfflineQueue !== 'undefined') await OfflineQueue.init();
     loadFirestoreStats();
+    if (typeof linkCustomerReferences === 'function') {
+      linkCustomerReferences().catch(e => console.warn('[CustomerLinks] startup linking failed', _safeErr(e)));
+    }
 
     try { sessionStorage.setItem('_gznd_bootstrap_ran', '1'); } catch(_) {}
   } catch (e) {
@@ -941,6 +944,7 @@ refreshUI();
 }
 
 async function deleteSalesEntry(id) {
+if (!Permissions.check('record.delete')) return;
 const salesHistory = ensureArray(await sqliteStore.get('noman_history'));
 const customerSales = ensureArray(await sqliteStore.get('customer_sales'));
 const db = ensureArray(await sqliteStore.get('mfg_pro_pkr'));
@@ -1210,6 +1214,7 @@ if (entity) renderEntityOverlayContent(entity);
 }
 
 async function saveEntity() {
+if (!Permissions.check('payments.create')) return;
 const paymentEntities = ensureArray(await sqliteStore.get('payment_entities'));
 const paymentTransactions = ensureArray(await sqliteStore.get('payment_transactions'));
 const name = document.getElementById('entityName').value.trim();
@@ -1226,10 +1231,12 @@ if (!name) {
 showToast("Please enter an entity name", "warning");
 return;
 }
-const exists = paymentEntities.some(e => e && e.name && e.name.toLowerCase() === name.toLowerCase() && e.id !== editingEntityId);
-if(exists) {
-showToast("An entity with this name already exists", "warning");
-return;
+const exists = paymentEntities.some(e => e && customerNameKey(e.name) === customerNameKey(name) && e.id !== editingEntityId);
+if (exists && (!existingEntity || customerNameKey(existingEntity.name) !== customerNameKey(name))) {
+const addSeparate = await showGlassConfirm(`An entity named "${name}" already exists. Keep this as a separate entity with the same name? Give it a phone or wallet so the two can be told apart.`, {
+title: 'Duplicate Name', confirmText: 'Keep Separate', cancelText: 'Cancel'
+});
+if (!addSeparate) return;
 }
 try {
 if (editingEntityId) {
@@ -1519,6 +1526,7 @@ default: return 'Metric';
 }
 
 async function deleteFactoryInventoryItem() {
+if (!Permissions.check('record.delete')) return;
 const factoryInventoryData = ensureArray(await sqliteStore.get('factory_inventory_data'));
 const paymentTransactions = ensureArray(await sqliteStore.get('payment_transactions'));
 if (editingFactoryInventoryId) {
@@ -1739,7 +1747,9 @@ if (entityMatches.length > 0) {
 entityMatches.forEach(entity => {
 if (!entity || !entity.name || typeof entity.name !== 'string') return;
 const safeName = entity.name.replace(/'/g, "\'").replace(/"/g, '&quot;');
+const safeId = String(entity.id || '').replace(/'/g, "\'");
 const transactions = paymentTransactions.filter(t => t && t.entityId === entity.id).length;
+const twin = entityMatches.some(o => o !== entity && customerNameKey(o.name) === customerNameKey(entity.name));
 html += `
 <div style="
 padding: 12px;
@@ -1750,11 +1760,11 @@ color: var(--text-main);
 background: var(--input-bg);
 transition: all 0.2s;
 "
-onmousedown="selectExpense('${safeName}', 'entity')"
+onmousedown="selectExpense('${safeName}', 'entity', '${safeId}')"
 onmouseover="this.style.background='var(--highlight-bg)'"
 onmouseout="this.style.background='var(--input-bg)'">
 <div class="u-row-between" >
-<strong>${esc(entity.name)}</strong>
+<strong>${esc(entity.name)}</strong>${twin ? `<span class="u-fs-sm u-text-muted">${esc(entity.phone || entity.wallet || 'no phone')}</span>` : ''}
 <span class="u-fs-sm u-text-muted" >
 ${transactions > 0 ? transactions + ' transactions' : ''}
 </span>
@@ -1769,8 +1779,11 @@ resultsDiv.innerHTML = html;
 resultsDiv.classList.remove('hidden');
 }
 
-function selectExpense(name, type) {
-document.getElementById('expenseName').value = name;
+function selectExpense(name, type, entityId) {
+const _expNameEl = document.getElementById('expenseName');
+_expNameEl.value = name;
+if (type === 'entity' && entityId) _expNameEl.setAttribute('data-entity-id', entityId);
+else _expNameEl.removeAttribute('data-entity-id');
 document.getElementById('expense-search-results').classList.add('hidden');
 if (!name || typeof name !== 'string') {
 document.getElementById('expenseAmount').focus();
@@ -1835,9 +1848,7 @@ const expenseRecords = ensureArray(await sqliteStore.get('expenses'));
 const expenseCategories = ensureArray(await sqliteStore.get('expense_categories'));
 const paymentEntities = ensureArray(await sqliteStore.get('payment_entities'));
 const paymentTransactions = ensureArray(await sqliteStore.get('payment_transactions'));
-if (appMode === 'userrole' && !(window._userRoleAllowedTabs || []).includes('payments')) {
-showToast('Access Denied — Payments not in your assigned tabs', 'warning', 3000); return;
-}
+if (!Permissions.check('payments.create')) return;
 const name = document.getElementById('expenseName').value.trim();
 const amount = parseFloat(document.getElementById('expenseAmount').value);
 const date = document.getElementById('expenseDate').value;
@@ -1916,6 +1927,12 @@ await createExpenseTransaction(expense);
 showToast(`Operating expense recorded: ${name}`, "success");
 } else {
 const transactionType = category;
+const syncGroup = newSyncGroup();
+const _entityMatch = resolveCustomerInput(paymentEntities.filter(e => e && !e.isExpenseEntity), name, document.getElementById('expenseName'));
+if (_entityMatch.ambiguous) {
+showToast(`More than one entity is named "${name}". Pick the right one from the search list.`, 'warning', 5000);
+return;
+}
 let payExpenseId = generateUUID('exp');
 if (!validateUUID(payExpenseId)) payExpenseId = generateUUID('exp');
 let payExpenseRecord = {
@@ -1932,7 +1949,7 @@ syncedAt: new Date().toISOString()
 };
 payExpenseRecord = ensureRecordIntegrity(payExpenseRecord, false);
 expenseRecords.push(payExpenseRecord);
-await unifiedSave('expenses', expenseRecords, payExpenseRecord);
+await unifiedSave('expenses', expenseRecords, payExpenseRecord, null, { group: syncGroup });
 if (window._expensePendingPhoto) {
   try {
     const _payPhotoKey = 'expense:' + payExpenseRecord.id;
@@ -1949,10 +1966,7 @@ if (window._expensePendingPhoto) {
     if (typeof triggerAutoSync === 'function') { try { triggerAutoSync(); } catch(_) {} }
   } catch(_ppe) { console.warn('Expense photo save failed', _ppe); }
 }
-let entity = paymentEntities.find(e =>
-e.name && e.name.toLowerCase() === name.toLowerCase() &&
-!e.isExpenseEntity
-);
+let entity = _entityMatch.customer;
 if (!entity) {
 const isKnownExpenseCategory = expenseCategories.some(
 cat => typeof cat === 'string' && cat.toLowerCase() === name.toLowerCase()
@@ -2027,7 +2041,7 @@ if (materialsToSave.length > 0) {
 transaction.isPayable = true;
 transaction.materialId = materialsToSave[0].id;
 for (const mat of materialsToSave) {
-await unifiedSave('factory_inventory_data', factoryInventoryData, mat);
+await unifiedSave('factory_inventory_data', factoryInventoryData, mat, null, { group: syncGroup });
 }
 }
 }
@@ -2052,7 +2066,7 @@ remaining = 0;
 }
 ct.updatedAt = getTimestamp();
 ensureRecordIntegrity(ct, true);
-await unifiedSave('payment_transactions', paymentTransactions, ct);
+await unifiedSave('payment_transactions', paymentTransactions, ct, null, { group: syncGroup });
 }
 if (!transaction.isPayable) {
 transaction.isPayable = true;
@@ -2069,8 +2083,8 @@ transaction.supplierCreditAmount = amount;
 }
 transaction = ensureRecordIntegrity(transaction, false);
 paymentTransactions.push(transaction);
-await unifiedSave('payment_entities', paymentEntities, entity);
-await unifiedSave('payment_transactions', paymentTransactions, transaction);
+await unifiedSave('payment_entities', paymentEntities, entity, null, { group: syncGroup });
+await unifiedSave('payment_transactions', paymentTransactions, transaction, null, { group: syncGroup });
 notifyDataChange('payments');
 emitSyncUpdate({
 payment_entities: null,
@@ -3215,6 +3229,7 @@ renderExpenseOverlayContent();
 }
 
 async function saveQuickExpenseEntry() {
+if (!Permissions.check('payments.create')) return;
 const expenseRecords = ensureArray(await sqliteStore.get('expenses'));
 const paymentTransactions = ensureArray(await sqliteStore.get('payment_transactions'));
 const paymentEntities = ensureArray(await sqliteStore.get('payment_entities'));
@@ -3268,6 +3283,7 @@ showToast('Failed to save expense. Please try again.', 'error');
 }
 
 async function deleteAllExpensesByName() {
+if (!Permissions.check('record.delete')) return;
 const expenseRecords = ensureArray(await sqliteStore.get('expenses'));
 const paymentTransactions = ensureArray(await sqliteStore.get('payment_transactions'));
 const expenseName = currentExpenseOverlayName;
@@ -3505,6 +3521,7 @@ showToast('Failed to export PDF: ' + error.message, 'error');
 }
 
 async function deleteExpense(expenseId) {
+if (!Permissions.check('record.delete')) return;
 const factoryInventoryData = ensureArray(await sqliteStore.get('factory_inventory_data'));
 const expenseRecords = ensureArray(await sqliteStore.get('expenses'));
 const paymentTransactions = ensureArray(await sqliteStore.get('payment_transactions'));
@@ -3646,6 +3663,7 @@ showToast('Failed to delete expense. Please try again.', 'error');
 
 function clearExpenseForm() {
 document.getElementById('expenseName').value = '';
+document.getElementById('expenseName').removeAttribute('data-entity-id');
 document.getElementById('expenseAmount').value = '';
 document.getElementById('expenseDescription').value = '';
 document.getElementById('expenseDate').value = new Date().toISOString().split('T')[0];
@@ -3689,7 +3707,7 @@ return;
 }
 if (typeof updateSyncButton === 'function') updateSyncButton();
 if (typeof performOneClickSync === 'function') {
-performOneClickSync().catch(function(e){console.error('[openDataMenu] sync error:', _safeErr(e))});
+performOneClickSync(false, 'manual').catch(function(e){console.error('[openDataMenu] sync error:', _safeErr(e))});
 }
 }
 
@@ -3724,23 +3742,13 @@ const deletionRecords = ensureArray(await sqliteStore.get('deletion_records'));
         (op.action === 'set'    && op.docId === sid && (op.data === null || op.data === undefined))
       );
     };
-    const qBefore = OfflineQueue.queue.length;
-    OfflineQueue.queue = OfflineQueue.queue.filter(item => !_isStaleDeleteOp(item));
-    if (OfflineQueue.queue.length !== qBefore) {
-      try { await OfflineQueue.saveQueue(); } catch(e) {}
-    }
-    const dlBefore = (OfflineQueue.deadLetterQueue || []).length;
-    if (Array.isArray(OfflineQueue.deadLetterQueue)) {
-      OfflineQueue.deadLetterQueue = OfflineQueue.deadLetterQueue.filter(item => !_isStaleDeleteOp(item));
-      if (OfflineQueue.deadLetterQueue.length !== dlBefore) {
-        try { await OfflineQueue.saveDeadLetterQueue(); } catch(e) {}
-      }
-    }
+    try { await OfflineQueue.discard(_isStaleDeleteOp); }
+    catch(e) { console.warn('[RecycleBin] purge outbox ops failed:', _safeErr(e)); }
   }
   if (firebaseDB && currentUser) {
     (async () => {
       try {
-        const userRef = firebaseDB.collection('users').doc(currentUser.uid);
+        const userRef = Organisation.rootRef();
         const batch = firebaseDB.batch();
         batch.delete(userRef.collection('deletions').doc(sid));
         if (cleanRecord && collectionName) {
@@ -3761,10 +3769,12 @@ const deletionRecords = ensureArray(await sqliteStore.get('deletion_records'));
       } catch(e) {
         console.warn('[RecycleBin] Cloud purge failed — queuing for retry:', _safeErr(e));
         if (typeof OfflineQueue !== 'undefined') {
+          const group = newSyncGroup();
           await OfflineQueue.add({
             action: 'delete',
             collection: 'deletions',
             docId: sid,
+            group,
             data: null
           });
           if (cleanRecord && collectionName) {
@@ -3777,6 +3787,7 @@ const deletionRecords = ensureArray(await sqliteStore.get('deletion_records'));
               action: 'set',
               collection: collectionName,
               docId: newSid,
+              group,
               data: queuedRecord
             });
           }
@@ -3814,7 +3825,7 @@ const salesHistory = ensureArray(await sqliteStore.get('noman_history'));
     }
     if (!recoveredData && firebaseDB && currentUser) {
       try {
-        const userRef = firebaseDB.collection('users').doc(currentUser.uid);
+        const userRef = Organisation.rootRef();
         const tombDoc = await userRef.collection('deletions').doc(String(deletedId)).get();
         if (tombDoc.exists) {
           const td = tombDoc.data();
@@ -4009,7 +4020,7 @@ async function renderRecycleBin(filterCollection = 'all') {
     );
     if (firebaseDB && currentUser) {
       try {
-        const userRef = firebaseDB.collection('users').doc(currentUser.uid);
+        const userRef = Organisation.rootRef();
         const snap = await userRef.collection('deletions').orderBy('deletedAt', 'desc').limit(200).get();
         const seenIds = new Set(localDeletionRecords.map(r => String(r.id)));
         const seenRecordIds = new Set(localDeletionRecords.map(r => String(r.recordId || r.id)));
@@ -4306,21 +4317,14 @@ async function hardDeleteRecord(id, collectionName) {
         const op = item.operation || {};
         return op.docId === sid;
       };
-      const qBefore = OfflineQueue.queue.length;
-      OfflineQueue.queue = OfflineQueue.queue.filter(item => !isThisId(item));
-      if (OfflineQueue.queue.length !== qBefore) {
-        try { await OfflineQueue.saveQueue(); } catch(e) {}
-      }
-      if (Array.isArray(OfflineQueue.deadLetterQueue)) {
-        OfflineQueue.deadLetterQueue = OfflineQueue.deadLetterQueue.filter(item => !isThisId(item));
-        try { await OfflineQueue.saveDeadLetterQueue(); } catch(e) {}
-      }
+      try { await OfflineQueue.discard(isThisId); }
+      catch(e) { console.warn('[RecycleBin] purge outbox ops failed:', _safeErr(e)); }
     }
 
     if (firebaseDB && currentUser) {
       (async () => {
         try {
-          const userRef = firebaseDB.collection('users').doc(currentUser.uid);
+          const userRef = Organisation.rootRef();
           const batch = firebaseDB.batch();
           batch.delete(userRef.collection('deletions').doc(sid));
           batch.delete(userRef.collection(collectionName).doc(sid));
@@ -4334,24 +4338,26 @@ async function hardDeleteRecord(id, collectionName) {
         } catch(e) {
           console.warn('[RecycleBin] Hard delete cloud failed — queuing:', _safeErr(e));
           if (typeof OfflineQueue !== 'undefined') {
-            await OfflineQueue.add({ action: 'delete', collection: 'deletions',      docId: sid, data: null });
-            await OfflineQueue.add({ action: 'delete', collection: collectionName,   docId: sid, data: null });
+            const group = newSyncGroup();
+            await OfflineQueue.add({ action: 'delete', collection: 'deletions',      docId: sid, group, data: null });
+            await OfflineQueue.add({ action: 'delete', collection: collectionName,   docId: sid, group, data: null });
             if (collectionName === 'expenses' || collectionName === 'transactions') {
               const _hdPhotoKey = 'expense:' + sid;
               const _hdSafeDocId = btoa(unescape(encodeURIComponent(_hdPhotoKey))).replace(/[+/=]/g, c => ({'+':'-','/':'_','=':''})[c] || '');
-              await OfflineQueue.add({ action: 'delete', collection: 'personPhotos', docId: _hdSafeDocId, data: null });
+              await OfflineQueue.add({ action: 'delete', collection: 'personPhotos', docId: _hdSafeDocId, group, data: null });
             }
           }
         }
       })();
     } else if (typeof OfflineQueue !== 'undefined') {
       try {
-        await OfflineQueue.add({ action: 'delete', collection: 'deletions',    docId: sid, data: null });
-        await OfflineQueue.add({ action: 'delete', collection: collectionName, docId: sid, data: null });
+        const group = newSyncGroup();
+        await OfflineQueue.add({ action: 'delete', collection: 'deletions',    docId: sid, group, data: null });
+        await OfflineQueue.add({ action: 'delete', collection: collectionName, docId: sid, group, data: null });
         if (collectionName === 'expenses' || collectionName === 'transactions') {
           const _hdOffPhKey = 'expense:' + sid;
           const _hdOffSafeDocId = btoa(unescape(encodeURIComponent(_hdOffPhKey))).replace(/[+/=]/g, c => ({'+':'-','/':'_','=':''})[c] || '');
-          await OfflineQueue.add({ action: 'delete', collection: 'personPhotos', docId: _hdOffSafeDocId, data: null });
+          await OfflineQueue.add({ action: 'delete', collection: 'personPhotos', docId: _hdOffSafeDocId, group, data: null });
         }
       } catch(_hdOffErr) { console.warn('[hardDeleteRecord] offline queue failed', _hdOffErr); }
     }
@@ -4562,7 +4568,7 @@ normalized.factory_production_history = filterAlive(normalized.factory_productio
 normalized.payment_entities = filterAlive(normalized.payment_entities);
 normalized.payment_transactions = filterAlive(normalized.payment_transactions);
 normalized.stock_returns = filterAlive(normalized.stock_returns);
-const userRef = firebaseDB.collection('users').doc(currentUser.uid);
+const userRef = Organisation.rootRef();
 const buildDeltaQuery = async (collection, collectionName) => {
 const lastSync = await DeltaSync.getLastSyncFirestoreTimestamp(collectionName);
 if (lastSync) {
@@ -4983,7 +4989,7 @@ return false;
 }
 try {
 const timestamp = Date.now();
-const userRef = firebaseDB.collection('users').doc(currentUser.uid);
+const userRef = Organisation.rootRef();
 const settingsRef = userRef.collection('settings').doc('config');
 const updatePayload = {
 appMode: targetMode,
@@ -5325,6 +5331,7 @@ location.reload();
 }
 
 async function deleteRepTransaction(id) {
+if (!Permissions.check('record.delete')) return;
 const repSales = ensureArray(await sqliteStore.get('rep_sales'));
 if (!id || !validateUUID(id)) {
 showToast('Invalid transaction ID', 'error');
@@ -5456,12 +5463,8 @@ phoneContainer.classList.add('hidden');
 }
 }
 
+const _universalSearchSeq = {};
 async function handleUniversalSearch(inputId, resultsId, dataSource) {
-const repSales = ensureArray(await sqliteStore.get('rep_sales'));
-const customerSales = ensureArray(await sqliteStore.get('customer_sales'));
-const repCustomers = ensureArray(await sqliteStore.get('rep_customers'));
-const salesCustomers = ensureArray(await sqliteStore.get('sales_customers'));
-const paymentEntities = ensureArray(await sqliteStore.get('payment_entities'));
 const input = document.getElementById(inputId);
 const resultsDiv = document.getElementById(resultsId);
 if (!input || !resultsDiv) return;
@@ -5470,56 +5473,58 @@ if (!query || query.length < 1) {
 resultsDiv.classList.add('hidden');
 return;
 }
+const seq = (_universalSearchSeq[inputId] || 0) + 1;
+_universalSearchSeq[inputId] = seq;
+const searchOpts = {
+customers: { sources: ['sales_customers', 'customer_sales'], kind: 'customer' },
+entities: { sources: ['payment_entities'], kind: 'entity' },
+suppliers: { sources: ['payment_entities'], kind: 'entity', scope: 'payee' },
+repCustomers: { sources: ['rep_customers', 'rep_sales'], kind: 'repCustomer', scope: currentRepProfile },
+}[dataSource];
+if (!searchOpts) return;
 let matches = [];
+let entityById = new Map();
+try {
+matches = await sqliteStore.search(query, searchOpts);
+if ((dataSource === 'entities' || dataSource === 'suppliers') && matches.length) {
+const paymentEntities = ensureArray(await sqliteStore.get('payment_entities'));
+entityById = new Map(paymentEntities.filter(e => e && e.id).map(e => [String(e.id), e]));
+}
+} catch (e) {
+console.warn('[Search] universal search failed:', _safeErr(e));
+matches = [];
+}
+if (_universalSearchSeq[inputId] !== seq) return;
 let html = '';
 switch(dataSource) {
 case 'customers': {
-let _freshSalesReg = [];
-try { _freshSalesReg = await sqliteStore.get('sales_customers', []) || []; } catch(e) {}
-const _salesRegMap = new Map((_freshSalesReg).filter(c => c && c.id).map(c => [c.id, c]));
-if (Array.isArray(salesCustomers)) salesCustomers.forEach(c => { if (c && c.id && !_salesRegMap.has(c.id)) _salesRegMap.set(c.id, c); });
-const _mergedSalesReg = Array.from(_salesRegMap.values());
-const _custNamesFromSales = customerSales
-.filter(s => s && s.currentRepProfile === 'admin')
-.map(s => s.customerName)
-.filter(n => n && typeof n === 'string');
-const _custNamesFromRegistry = _mergedSalesReg
-.filter(c => c && c.name && typeof c.name === 'string').map(c => c.name);
-const uniqueCustomers = [...new Set([..._custNamesFromSales, ..._custNamesFromRegistry])];
-matches = uniqueCustomers.filter(name =>
-name && typeof name === 'string' && name.toLowerCase().includes(query.toLowerCase())
-);
 if (matches.length > 0) {
-matches.forEach(name => {
+matches.forEach(m => {
+const name = m.label;
 const safeName = String(name).replace(/'/g, "\\'").replace(/"/g, '&quot;');
+const safeId = m.registry ? String(m.id).replace(/'/g, "\\'") : '';
+const twin = m.registry && matches.some(o => o !== m && o.label.toLowerCase() === name.toLowerCase());
 html += `
 <div style="padding: 10px; cursor: pointer; border-bottom: 1px solid var(--glass-border); font-size: 0.85rem; color: var(--text-main); background: var(--input-bg);"
-onmousedown="selectFromUniversalSearch('${inputId}', '${resultsId}', '${safeName}', 'name')"
+onmousedown="selectFromUniversalSearch('${inputId}', '${resultsId}', '${safeName}', 'name', '${safeId}')"
 onmouseover="this.style.background='var(--highlight-bg)'"
 onmouseout="this.style.background='var(--input-bg)'">
-<strong>${esc(name)}</strong>
+<strong>${esc(name)}</strong>${twin ? `<span style="font-size: 0.7rem; color: var(--text-muted); margin-left: 8px;">${esc(m.detail || 'no phone/address')}</span>` : ''}
 </div>`;
 });
 } else {
 html = `<div class="u-search-empty" >
-No match found. "${query}" will be created as new customer.
+No match found. "${esc(query)}" will be created as new customer.
 </div>`;
 }
 break;
 }
 case 'entities':
-if (Array.isArray(paymentEntities)) {
-matches = paymentEntities.filter(entity =>
-entity && entity.name && typeof entity.name === 'string' &&
-entity.name.toLowerCase().includes(query.toLowerCase())
-);
-}
+matches = matches.map(m => entityById.get(String(m.id))).filter(Boolean);
 if (matches.length > 0) {
 matches.forEach(entity => {
 const safeName = String(entity.name).replace(/'/g, "\\'").replace(/"/g, '&quot;');
 const safeId = String(entity.id).replace(/'/g, "\\'");
-const entityBal = calculateEntityBalances()[entity.id] || 0;
-const typeColor = entityBal >= 0 ? 'var(--danger)' : 'var(--accent-emerald)';
 html += `
 <div style="padding: 10px; cursor: pointer; border-bottom: 1px solid var(--glass-border); font-size: 0.85rem; color: var(--text-main); background: var(--input-bg);"
 onmousedown="selectFromUniversalSearch('${inputId}', '${resultsId}', '${safeName}', 'entity', '${safeId}')"
@@ -5535,13 +5540,7 @@ No matching entities found
 }
 break;
 case 'suppliers':
-if (Array.isArray(paymentEntities)) {
-matches = paymentEntities.filter(entity =>
-entity && entity.name && typeof entity.name === 'string' &&
-entity.type === 'payee' &&
-entity.name.toLowerCase().includes(query.toLowerCase())
-);
-}
+matches = matches.map(m => entityById.get(String(m.id))).filter(Boolean);
 if (matches.length > 0) {
 matches.forEach(supplier => {
 const safeName = String(supplier.name).replace(/'/g, "\\'").replace(/"/g, '&quot;');
@@ -5562,35 +5561,23 @@ No matching suppliers found
 }
 break;
 case 'repCustomers': {
-let _freshRepReg = [];
-try { _freshRepReg = await sqliteStore.get('rep_customers', []) || []; } catch(e) {}
-const _repRegMap = new Map((_freshRepReg).filter(c => c && c.id).map(c => [c.id, c]));
-if (Array.isArray(repCustomers)) repCustomers.forEach(c => { if (c && c.id && !_repRegMap.has(c.id)) _repRegMap.set(c.id, c); });
-const _mergedRepReg = Array.from(_repRegMap.values());
-const _repNamesFromSales = repSales
-.filter(s => s.salesRep === currentRepProfile)
-.map(s => s.customerName)
-.filter(n => n && typeof n === 'string');
-const _repNamesFromRegistry = _mergedRepReg
-.filter(c => c && c.name && typeof c.name === 'string' && c.salesRep === currentRepProfile).map(c => c.name);
-const repUniqueCustomers = [...new Set([..._repNamesFromSales, ..._repNamesFromRegistry])];
-matches = repUniqueCustomers.filter(name =>
-name && typeof name === 'string' && name.toLowerCase().includes(query.toLowerCase())
-);
 if (matches.length > 0) {
-matches.forEach(name => {
+matches.forEach(m => {
+const name = m.label;
 const safeName = String(name).replace(/'/g, "\\'").replace(/"/g, '&quot;');
+const safeId = m.registry ? String(m.id).replace(/'/g, "\\'") : '';
+const twin = m.registry && matches.some(o => o !== m && o.label.toLowerCase() === name.toLowerCase());
 html += `
 <div style="padding: 10px; cursor: pointer; border-bottom: 1px solid var(--glass-border); font-size: 0.85rem; color: var(--text-main); background: var(--input-bg);"
-onmousedown="selectFromUniversalSearch('${inputId}', '${resultsId}', '${safeName}', 'repName')"
+onmousedown="selectFromUniversalSearch('${inputId}', '${resultsId}', '${safeName}', 'repName', '${safeId}')"
 onmouseover="this.style.background='var(--highlight-bg)'"
 onmouseout="this.style.background='var(--input-bg)'">
-<strong>${esc(name)}</strong>
+<strong>${esc(name)}</strong>${twin ? `<span style="font-size: 0.7rem; color: var(--text-muted); margin-left: 8px;">${esc(m.detail || 'no phone/address')}</span>` : ''}
 </div>`;
 });
 } else {
 html = `<div class="u-search-empty" >
-No match found. "${query}" will be created.
+No match found. "${esc(query)}" will be created.
 </div>`;
 }
 break;
@@ -5608,6 +5595,8 @@ input.value = value;
 if (id) {
 input.setAttribute('data-entity-id', id);
 input.setAttribute('data-supplier-id', id);
+} else if (type === 'name' || type === 'repName') {
+input.removeAttribute('data-entity-id');
 }
 }
 if (resultsDiv) {
@@ -5624,13 +5613,13 @@ if (typeof calculateRepCustomerStatsForDisplay === 'function') {
 calculateRepCustomerStatsForDisplay(value);
 }
 } else if (type === 'name' && inputId === 'cust-add-search') {
-if (typeof openCustomerEditModal === 'function') openCustomerEditModal(value);
+if (typeof openCustomerEditModal === 'function') openCustomerEditModal(value, id || null);
 } else if (type === 'repName' && inputId === 'rep-cust-add-search') {
-if (typeof openRepCustomerEditModal === 'function') openRepCustomerEditModal(value);
+if (typeof openRepCustomerEditModal === 'function') openRepCustomerEditModal(value, id || null);
 } else if (type === 'name' && inputId === 'edit-cust-name') {
-if (typeof openCustomerEditModal === 'function') openCustomerEditModal(value);
+if (typeof openCustomerEditModal === 'function') openCustomerEditModal(value, id || null);
 } else if (type === 'repName' && inputId === 'rep-edit-cust-name') {
-if (typeof openRepCustomerEditModal === 'function') openRepCustomerEditModal(value);
+if (typeof openRepCustomerEditModal === 'function') openRepCustomerEditModal(value, id || null);
 }
 }
 document.addEventListener('click', function(e) {
@@ -6082,9 +6071,10 @@ await sqliteStore.set('sales_reps_list', salesRepsList);
 }
 const storedUserRoles = await sqliteStore.get('user_roles_list', null);
 if (Array.isArray(storedUserRoles)) userRolesList = storedUserRoles;
+await Permissions.load();
 if (firebaseDB && currentUser) {
 try {
-const userRef = firebaseDB.collection('users').doc(currentUser.uid);
+const userRef = Organisation.rootRef();
 const teamDoc = await userRef.collection('settings').doc('team').get();
 if (teamDoc.exists) {
 const teamData = teamDoc.data();
@@ -6099,6 +6089,7 @@ if (Array.isArray(teamData.user_roles)) {
 userRolesList = teamData.user_roles;
 await sqliteStore.set('user_roles_list', userRolesList);
 }
+await Permissions.adopt(teamData.role_permissions);
 if (cloudTs > localTs) await sqliteStore.set('team_list_timestamp', cloudTs);
 }
 }
@@ -6113,10 +6104,11 @@ await sqliteStore.set('sales_reps_list', salesRepsList);
 if (firebaseDB && currentUser) {
 try {
 const nowMs = Date.now();
-const userRef = firebaseDB.collection('users').doc(currentUser.uid);
+const userRef = Organisation.rootRef();
 await userRef.collection('settings').doc('team').set({
 sales_reps: salesRepsList,
 user_roles: userRolesList,
+role_permissions: Permissions.matrix(),
 updated_at: nowMs
 }, { merge: true });
 await sqliteStore.set('team_list_timestamp', nowMs);
@@ -6138,10 +6130,11 @@ await sqliteStore.set('user_roles_list', userRolesList);
 if (firebaseDB && currentUser) {
 try {
 const nowMs = Date.now();
-const userRef = firebaseDB.collection('users').doc(currentUser.uid);
+const userRef = Organisation.rootRef();
 await userRef.collection('settings').doc('team').set({
 sales_reps: salesRepsList,
 user_roles: userRolesList,
+role_permissions: Permissions.matrix(),
 updated_at: nowMs
 }, { merge: true });
 await sqliteStore.set('team_list_timestamp', nowMs);
@@ -6224,6 +6217,7 @@ hint.textContent = _newUserRoleSelectedTabs.size === 0
 function renderUserRoleList() {
 const list = document.getElementById('manage-userrole-list');
 if (!list) return;
+renderRolePermissions();
 if (userRolesList.length === 0) {
 list.innerHTML = '<div style="color:var(--text-muted);font-size:0.8rem;text-align:center;padding:12px;">No users added yet.</div>';
 return;
@@ -6245,6 +6239,31 @@ return `
 }).join('');
 }
 
+function renderRolePermissions() {
+const panel = document.getElementById('role-permissions-matrix');
+if (!panel) return;
+const editable = appMode === 'admin' && Organisation.isAdmin();
+const roles = Permissions.roles();
+const actions = Permissions.actions();
+const head = roles.map(r => `<th style="padding:6px 4px;font-size:0.6rem;font-weight:700;text-transform:uppercase;color:var(--text-muted);text-align:center;">${esc(r.label)}</th>`).join('');
+const rows = Object.entries(actions).map(([action, label]) => {
+const cells = roles.map((r, ri) => `<td style="text-align:center;padding:4px;"><input type="checkbox" ${Permissions.can(action, r.id) ? 'checked' : ''} ${editable ? '' : 'disabled'} onchange="toggleRolePermission(${ri}, '${action}', this.checked)"></td>`).join('');
+return `<tr><td style="padding:6px 4px;font-size:0.72rem;color:var(--text-main);white-space:nowrap;">${esc(label)}</td>${cells}</tr>`;
+}).join('');
+panel.innerHTML = `<div style="overflow-x:auto;"><table style="width:100%;border-collapse:collapse;"><thead><tr><th></th>${head}</tr></thead><tbody>${rows}</tbody></table></div>` +
+'<div style="font-size:0.65rem;color:var(--text-secondary);margin-top:6px;text-align:center;">These settings choose what the app offers each role. Cloud access is enforced by the organisation\'s data permissions.</div>' +
+(editable ? '' : '<div style="font-size:0.65rem;color:var(--text-secondary);margin-top:6px;text-align:center;">Only an admin can change role permissions</div>');
+}
+
+async function toggleRolePermission(roleIndex, action, granted) {
+const role = Permissions.roles()[roleIndex];
+if (!role || appMode !== 'admin' || !Organisation.isAdmin()) { renderRolePermissions(); return; }
+Permissions.set(role.id, action, granted);
+await Permissions.persist();
+await saveUserRolesList();
+renderRolePermissions();
+}
+
 function switchManageTeamTab(tab) {
 ['rep', 'userrole', 'accounts'].forEach(t => {
 const btn = document.getElementById('team-tab-' + t);
@@ -6285,6 +6304,8 @@ const _rMsg = `Remove ${esc(user.name)} from the team?\n\nThey will lose access
 const confirmed = await showGlassConfirm(_rMsg, { title: 'Remove User', confirmText: 'Remove', cancelText: 'Cancel', danger: true });
 if (!confirmed) return;
 userRolesList.splice(index, 1);
+Permissions.forget(user.name);
+await Permissions.persist();
 await saveUserRolesList();
 renderUserRoleList();
 showToast(`${esc(user.name)} removed`, 'info');
@@ -6407,7 +6428,7 @@ window.switchManageTeamTab = switchManageTeamTab;
 async function loadUserRolesContent() {
 if (firebaseDB && currentUser) {
 try {
-const teamDoc = await firebaseDB.collection('users').doc(currentUser.uid)
+const teamDoc = await Organisation.rootRef()
 .collection('settings').doc('team').get();
 if (teamDoc.exists) {
 const data = teamDoc.data();
@@ -6415,6 +6436,7 @@ if (Array.isArray(data.user_roles) && data.user_roles.length > 0) {
 userRolesList = data.user_roles;
 await sqliteStore.set('user_roles_list', userRolesList).catch(() => {});
 }
+await Permissions.adopt(data.role_permissions).catch(() => {});
 }
 } catch (e) {
 console.warn('loadUserRolesContent: cloud fetch failed, showing cached list', _safeErr(e));
@@ -6423,6 +6445,7 @@ console.warn('loadUserRolesContent: cloud fetch failed, showing cached list', _s
 renderUserRoleList();
 }
 window.addNewUserRole = addNewUserRole;
+window.toggleRolePermission = toggleRolePermission;
 window.removeUserRole = removeUserRole;
 window.toggleUserRoleTabAccess = toggleUserRoleTabAccess;
 window.renderUserRoleList = renderUserRoleList;
@@ -6625,7 +6648,7 @@ Please log in to view devices
 return;
 }
 try {
-const userRef = firebaseDB.collection('users').doc(currentUser.uid);
+const userRef = Organisation.rootRef();
 const devicesSnap = await userRef.collection('devices').get();
 if (devicesSnap.empty) {
 container.innerHTML = `
@@ -6879,7 +6902,7 @@ try {
 if (window._firestoreNetworkDisabled) {
 try { await firebaseDB.enableNetwork(); window._firestoreNetworkDisabled = false; } catch (_en) {}
 }
-const userRef = firebaseDB.collection('users').doc(currentUser.uid);
+const userRef = Organisation.rootRef();
 
 const commandTimestamp = Date.now();
 const deviceRef = userRef.collection('devices').doc(deviceId);
@@ -6925,7 +6948,7 @@ if (!(await showGlassConfirm(_rdMsg, { title: 'Remove Trusted Device', confirmTe
 return;
 }
 try {
-const userRef = firebaseDB.collection('users').doc(currentUser.uid);
+const userRef = Organisation.rootRef();
 const deviceRef = userRef.collection('devices').doc(deviceId);
 await deviceRef.set({
 targetMode: 'force_logout',
@@ -6950,6 +6973,7 @@ window.getDeviceId = getDeviceId;
 window.getDeviceName = getDeviceName;
 window.registerDevice = registerDevice;
 async function restoreDeviceModeOnLogin(uid) {
+if (Organisation.active()) return;
 
 function _applyModeFromData(modeStr, ts, assignedRep, assignedManager, assignedUserTabs, remoteApplied) {
   const previousMode = appMode;
@@ -6984,7 +7008,7 @@ try {
   if (firebaseDB && !window._firestoreNetworkDisabled && navigator.onLine) {
     try {
       const deviceId = await getDeviceId();
-      const deviceRef = firebaseDB.collection('users').doc(uid)
+      const deviceRef = Organisation.rootRef()
                                   .collection('devices').doc(deviceId);
       const deviceDoc = await deviceRef.get();
 
@@ -7050,7 +7074,7 @@ if (!window._deviceCmdRetrying) window._deviceCmdRetrying = false;
 
 try {
 const deviceId = await getDeviceId();
-const userRef = firebaseDB.collection('users').doc(currentUser.uid);
+const userRef = Organisation.rootRef();
 const deviceRef = userRef.collection('devices').doc(deviceId);
 
 const unsubscribe = deviceRef.onSnapshot({ includeMetadataChanges: false }, (doc) => {
@@ -7189,7 +7213,7 @@ if (targetMode === 'admin' && window._firestoreNetworkDisabled) {
 try { await firebaseDB.enableNetwork(); window._firestoreNetworkDisabled = false; } catch (_en) {}
 }
 const deviceId = await getDeviceId();
-const deviceRef = firebaseDB.collection('users').doc(currentUser.uid)
+const deviceRef = Organisation.rootRef()
 .collection('devices').doc(deviceId);
 const payload = {
 currentMode: targetMode, appMode_timestamp: nowMs,
@@ -14,11 +14,6 @@ if (typeof calculateNetCash === 'function') calculateNetCash();
 }
 
 async function calculateCashTracker() {
-const salesHistory = ensureArray(await sqliteStore.get('noman_history'));
-const expenseRecords = ensureArray(await sqliteStore.get('expenses'));
-const paymentTransactions = ensureArray(await sqliteStore.get('payment_transactions'));
-const db = ensureArray(await sqliteStore.get('mfg_pro_pkr'));
-const customerSales = ensureArray(await sqliteStore.get('customer_sales'));
 const stockReturns = ensureArray(await sqliteStore.get('stock_returns'));
 const factoryInventoryData = ensureArray(await sqliteStore.get('factory_inventory_data'));
 const factoryDefaultFormulas = (await sqliteStore.get('factory_default_formulas')) || {};
@@ -44,102 +39,20 @@ endDate = new Date(selectedYear, 11, 31, 23, 59, 59);
 startDate = new Date('2000-01-01');
 endDate = new Date('2100-12-31');
 }
+const flow = await cashFlowTotals(reportDayRange(startDate, endDate));
 let rawData = {
-totalProductionValue: 0,
-totalProductionQuantity: 0,
-salesCash: 0,
-salesCredits: 0,
-totalSoldValue: 0,
-calculatorCash: 0,
-calculatorCredits: 0,
-calculatorRecovered: 0,
-paymentsIn: 0,
-paymentsOut: 0,
-expenses: 0
+totalProductionValue: flow.productionValue,
+totalProductionQuantity: flow.productionQuantity,
+salesCash: flow.salesCash,
+salesCredits: flow.salesCredits,
+totalSoldValue: flow.soldValue,
+calculatorCash: flow.calculatorCash,
+calculatorCredits: flow.calculatorIssued,
+calculatorRecovered: flow.calculatorRecovered,
+paymentsIn: flow.paymentsIn,
+paymentsOut: flow.paymentsOut,
+expenses: flow.expenses
 };
-db.forEach(item => {
-if (item.isReturn) return;
-const itemDate = new Date(item.date);
-if (itemDate >= startDate && itemDate <= endDate) {
-rawData.totalProductionValue += item.totalSale || 0;
-rawData.totalProductionQuantity += item.net || 0;
-}
-});
-customerSales.forEach(sale => {
-const saleDate = new Date(sale.date);
-if (saleDate >= startDate && saleDate <= endDate) {
-const isRepLinked = sale.salesRep && sale.salesRep !== 'NONE';
-const _ctSaleVal = sale.totalValue || 0;
-if (sale.isMerged && sale.mergedSummary) {
-const ms = sale.mergedSummary;
-rawData.salesCash    += (ms.cashSales    || 0);
-rawData.salesCredits += (ms.unpaidCredit || 0);
-rawData.totalSoldValue += (ms.cashSales || 0) + (ms.unpaidCredit || 0);
-} else if (sale.paymentType === 'CREDIT' && !sale.creditReceived) {
-const partialPaid = sale.partialPaymentReceived || 0;
-rawData.salesCredits += Math.max(0, _ctSaleVal - partialPaid);
-rawData.totalSoldValue += _ctSaleVal;
-} else if (isRepLinked) {
-rawData.totalSoldValue += _ctSaleVal;
-if (!sale.creditReceived) {
-rawData.salesCredits += _ctSaleVal;
-}
-} else {
-if (sale.paymentType === 'CASH' || sale.creditReceived) {
-rawData.salesCash += _ctSaleVal;
-rawData.totalSoldValue += _ctSaleVal;
-} else if (sale.paymentType === 'COLLECTION') {
-rawData.salesCash += _ctSaleVal;
-rawData.salesCredits -= _ctSaleVal;
-} else if (sale.paymentType === 'PARTIAL_PAYMENT') {
-rawData.salesCash += _ctSaleVal;
-rawData.salesCredits -= _ctSaleVal;
-}
-}
-}
-});
-salesHistory.forEach(item => {
-const itemDate = new Date(item.date);
-if (itemDate >= startDate && itemDate <= endDate) {
-rawData.calculatorCash += item.received || 0;
-rawData.calculatorCredits += item.creditValue || 0;
-rawData.calculatorRecovered += item.prevColl || 0;
-}
-});
-paymentTransactions.forEach(transaction => {
-const transDate = new Date(transaction.date);
-if (transDate >= startDate && transDate <= endDate) {
-if (transaction.isPayable && transaction.type === 'IN') return;
-if (transaction.type === 'IN') {
-rawData.paymentsIn += transaction.amount;
-} else if (transaction.type === 'OUT') {
-if (transaction.isExpense && transaction.category === 'operating') {
-rawData.expenses += transaction.amount;
-}
-else if (!transaction.isExpense) {
-rawData.paymentsOut += transaction.amount;
-}
-}
-}
-});
-if (Array.isArray(expenseRecords)) {
-expenseRecords.forEach(exp => {
-if (exp.isMerged !== true) return;
-if (exp.category !== 'operating') return;
-const expDate = new Date(exp.date);
-if (expDate >= startDate && expDate <= endDate) {
-rawData.expenses += (parseFloat(exp.amount) || 0);
-}
-});
-}
-const factoryProductionHistoryCT = ensureArray(await sqliteStore.get('factory_production_history'));
-factoryProductionHistoryCT.forEach(entry => {
-if (entry.isMerged) return;
-const entryDate = new Date(entry.date);
-if (entryDate >= startDate && entryDate <= endDate) {
-rawData.expenses += (parseFloat(entry.additionalCost) || 0);
-}
-});
 const netSalesCash = rawData.salesCash;
 const netSalesCredits = rawData.salesCredits;
 const netCalculatorDebt = rawData.calculatorCredits - rawData.calculatorRecovered;
@@ -280,6 +193,7 @@ document.getElementById('entityTransactionsOverlay').style.display = 'none';
 }
 
 async function savePaymentTransaction() {
+if (!Permissions.check('payments.create')) return;
 const factoryInventoryData = ensureArray(await sqliteStore.get('factory_inventory_data'));
 const paymentEntities = ensureArray(await sqliteStore.get('payment_entities'));
 const paymentTransactions = ensureArray(await sqliteStore.get('payment_transactions'));
@@ -427,6 +341,7 @@ showToast(message, 'success');
 }
 
 async function deletePaymentTransaction(id) {
+if (!Permissions.check('record.delete')) return;
 const paymentTransactions = ensureArray(await sqliteStore.get('payment_transactions'));
 const paymentEntities = ensureArray(await sqliteStore.get('payment_entities'));
 const factoryInventoryData = ensureArray(await sqliteStore.get('factory_inventory_data'));
@@ -514,80 +429,20 @@ card.style.display = 'none';
 }
 
 async function getAvailableCashInHand() {
-
-const _gacBatch = await sqliteStore.getBatch([
-'noman_history','mfg_pro_pkr','customer_sales','payment_transactions','expenses',
-'factory_production_history'
-]);
-const _gacSalesHistory = ensureArray(_gacBatch.get('noman_history'));
-const _gacDb = ensureArray(_gacBatch.get('mfg_pro_pkr'));
-const _gacCustomerSales = ensureArray(_gacBatch.get('customer_sales'));
-const _gacPayTx = ensureArray(_gacBatch.get('payment_transactions'));
-const _gacExpenses = ensureArray(_gacBatch.get('expenses'));
-const _gacProdHistory = ensureArray(_gacBatch.get('factory_production_history'));
-let _gacProdVal = 0;
-_gacDb.forEach(item => {
-if (item.isReturn) return;
-_gacProdVal += (item.totalSale || 0);
-});
-let _gacSalesCash = 0;
-_gacCustomerSales.forEach(sale => {
-const isRepLinked = sale.salesRep && sale.salesRep !== 'NONE';
-const _saleVal = sale.totalValue || 0;
-if (sale.isMerged && sale.mergedSummary) {
-_gacSalesCash += (sale.mergedSummary.cashSales || 0);
-} else if (sale.paymentType === 'CREDIT' && !sale.creditReceived) {
-
-} else if (isRepLinked) {
-
-} else {
-if (sale.paymentType === 'CASH' || sale.creditReceived) _gacSalesCash += _saleVal;
-else if (sale.paymentType === 'COLLECTION') _gacSalesCash += _saleVal;
-else if (sale.paymentType === 'PARTIAL_PAYMENT') _gacSalesCash += _saleVal;
-}
-});
-let _gacCalcCash = 0;
-_gacSalesHistory.forEach(item => { _gacCalcCash += (item.received || 0); });
-let _gacPayIn = 0, _gacPayOut = 0, _gacExp = 0;
-_gacPayTx.forEach(tx => {
-if (tx.isPayable && tx.type === 'IN') return;
-if (tx.type === 'IN') {
-_gacPayIn += (parseFloat(tx.amount) || 0);
-} else if (tx.type === 'OUT') {
-if (tx.isExpense && tx.category === 'operating') {
-_gacExp += (parseFloat(tx.amount) || 0);
-} else if (!tx.isExpense) {
-_gacPayOut += (parseFloat(tx.amount) || 0);
-}
-}
-});
-
-_gacExpenses.forEach(exp => {
-if (exp.isMerged === true && exp.category === 'operating') _gacExp += (parseFloat(exp.amount) || 0);
-});
-_gacProdHistory.forEach(entry => {
-if (!entry.isMerged) _gacExp += (parseFloat(entry.additionalCost) || 0);
-});
-return _gacProdVal + _gacSalesCash + _gacCalcCash + _gacPayIn - _gacPayOut - _gacExp;
+const flow = await cashFlowTotals({});
+return flow.productionValue + flow.salesCash + flow.calculatorCash + flow.paymentsIn - flow.paymentsOut - flow.expenses;
 }
 
 async function calculateNetCash() {
 const _cncBatch = await sqliteStore.getBatch([
-'noman_history','factory_unit_tracking','payment_transactions','payment_entities',
-'expenses','mfg_pro_pkr','customer_sales','stock_returns',
-'factory_inventory_data','factory_production_history',
-'factory_default_formulas','factory_additional_costs',
+'factory_unit_tracking','payment_transactions','payment_entities','stock_returns',
+'factory_inventory_data','factory_default_formulas','factory_additional_costs',
 ]);
-const salesHistory = ensureArray(_cncBatch.get('noman_history'));
 const factoryUnitTracking = _cncBatch.get('factory_unit_tracking') || {};
 const paymentTransactions = ensureArray(_cncBatch.get('payment_transactions'));
 const paymentEntities = ensureArray(_cncBatch.get('payment_entities'));
-const expenseRecords = ensureArray(_cncBatch.get('expenses'));
-const db = ensureArray(_cncBatch.get('mfg_pro_pkr'));
-const customerSales = ensureArray(_cncBatch.get('customer_sales'));
 const stockReturns = ensureArray(_cncBatch.get('stock_returns'));
 const factoryInventoryData = ensureArray(_cncBatch.get('factory_inventory_data'));
-const factoryProductionHistory = ensureArray(_cncBatch.get('factory_production_history'));
 const factoryDefaultFormulas = _cncBatch.get('factory_default_formulas') || {};
 const factoryAdditionalCosts = _cncBatch.get('factory_additional_costs') || {};
 const paymentDateEl = document.getElementById('expenseDate');
@@ -616,99 +471,21 @@ cncEndDate = new Date(selectedYear, selectedMonth + 1, 0, 23, 59, 59);
 cncStartDate = new Date(selectedYear, 0, 1);
 cncEndDate = new Date(selectedYear, 11, 31, 23, 59, 59);
 }
-const _cncInRange = (dateStr) => {
-if (_cncMode === 'all') return true;
-if (!dateStr) return false;
-const d = new Date(dateStr);
-return d >= cncStartDate && d <= cncEndDate;
-};
 try {
+const flow = await cashFlowTotals(_cncMode === 'all' ? {} : reportDayRange(cncStartDate, cncEndDate));
 let rawData = {
-totalProductionValue: 0,
-totalProductionQuantity: 0,
-salesCash: 0,
-salesCredits: 0,
-totalSoldValue: 0,
-calculatorCash: 0,
-calculatorTotalIssued: 0,
-calculatorTotalRecovered: 0,
-paymentsIn: 0,
-paymentsOut: 0
+totalProductionValue: flow.productionValue,
+totalProductionQuantity: flow.productionQuantity,
+salesCash: flow.salesCash,
+salesCredits: flow.salesCredits,
+totalSoldValue: flow.soldValue,
+calculatorCash: flow.calculatorCash,
+calculatorTotalIssued: flow.calculatorIssued,
+calculatorTotalRecovered: flow.calculatorRecovered,
+paymentsIn: flow.paymentsIn,
+paymentsOut: flow.paymentsOut
 };
-db.forEach(item => {
-if (item.isReturn) return;
-if (!_cncInRange(item.date)) return;
-rawData.totalProductionValue += item.totalSale || 0;
-rawData.totalProductionQuantity += item.net || 0;
-});
-customerSales.forEach(sale => {
-if (!_cncInRange(sale.date)) return;
-const isRepLinked = sale.salesRep && sale.salesRep !== 'NONE';
-const _saleVal = sale.totalValue || 0;
-if (sale.isMerged && sale.mergedSummary) {
-const ms = sale.mergedSummary;
-rawData.salesCash    += (ms.cashSales    || 0);
-rawData.salesCredits += (ms.unpaidCredit || 0);
-rawData.totalSoldValue += (ms.cashSales || 0) + (ms.unpaidCredit || 0);
-} else if (sale.paymentType === 'CREDIT' && !sale.creditReceived) {
-const partialPaid = sale.partialPaymentReceived || 0;
-rawData.salesCredits += Math.max(0, _saleVal - partialPaid);
-rawData.totalSoldValue += _saleVal;
-} else if (isRepLinked) {
-rawData.totalSoldValue += _saleVal;
-if (!sale.creditReceived) {
-rawData.salesCredits += _saleVal;
-}
-} else {
-if (sale.paymentType === 'CASH' || sale.creditReceived) {
-rawData.salesCash += _saleVal;
-rawData.totalSoldValue += _saleVal;
-} else if (sale.paymentType === 'COLLECTION') {
-rawData.salesCash += _saleVal;
-rawData.salesCredits -= _saleVal;
-} else if (sale.paymentType === 'PARTIAL_PAYMENT') {
-rawData.salesCash += _saleVal;
-rawData.salesCredits -= _saleVal;
-}
-}
-});
-salesHistory.forEach(item => {
-if (!_cncInRange(item.date)) return;
-rawData.calculatorCash += item.received || 0;
-rawData.calculatorTotalIssued += item.creditValue || 0;
-rawData.calculatorTotalRecovered += item.prevColl || 0;
-});
-let totalExpenses = 0;
-paymentTransactions.forEach(trans => {
-if (!_cncInRange(trans.date)) return;
-if (trans.isPayable && trans.type === 'IN') return;
-if (trans.type === 'IN') {
-rawData.paymentsIn += trans.amount;
-} else if (trans.type === 'OUT') {
-if (trans.isExpense && trans.category === 'operating') {
-totalExpenses += trans.amount;
-}
-else if (!trans.isExpense) {
-rawData.paymentsOut += trans.amount;
-}
-}
-});
-if (Array.isArray(expenseRecords)) {
-expenseRecords.forEach(exp => {
-if (exp.isMerged !== true) return;
-if (exp.category === 'operating') {
-if (!_cncInRange(exp.date)) return;
-totalExpenses += (parseFloat(exp.amount) || 0);
-}
-});
-}
-if (Array.isArray(factoryProductionHistory)) {
-factoryProductionHistory.forEach(entry => {
-if (entry.isMerged) return;
-if (!_cncInRange(entry.date)) return;
-totalExpenses += (parseFloat(entry.additionalCost) || 0);
-});
-}
+const totalExpenses = flow.expenses;
 const netSalesCash = rawData.salesCash;
 const netSalesCredits = rawData.salesCredits;
 const combinedMarketDebt = rawData.calculatorTotalIssued - rawData.calculatorTotalRecovered;
@@ -950,9 +727,7 @@ const salesCustomers = ensureArray(await sqliteStore.get('sales_customers'));
 const db = ensureArray(await sqliteStore.get('mfg_pro_pkr'));
 const factoryUnitTracking = (await sqliteStore.get('factory_unit_tracking')) || {};
 const factoryDefaultFormulas = (await sqliteStore.get('factory_default_formulas')) || {};
-if (appMode === 'userrole' && !(window._userRoleAllowedTabs || []).includes('sales')) {
-showToast('Access Denied — Sales not in your assigned tabs', 'warning', 3000); return;
-}
+if (!Permissions.check('sale.create')) return;
 const date = document.getElementById('cust-date').value;
 const name = document.getElementById('cust-name').value.trim();
 const quantity = parseFloat(document.getElementById('cust-quantity').value) || 0;
@@ -975,6 +750,12 @@ if (quantity <= 0) {
 showToast('Please enter a valid quantity.', 'warning', 3000);
 return;
 }
+const _custMatch = resolveCustomerInput(salesCustomers, name, document.getElementById('cust-name'));
+if (_custMatch.ambiguous) {
+showToast(`More than one customer is named "${name}". Pick the right one from the search list.`, 'warning', 5000);
+return;
+}
+const customerRef = _custMatch.customer || { name };
 let storeSpecificProduction = 0;
 db.forEach(production => {
 if (production.date === date) {
@@ -1017,18 +798,18 @@ return;
 }
 const costData = await calculateSalesCost(store, quantity);
 const totalCost = costData.totalCost;
-const _effectiveSalePrice = await getEffectiveSalePriceForCustomer(name, store);
+const _effectiveSalePrice = await getEffectiveSalePriceForCustomer(customerRef.id || name, store);
 if (!_effectiveSalePrice || _effectiveSalePrice <= 0) {
 showToast(' Sale price not configured for this store. Set prices in Factory Formulas before recording sales.', 'warning', 5000);
 return;
 }
 const totalValue = quantity * _effectiveSalePrice;
 const profit = totalValue - totalCost;
-const existingCustomer = customerSales.find(s => s && s.customerName && name && s.customerName.toLowerCase() === name.toLowerCase());
+const existingCustomer = customerSales.find(s => recordBelongsToCustomer(s, customerRef));
 let existingCredit = 0;
 if (existingCustomer) {
 customerSales.forEach(async sale => {
-if (!(sale && sale.customerName && name && sale.customerName.toLowerCase() === name.toLowerCase())) return;
+if (!recordBelongsToCustomer(sale, customerRef)) return;
 if (sale.transactionType === 'OLD_DEBT' && !sale.creditReceived) {
 existingCredit += (await getSaleTransactionValue(sale)) - (sale.partialPaymentReceived || 0);
 } else if (sale.paymentType === 'CREDIT' && !sale.creditReceived) {
@@ -1082,6 +863,7 @@ date: deviceDate,
 supplyDate: date,
 time: timeString,
 customerName: name,
+customerId: customerRef.id || (salesRep === 'NONE' ? generateUUID('cust') : null),
 customerPhone: phoneNumber,
 quantity: quantity,
 supplyStore: store,
@@ -1105,12 +887,13 @@ try {
 const _scName = validatedRecord.customerName;
 const _scPhone = validatedRecord.customerPhone || '';
 if (_scName && _scName.trim() && !(validatedRecord.salesRep !== 'NONE')) {
-const _scIdx = Array.isArray(salesCustomers) ? salesCustomers.findIndex(c => c && c.name && c.name.toLowerCase() === _scName.toLowerCase()) : -1;
+const _scIdx = salesCustomers.findIndex(c => c && c.id === validatedRecord.customerId);
 if (_scIdx === -1) {
-const _scContact = { id: generateUUID('cust'), name: _scName, phone: _scPhone, address: '', oldDebit: 0, customSalePrice: 0, createdAt: getTimestamp(), updatedAt: getTimestamp(), timestamp: getTimestamp() };
+const _scContact = { id: validatedRecord.customerId, name: _scName, phone: _scPhone, address: '', oldDebit: 0, customSalePrice: 0, createdAt: getTimestamp(), updatedAt: getTimestamp(), timestamp: getTimestamp() };
 if (!Array.isArray(salesCustomers)) salesCustomers = [];
 salesCustomers.push(_scContact);
 await unifiedSave('sales_customers', salesCustomers, _scContact);
+if (typeof linkCustomerReferences === 'function') linkCustomerReferences().catch(e => console.warn('[CustomerLinks]', _safeErr(e)));
 }
 }
 } catch (_scErr) { console.warn('Auto-register sales customer failed:', _safeErr(_scErr)); }
@@ -1120,6 +903,7 @@ if (typeof calculateCashTracker === 'function') calculateCashTracker();
 if (typeof calculateNetCash === 'function') calculateNetCash();
 emitSyncUpdate({ customer_sales: null});
 document.getElementById('cust-name').value = '';
+document.getElementById('cust-name').removeAttribute('data-entity-id');
 document.getElementById('cust-quantity').value = '';
 selectSalesRep(document.querySelector('#sales-rep-toggle-group .toggle-opt'), 'NONE');
 selectPaymentType(document.getElementById('btn-payment-credit'), 'CREDIT');
@@ -1206,11 +990,10 @@ balEl.style.color = remaining === 0 ? 'var(--accent-emerald)' : 'var(--warning)'
 
 async function saveCustomerCollection() {
 const customerSales = ensureArray(await sqliteStore.get('customer_sales'));
+const salesCustomers = ensureArray(await sqliteStore.get('sales_customers'));
 const paymentTransactions = ensureArray(await sqliteStore.get('payment_transactions'));
 const paymentEntities = ensureArray(await sqliteStore.get('payment_entities'));
-if (appMode === 'userrole' && !(window._userRoleAllowedTabs || []).includes('sales')) {
-showToast('Access Denied — Sales not in your assigned tabs', 'warning', 3000); return;
-}
+if (!Permissions.check('sale.create')) return;
 const date = document.getElementById('cust-date').value;
 const name = document.getElementById('cust-name').value.trim();
 const amountEl = document.getElementById('cust-amount-collected');
@@ -1222,6 +1005,12 @@ const phoneNumber = (!document.getElementById('new-customer-phone-container').cl
 if (!date) { showToast('Please select a date.', 'warning', 3000); return; }
 if (!name) { showToast('Please enter customer name.', 'warning', 3000); return; }
 if (amount <= 0) { showToast('Please enter a valid amount.', 'warning', 3000); return; }
+const _custMatch = resolveCustomerInput(salesCustomers, name, document.getElementById('cust-name'));
+if (_custMatch.ambiguous) {
+showToast(`More than one customer is named "${name}". Pick the right one from the search list.`, 'warning', 5000);
+return;
+}
+const customerRef = _custMatch.customer || { name };
 const btn = document.getElementById('btn-save-cust-transaction');
 if (btn) { if (btn.disabled) return; btn.disabled = true; }
 const restoreBtn = () => { if (btn) btn.disabled = false; };
@@ -1229,8 +1018,7 @@ try {
 let _custOutstanding = 0;
 try {
 const _custHistory = customerSales.filter(s =>
-s && s.currentRepProfile === 'admin' &&
-s.customerName && s.customerName.toLowerCase() === name.toLowerCase()
+s && s.currentRepProfile === 'admin' && recordBelongsToCustomer(s, customerRef)
 );
 for (const s of _custHistory) {
 if (s.transactionType === 'OLD_DEBT') {
@@ -1290,6 +1078,7 @@ updatedAt: recordTimestamp,
 date: date,
 time: timeString,
 customerName: name,
+customerId: customerRef.id || null,
 customerPhone: phoneNumber,
 quantity: 0,
 supplyStore: null,
@@ -1319,7 +1108,7 @@ emitSyncUpdate({ customer_sales: null});
 const savedName = name;
 if (amountEl) amountEl.value = '';
 const _custNameEl = document.getElementById('cust-name');
-if (_custNameEl) _custNameEl.value = '';
+if (_custNameEl) { _custNameEl.value = ''; _custNameEl.removeAttribute('data-entity-id'); }
 document.getElementById('new-customer-phone-container').classList.add('hidden');
 if (phoneInput) phoneInput.value = '';
 if (typeof setSaleMode === 'function') setSaleMode('sale');
@@ -1339,6 +1128,7 @@ restoreBtn();
 }
 
 async function saveCustomerTransaction() {
+if (!Permissions.check('sale.create')) return;
 const customerSales = ensureArray(await sqliteStore.get('customer_sales'));
 const paymentTransactions = ensureArray(await sqliteStore.get('payment_transactions'));
 const paymentEntities = ensureArray(await sqliteStore.get('payment_entities'));
@@ -1522,8 +1312,9 @@ const quantity = parseFloat(document.getElementById('cust-quantity').value) || 0
 const date = document.getElementById('cust-date').value;
 const store = document.getElementById('supply-store-value').value;
 const customerName = (document.getElementById('cust-name')?.value || '').trim();
+const _pickedCustomer = resolveCustomerInput(ensureArray(await sqliteStore.get('sales_customers')), customerName, document.getElementById('cust-name')).customer;
 const costData = await calculateSalesCost(store, quantity);
-const effectiveSalePrice = await getEffectiveSalePriceForCustomer(customerName, store);
+const effectiveSalePrice = await getEffectiveSalePriceForCustomer(_pickedCustomer ? _pickedCustomer.id : customerName, store);
 const totalValue = quantity * effectiveSalePrice;
 const totalCost = costData?.totalCost || 0;
 document.getElementById('cust-total-cost').textContent = fmtAmt(safeNumber(totalCost, 0));
@@ -1647,6 +1438,7 @@ return warningDiv;
 }
 
 async function deleteCustomerSale(id) {
+if (!Permissions.check('record.delete')) return;
 const customerSales = ensureArray(await sqliteStore.get('customer_sales'));
 const salesCustomers = ensureArray(await sqliteStore.get('sales_customers'));
 const db = ensureArray(await sqliteStore.get('mfg_pro_pkr'));
@@ -1849,6 +1641,7 @@ function trackFirestoreRead(count = 1) {
 checkAndAutoResetFirestoreStats();
 firestoreStats.reads += count;
 saveFirestoreStats();
+if (typeof SyncJournal !== 'undefined') SyncJournal.track('reads', count);
 _checkFirestoreCostThresholds();
 }
 
@@ -1856,6 +1649,7 @@ function trackFirestoreWrite(count = 1) {
 checkAndAutoResetFirestoreStats();
 firestoreStats.writes += count;
 saveFirestoreStats();
+if (typeof SyncJournal !== 'undefined') SyncJournal.track('writes', count);
 _checkFirestoreCostThresholds();
 }
 
@@ -1867,7 +1661,7 @@ const originalOpenDataMenu = window.openDataMenu;
 window.openDataMenu = function() {
 if (typeof updateSyncButton === 'function') updateSyncButton();
 if (typeof performOneClickSync === 'function') {
-performOneClickSync().catch(function(e){console.error('[openDataMenu] sync error:', _safeErr(e))});
+performOneClickSync(false, 'manual').catch(function(e){console.error('[openDataMenu] sync error:', _safeErr(e))});
 } else if (typeof originalOpenDataMenu === 'function') {
 originalOpenDataMenu();
 }
@@ -2087,6 +1881,13 @@ async clearAllTimestamps() {
     await sqliteStore.remove(`pendingSync_${col}`);
   }
 },
+async clearLastSync(collections) {
+  for (const col of collections) {
+    this._cacheDel(`lastSync_${col}`);
+    await sqliteStore.remove(`lastSync_${col}`);
+    await sqliteStore.remove(`lastDownload_${col}`);
+  }
+},
 async getSyncSummary() {
   const currentAppMode = appMode || 'admin';
   const isRepMode = currentAppMode === 'rep';
@@ -2385,6 +2186,7 @@ showTab(targetTab);
 }
 
 async function saveTransaction() {
+if (!Permissions.check('calc.create')) return;
 const salesHistory = ensureArray(await sqliteStore.get('noman_history'));
 const db = ensureArray(await sqliteStore.get('mfg_pro_pkr'));
 const stockReturns = ensureArray(await sqliteStore.get('stock_returns'));
@@ -2745,6 +2547,7 @@ linkedIds.push(sale.id);
 }
 });
 if (linkedIds.length > 0) {
+await sqliteStore.takeSnapshot('pre-bulk').catch(e => console.warn('[Snapshot] pre-bulk snapshot failed:', _safeErr(e)));
 await unifiedSave('customer_sales', customerSales, null, linkedIds);
 if (typeof refreshCustomerSales === 'function') refreshCustomerSales(1, false);
 notifyDataChange('sales');
@@ -3619,7 +3422,7 @@ return;
 if (currentUser) {
 const _bkpMsg = `Choose how to save your data backup.\n\nCloud Backup: Uploads a snapshot to your connected cloud account. Accessible from any signed-in device.\n\nDownload Encrypted File: Saves an AES-256-GCM encrypted backup file to this device. The file is unreadable without your login credentials.\n\n Your account credentials are used to encrypt the file.`;
 if (await showGlassConfirm(_bkpMsg, { title: 'Save Backup', confirmText: 'Cloud Backup', cancelText: 'Download Encrypted File' })) {
-await pushDataToCloud();
+await pushDataToCloud(false, 'backup');
 return;
 }
 }
@@ -4070,7 +3873,7 @@ try { await refreshAllDisplays(); } catch(e) { console.error('Display refresh er
 let cloudSyncSuccess = false;
 if (firebaseDB && currentUser) {
 try {
-  const userRef = firebaseDB.collection('users').doc(currentUser.uid);
+  const userRef = Organisation.rootRef();
   const collectionMapping = {
     'production':         { data: ensureArray(mergedData.mfg_pro_pkr),                deltaName: 'production' },
     'sales':              { data: ensureArray(mergedData.customer_sales), deltaName: 'sales' },
@@ -4421,7 +4224,7 @@ let factoryUnitTracking = (await sqliteStore.get('factory_unit_tracking')) || {}
     defaultSettings = currentSettings;
     if (firebaseDB && currentUser) {
       try {
-        await firebaseDB.collection('users').doc(currentUser.uid)
+        await Organisation.rootRef()
           .collection('settings').doc('config')
           .set({
             naswar_default_settings: {
@@ -4440,7 +4243,7 @@ let factoryUnitTracking = (await sqliteStore.get('factory_unit_tracking')) || {}
     let _restoreCloudOk = false;
     try {
       showToast('Uploading reversed data to cloud...', 'info');
-      const userRef = firebaseDB.collection('users').doc(currentUser.uid);
+      const userRef = Organisation.rootRef();
       const cloudCollections = {
         production: replaceData.mfg_pro_pkr, sales: replaceData.customer_sales,
         calculator_history: replaceData.noman_history, rep_sales: replaceData.rep_sales,
@@ -4517,7 +4320,7 @@ let factoryUnitTracking = (await sqliteStore.get('factory_unit_tracking')) || {}
       try {
         const _restoreSigTs = Date.now();
         const _restoreDeviceId = (typeof getDeviceId === 'function') ? await getDeviceId().catch(() => 'unknown') : 'unknown';
-        await firebaseDB.collection('users').doc(currentUser.uid)
+        await Organisation.rootRef()
           .collection('settings').doc('yearCloseSignal')
           .set({
             type:        'restore',
@@ -4570,6 +4373,7 @@ let factoryUnitTracking = (await sqliteStore.get('factory_unit_tracking')) || {}
 }
 
 async function showTab(tab) {
+if (tab === 'payments' && !Permissions.check('payments.view')) return;
 currentActiveTab = tab;
 requestAnimationFrame(() => {
 const tabs = ['tab-prod', 'tab-sales', 'tab-calc', 'tab-factory', 'tab-payments', 'tab-rep'];
@@ -6005,7 +5809,7 @@ let freshSales = await sqliteStore.get('customer_sales', []);
 if (force && firebaseDB && currentUser &&
 !window._firestoreNetworkDisabled && navigator.onLine) {
 try {
-const userDocRef = firebaseDB.collection('users').doc(currentUser.uid);
+const userDocRef = Organisation.rootRef();
 const snapshot = await userDocRef.collection('sales').get();
 if (!snapshot.empty) {
 const firestoreSales = [];